@@ -0,0 +1,177 @@
+/**
+ * Action Script
+ * Parses, formats and validates the per-monitor page actions (clicks, typing, scrolling, waits)
+ * the content script runs after a reload, before the content is extracted
+ * Shared by the background script and the popup form, so it must not use chrome APIs
+ */
+
+const ACTION_TYPES = ['click', 'type', 'press', 'scroll', 'wait', 'waitFor'];
+const ACTION_MAX_STEPS = 20;
+const ACTION_MAX_WAIT = 60000; // Longest `wait` step in milliseconds
+const ACTION_MAX_SCROLLS = 20;
+
+/**
+ * Actions are stored in the monitor config as a list of steps, run in order:
+ * [
+ *   { type: 'click', selector: '#accept-cookies' },
+ *   { type: 'type', selector: '#search', text: 'laptop' },
+ *   { type: 'press', key: 'Enter', selector: '#search' },  // selector optional (focused element)
+ *   { type: 'scroll', times: 3 },                          // Scroll to the bottom N times
+ *   { type: 'wait', ms: 1000 },
+ *   { type: 'waitFor', selector: '.results' }
+ * ]
+ * In the popup they are written one per line:
+ *   click #accept-cookies
+ *   type #search | laptop
+ *   press Enter | #search
+ *   scroll 3
+ *   wait 1000
+ *   wait for .results
+ * The first failing step ends the sequence; the content is extracted either way.
+ */
+class ActionScript {
+  /**
+   * Check whether a config has page actions
+   * @param {Object|null} config - Monitoring configuration
+   * @returns {boolean} True if there is at least one step
+   */
+  hasActions(config) {
+    return Array.isArray(config?.actions) && config.actions.length > 0;
+  }
+
+  /**
+   * Parse one line into a step
+   * @param {string} line - Trimmed line
+   * @returns {Object|null} Step, or null if the line is not an action
+   */
+  parseLine(line) {
+    let match;
+    if ((match = line.match(/^click\s+(.+)$/i))) {
+      return { type: 'click', selector: match[1].trim() };
+    }
+    if ((match = line.match(/^type\s+([^|]+?)\s*\|\s?(.*)$/i))) {
+      return { type: 'type', selector: match[1].trim(), text: match[2] };
+    }
+    if ((match = line.match(/^press\s+([^\s|]+)(?:\s*\|\s*(.+))?$/i))) {
+      const step = { type: 'press', key: match[1] };
+      if (match[2]) {
+        step.selector = match[2].trim();
+      }
+      return step;
+    }
+    if ((match = line.match(/^scroll(?:\s+(\d+))?(?:\s+times?)?$/i))) {
+      return { type: 'scroll', times: match[1] ? Number(match[1]) : 1 };
+    }
+    if ((match = line.match(/^wait\s+for\s+(.+)$/i))) {
+      return { type: 'waitFor', selector: match[1].trim() };
+    }
+    if ((match = line.match(/^wait\s+(\d+)\s*(?:ms)?$/i))) {
+      return { type: 'wait', ms: Number(match[1]) };
+    }
+    return null;
+  }
+
+  /**
+   * Parse actions from the form text
+   * @param {string} text - One action per line (`#` starts a comment line)
+   * @returns {Object} { actions, error } - actions is null when there are none
+   */
+  parse(text) {
+    const actions = [];
+    const lines = (text || '').split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line || line.startsWith('#')) {
+        continue;
+      }
+      const step = this.parseLine(line);
+      if (!step) {
+        return { actions: null, error: `Line ${i + 1}: unknown action "${line}"` };
+      }
+      actions.push(step);
+    }
+
+    if (actions.length === 0) {
+      return { actions: null, error: null };
+    }
+    const validation = this.validate(actions);
+    return validation.isValid ? { actions, error: null } : { actions: null, error: validation.message };
+  }
+
+  /**
+   * Format a step as a line of the form text
+   * @param {Object} step - Step
+   * @returns {string} Line, e.g. `type #search | laptop`
+   */
+  format(step) {
+    switch (step?.type) {
+      case 'click':
+        return `click ${step.selector}`;
+      case 'type':
+        return `type ${step.selector} | ${step.text}`;
+      case 'press':
+        return step.selector ? `press ${step.key} | ${step.selector}` : `press ${step.key}`;
+      case 'scroll':
+        return `scroll ${step.times}`;
+      case 'wait':
+        return `wait ${step.ms}`;
+      case 'waitFor':
+        return `wait for ${step.selector}`;
+      default:
+        return String(step?.type);
+    }
+  }
+
+  /**
+   * Format actions as form text
+   * @param {Array<Object>|null} actions - Steps
+   * @returns {string} One action per line
+   */
+  formatAll(actions) {
+    return (actions || []).map(step => this.format(step)).join('\n');
+  }
+
+  /**
+   * Validate actions
+   * @param {Array<Object>} actions - Steps
+   * @returns {Object} { isValid, message }
+   */
+  validate(actions) {
+    if (!Array.isArray(actions)) {
+      return { isValid: false, message: 'Actions must be a list' };
+    }
+    if (actions.length > ACTION_MAX_STEPS) {
+      return { isValid: false, message: `At most ${ACTION_MAX_STEPS} actions are allowed` };
+    }
+
+    for (const [index, step] of actions.entries()) {
+      const label = `Action ${index + 1}`;
+      if (!step || !ACTION_TYPES.includes(step.type)) {
+        return { isValid: false, message: `${label}: unknown action type "${step?.type}"` };
+      }
+      if (['click', 'type', 'waitFor'].includes(step.type) || step.selector !== undefined) {
+        if (typeof step.selector !== 'string' || !step.selector.trim()) {
+          return { isValid: false, message: `${label}: a selector is required` };
+        }
+      }
+      if (step.type === 'type' && typeof step.text !== 'string') {
+        return { isValid: false, message: `${label}: text to type is required` };
+      }
+      if (step.type === 'press' && (typeof step.key !== 'string' || !step.key)) {
+        return { isValid: false, message: `${label}: a key is required, e.g. Enter` };
+      }
+      if (step.type === 'scroll' && (!Number.isInteger(step.times) || step.times < 1 || step.times > ACTION_MAX_SCROLLS)) {
+        return { isValid: false, message: `${label}: scroll between 1 and ${ACTION_MAX_SCROLLS} times` };
+      }
+      if (step.type === 'wait' && (!Number.isInteger(step.ms) || step.ms < 0 || step.ms > ACTION_MAX_WAIT)) {
+        return { isValid: false, message: `${label}: wait between 0 and ${ACTION_MAX_WAIT} ms` };
+      }
+    }
+
+    return { isValid: true, message: null };
+  }
+}
+
+// Singleton instance
+const actionScript = new ActionScript();
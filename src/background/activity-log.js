@@ -51,6 +51,24 @@ class ActivityLog {
     return this.getAll().filter(entry => entry.tabId === tabId);
   }
 
+  /**
+   * Get entries filtered by monitorId
+   * @param {string} monitorId - Monitor ID to filter by
+   * @returns {Array} Filtered log entries
+   */
+  getByMonitorId(monitorId) {
+    return this.getAll().filter(entry => entry.monitorId === monitorId);
+  }
+
+  /**
+   * Get entries filtered by webhook destination
+   * @param {string} destinationId - Destination ID to filter by ('default' for the monitor/global webhook)
+   * @returns {Array} Filtered log entries
+   */
+  getByDestination(destinationId) {
+    return this.getAll().filter(entry => entry.destinationId === destinationId);
+  }
+
   /**
    * Get entries filtered by level
    * @param {string} level - Log level (info, success, warning, error)
@@ -96,9 +114,11 @@ class ActivityLog {
 class ActivityLogManager {
   constructor() {
     this.buffer = new ActivityLog(100); // 100 entries max
-    this.failureCounters = new Map(); // Track failures per tabId
+    this.failureCounters = new Map(); // Consecutive failures per monitorId, mirrored in chrome.storage.session
     this.FAILURE_THRESHOLD = 5; // Auto-stop after 5 consecutive failures
     this.loadFromStorage(); // Restore on startup
+    // Checks run from alarms, so the worker is suspended (and restarted) between them
+    this.failureCountersLoaded = this.loadFailureCounters();
   }
 
   /**
@@ -125,13 +145,19 @@ class ActivityLogManager {
       }
     };
 
-    // Add tabId and url from details if present
+    // Add monitorId, tabId, url and destinationId from details if present
+    if (details.monitorId) {
+      entry.monitorId = details.monitorId;
+    }
     if (details.tabId) {
       entry.tabId = details.tabId;
     }
     if (details.url) {
       entry.url = details.url;
     }
+    if (details.destinationId) {
+      entry.destinationId = details.destinationId;
+    }
 
     this.buffer.add(entry);
     this.saveToStorage(); // Persist periodically
@@ -167,42 +193,71 @@ class ActivityLogManager {
   }
 
   /**
-   * Record a failure for a tab
-   * @param {number} tabId - Tab ID
-   * @returns {number} Current failure count
+   * Record a failure for a monitor
+   * @param {string} monitorId - Monitor ID
+   * @returns {Promise<number>} Current failure count
    */
-  recordFailure(tabId) {
-    const count = (this.failureCounters.get(tabId) || 0) + 1;
-    this.failureCounters.set(tabId, count);
+  async recordFailure(monitorId) {
+    await this.failureCountersLoaded;
+    const count = (this.failureCounters.get(monitorId) || 0) + 1;
+    this.failureCounters.set(monitorId, count);
+    await this.saveFailureCounters();
     return count;
   }
 
   /**
-   * Record a success for a tab (resets failure counter)
-   * @param {number} tabId - Tab ID
+   * Record a success for a monitor (resets failure counter)
+   * @param {string} monitorId - Monitor ID
    */
-  recordSuccess(tabId) {
-    if (this.failureCounters.has(tabId)) {
-      this.failureCounters.delete(tabId);
+  async recordSuccess(monitorId) {
+    await this.failureCountersLoaded;
+    if (this.failureCounters.delete(monitorId)) {
+      await this.saveFailureCounters();
     }
   }
 
   /**
-   * Get failure count for a tab
-   * @param {number} tabId - Tab ID
-   * @returns {number} Failure count
+   * Get failure count for a monitor
+   * @param {string} monitorId - Monitor ID
+   * @returns {Promise<number>} Failure count
    */
-  getFailureCount(tabId) {
-    return this.failureCounters.get(tabId) || 0;
+  async getFailureCount(monitorId) {
+    await this.failureCountersLoaded;
+    return this.failureCounters.get(monitorId) || 0;
   }
 
   /**
    * Check if failure threshold is reached
-   * @param {number} tabId - Tab ID
-   * @returns {boolean} True if threshold reached
+   * @param {string} monitorId - Monitor ID
+   * @returns {Promise<boolean>} True if threshold reached
+   */
+  async isFailureThresholdReached(monitorId) {
+    return (await this.getFailureCount(monitorId)) >= this.FAILURE_THRESHOLD;
+  }
+
+  /**
+   * Save the failure counters to session storage
    */
-  isFailureThresholdReached(tabId) {
-    return this.getFailureCount(tabId) >= this.FAILURE_THRESHOLD;
+  async saveFailureCounters() {
+    try {
+      await chrome.storage.session.set({ failureCounters: Object.fromEntries(this.failureCounters) });
+    } catch (error) {
+      console.error('Error saving failure counters to storage:', error);
+    }
+  }
+
+  /**
+   * Load the failure counters from session storage
+   */
+  async loadFailureCounters() {
+    try {
+      const result = await chrome.storage.session.get(['failureCounters']);
+      Object.entries(result.failureCounters || {}).forEach(([monitorId, count]) => {
+        this.failureCounters.set(monitorId, count);
+      });
+    } catch (error) {
+      console.error('Error loading failure counters from storage:', error);
+    }
   }
 
   /**
@@ -244,6 +299,14 @@ class ActivityLogManager {
     return this.buffer.getByTabId(tabId);
   }
 
+  getByMonitorId(monitorId) {
+    return this.buffer.getByMonitorId(monitorId);
+  }
+
+  getByDestination(destinationId) {
+    return this.buffer.getByDestination(destinationId);
+  }
+
   getByLevel(level) {
     return this.buffer.getByLevel(level);
   }
@@ -270,6 +333,7 @@ class ActivityLogManager {
   clear() {
     this.buffer.clear();
     this.failureCounters.clear();
+    this.saveFailureCounters();
     chrome.storage.local.remove('activityLog');
   }
 
@@ -1,7 +1,7 @@
 console.log('Page Monitor to n8n: Background service worker loaded');
 
-// Import activity log
-importScripts('activity-log.js');
+// Import activity log, scheduler, fetch mode checker and monitor records
+importScripts('activity-log.js', 'schedule-evaluator.js', 'scheduler.js', 'fetch-checker.js', 'monitor-store.js', 'field-config.js', 'list-differ.js', 'content-differ.js', 'webhook-outbox.js', 'webhook-auth.js', 'secrets-vault.js', 'payload-template.js', 'destination-router.js', 'chat-formatter.js', 'rule-engine.js', 'content-normalizer.js', 'readiness-config.js', 'snapshot-store.js', 'visual-differ.js', 'tab-capture.js', 'action-script.js', 'crawl-config.js', 'extractor-config.js');
 
 /**
  * Page Monitoring Service
@@ -10,10 +10,35 @@ importScripts('activity-log.js');
 
 console.log('Page Monitor: Background service loaded');
 
-// Store active monitoring intervals
-const monitoringIntervals = new Map();
-// Store monitoring configurations
-const monitoringConfigs = new Map();
+// Live mode: the content script reports DOM changes itself (see startLiveSession())
+const CHECK_MODES = ['reload', 'fetch', 'live'];
+const LIVE_DEFAULT_DEBOUNCE = 1000; // Quiet time before a burst of mutations is reported
+const LIVE_DEFAULT_MIN_GAP = 5000; // Minimum time between two reports
+const LIVE_MAX_DELAY = 3600000;
+
+/**
+ * Find the monitor watching the page open in a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object|null>} Monitor record
+ */
+async function findMonitorForTab(tabId) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    return await monitorStore.findByUrl(tab.url || '');
+  } catch (error) {
+    // Tab no longer exists
+    return null;
+  }
+}
+
+/**
+ * Check if a monitor is enabled and has a persisted schedule
+ * @param {Object|null} monitor - Monitor record
+ * @returns {Promise<boolean>} True if the monitor is active
+ */
+async function isMonitorActive(monitor) {
+  return Boolean(monitor && monitor.enabled && await monitorScheduler.isScheduled(monitor.id));
+}
 
 /**
  * Update extension icon to reflect monitoring state of the active tab
@@ -31,8 +56,8 @@ async function updateIconState() {
       return;
     }
     
-    const activeTabId = activeTab.id;
-    const isActiveTabMonitored = monitoringIntervals.has(activeTabId);
+    const monitor = await monitorStore.findByUrl(activeTab.url || '');
+    const isActiveTabMonitored = await isMonitorActive(monitor);
     
     if (isActiveTabMonitored) {
       // Show active monitoring indicator for the active tab
@@ -51,67 +76,41 @@ async function updateIconState() {
 
 /**
  * Restore monitoring state from storage on service worker startup
- * This handles browser refresh scenarios where the service worker restarts
+ * Monitors are keyed by UUID and URL, so no open tab is needed: every enabled
+ * monitor gets its schedule back and legacy tab-keyed configs are migrated.
  */
 async function restoreMonitoringState() {
   try {
-    const result = await chrome.storage.local.get(['monitoringConfig']);
-    const configs = result.monitoringConfig || {};
-    
-    if (Object.keys(configs).length === 0) {
-      console.log('No monitoring configs to restore');
-      return;
-    }
-    
-    // Get all open tabs
-    const tabs = await chrome.tabs.query({});
-    const webTabs = tabs.filter(tab => {
-      const url = tab.url || '';
-      return url && !url.startsWith('chrome-extension://') && 
-             !url.startsWith('chrome://') && 
-             (url.startsWith('http://') || url.startsWith('https://'));
+    // Convert configs saved by older versions (keyed by tab ID)
+    const migrated = await monitorStore.migrateLegacyConfigs();
+    migrated.forEach(monitor => {
+      activityLog.info('monitoring', 'Legacy monitor migrated', {
+        monitorId: monitor.id,
+        url: monitor.url
+      });
     });
-    
-    // Restore monitoring for each saved config
-    for (const [savedTabId, config] of Object.entries(configs)) {
-      if (!config.enabled) {
-        continue; // Skip disabled configs
+
+    const monitors = await monitorStore.getAll();
+    const schedules = await monitorScheduler.getSchedules();
+
+    // Drop schedules that no longer belong to an enabled monitor (e.g. old tab-keyed ones)
+    for (const key of Object.keys(schedules)) {
+      if (!monitors[key] || !monitors[key].enabled || monitors[key].paused) {
+        await monitorScheduler.unschedule(key);
       }
-      
-      // Find matching tab by URL
-      const targetUrl = config.initialUrl || config.url;
-      if (!targetUrl) {
-        console.warn(`Config for tab ${savedTabId} has no URL, skipping`);
+    }
+
+    // Re-create schedules that were lost
+    for (const monitor of Object.values(monitors)) {
+      if (!monitor.enabled || monitor.paused || schedules[monitor.id]) {
         continue;
       }
-      
-      const normalizedTarget = normalizeUrl(targetUrl);
-      const matchingTab = webTabs.find(tab => {
-        const normalizedTab = normalizeUrl(tab.url || '');
-        return normalizedTab === normalizedTarget;
+      console.log(`Restoring monitoring for ${monitor.url}`);
+      activityLog.info('monitoring', 'Monitoring restored after browser restart', {
+        monitorId: monitor.id,
+        url: monitor.url
       });
-      
-      if (matchingTab) {
-        const currentTabId = matchingTab.id;
-        
-        // Update tabId if it changed
-        if (parseInt(savedTabId) !== currentTabId) {
-          console.log(`Tab ID changed: ${savedTabId} -> ${currentTabId}, updating config`);
-          // Remove old config, will be recreated with new tabId
-          delete configs[savedTabId];
-          await chrome.storage.local.set({ monitoringConfig: configs });
-        }
-        
-        // Restore monitoring with current tab ID
-        console.log(`Restoring monitoring for tab ${currentTabId} (URL: ${targetUrl})`);
-        activityLog.info('monitoring', 'Monitoring restored after browser restart', {
-          tabId: currentTabId,
-          url: targetUrl
-        });
-        await startMonitoring(currentTabId, config);
-      } else {
-        console.log(`No matching tab found for URL: ${targetUrl}, config not restored`);
-      }
+      await monitorScheduler.schedule(monitor.id, monitor.config.refreshInterval, monitor.config.schedule || null);
     }
     
     await updateIconState();
@@ -134,6 +133,31 @@ chrome.runtime.onInstalled.addListener(async () => {
   await updateIconState();
 });
 
+// Run scheduled checks when their alarm fires (wakes a suspended service worker)
+monitorScheduler.onRun(async (monitorId) => {
+  await checkMonitor(monitorId);
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === OUTBOX_ALARM_NAME) {
+    processWebhookOutbox();
+    return;
+  }
+  monitorScheduler.handleAlarm(alarm);
+});
+
+// Resume refreshes that were missed while the service worker was inactive
+monitorScheduler.resume().then((resumedKeys) => {
+  resumedKeys.forEach((monitorId) => {
+    activityLog.info('monitoring', 'Missed refresh resumed after service worker wake', { monitorId });
+  });
+}).catch((error) => {
+  console.error('Error resuming monitoring schedule:', error);
+});
+
+// Retry webhook deliveries that were due while the service worker was inactive
+processWebhookOutbox();
+
 /**
  * Generate SHA-256 hash of content
  * @param {string} content - Content to hash
@@ -147,64 +171,25 @@ async function generateContentHash(content) {
   return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
 }
 
-/**
- * Get monitoring configuration for a tab
- * @param {number} tabId - Tab ID
- * @returns {Promise<Object>} Monitoring configuration
- */
-async function getMonitoringConfig(tabId) {
-  const result = await chrome.storage.local.get(['monitoringConfig']);
-  const configs = result.monitoringConfig || {};
-  return configs[tabId] || null;
-}
-
-/**
- * Save monitoring configuration for a tab
- * @param {number} tabId - Tab ID
- * @param {Object} config - Configuration object
- */
-async function saveMonitoringConfig(tabId, config) {
-  const result = await chrome.storage.local.get(['monitoringConfig']);
-  const configs = result.monitoringConfig || {};
-  configs[tabId] = {
-    ...config,
-    lastCheckTime: new Date().toISOString()
-  };
-  await chrome.storage.local.set({ monitoringConfig: configs });
-  monitoringConfigs.set(tabId, configs[tabId]);
-}
-
-/**
- * Remove monitoring configuration for a tab
- * @param {number} tabId - Tab ID
- */
-async function removeMonitoringConfig(tabId) {
-  const result = await chrome.storage.local.get(['monitoringConfig']);
-  const configs = result.monitoringConfig || {};
-  delete configs[tabId];
-  await chrome.storage.local.set({ monitoringConfig: configs });
-  monitoringConfigs.delete(tabId);
-}
-
 /**
  * Check if content has changed
- * @param {number} tabId - Tab ID
+ * The monitor's normalization (config.normalization) is applied before hashing.
+ * @param {string} monitorId - Monitor ID
  * @param {string} currentContent - Current content
  * @returns {Promise<boolean>} True if content changed
  */
-async function hasContentChanged(tabId, currentContent) {
-  const config = await getMonitoringConfig(tabId);
-  if (!config || !config.changeDetection) {
+async function hasContentChanged(monitorId, currentContent) {
+  const monitor = await monitorStore.get(monitorId);
+  if (!monitor || !monitor.config.changeDetection) {
     return true; // Always send if change detection is disabled
   }
 
-  const currentHash = await generateContentHash(currentContent);
-  const previousHash = config.lastContentHash;
+  const currentHash = await generateContentHash(contentNormalizer.normalize(currentContent, monitor.config.normalization));
+  const previousHash = monitor.lastContentHash;
 
   if (!previousHash) {
     // First run, save hash but don't send
-    await saveMonitoringConfig(tabId, {
-      ...config,
+    await monitorStore.update(monitorId, {
       lastContentHash: currentHash
     });
     return false;
@@ -215,70 +200,208 @@ async function hasContentChanged(tabId, currentContent) {
   }
 
   // Content changed, update hash
-  await saveMonitoringConfig(tabId, {
-    ...config,
-    lastContentHash: currentHash
+  await monitorStore.update(monitorId, {
+    lastContentHash: currentHash,
+    lastChangeTime: new Date().toISOString()
   });
   return true;
 }
 
+/**
+ * Find which named fields changed since the last check
+ * Keeps a hash per field on the monitor record (`lastFieldHashes`), and the values (`lastFields`)
+ * so routing conditions can compare numbers with the previous check.
+ * @param {string} monitorId - Monitor ID
+ * @param {Object} fields - Current field values keyed by name
+ * @returns {Promise<Array<string>>} Names of changed, added or removed fields (empty on the first check)
+ */
+async function getChangedFields(monitorId, fields) {
+  const monitor = await monitorStore.get(monitorId);
+  if (!monitor) {
+    return [];
+  }
+
+  const currentHashes = {};
+  for (const [name, value] of Object.entries(fields)) {
+    currentHashes[name] = await generateContentHash(contentNormalizer.normalize(value, monitor.config.normalization));
+  }
+
+  const previousHashes = monitor.lastFieldHashes;
+  await monitorStore.update(monitorId, { lastFieldHashes: currentHashes, lastFields: fields });
+  if (!previousHashes) {
+    return [];
+  }
+
+  const names = new Set([...Object.keys(previousHashes), ...Object.keys(currentHashes)]);
+  return [...names].filter(name => previousHashes[name] !== currentHashes[name]);
+}
+
+/**
+ * Diff the content against the previous snapshot
+ * Keeps the last extracted text on the monitor record (`lastContent`) so the next change
+ * can be described, not just detected (condition rules compare against it too).
+ * @param {string} monitorId - Monitor ID
+ * @param {string} text - Current content (or named field lines)
+ * @param {boolean} withDiff - False to only keep the snapshot (list mode reports per-item changes instead)
+ * @returns {Promise<Object|null>} Diff from contentDiffer.diff(), or null if unchanged, first check or diffs are off
+ */
+async function getContentDiff(monitorId, text, withDiff = true) {
+  const monitor = await monitorStore.get(monitorId);
+  if (!monitor || monitor.lastContent === text) {
+    return null;
+  }
+
+  await monitorStore.update(monitorId, { lastContent: text });
+
+  const granularity = monitor.config.diffGranularity || 'line';
+  if (!withDiff || typeof monitor.lastContent !== 'string' || granularity === 'off') {
+    return null;
+  }
+  return contentDiffer.diff(monitor.lastContent, text, {
+    granularity,
+    contentType: monitor.config.contentType
+  });
+}
+
+/**
+ * Compute the list mode delta against the previous check
+ * Keeps the previous items on the monitor record (`lastItems`, key -> fields) so removed
+ * items can still be reported with their last known values.
+ * @param {string} monitorId - Monitor ID
+ * @param {Array<Object>} items - Current items ({ key, fields })
+ * @returns {Promise<Object>} { added, removed, modified } (every item is "added" on the first check)
+ */
+async function getListDelta(monitorId, items) {
+  const monitor = await monitorStore.get(monitorId);
+  const { added, removed, modified } = listDiffer.diff(monitor?.lastItems || null, items);
+  await monitorStore.update(monitorId, { lastItems: listDiffer.toSnapshot(items) });
+  return { added, removed, modified };
+}
+
+/**
+ * Check whether a stored webhook URL is set (plain non-empty string or encrypted by the secrets vault)
+ * @param {*} value - Stored webhook URL
+ * @returns {boolean} True if set
+ */
+function hasWebhookUrl(value) {
+  return secretsVault.isSealed(value) || (typeof value === 'string' && value.trim() !== '' && value !== 'YOUR_N8N_WEBHOOK_URL');
+}
+
+/**
+ * Find where a monitor's default destination sends to: its own webhook or the global one
+ * @param {Object|null} config - Monitor config
+ * @returns {Promise<string|null>} 'monitor', 'global', or null if no webhook URL is set
+ */
+async function getDefaultWebhookSource(config) {
+  if (hasWebhookUrl(config?.webhookUrl)) {
+    return 'monitor';
+  }
+  const storage = await chrome.storage.local.get('webhookUrl');
+  return hasWebhookUrl(storage.webhookUrl) ? 'global' : null;
+}
+
+/**
+ * Get the named webhook destinations from the options
+ * @returns {Promise<Array<Object>>} Destinations ({ id, name, webhookUrl, webhookAuth, payloadTemplate })
+ */
+async function getWebhookDestinations() {
+  const storage = await chrome.storage.local.get('webhookDestinations');
+  return storage.webhookDestinations || [];
+}
+
+/**
+ * Queue a payload in the outbox once per routed subscription
+ * Stored URLs are only read (and decrypted) at delivery time, so the outbox never holds them.
+ * @param {string} monitorId - Monitor ID
+ * @param {Object|null} config - Monitor config
+ * @param {string} url - Page URL
+ * @param {number|null} tabId - Tab the event came from, if any
+ * @param {Array<Object>} subscriptions - Subscriptions whose condition matched (destinationRouter.route())
+ * @param {Object} payload - Payload to deliver
+ * @returns {Promise<Object>} { success, message }
+ */
+async function queueDeliveries(monitorId, config, url, tabId, subscriptions, payload) {
+  if (subscriptions.length === 0) {
+    activityLog.info('webhook', 'No destination matched, nothing sent', {
+      monitorId,
+      tabId,
+      url: url
+    }, {
+      type: payload.type
+    });
+    return { success: true, message: 'No destination matched' };
+  }
+
+  const destinations = await getWebhookDestinations();
+  let queued = 0;
+  for (const subscription of subscriptions) {
+    const delivery = { monitorId, url, payload, attempts: 0 };
+    if (subscription.destinationId === DEFAULT_DESTINATION_ID) {
+      delivery.webhookSource = await getDefaultWebhookSource(config);
+      if (!delivery.webhookSource) {
+        console.error('❌ No webhook URL configured for monitor:', monitorId);
+        activityLog.warning('webhook', 'No webhook URL set, default destination skipped', {
+          monitorId,
+          tabId,
+          url: url,
+          destinationId: DEFAULT_DESTINATION_ID
+        });
+        continue;
+      }
+    } else {
+      const destination = destinations.find(item => item.id === subscription.destinationId);
+      if (!destination) {
+        activityLog.warning('webhook', 'Subscribed destination no longer exists', {
+          monitorId,
+          tabId,
+          url: url,
+          destinationId: subscription.destinationId
+        });
+        continue;
+      }
+      delivery.webhookSource = 'destination';
+      delivery.destinationId = destination.id;
+    }
+
+    await webhookOutbox.enqueue(delivery);
+    queued++;
+  }
+
+  if (queued === 0) {
+    return { success: false, message: 'No webhook URL set. Please configure it in the monitoring settings or extension options.' };
+  }
+  await processWebhookOutbox();
+  return { success: true, message: `Content queued for ${queued} destination${queued === 1 ? '' : 's'}` };
+}
+
 /**
  * Send content to webhook
- * @param {number} tabId - Tab ID
+ * Automatic sends go to every destination the monitor subscribes to whose condition matches;
+ * manual sends go to the form URL, the monitor's own webhook or the global one.
+ * @param {string|null} monitorId - Monitor ID (null for manual sends from an unmonitored tab)
  * @param {string} content - Content to send
  * @param {string} url - Page URL
  * @param {string} selector - CSS selector used
  * @param {boolean} changeDetected - Whether change was detected
- * @param {string|null} overrideWebhookUrl - Optional webhook URL to use (from form input)
+ * @param {string|null} overrideWebhookUrl - Optional webhook URL to use (from form input, manual sends only)
+ * @param {number|null} tabId - Tab the content came from, if any
+ * @param {Object} details - Optional extraction details ({ fields, previousFields, changedFields, delta, itemCount, items, diff, matchedRules, visualDiff, screenshot, pages, snapshot, manual, webhookAuth })
+ * @returns {Promise<Object>} { success, message } - automatic sends are queued in the outbox, manual sends are delivered directly
  */
-async function sendContentToWebhook(tabId, content, url, selector, changeDetected, overrideWebhookUrl = null) {
+async function sendContentToWebhook(monitorId, content, url, selector, changeDetected, overrideWebhookUrl = null, tabId = null, details = {}) {
   try {
-    console.log('=== sendContentToWebhook Debug ===');
-    console.log('overrideWebhookUrl parameter:', overrideWebhookUrl);
-    console.log('overrideWebhookUrl type:', typeof overrideWebhookUrl);
-    
-    // Get config first (needed for metadata regardless of webhook source)
-    const config = await getMonitoringConfig(tabId);
-    console.log('Tab config:', config);
-    
-    let webhookUrl = overrideWebhookUrl;
-    
-    // If no override provided, get tab-specific webhook URL from config, fallback to global webhook
-    if (!webhookUrl || typeof webhookUrl !== 'string' || !webhookUrl.trim()) {
-      console.log('No valid override webhook, checking saved config...');
-      webhookUrl = config?.webhookUrl;
-      console.log('Webhook URL from config:', webhookUrl);
-      
-      // Only use tab-specific webhook if it's a valid non-empty string
-      if (!webhookUrl || typeof webhookUrl !== 'string' || !webhookUrl.trim()) {
-        console.log('No valid webhook in config, checking global webhook...');
-        // Fall back to global webhook
-        const storage = await chrome.storage.local.get('webhookUrl');
-        webhookUrl = storage.webhookUrl;
-        console.log('Global webhook from storage:', webhookUrl);
-        
-        // Validate webhook URL after checking both tab-specific and global
-        if (!webhookUrl || typeof webhookUrl !== 'string' || !webhookUrl.trim() || webhookUrl === 'YOUR_N8N_WEBHOOK_URL') {
-          console.error('❌ No webhook URL configured. Tab config:', config, 'Global webhook:', storage.webhookUrl);
-          return { success: false, message: 'No webhook URL set. Please configure it in the monitoring settings or extension options.' };
-        }
-      } else {
-        // Tab-specific webhook is set, validate it
-        if (webhookUrl === 'YOUR_N8N_WEBHOOK_URL') {
-          console.error('Invalid webhook URL in tab config:', config);
-          return { success: false, message: 'Invalid webhook URL configured. Please update it in the monitoring settings.' };
-        }
-      }
-    } else {
-      console.log('✅ Using override webhook URL:', webhookUrl);
-      // Override webhook URL provided, validate it
-      if (webhookUrl === 'YOUR_N8N_WEBHOOK_URL') {
-        console.error('Invalid webhook URL provided:', webhookUrl);
-        return { success: false, message: 'Invalid webhook URL. Please check the URL in the monitoring settings.' };
-      }
+    // Webhook URLs are secrets (they often embed tokens); log only whether one was given
+    console.log('Sending content to webhook, URL override:', Boolean(overrideWebhookUrl));
+
+    // Get config first (needed for metadata and routing)
+    const monitor = await monitorStore.get(monitorId);
+    const config = monitor?.config || null;
+
+    const hasOverride = Boolean(details.manual && overrideWebhookUrl && typeof overrideWebhookUrl === 'string' && overrideWebhookUrl.trim());
+    if (hasOverride && !hasWebhookUrl(overrideWebhookUrl)) {
+      console.error('Invalid webhook URL provided');
+      return { success: false, message: 'Invalid webhook URL. Please check the URL in the monitoring settings.' };
     }
-    
-    console.log('Final webhook URL to use:', webhookUrl);
 
     const payload = {
       type: 'page_monitor',
@@ -289,269 +412,1076 @@ async function sendContentToWebhook(tabId, content, url, selector, changeDetecte
       changeDetected: changeDetected,
       metadata: {
         refreshInterval: config?.refreshInterval || 30000,
-        tabId: tabId,
-        webhookUrl: webhookUrl // Include which webhook was used
+        monitorId: monitor?.id || null,
+        tabId: tabId ?? monitor?.tabId ?? null,
+        checkMode: config?.checkMode || 'reload',
+        profileName: config?.profileName || null
+        // webhookUrl (which webhook was used) is added at delivery time
+      }
+    };
+
+    // Named fields monitors carry structured values and which of them changed
+    if (details.fields) {
+      payload.fields = details.fields;
+      payload.changedFields = details.changedFields || [];
+    }
+
+    // List mode carries the added/removed/modified items (or the full list for manual sends)
+    if (details.delta) {
+      payload.delta = details.delta;
+      payload.itemCount = details.itemCount;
+    } else if (details.items) {
+      payload.items = details.items;
+      payload.itemCount = details.items.length;
+    }
+
+    // What changed since the previous snapshot
+    if (details.diff) {
+      payload.diff = details.diff;
+    }
+
+    // Which condition rules let the change through
+    if (details.matchedRules) {
+      payload.matchedRules = details.matchedRules;
+    }
+
+    // Screenshot monitors carry the element's image and how it differs from the previous screenshot
+    if (details.visualDiff) {
+      payload.visualDiff = details.visualDiff;
+    }
+    if (details.screenshot) {
+      payload.screenshot = details.screenshot;
+    }
+
+    // Crawl monitors list the pages the content was merged from
+    if (details.pages) {
+      payload.pages = details.pages;
+    }
+
+    // Re-sent versions from the history say which version they are
+    if (details.snapshot) {
+      payload.snapshot = details.snapshot;
+    }
+
+    // Manual sends report the result right away instead of retrying in the background
+    if (details.manual) {
+      if (hasOverride) {
+        return await deliverWebhook({
+          monitorId, url, webhookSource: 'override', payload, attempts: 0,
+          webhookUrl: overrideWebhookUrl.trim(),
+          auth: details.webhookAuth || undefined
+        });
+      }
+      const webhookSource = await getDefaultWebhookSource(config);
+      if (!webhookSource) {
+        console.error('❌ No webhook URL configured for monitor:', monitorId);
+        return { success: false, message: 'No webhook URL set. Please configure it in the monitoring settings or extension options.' };
+      }
+      return await deliverWebhook({ monitorId, url, webhookSource, payload, attempts: 0 });
+    }
+
+    const subscriptions = destinationRouter.route(destinationRouter.getSubscriptions(config), {
+      type: 'content',
+      fields: details.fields,
+      previousFields: details.previousFields,
+      changedFields: details.changedFields
+    });
+    return await queueDeliveries(monitorId, config, url, tabId, subscriptions, payload);
+  } catch (error) {
+    console.error('Error sending to webhook:', error);
+    activityLog.error('webhook', 'Error queuing webhook delivery', {
+      monitorId,
+      tabId,
+      url: url,
+      error: error.message
+    });
+    return { success: false, message: 'Error: ' + error.message };
+  }
+}
+
+/**
+ * Send a failed check to the destinations subscribed to errors
+ * @param {Object} monitor - Monitor record
+ * @param {string} errorMessage - Failure reason
+ * @param {number} failureCount - Consecutive failures so far
+ */
+async function sendErrorToDestinations(monitor, errorMessage, failureCount) {
+  try {
+    const subscriptions = destinationRouter.route(destinationRouter.getSubscriptions(monitor.config), { type: 'error' });
+    if (subscriptions.length === 0) {
+      return;
+    }
+
+    const payload = {
+      type: 'page_monitor_error',
+      timestamp: new Date().toISOString(),
+      url: monitor.url,
+      selector: monitor.config.selector,
+      error: errorMessage,
+      changeDetected: false,
+      metadata: {
+        refreshInterval: monitor.config.refreshInterval,
+        monitorId: monitor.id,
+        tabId: monitor.tabId ?? null,
+        checkMode: monitor.config.checkMode || 'reload',
+        profileName: monitor.config.profileName || null,
+        consecutiveFailures: failureCount
       }
     };
+    await queueDeliveries(monitor.id, monitor.config, monitor.url, monitor.tabId ?? null, subscriptions, payload);
+  } catch (error) {
+    console.error('Error sending error event to webhook:', error);
+  }
+}
+
+/**
+ * Find the auth settings for a webhook URL
+ * Only needed for outbox entries queued with a webhook URL (before entries recorded their webhook source).
+ * @param {string|null} monitorId - Monitor ID
+ * @param {string} webhookUrl - Webhook URL the payload goes to
+ * @returns {Promise<Object|null>} Monitor auth for its own webhook, global auth for the global webhook, else null
+ */
+async function resolveWebhookAuth(monitorId, webhookUrl) {
+  const monitor = monitorId ? await monitorStore.get(monitorId) : null;
+  if (monitor && await secretsVault.open(monitor.config.webhookUrl) === webhookUrl) {
+    return await secretsVault.open(monitor.config.webhookAuth || null);
+  }
+
+  const storage = await chrome.storage.local.get(['webhookUrl', 'webhookAuth']);
+  return await secretsVault.open(storage.webhookUrl) === webhookUrl ? await secretsVault.open(storage.webhookAuth || null) : null;
+}
+
+/**
+ * Resolve the webhook URL, auth and payload template of a delivery
+ * Secrets are looked up (and decrypted) at delivery time, so they are never copied into the outbox.
+ * Named destinations use their own format (JSON or a chat message) and payload template. The
+ * monitor's template applies to its default destination (its own webhook or the global one); the
+ * global template only to the global webhook.
+ * @param {Object} delivery - Outbox entry or direct delivery
+ * @returns {Promise<Object|null>} { webhookUrl, auth, template, type, chatId, destinationId, destination }, or null if
+ *   no webhook is configured (or the destination was deleted)
+ * @throws {Error} If the secrets vault is locked
+ */
+async function resolveWebhookTarget(delivery) {
+  if (delivery.webhookSource === 'destination') {
+    const destination = (await getWebhookDestinations()).find(item => item.id === delivery.destinationId);
+    if (!destination) {
+      return null;
+    }
+    return {
+      webhookUrl: await secretsVault.open(destination.webhookUrl),
+      auth: await secretsVault.open(destination.webhookAuth || null),
+      template: destination.payloadTemplate || null,
+      type: destination.type || 'webhook',
+      chatId: destination.chatId || null,
+      destinationId: destination.id,
+      destination: destination.name
+    };
+  }
+
+  const monitor = delivery.monitorId ? await monitorStore.get(delivery.monitorId) : null;
+  const monitorTemplate = monitor?.config.payloadTemplate || null;
+  const defaultDestination = { type: 'webhook', destinationId: DEFAULT_DESTINATION_ID, destination: 'Default webhook' };
+
+  // Direct deliveries with a URL from the form (and outbox entries from older versions)
+  if (delivery.webhookUrl) {
+    return {
+      webhookUrl: delivery.webhookUrl,
+      auth: delivery.auth !== undefined ? delivery.auth : await resolveWebhookAuth(delivery.monitorId, delivery.webhookUrl),
+      template: monitorTemplate,
+      ...defaultDestination
+    };
+  }
+
+  if (delivery.webhookSource === 'monitor') {
+    if (hasWebhookUrl(monitor?.config.webhookUrl)) {
+      return {
+        webhookUrl: await secretsVault.open(monitor.config.webhookUrl),
+        auth: await secretsVault.open(monitor.config.webhookAuth || null),
+        template: monitorTemplate,
+        ...defaultDestination
+      };
+    }
+    // The monitor's own webhook was removed since queuing: fall back to the global webhook
+  }
+
+  const storage = await chrome.storage.local.get(['webhookUrl', 'webhookAuth', 'payloadTemplate']);
+  if (!hasWebhookUrl(storage.webhookUrl)) {
+    return null;
+  }
+  return {
+    webhookUrl: await secretsVault.open(storage.webhookUrl),
+    auth: await secretsVault.open(storage.webhookAuth || null),
+    template: monitorTemplate || storage.payloadTemplate || null,
+    ...defaultDestination
+  };
+}
+
+/**
+ * POST a payload to its webhook
+ * Results are logged per destination (`destinationId` and `destination` in the log details).
+ * @param {Object} delivery - Outbox entry or direct delivery ({ monitorId, url, webhookSource, destinationId?, payload, attempts, webhookUrl?, auth? })
+ * @returns {Promise<Object>} { success, message, permanent } - permanent failures are not retried
+ */
+async function deliverWebhook(delivery) {
+  const { monitorId, url } = delivery;
+  const tabId = delivery.payload.metadata?.tabId ?? null;
+  const attempt = delivery.attempts + 1;
+  const logDetails = { monitorId, tabId, url, destinationId: delivery.destinationId || DEFAULT_DESTINATION_ID };
+
+  let target;
+  let body;
+  let attachment = null;
+  try {
+    target = await resolveWebhookTarget(delivery);
+    if (target) {
+      logDetails.destination = target.destination;
+      // Include which webhook was used, then shape the payload as a chat message or with the template (if any)
+      const payload = { ...delivery.payload, metadata: { ...delivery.payload.metadata, webhookUrl: target.webhookUrl } };
+      // Multipart screenshots are sent as their own form part; the JSON keeps the image details
+      if (target.type === 'webhook' && payload.screenshot?.delivery === 'multipart') {
+        const { data, ...screenshot } = payload.screenshot;
+        attachment = { data, mimeType: screenshot.mimeType };
+        payload.screenshot = screenshot;
+      }
+      if (target.type !== 'webhook') {
+        body = JSON.stringify(chatFormatter.format(target.type, payload, { chatId: target.chatId }));
+      } else {
+        body = JSON.stringify(target.template ? payloadTemplate.render(target.template, payload) : payload);
+      }
+    }
+  } catch (error) {
+    console.error('Error preparing webhook request:', error);
+    activityLog.error('webhook', 'Could not prepare webhook request', {
+      ...logDetails,
+      error: error.message
+    });
+    return { success: false, message: error.message };
+  }
+  if (!target) {
+    if (delivery.webhookSource === 'destination') {
+      activityLog.error('webhook', 'Webhook destination no longer exists', logDetails);
+      return { success: false, message: 'Webhook destination no longer exists', permanent: true };
+    }
+    return { success: false, message: 'No webhook URL set. Please configure it in the monitoring settings or extension options.' };
+  }
+
+  const { webhookUrl, auth } = target;
+  const payload = delivery.payload;
+
+  try {
+    const headers = await webhookAuth.buildHeaders(auth, body);
+    let requestBody = body;
+    if (attachment) {
+      // HMAC signatures cover the payload part; fetch sets the multipart Content-Type with its boundary
+      requestBody = new FormData();
+      requestBody.append('payload', body);
+      requestBody.append('screenshot', new Blob([visualDiffer.fromBase64(attachment.data)], { type: attachment.mimeType }), 'screenshot.png');
+      delete headers['Content-Type'];
+    }
 
     const response = await fetch(webhookUrl, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
+      headers,
+      body: requestBody
     });
 
     if (response.ok) {
       console.log('Content sent to webhook successfully');
-      activityLog.success('webhook', 'Content sent to webhook successfully', {
-        tabId,
-        url: url
-      }, {
-        contentLength: content.length,
-        changeDetected: changeDetected,
-        selector: selector
+      activityLog.success('webhook', payload.type === 'page_monitor_error' ? 'Error event sent to webhook' : 'Content sent to webhook successfully', logDetails, {
+        contentLength: payload.content?.length,
+        changeDetected: payload.changeDetected,
+        selector: payload.selector,
+        attempt,
+        auth: webhookAuth.describe(auth),
+        format: target.type,
+        template: target.template ? 'custom' : 'default',
+        screenshot: payload.screenshot?.delivery
       });
       return { success: true, message: 'Content sent successfully' };
     } else {
       console.error('Webhook failed:', response.status);
       activityLog.error('webhook', 'Webhook request failed', {
-        tabId,
-        url: url,
+        ...logDetails,
         statusCode: response.status
+      }, {
+        attempt,
+        auth: webhookAuth.describe(auth)
       });
       return { success: false, message: `Webhook failed (HTTP ${response.status})` };
     }
   } catch (error) {
     console.error('Error sending to webhook:', error);
     activityLog.error('webhook', 'Network error sending to webhook', {
-      tabId,
-      url: url,
+      ...logDetails,
       error: error.message
+    }, {
+      attempt
     });
     return { success: false, message: 'Network error: ' + error.message };
   }
 }
 
 /**
- * Process content extraction from content script
- * @param {number} tabId - Tab ID
- * @param {Object} data - Content data from content script
+ * Deliver due outbox entries and schedule the next retry
+ * While the secrets vault is locked, entries wait (without using up attempts) until it is unlocked.
  */
-async function processContentExtraction(tabId, data) {
+async function processWebhookOutbox() {
   try {
-    const config = await getMonitoringConfig(tabId);
-    if (!config) {
-      console.log('No monitoring config for tab:', tabId);
+    if (await secretsVault.isLocked()) {
+      console.log('Secrets vault is locked, webhook deliveries wait until it is unlocked');
       return;
     }
 
-    const { content, url, selector } = data;
-    
-    if (!content) {
-      console.warn('No content extracted from page');
-      return;
-    }
-
-    // Check for changes
-    const changed = await hasContentChanged(tabId, content);
+    const result = await webhookOutbox.process(deliverWebhook);
 
-    // Send to webhook if changed (or if change detection is disabled)
-    if (changed) {
-      activityLog.info('change', 'Content change detected', {
-        tabId,
-        url: url
+    for (const entry of result.deadLettered) {
+      activityLog.error('webhook', 'Webhook delivery moved to dead-letter queue', {
+        monitorId: entry.monitorId,
+        url: entry.url,
+        destinationId: entry.destinationId || DEFAULT_DESTINATION_ID,
+        error: entry.lastError
       }, {
-        selector: selector,
-        contentLength: content.length
+        attempts: entry.attempts
       });
-      await sendContentToWebhook(tabId, content, url, selector, changed);
+    }
+
+    if (result.nextAttemptAt) {
+      chrome.alarms.create(OUTBOX_ALARM_NAME, { when: Math.max(result.nextAttemptAt, Date.now() + 1000) });
     } else {
-      console.log('Content unchanged, skipping webhook');
-      activityLog.info('change', 'No content change detected, skipping webhook', {
-        tabId,
-        url: url
-      }, {
-        selector: selector
-      });
+      await chrome.alarms.clear(OUTBOX_ALARM_NAME);
     }
   } catch (error) {
-    console.error('Error processing content extraction:', error);
+    console.error('Error processing webhook outbox:', error);
   }
 }
 
 /**
- * Refresh a monitored page
- * @param {number} tabId - Tab ID
+ * Take a monitor's screenshot and compare it with the previous one
+ * Content-triggered monitors only need one when the content changed (and a first one as the
+ * baseline); visual monitors need one on every check. The element's box is asked for only then,
+ * since the content script may scroll the page to it. Check tabs are brought to the front for the
+ * capture; live sessions are left alone (someone is reading the page), so their tab must be active.
+ * @param {Object} monitor - Monitor record
+ * @param {number} tabId - Tab the content was extracted from
+ * @param {boolean} contentChanged - Whether the content changed
+ * @param {boolean} live - Whether the content came from a live session
+ * @returns {Promise<Object|null>} { screenshot, visualDiff, signature } (visualDiff is null for the first
+ *   screenshot, signature is kept by updateScreenshotBaseline()), or null if no screenshot was taken
  */
-async function refreshPage(tabId) {
+async function captureMonitorScreenshot(monitor, tabId, contentChanged, live) {
+  const settings = visualDiffer.resolve(monitor.config.screenshot);
+  if (settings.trigger !== 'visual' && !contentChanged && monitor.lastScreenshot) {
+    return null;
+  }
+
+  let restoreTab = null;
   try {
-    const tab = await chrome.tabs.get(tabId);
-    if (!tab) {
-      console.error('Tab not found:', tabId);
-      activityLog.warning('monitoring', 'Tab not found, stopping monitoring', { tabId });
-      stopMonitoring(tabId);
-      return;
+    if (!live) {
+      restoreTab = await tabCapture.bringToFront(tabId);
     }
-
-    const config = await getMonitoringConfig(tabId);
-    if (!config || !config.selector) {
-      console.error('No monitoring config or selector for tab:', tabId);
-      activityLog.warning('monitoring', 'No monitoring config or selector found', { tabId });
-      return;
+    const response = await chrome.tabs.sendMessage(tabId, {
+      action: 'getCaptureRect',
+      selector: monitor.config.selector,
+      list: monitor.config.list || null,
+      scroll: !live
+    });
+    if (!response?.rect) {
+      throw new Error('Element is not visible on the page');
     }
-
-    const targetUrl = config.initialUrl || config.url || '';
-    if (targetUrl && tab.url) {
-      const normalizedTarget = normalizeUrl(targetUrl);
-      const normalizedCurrent = normalizeUrl(tab.url);
-
-      if (normalizedTarget !== normalizedCurrent) {
-        console.warn(`Tab ${tabId} navigated away from monitored URL. Stopping monitoring to avoid refreshing unrelated tab.`);
-        activityLog.warning('monitoring', 'Tab navigated away from monitored URL, stopping monitoring', {
-          tabId,
-          originalUrl: targetUrl,
-          currentUrl: tab.url
+    const capture = await tabCapture.captureElement(tabId, response.rect);
+    const signature = { hash: capture.hash, thumbnail: capture.thumbnail };
+    const visualDiff = monitor.lastScreenshot ? visualDiffer.compare(monitor.lastScreenshot, signature) : null;
+
+    return {
+      signature,
+      screenshot: {
+        mimeType: 'image/png',
+        width: capture.width,
+        height: capture.height,
+        delivery: settings.delivery,
+        data: capture.data
+      },
+      visualDiff
+    };
+  } catch (error) {
+    console.error('Error capturing screenshot:', error);
+    activityLog.warning('change', 'Screenshot capture failed', {
+      monitorId: monitor.id,
+      tabId,
+      url: monitor.url,
+      error: error.message
+    });
+    return null;
+  } finally {
+    if (restoreTab) {
+      await restoreTab();
+    }
+  }
+}
+
+/**
+ * Keep a screenshot as the baseline the next one is compared with
+ * Called after the send decision: changes that were not sent (unchanged visual checks, changes the
+ * rules skipped) keep the previous baseline, so slow drifts add up until they are reported.
+ * @param {Object} monitor - Monitor record (as loaded before the check)
+ * @param {Object|null} visual - Result of captureMonitorScreenshot()
+ * @param {boolean} sent - Whether the change was sent
+ */
+async function updateScreenshotBaseline(monitor, visual, sent) {
+  if (visual && (sent || !monitor.lastScreenshot)) {
+    await monitorStore.update(monitor.id, { lastScreenshot: visual.signature });
+  }
+}
+
+/**
+ * Store the extracted content as a new version in the monitor's history
+ * Versions are deduplicated by the normalized content hash, so unchanged checks add nothing.
+ * @param {Object} monitor - Monitor record
+ * @param {Object} data - Content data from content script
+ */
+async function recordSnapshot(monitor, data) {
+  try {
+    const retention = snapshotStore.getRetention(monitor.config);
+    if (retention.maxCount === 0) {
+      return;
+    }
+
+    const hash = await generateContentHash(contentNormalizer.normalize(data.content, monitor.config.normalization));
+    await snapshotStore.add({
+      monitorId: monitor.id,
+      hash,
+      url: data.url || monitor.url,
+      selector: data.selector,
+      contentType: monitor.config.contentType,
+      content: data.content,
+      fields: data.fields,
+      items: data.items
+    }, retention);
+  } catch (error) {
+    console.error('Error recording snapshot:', error);
+  }
+}
+
+/**
+ * Process content extraction from content script
+ * @param {string} monitorId - Monitor ID
+ * @param {Object} data - Content data from content script
+ * @param {number|null} tabId - Tab the content was extracted from (null in fetch mode)
+ * @param {boolean} live - Whether the content was reported by a live session
+ */
+async function processContentExtraction(monitorId, data, tabId = null, live = false) {
+  try {
+    const monitor = await monitorStore.get(monitorId);
+    if (!monitor) {
+      console.log('No monitor found:', monitorId);
+      return;
+    }
+
+    const { content, url, selector, fields, items } = data;
+    
+    if (!content) {
+      console.warn('No content extracted from page');
+      return;
+    }
+
+    await monitorStore.update(monitorId, { lastCheckTime: new Date().toISOString() });
+    await recordSnapshot(monitor, data);
+
+    // Check for changes
+    const previousFields = monitor.lastFields || null;
+    const changedFields = fields ? await getChangedFields(monitorId, fields) : undefined;
+    const delta = items ? await getListDelta(monitorId, items) : undefined;
+    // List mode already reports per-item changes, so it gets no text diff (only the snapshot for rules)
+    const text = fields ? contentDiffer.fieldsToText(fields) : content;
+    const diff = await getContentDiff(monitorId, text, !items);
+    const contentChanged = await hasContentChanged(monitorId, content);
+
+    // Screenshots need the tab the content came from, so fetch mode has none
+    const screenshotSettings = visualDiffer.resolve(monitor.config.screenshot);
+    const visual = screenshotSettings && tabId !== null
+      ? await captureMonitorScreenshot(monitor, tabId, contentChanged, live)
+      : null;
+    // Visual monitors are triggered by the share of changed pixels instead of the content
+    const visualTrigger = screenshotSettings?.trigger === 'visual' && monitor.config.changeDetection;
+    const changed = visualTrigger
+      ? Boolean(visual?.visualDiff && visual.visualDiff.changedPixels >= screenshotSettings.threshold)
+      : contentChanged;
+
+    // Condition rules decide whether a change is worth sending
+    let ruleResult = null;
+    if (changed && ruleEngine.hasRules(monitor.config)) {
+      ruleResult = ruleEngine.evaluate(monitor.config.rules, {
+        content: text,
+        previousContent: typeof monitor.lastContent === 'string' ? monitor.lastContent : null,
+        fields,
+        previousFields
+      });
+      if (!ruleResult.passed) {
+        activityLog.info('change', 'Change did not match the rules, skipping webhook', {
+          monitorId,
+          tabId,
+          url: url
+        }, {
+          selector: selector,
+          matchedRules: ruleResult.matched,
+          unmatchedRules: ruleResult.unmatched
         });
-        await stopMonitoring(tabId);
+        // Small changes add up: the next check is measured against the last reported values
+        await monitorStore.restoreBaseline(monitorId, monitorStore.getBaseline(monitor));
+        await updateScreenshotBaseline(monitor, visual, false);
         return;
       }
     }
 
+    // Send to webhook if changed (or if change detection is disabled)
+    if (changed) {
+      activityLog.info('change', 'Content change detected', {
+        monitorId,
+        tabId,
+        url: url
+      }, {
+        selector: selector,
+        contentLength: content.length,
+        changedFields,
+        added: delta?.added.length,
+        removed: delta?.removed.length,
+        modified: delta?.modified.length,
+        similarity: diff?.similarity,
+        changedPixels: visual?.visualDiff?.changedPixels,
+        matchedRules: ruleResult?.matched
+      });
+      // List mode sends only the delta, not the whole list
+      await sendContentToWebhook(monitorId, delta ? JSON.stringify(delta) : content, url, selector, changed, null, tabId, {
+        fields,
+        previousFields,
+        changedFields,
+        delta,
+        itemCount: items?.length,
+        diff,
+        matchedRules: ruleResult?.matched,
+        visualDiff: visual?.visualDiff,
+        screenshot: visual?.screenshot,
+        pages: data.pages
+      });
+      await updateScreenshotBaseline(monitor, visual, true);
+    } else {
+      console.log('Content unchanged, skipping webhook');
+      activityLog.info('change', visualTrigger ? 'No visual change detected, skipping webhook' : 'No content change detected, skipping webhook', {
+        monitorId,
+        tabId,
+        url: url
+      }, {
+        selector: selector,
+        changedPixels: visual?.visualDiff?.changedPixels
+      });
+      await updateScreenshotBaseline(monitor, visual, false);
+    }
+  } catch (error) {
+    console.error('Error processing content extraction:', error);
+  }
+}
+
+/**
+ * Run a monitor's check in its configured mode
+ * @param {string} monitorId - Monitor ID
+ * @param {boolean} manual - True for "check now", which also runs stopped or paused monitors
+ */
+async function checkMonitor(monitorId, manual = false) {
+  const monitor = await monitorStore.get(monitorId);
+  if (!monitor || (!manual && (!monitor.enabled || monitor.paused))) {
+    console.log('Monitor missing or disabled, skipping check:', monitorId);
+    return;
+  }
+
+  await monitorStore.update(monitorId, { lastCheckTime: new Date().toISOString() });
+  if (manual) {
+    activityLog.info('monitoring', 'Manual check requested', {
+      monitorId,
+      url: monitor.url
+    });
+  }
+
+  if (monitor.config.checkMode === 'fetch') {
+    await fetchCheck(monitorId);
+  } else if (monitor.config.checkMode === 'live' && !manual) {
+    await checkLiveMonitor(monitor);
+  } else {
+    await refreshPage(monitorId);
+  }
+}
+
+/**
+ * Start (or confirm) the live session of a live mode monitor in a tab showing its page
+ * @param {Object} monitor - Monitor record
+ * @returns {Promise<Object>} { success, tabId, error }
+ */
+async function startLiveSession(monitor) {
+  const tabs = await chrome.tabs.query({});
+  const tab = tabs.find(candidate => normalizeUrl(candidate.url || '') === normalizeUrl(monitor.url));
+  if (!tab) {
+    return { success: false, tabId: null, error: 'No open tab shows the page' };
+  }
+  if (!await ensureContentScriptLoaded(tab.id)) {
+    return { success: false, tabId: tab.id, error: 'Content script could not be loaded' };
+  }
+
+  const config = monitor.config;
+  const live = {
+    debounce: config.live?.debounce ?? LIVE_DEFAULT_DEBOUNCE,
+    minGap: config.live?.minGap ?? LIVE_DEFAULT_MIN_GAP
+  };
+  try {
+    const response = await chrome.tabs.sendMessage(tab.id, {
+      action: 'startLiveMonitoring',
+      monitorId: monitor.id,
+      config: {
+        selector: config.selector,
+        contentType: config.contentType || 'html',
+        fields: config.fields || null,
+        list: config.list || null,
+        extractor: config.extractor || null,
+        ignoreSelectors: config.ignoreSelectors || null
+      },
+      live
+    });
+    if (response?.success && !response.alreadyActive) {
+      activityLog.success('monitoring', 'Live monitoring attached to page', {
+        monitorId: monitor.id,
+        tabId: tab.id,
+        url: monitor.url
+      }, live);
+    }
+    return { success: Boolean(response?.success), tabId: tab.id, error: response?.error || null };
+  } catch (error) {
+    return { success: false, tabId: tab.id, error: error.message };
+  }
+}
+
+/**
+ * Run a scheduled check of a live mode monitor
+ * While a live session runs, changes arrive from the content script and the schedule only
+ * re-attaches the session after navigations, reloads and restarts. Without a session the
+ * check falls back to a reload, after which the session is attached again.
+ * @param {Object} monitor - Monitor record
+ */
+async function checkLiveMonitor(monitor) {
+  const session = await startLiveSession(monitor);
+  if (session.success) {
+    return;
+  }
+
+  activityLog.warning('monitoring', 'Live monitoring unavailable, falling back to reload check', {
+    monitorId: monitor.id,
+    tabId: session.tabId,
+    url: monitor.url,
+    error: session.error
+  });
+  await refreshPage(monitor.id);
+  await startLiveSession(monitor);
+}
+
+/**
+ * Get a tab to run a reload mode check in
+ * Attaches to a tab already showing the monitor's URL, otherwise opens one in the
+ * background (pinned tab or minimized window, per `tabPlacement`) for this check only.
+ * Crawl monitors always get their own tab: following the pagination navigates it away from
+ * the page, which must not happen to a tab someone is reading.
+ * @param {Object} monitor - Monitor record
+ * @returns {Promise<Object>} { tabId, windowId, opened }
+ */
+async function acquireCheckTab(monitor) {
+  const target = normalizeUrl(monitor.url);
+  const tabs = monitor.config.crawl ? [] : await chrome.tabs.query({});
+  const matchingTabs = tabs.filter(tab => normalizeUrl(tab.url || '') === target);
+  const existingTab = matchingTabs.find(tab => tab.id === monitor.tabId) || matchingTabs[0];
+
+  if (existingTab) {
+    return { tabId: existingTab.id, windowId: null, opened: false };
+  }
+
+  if (monitor.config.tabPlacement !== 'window') {
+    try {
+      const tab = await chrome.tabs.create({ url: monitor.url, pinned: true, active: false });
+      return { tabId: tab.id, windowId: null, opened: true };
+    } catch (error) {
+      // No browser window to put the tab in, fall back to a background window
+      console.warn('Could not open pinned tab, using a background window:', error);
+    }
+  }
+
+  const checkWindow = await chrome.windows.create({ url: monitor.url, focused: false, state: 'minimized' });
+  return { tabId: checkWindow.tabs[0].id, windowId: checkWindow.id, opened: true };
+}
+
+/**
+ * Close a tab (or window) that was opened for a check
+ * @param {Object} checkTab - Result of acquireCheckTab()
+ */
+async function releaseCheckTab(checkTab) {
+  if (!checkTab.opened) {
+    return; // Never close the user's own tab
+  }
+
+  try {
+    if (checkTab.windowId !== null) {
+      await chrome.windows.remove(checkTab.windowId);
+    } else {
+      await chrome.tabs.remove(checkTab.tabId);
+    }
+  } catch (error) {
+    // Already closed by the user
+  }
+}
+
+/**
+ * Build the content script's extraction request for a monitor
+ * @param {Object} config - Monitoring configuration
+ * @param {Object} readiness - Resolved readiness checks (readinessConfig.resolve())
+ * @returns {Object} `extractContent` message
+ */
+function getExtractionRequest(config, readiness) {
+  return {
+    action: 'extractContent',
+    selector: config.selector,
+    contentType: config.contentType || 'html',
+    fields: config.fields || null,
+    list: config.list || null,
+    extractor: config.extractor || null,
+    ignoreSelectors: config.ignoreSelectors || null,
+    crawl: config.crawl || null,
+    readiness
+  };
+}
+
+/**
+ * Extract a crawled page, retrying until it passes the readiness checks or the max wait is over
+ * @param {Object} monitor - Monitor record
+ * @param {number} tabId - Tab ID
+ * @param {string|null} previousContent - Content of the previous page when the next page replaces it
+ *   in place (a clicked "next" button); the page has not loaded until its content differs
+ * @returns {Promise<Object>} Extraction result
+ * @throws {Error} If the page is not ready before the max wait
+ */
+async function extractCrawlPage(monitor, tabId, previousContent) {
+  const readiness = readinessConfig.resolve(monitor.config.readiness);
+  const timing = readinessConfig.getTiming(readiness);
+  const deadline = Date.now() + timing.maxWait;
+
+  while (true) {
+    try {
+      const response = await chrome.tabs.sendMessage(tabId, getExtractionRequest(monitor.config, readiness));
+      if (response?.success && response.content !== previousContent) {
+        return response;
+      }
+      throw new Error(response?.success ? 'Next page has not loaded yet' : (response?.error || 'Extraction failed'));
+    } catch (error) {
+      if (Date.now() + timing.retryDelay >= deadline) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, timing.retryDelay));
+    }
+  }
+}
+
+/**
+ * Follow a crawl monitor's pagination in its tab (reload mode)
+ * Next-page links are opened in the tab; buttons are clicked. The tab is opened for the check
+ * (see acquireCheckTab()) and closed afterwards, so it is left on the last page. A page that
+ * cannot be extracted fails the whole check, since a partial crawl would look like removed content.
+ * @param {Object} monitor - Monitor record
+ * @param {number} tabId - Tab ID
+ * @param {Object} firstPage - Extraction result of the first page
+ * @returns {Promise<Object>} Merged content data of all pages, or { success: false, error }
+ */
+async function crawlTabPages(monitor, tabId, firstPage) {
+  const { crawl } = monitor.config;
+  const maxPages = crawlConfig.getMaxPages(crawl);
+  const pages = [firstPage];
+  let page = firstPage;
+  let stoppedBy = 'last page';
+
+  try {
+    while (page.nextPage) {
+      if (pages.length >= maxPages) {
+        stoppedBy = 'max pages';
+        break;
+      }
+
+      const nextUrl = page.nextPage.url || null;
+      if (nextUrl) {
+        if (pages.some(visited => visited.url === nextUrl)) {
+          stoppedBy = 'repeated page';
+          break;
+        }
+        await chrome.tabs.update(tabId, { url: nextUrl });
+        await waitForTabComplete(tabId, 10000);
+        if (!await ensureContentScriptLoaded(tabId)) {
+          throw new Error('Content script not loaded');
+        }
+      } else {
+        const clicked = await chrome.tabs.sendMessage(tabId, {
+          action: 'runActions',
+          actions: [{ type: 'click', selector: crawl.nextSelector }]
+        });
+        if (!clicked?.success) {
+          throw new Error(clicked?.results?.[0]?.error || 'Could not click the next page');
+        }
+      }
+
+      page = await extractCrawlPage(monitor, tabId, nextUrl ? null : page.content);
+      pages.push(page);
+    }
+  } catch (error) {
+    return { success: false, error: `Page ${pages.length + 1}: ${error.message}` };
+  }
+
+  const merged = crawlConfig.merge(pages);
+  activityLog.info('extraction', 'Pages crawled', {
+    monitorId: monitor.id,
+    tabId,
+    url: monitor.url
+  }, {
+    pages: pages.length,
+    stoppedBy,
+    itemCount: merged.items?.length
+  });
+  return merged;
+}
+
+/**
+ * Refresh a monitored page (reload mode)
+ * @param {string} monitorId - Monitor ID
+ */
+async function refreshPage(monitorId) {
+  let checkTab = null;
+
+  try {
+    const monitor = await monitorStore.get(monitorId);
+    const config = monitor?.config;
+    if (!config || !fieldConfig.hasExtractionTarget(config)) {
+      console.error('No monitoring config or selector for monitor:', monitorId);
+      activityLog.warning('monitoring', 'No monitoring config or selector found', { monitorId });
+      return;
+    }
+
     // Log refresh cycle start
     activityLog.info('monitoring', 'Starting refresh cycle', {
-      tabId,
-      url: tab.url
+      monitorId,
+      url: monitor.url
     }, {
       refreshInterval: config.refreshInterval,
       selector: config.selector
     });
 
-    // Reload the specific monitored tab only
-    await chrome.tabs.reload(tabId);
-    activityLog.info('monitoring', 'Page reloaded', {
-      tabId,
-      url: tab.url
-    });
+    checkTab = await acquireCheckTab(monitor);
+    const tabId = checkTab.tabId;
+    await monitorStore.update(monitorId, { tabId });
+
+    if (checkTab.opened) {
+      activityLog.info('monitoring', 'Opened background tab for check', {
+        monitorId,
+        tabId,
+        url: monitor.url
+      }, {
+        tabPlacement: checkTab.windowId !== null ? 'window' : 'pinned'
+      });
+    } else {
+      // Reload the tab already showing the monitored page
+      await chrome.tabs.reload(tabId);
+      activityLog.info('monitoring', 'Page reloaded', {
+        monitorId,
+        tabId,
+        url: monitor.url
+      });
+    }
 
     // Wait for the tab to fully load before attempting extraction
     await waitForTabComplete(tabId, 10000); // Max 10 seconds
 
-    // Retry mechanism to handle slow-loading pages and dynamic content
+    // Clicks, typing and scrolling that reveal the content (cookie banners, "Load more", tabs)
+    if (actionScript.hasActions(config)) {
+      await runPageActions(monitor, tabId);
+    }
+
+    // Retry until the page passes the monitor's readiness checks or the max wait is over
+    const readiness = readinessConfig.resolve(config.readiness);
+    const timing = readinessConfig.getTiming(readiness);
+    const deadline = Date.now() + timing.maxWait;
     let retries = 0;
-    const maxRetries = 10;
-    const retryDelay = 3000; // 3 seconds between retries
+    let lastError = null;
 
-    const tryExtract = async () => {
+    // Give dynamic content a head start when only the loading heuristics are used
+    await new Promise(resolve => setTimeout(resolve, timing.initialDelay));
+
+    while (true) {
       try {
         // Log extraction attempt
         if (retries === 0) {
           activityLog.info('extraction', 'Attempting content extraction after refresh', {
+            monitorId,
             tabId,
-            url: tab.url
+            url: monitor.url
           }, {
             selector: config.selector,
             contentType: config.contentType
           });
         }
 
-        const response = await chrome.tabs.sendMessage(tabId, {
-          action: 'extractContent',
-          selector: config.selector,
-          contentType: config.contentType || 'html',
-          tabId,
-          validateContent: true
-        });
+        const response = await chrome.tabs.sendMessage(tabId, getExtractionRequest(config, readiness));
 
         if (response && response.success) {
-          const contentLength = response.content ? response.content.length : 0;
-          const minContentLength = 100;
-
-          if (contentLength < minContentLength) {
-            console.log(`Content too short (${contentLength} chars), likely still loading...`);
-            activityLog.info('extraction', `Content too short (${contentLength} chars), likely still loading`, {
-              tabId,
-              contentLength: contentLength
-            });
-            throw new Error('Content not fully loaded');
+          // Crawl monitors follow the pagination and check all pages together
+          const result = config.crawl ? await crawlTabPages(monitor, tabId, response) : response;
+          if (!result.success) {
+            await handleCheckFailure(monitor, result.error, { tabId, retryCount: retries });
+            return;
           }
 
-          if (
-            response.content.includes('NaN') ||
-            response.content.includes('undefined') ||
-            response.content.includes('Loading...') ||
-            /\bNaN\b/.test(response.content)
-          ) {
-            console.log('Page still loading (detected loading indicators)');
-            activityLog.info('extraction', 'Page still loading (detected loading indicators)', {
-              tabId
-            });
-            throw new Error('Content still loading');
-          }
-
-          // Success - reset failure counter and log
-          activityLog.recordSuccess(tabId);
+          // Success (of every crawled page) - reset failure counter and log
+          await activityLog.recordSuccess(monitorId);
           activityLog.success('extraction', 'Content extracted successfully after refresh', {
+            monitorId,
             tabId,
-            url: tab.url
+            url: monitor.url
           }, {
-            contentLength: contentLength,
+            contentLength: result.content ? result.content.length : 0,
             selector: config.selector,
             retryCount: retries
           });
           console.log('Content extraction successful after refresh');
-        } else {
-          throw new Error(response?.error || 'Extraction failed');
+
+          await processContentExtraction(monitorId, result, tabId);
+          return;
         }
+
+        throw new Error(response?.error || 'Extraction failed');
       } catch (error) {
-        if (retries < maxRetries) {
+        if (Date.now() + timing.retryDelay < deadline) {
           retries++;
-          console.log(`Retrying content extraction for tab ${tabId} (${retries}/${maxRetries})...`);
-          activityLog.info('extraction', `Retrying content extraction (${retries}/${maxRetries})`, {
-            tabId,
-            retryCount: retries,
-            error: error.message
-          });
-          setTimeout(tryExtract, retryDelay);
-        } else {
-          // All retries exhausted - record failure
-          const failureCount = activityLog.recordFailure(tabId);
-          activityLog.error('extraction', 'Content extraction failed after all retries', {
-            tabId,
-            url: tab.url,
-            error: error.message,
-            retryCount: retries,
-            consecutiveFailures: failureCount
-          });
-          console.error('Failed to extract content after refresh:', error);
-
-          // Check if failure threshold reached
-          if (activityLog.isFailureThresholdReached(tabId)) {
-            activityLog.warning('monitoring', `Auto-stopping monitoring after ${failureCount} consecutive failures`, {
+          console.log(`Retrying content extraction for monitor ${monitorId} (${retries}): ${error.message}`);
+          // Fast polling would flood the log, so only new reasons are logged
+          if (error.message !== lastError) {
+            activityLog.info('extraction', `Retrying content extraction: ${error.message}`, {
+              monitorId,
               tabId,
-              url: tab.url,
-              consecutiveFailures: failureCount
+              retryCount: retries,
+              error: error.message
+            }, {
+              maxWait: timing.maxWait
             });
-            await stopMonitoring(tabId);
-            
-            // Notify user (optional - requires notifications permission)
-            try {
-              await chrome.notifications.create({
-                type: 'basic',
-                iconUrl: chrome.runtime.getURL('assets/icons/icon48.png'),
-                title: 'Monitoring Stopped',
-                message: `Monitoring stopped for tab ${tabId} after ${failureCount} consecutive failures`
-              });
-            } catch (notifError) {
-              // Notifications permission not granted, ignore
-            }
+            lastError = error.message;
           }
+          await new Promise(resolve => setTimeout(resolve, timing.retryDelay));
+          continue;
         }
-      }
-    };
 
-    // Delay initial extraction attempt to allow dynamic content loading
-    setTimeout(tryExtract, 5000);
+        // All retries exhausted - record failure
+        await handleCheckFailure(monitor, error.message, {
+          tabId,
+          retryCount: retries
+        });
+        console.error('Failed to extract content after refresh:', error);
+        return;
+      }
+    }
   } catch (error) {
     console.error('Error refreshing page:', error);
+  } finally {
+    if (checkTab) {
+      await releaseCheckTab(checkTab);
+    }
+  }
+}
+
+/**
+ * Record a failed check and auto-stop the monitor after too many in a row
+ * @param {Object} monitor - Monitor record
+ * @param {string} errorMessage - Failure reason
+ * @param {Object} details - Extra log details (tabId, retryCount)
+ */
+async function handleCheckFailure(monitor, errorMessage, details = {}) {
+  const failureCount = await activityLog.recordFailure(monitor.id);
+  const isFetch = monitor.config.checkMode === 'fetch';
+  activityLog.error('extraction', isFetch ? 'Fetch mode extraction failed' : 'Content extraction failed after all retries', {
+    monitorId: monitor.id,
+    url: monitor.url,
+    error: errorMessage,
+    consecutiveFailures: failureCount,
+    ...details
+  });
+  await sendErrorToDestinations(monitor, errorMessage, failureCount);
+
+  // Check if failure threshold reached
+  if (!await activityLog.isFailureThresholdReached(monitor.id)) {
+    return;
+  }
+
+  activityLog.warning('monitoring', `Auto-stopping monitoring after ${failureCount} consecutive failures`, {
+    monitorId: monitor.id,
+    url: monitor.url,
+    consecutiveFailures: failureCount
+  });
+  await stopMonitoring(monitor.id);
+
+  // Notify user (optional - requires notifications permission)
+  try {
+    await chrome.notifications.create({
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('assets/icons/icon48.png'),
+      title: 'Monitoring Stopped',
+      message: `Monitoring stopped for ${monitor.url} after ${failureCount} consecutive failures`
+    });
+  } catch (notifError) {
+    // Notifications permission not granted, ignore
+  }
+}
+
+/**
+ * Check a fetch mode monitor without touching any tab
+ * The page is fetched in the background and parsed in the offscreen document.
+ * @param {string} monitorId - Monitor ID
+ */
+async function fetchCheck(monitorId) {
+  try {
+    const monitor = await monitorStore.get(monitorId);
+    const config = monitor?.config;
+    if (!config || !fieldConfig.hasExtractionTarget(config)) {
+      console.error('No monitoring config or selector for fetch monitor:', monitorId);
+      activityLog.warning('monitoring', 'No monitoring config or selector found', { monitorId });
+      return;
+    }
+
+    activityLog.info('monitoring', 'Starting fetch check', {
+      monitorId,
+      url: monitor.url
+    }, {
+      refreshInterval: config.refreshInterval,
+      selector: config.selector
+    });
+
+    // Crawl monitors follow the next-page links and check all pages together
+    const result = config.crawl
+      ? await fetchChecker.extractPages(monitor.url, config)
+      : await fetchChecker.extract(monitor.url, config);
+
+    if (result.success) {
+      await activityLog.recordSuccess(monitorId);
+      activityLog.success('extraction', 'Content extracted successfully in fetch mode', {
+        monitorId,
+        url: monitor.url
+      }, {
+        contentLength: result.content.length,
+        selector: config.selector,
+        pages: result.pages?.length
+      });
+      await processContentExtraction(monitorId, result);
+      return;
+    }
+
+    await handleCheckFailure(monitor, result.error);
+  } catch (error) {
+    console.error('Error in fetch check:', error);
   }
 }
 
@@ -579,21 +1509,6 @@ async function waitForTabComplete(tabId, timeout = 10000) {
   console.warn(`Timeout waiting for tab ${tabId} to complete loading`);
 }
 
-function normalizeUrl(url) {
-  if (!url) {
-    return '';
-  }
-
-  try {
-    const parsed = new URL(url);
-    parsed.hash = '';
-    const normalized = parsed.href.replace(/\/+$/, '');
-    return normalized;
-  } catch (error) {
-    return url;
-  }
-}
-
 /**
  * Check if URL is a valid web page
  * @param {string} url - URL to check
@@ -639,7 +1554,7 @@ async function ensureContentScriptLoaded(tabId) {
 
           activityLog.info('content_script', 'Injecting content script', { tabId, url: tab.url });
           await chrome.scripting.executeScript({
-            target: { tabId: tabId },
+            target: { tabId: tabId, allFrames: true },
             files: ['src/content-scripts/page-monitor-content.js']
           });
           // Wait longer for script to initialize and set up message listeners
@@ -697,324 +1612,1210 @@ async function ensureContentScriptLoaded(tabId) {
 }
 
 /**
- * Start monitoring a tab
+ * Run a monitor's page actions (clicks, typing, scrolling, waits) in its tab before extraction
+ * Each step is logged; a failing step ends the sequence, but the content is still extracted.
+ * @param {Object} monitor - Monitor record
  * @param {number} tabId - Tab ID
- * @param {Object} config - Monitoring configuration
+ * @returns {Promise<boolean>} True if every step succeeded
  */
-async function startMonitoring(tabId, config) {
-  // Stop existing monitoring if any
-  stopMonitoring(tabId);
+async function runPageActions(monitor, tabId) {
+  const actions = monitor.config.actions;
+  try {
+    if (!await ensureContentScriptLoaded(tabId)) {
+      throw new Error('Content script not loaded');
+    }
 
-  // Validate configuration
-  if (!config.selector || !config.refreshInterval) {
-    throw new Error('Invalid monitoring configuration');
+    const response = await chrome.tabs.sendMessage(tabId, { action: 'runActions', actions });
+    for (const result of response.results) {
+      const step = actions[result.step - 1];
+      if (result.success) {
+        activityLog.success('extraction', 'Page action completed', {
+          monitorId: monitor.id,
+          tabId,
+          url: monitor.url
+        }, {
+          step: result.step,
+          action: actionScript.format(step),
+          duration: result.duration
+        });
+      } else {
+        activityLog.warning('extraction', 'Page action failed', {
+          monitorId: monitor.id,
+          tabId,
+          url: monitor.url,
+          error: result.error
+        }, {
+          step: result.step,
+          action: actionScript.format(step),
+          skipped: actions.length - result.step
+        });
+      }
+    }
+    return response.success;
+  } catch (error) {
+    console.error('Error running page actions:', error);
+    activityLog.warning('extraction', 'Could not run page actions', {
+      monitorId: monitor.id,
+      tabId,
+      url: monitor.url,
+      error: error.message
+    }, {
+      actions: actions.length
+    });
+    return false;
   }
+}
 
-  let tabInfo = null;
-  try {
-    tabInfo = await chrome.tabs.get(tabId);
-  } catch (error) {
-    console.error('Error getting tab info:', error);
+/**
+ * Create or update the monitor for a URL
+ * There is one monitor per URL, so starting monitoring on an already monitored page updates it.
+ * @param {string} url - Target URL
+ * @param {Object} config - Monitoring configuration
+ * @returns {Promise<Object>} Monitor record
+ */
+async function saveMonitor(url, config) {
+  const existing = await monitorStore.findByUrl(url);
+  if (existing) {
+    // Restarting always takes a new baseline, like a fresh monitor
+    return monitorStore.update(existing.id, {
+      url,
+      config,
+      enabled: true,
+      lastContentHash: null,
+      lastFieldHashes: null,
+      lastFields: null,
+      lastItems: null,
+      lastContent: null,
+      lastScreenshot: null
+    });
+  }
+  return monitorStore.create(url, config);
+}
+
+/**
+ * Extract initial content from a tab already showing the monitored page
+ * Sets the change detection baseline without reloading the tab. If no such tab
+ * is open, the first scheduled check sets the baseline instead.
+ * @param {Object} monitor - Monitor record
+ */
+async function extractInitialContent(monitor) {
+  const tabs = await chrome.tabs.query({});
+  const tab = tabs.find(candidate => normalizeUrl(candidate.url || '') === normalizeUrl(monitor.url));
+  if (!tab) {
+    console.log(`No open tab for ${monitor.url}, baseline will be taken on the first check`);
+    return;
   }
+  const tabId = tab.id;
+  const config = monitor.config;
 
-  const resolvedUrl = config.url || tabInfo?.url || '';
-  const windowId = tabInfo?.windowId ?? null;
+  // Ensure content script is loaded before initial extraction
+  const contentScriptLoaded = await ensureContentScriptLoaded(tabId);
+  if (!contentScriptLoaded) {
+    console.warn(`Content script could not be loaded for tab ${tabId}, initial extraction will be skipped`);
+    activityLog.warning('monitoring', 'Content script could not be loaded, initial extraction skipped', {
+      monitorId: monitor.id,
+      tabId,
+      url: monitor.url
+    });
+    return;
+  }
 
-  await saveMonitoringConfig(tabId, {
-    ...config,
-    enabled: true,
-    url: resolvedUrl,
-    initialUrl: resolvedUrl,
-    tabId,
-    windowId
-  });
+  // Initial content extraction with retry logic
+  let retries = 0;
+  const maxRetries = 5;
+  const retryDelay = 500; // 500ms between retries
+
+  const tryInitialExtraction = async () => {
+    try {
+      // Re-verify content script is loaded before each attempt
+      const stillLoaded = await ensureContentScriptLoaded(tabId);
+      if (!stillLoaded) {
+        console.warn(`Content script no longer loaded for tab ${tabId}, skipping initial extraction`);
+        activityLog.warning('extraction', 'Content script no longer loaded, skipping initial extraction', {
+          monitorId: monitor.id,
+          tabId
+        });
+        return;
+      }
+
+      const response = await chrome.tabs.sendMessage(tabId, getExtractionRequest(config, readinessConfig.resolve(config.readiness)));
+      console.log('Initial content extraction request sent successfully');
+      activityLog.success('extraction', 'Initial content extraction request sent', {
+        monitorId: monitor.id,
+        tabId,
+        url: monitor.url
+      }, {
+        selector: config.selector,
+        contentType: config.contentType
+      });
+
+      if (response && response.success) {
+        await processContentExtraction(monitor.id, response, tabId);
+      }
+    } catch (error) {
+      if (error.message.includes('Could not establish connection') && retries < maxRetries) {
+        retries++;
+        console.log(`Retrying initial extraction for tab ${tabId} (${retries}/${maxRetries})...`);
+        activityLog.info('extraction', `Retrying initial extraction (${retries}/${maxRetries})`, {
+          monitorId: monitor.id,
+          tabId,
+          retryCount: retries
+        });
+        // Wait a bit longer and try again
+        setTimeout(tryInitialExtraction, retryDelay);
+      } else {
+        console.error('Error sending initial extraction request:', error);
+        activityLog.error('extraction', 'Initial extraction failed after retries', {
+          monitorId: monitor.id,
+          tabId,
+          error: error.message,
+          retryCount: retries
+        });
+      }
+    }
+  };
+
+  // Start initial extraction attempt after a short delay to ensure content script is fully ready;
+  // page actions run once, before the first attempt
+  setTimeout(async () => {
+    if (actionScript.hasActions(config)) {
+      await runPageActions(monitor, tabId);
+    }
+    tryInitialExtraction();
+  }, 300);
+}
+
+/**
+ * Start monitoring
+ * @param {string} monitorId - Monitor ID
+ */
+async function startMonitoring(monitorId) {
+  const monitor = await monitorStore.get(monitorId);
+  const config = monitor?.config;
+
+  // Validate configuration
+  if (!config || !fieldConfig.hasExtractionTarget(config) || !config.refreshInterval) {
+    throw new Error('Invalid monitoring configuration');
+  }
+  if (!isValidWebPage(monitor.url)) {
+    throw new Error('Cannot monitor extension pages or special URLs');
+  }
+
+  await monitorStore.update(monitorId, { enabled: true, paused: false });
 
   // Log monitoring start
   activityLog.success('monitoring', 'Monitoring started', {
-    tabId,
-    url: resolvedUrl
+    monitorId,
+    url: monitor.url
   }, {
     selector: config.selector,
     refreshInterval: config.refreshInterval,
+    scheduleMode: config.schedule?.mode || 'interval',
+    checkMode: config.checkMode || 'reload',
+    live: config.live || undefined,
     contentType: config.contentType,
-    changeDetection: config.changeDetection
+    fields: fieldConfig.hasFields(config) ? Object.keys(config.fields) : undefined,
+    listItem: config.list?.item,
+    extractor: config.extractor ? extractorConfig.format(config.extractor) : undefined,
+    crawl: config.crawl || undefined,
+    changeDetection: config.changeDetection,
+    ignoreSelectors: config.ignoreSelectors,
+    readiness: config.readiness || undefined,
+    actions: actionScript.hasActions(config) ? config.actions.map(step => actionScript.format(step)) : undefined,
+    history: config.history || undefined,
+    screenshot: config.screenshot || undefined,
+    normalization: contentNormalizer.hasNormalization(config)
+      ? Object.keys(config.normalization).filter(key => config.normalization[key] && config.normalization[key].length !== 0)
+      : undefined,
+    rules: ruleEngine.hasRules(config)
+      ? `${config.rules.operator === 'or' ? 'any' : 'all'} of: ${ruleEngine.format(config.rules).split('\n').join('; ')}`
+      : undefined,
+    payloadTemplate: config.payloadTemplate ? 'custom' : undefined,
+    destinations: config.destinations?.length
+      ? config.destinations.map(item => `${item.destinationId} (${destinationRouter.describeCondition(item.condition)})`)
+      : undefined,
+    webhookAuth: config.webhookAuth
+      ? (secretsVault.isSealed(config.webhookAuth) ? 'encrypted' : webhookAuth.describe(config.webhookAuth))
+      : undefined
   });
 
-  // Ensure content script is loaded before initial extraction
-  const contentScriptLoaded = await ensureContentScriptLoaded(tabId);
-  if (!contentScriptLoaded) {
-    console.warn(`Content script could not be loaded for tab ${tabId}, initial extraction will be skipped`);
-    activityLog.warning('monitoring', 'Content script could not be loaded, initial extraction skipped', {
-      tabId,
-      url: resolvedUrl
-    });
+  // Schedule checks with chrome.alarms (persisted, survives service worker suspension)
+  await monitorScheduler.schedule(monitorId, config.refreshInterval, config.schedule || null);
+  console.log(`Started monitoring ${monitor.url} with ${config.schedule?.mode === 'cron' ? `cron "${config.schedule.cron}"` : `interval ${config.refreshInterval}ms`}`);
+
+  // Initial check establishes the change detection baseline
+  if (config.checkMode === 'fetch') {
+    fetchCheck(monitorId);
+  } else if (config.crawl) {
+    // The baseline covers every page, so crawl monitors start with a full check
+    refreshPage(monitorId);
+  } else if (config.checkMode === 'live') {
+    // The live session reports the current content as the baseline
+    const session = await startLiveSession(monitor);
+    if (!session.success) {
+      activityLog.warning('monitoring', 'Live monitoring unavailable, scheduled checks will reload the page', {
+        monitorId,
+        tabId: session.tabId,
+        url: monitor.url,
+        error: session.error
+      });
+    }
+  } else {
+    await extractInitialContent(monitor);
   }
+  
+  // Update icon to show active monitoring
+  await updateIconState();
+}
 
-  // Initial content extraction with retry logic (only if content script is loaded)
-  if (contentScriptLoaded) {
-    let retries = 0;
-    const maxRetries = 5;
-    const retryDelay = 500; // 500ms between retries
+/**
+ * Stop the live session of a live mode monitor in the tabs showing its page
+ * @param {string} monitorId - Monitor ID
+ */
+async function stopLiveSession(monitorId) {
+  const monitor = await monitorStore.get(monitorId);
+  if (!monitor || monitor.config.checkMode !== 'live') {
+    return;
+  }
+
+  const tabs = await chrome.tabs.query({});
+  for (const tab of tabs.filter(candidate => normalizeUrl(candidate.url || '') === normalizeUrl(monitor.url))) {
+    chrome.tabs.sendMessage(tab.id, { action: 'stopLiveMonitoring', monitorId }).catch(() => {});
+  }
+}
+
+/**
+ * Stop monitoring (the monitor record is kept, disabled)
+ * @param {string} monitorId - Monitor ID
+ */
+async function stopMonitoring(monitorId) {
+  // Clear persisted schedule and alarm
+  await monitorScheduler.unschedule(monitorId);
+  await stopLiveSession(monitorId);
+
+  // Disable the monitor
+  await monitorStore.update(monitorId, { enabled: false, paused: false });
+  
+  // Reset failure counter
+  await activityLog.recordSuccess(monitorId);
+  
+  // Log monitoring stop
+  activityLog.info('monitoring', 'Monitoring stopped', { monitorId });
+  
+  console.log(`Stopped monitor ${monitorId}`);
+  
+  // Update icon state
+  await updateIconState();
+}
+
+/**
+ * Pause monitoring (the monitor stays enabled and keeps its baseline)
+ * @param {string} monitorId - Monitor ID
+ */
+async function pauseMonitor(monitorId) {
+  await monitorScheduler.unschedule(monitorId);
+  await stopLiveSession(monitorId);
+  await monitorStore.update(monitorId, { paused: true });
+  activityLog.info('monitoring', 'Monitoring paused', { monitorId });
+  await updateIconState();
+}
+
+/**
+ * Get the dashboard state of a monitor
+ * @param {Object} monitor - Monitor record
+ * @param {Object|null} schedule - Persisted schedule entry
+ * @returns {string} 'active', 'paused' or 'stopped'
+ */
+function getMonitorState(monitor, schedule) {
+  if (monitor.enabled && monitor.paused) {
+    return 'paused';
+  }
+  return monitor.enabled && schedule ? 'active' : 'stopped';
+}
+
+/**
+ * Delete a monitor record and its schedule
+ * @param {string} monitorId - Monitor ID
+ */
+async function deleteMonitor(monitorId) {
+  await monitorScheduler.unschedule(monitorId);
+  await stopLiveSession(monitorId);
+  await monitorStore.remove(monitorId);
+  await snapshotStore.removeMonitor(monitorId);
+  await activityLog.recordSuccess(monitorId);
+  activityLog.info('monitoring', 'Monitor deleted', { monitorId });
+  await updateIconState();
+}
+
+/**
+ * Get monitoring status for a tab
+ * @param {number} tabId - Tab ID
+ * @returns {Promise<Object>} Monitoring status
+ */
+async function getMonitoringStatus(tabId) {
+  const monitor = await findMonitorForTab(tabId);
+  const schedule = monitor ? await monitorScheduler.getSchedule(monitor.id) : null;
+
+  // The popup shows the monitor's own webhook, decrypted; while the secrets vault is locked it is left out
+  let config = monitor?.config || null;
+  let secretsLocked = false;
+  if (config && await secretsVault.isLocked()) {
+    secretsLocked = hasWebhookUrl(config.webhookUrl);
+    config = { ...config, webhookUrl: null, webhookAuth: null };
+  } else if (config) {
+    config = await secretsVault.openSecrets(config);
+  }
+  
+  return {
+    isMonitoring: Boolean(monitor?.enabled && schedule),
+    isPaused: Boolean(monitor?.enabled && monitor?.paused),
+    monitorId: monitor?.id || null,
+    config: config,
+    secretsLocked: secretsLocked,
+    schedule: schedule
+  };
+}
+
+// Message listener for extension communication
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Page monitoring actions
+  if (request.action === "startMonitoring") {
+    handleStartMonitoring(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "stopMonitoring") {
+    handleStopMonitoring(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "deleteMonitor") {
+    handleDeleteMonitor(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "getAllMonitors") {
+    handleGetAllMonitors(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "bulkMonitorAction") {
+    handleBulkMonitorAction(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "getWebhookOutbox") {
+    handleGetWebhookOutbox(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "deadLetterAction") {
+    handleDeadLetterAction(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "getSnapshots") {
+    handleGetSnapshots(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "getSnapshot") {
+    handleGetSnapshot(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "resendSnapshot") {
+    handleResendSnapshot(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "secretsVault") {
+    handleSecretsVault(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "getMonitoringStatus") {
+    handleGetMonitoringStatus(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "getAllMonitoringStatus") {
+    handleGetAllMonitoringStatus(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "contentExtracted") {
+    handleContentExtracted(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "liveMonitoringLost") {
+    handleLiveMonitoringLost(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "elementPicked") {
+    handleElementPicked(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "elementPickerClosed") {
+    stopTabElementPickers(sender.tab?.id);
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (request.action === "getTabId") {
+    sendResponse({ tabId: sender.tab?.id });
+    return true;
+  }
+
+  if (request.action === "sendContentNow") {
+    console.log('🔵 Background received sendContentNow action');
+    handleSendContentNow(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "getActivityLog") {
+    handleGetActivityLog(request, sender, sendResponse);
+    return true;
+  }
+
+  if (request.action === "clearActivityLog") {
+    handleClearActivityLog(request, sender, sendResponse);
+    return true;
+  }
+});
+
+/**
+ * Handle start monitoring request
+ */
+async function handleStartMonitoring(request, sender, sendResponse) {
+  try {
+    // Use tabId from request if provided (from monitor page), otherwise use sender.tab.id
+    const tabId = request.tabId || sender.tab?.id;
+
+    // Support both request.config (from popup) and direct properties (from monitor page)
+    const configData = request.config || request;
+
+    let url = configData.url || request.url || sender.tab?.url;
+    if (!url && tabId) {
+      try {
+        url = (await chrome.tabs.get(tabId)).url;
+      } catch (error) {
+        console.error('Error getting tab URL:', error);
+      }
+    }
+    if (!url) {
+      sendResponse({ success: false, message: 'No tab ID available' });
+      return;
+    }
+
+    // Saving would drop (or could not encrypt) the monitor's webhook secrets
+    if (await secretsVault.isLocked()) {
+      sendResponse({ success: false, message: 'Secrets vault is locked. Unlock it in the extension settings first.' });
+      return;
+    }
+    
+    const config = {
+      selector: configData.selector,
+      refreshInterval: configData.refreshInterval || 30000,
+      changeDetection: configData.changeDetection !== false,
+      contentType: configData.contentType || 'html',
+      checkMode: CHECK_MODES.includes(configData.checkMode) ? configData.checkMode : 'reload',
+      tabPlacement: configData.tabPlacement === 'window' ? 'window' : 'pinned',
+      diffGranularity: DIFF_GRANULARITIES.includes(configData.diffGranularity) ? configData.diffGranularity : 'line',
+      url: url
+    };
+    
+    // Only include webhookUrl if it's a non-empty string (null/empty means use global)
+    if (configData.webhookUrl && typeof configData.webhookUrl === 'string' && configData.webhookUrl.trim()) {
+      config.webhookUrl = configData.webhookUrl.trim();
+
+      // Auth for the monitor's own webhook (the global webhook uses the auth from options)
+      if (configData.webhookAuth && configData.webhookAuth.type !== 'none') {
+        const validation = webhookAuth.validate(configData.webhookAuth);
+        if (!validation.isValid) {
+          sendResponse({ success: false, message: 'Invalid webhook auth: ' + validation.message });
+          return;
+        }
+        config.webhookAuth = configData.webhookAuth;
+      }
+    }
+    
+    // Include profileName if provided (for tracking which profile is active)
+    if (configData.profileName && typeof configData.profileName === 'string' && configData.profileName.trim()) {
+      config.profileName = configData.profileName.trim();
+    }
+
+    // Include schedule (cron mode, timezone, active hours, blackout windows) if provided
+    if (configData.schedule && typeof configData.schedule === 'object') {
+      const validation = scheduleEvaluator.validate(configData.schedule);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid schedule: ' + validation.message });
+        return;
+      }
+      config.schedule = configData.schedule;
+    }
+
+    // Chrome fires alarms at most about every 30 seconds, so shorter intervals would silently run late
+    if (config.schedule?.mode !== 'cron' && config.refreshInterval < MIN_REFRESH_INTERVAL) {
+      sendResponse({ success: false, message: `Refresh interval must be at least ${MIN_REFRESH_INTERVAL / 1000} seconds` });
+      return;
+    }
+
+    // Named fields (field name -> selector and type), extracted instead of / alongside the selector
+    if (configData.fields && Object.keys(configData.fields).length > 0) {
+      const validation = fieldConfig.validate(configData.fields);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid fields: ' + validation.message });
+        return;
+      }
+      config.fields = configData.fields;
+    }
+
+    // List mode (container, item selector, per-item fields and key field)
+    if (configData.list && configData.list.item) {
+      const validation = fieldConfig.validateList(configData.list);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid list mode: ' + validation.message });
+        return;
+      }
+      config.list = configData.list;
+    }
+
+    // XPath, regex or JSONPath extractor; the CSS selector (optional) scopes it
+    if (configData.extractor && typeof configData.extractor === 'object') {
+      let validation = extractorConfig.validate(configData.extractor);
+      if (fieldConfig.hasFields(config) || fieldConfig.hasList(config)) {
+        validation = { isValid: false, message: 'extractors cannot be combined with named fields or list mode' };
+      } else if (configData.extractor.source === 'element' && !config.selector) {
+        validation = { isValid: false, message: 'the element JSON source needs a CSS selector' };
+      }
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid extractor: ' + validation.message });
+        return;
+      }
+      config.extractor = configData.extractor;
+    }
+
+    // Payload template (JSON with {{placeholders}}); without one the default payload is sent
+    if (configData.payloadTemplate && typeof configData.payloadTemplate === 'string' && configData.payloadTemplate.trim()) {
+      const validation = payloadTemplate.validate(configData.payloadTemplate);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid payload template: ' + validation.message });
+        return;
+      }
+      config.payloadTemplate = configData.payloadTemplate.trim();
+    }
+
+    // Regions of the block to leave out (timestamps, ads, tokens); validated as CSS by the content script
+    if (Array.isArray(configData.ignoreSelectors) && configData.ignoreSelectors.length > 0) {
+      if (!configData.ignoreSelectors.every(item => typeof item === 'string' && item.trim())) {
+        sendResponse({ success: false, message: 'Invalid ignore selectors: every entry must be a CSS selector' });
+        return;
+      }
+      config.ignoreSelectors = configData.ignoreSelectors.map(item => item.trim());
+    }
+
+    // Normalization applied before hashing (regex replacements, whitespace, digits, line order, attributes)
+    if (configData.normalization && typeof configData.normalization === 'object') {
+      const validation = contentNormalizer.validate(configData.normalization);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid normalization: ' + validation.message });
+        return;
+      }
+      config.normalization = configData.normalization;
+    }
+
+    // Live mode debounce and minimum gap between reports (milliseconds); missing values use the defaults
+    if (config.checkMode === 'live' && configData.live && typeof configData.live === 'object') {
+      const invalid = ['debounce', 'minGap'].find(name => configData.live[name] !== undefined &&
+        (!Number.isInteger(configData.live[name]) || configData.live[name] < 0 || configData.live[name] > LIVE_MAX_DELAY));
+      if (invalid) {
+        sendResponse({ success: false, message: `Invalid live mode settings: ${invalid} must be between 0 and ${LIVE_MAX_DELAY / 1000} seconds` });
+        return;
+      }
+      config.live = configData.live;
+    }
+
+    // Readiness checks for reload mode; without them the default loading heuristics apply
+    if (configData.readiness && typeof configData.readiness === 'object') {
+      const validation = readinessConfig.validate(configData.readiness);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid readiness checks: ' + validation.message });
+        return;
+      }
+      config.readiness = configData.readiness;
+    }
+
+    // Page actions run after each reload, before extraction; they need a reloaded tab
+    if (Array.isArray(configData.actions) && configData.actions.length > 0) {
+      const validation = config.checkMode !== 'reload'
+        ? { isValid: false, message: 'page actions need reload mode' }
+        : actionScript.validate(configData.actions);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid page actions: ' + validation.message });
+        return;
+      }
+      config.actions = configData.actions;
+    }
+
+    // Element screenshots, attached to content changes or deciding them (visual trigger); they need a tab
+    if (configData.screenshot && typeof configData.screenshot === 'object') {
+      const validation = config.checkMode === 'fetch'
+        ? { isValid: false, message: 'screenshots need reload or live mode' }
+        : visualDiffer.validate(configData.screenshot);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid screenshot settings: ' + validation.message });
+        return;
+      }
+      config.screenshot = configData.screenshot;
+    }
+
+    // Crawling follows next-page links (reload and fetch mode) and checks the pages together
+    if (configData.crawl && typeof configData.crawl === 'object') {
+      let validation = crawlConfig.validate(configData.crawl);
+      if (config.checkMode === 'live') {
+        validation = { isValid: false, message: 'crawling needs reload or fetch mode' };
+      } else if (fieldConfig.hasFields(config) && !fieldConfig.hasList(config)) {
+        validation = { isValid: false, message: 'crawling needs a CSS selector or list mode, not named fields' };
+      } else if (config.screenshot) {
+        validation = { isValid: false, message: 'screenshots cannot be combined with crawling' };
+      }
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid crawl settings: ' + validation.message });
+        return;
+      }
+      config.crawl = configData.crawl;
+    }
+
+    // History retention (versions and days to keep); without it the defaults apply
+    if (configData.history && typeof configData.history === 'object') {
+      const validation = snapshotStore.validateRetention(configData.history);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid history retention: ' + validation.message });
+        return;
+      }
+      config.history = configData.history;
+    }
+
+    // Condition rules; without them every detected change is sent
+    if (configData.rules && typeof configData.rules === 'object') {
+      const validation = ruleEngine.validate(configData.rules);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid rules: ' + validation.message });
+        return;
+      }
+      config.rules = configData.rules;
+    }
+
+    // Destination subscriptions; without them content updates go to the default destination only
+    if (Array.isArray(configData.destinations)) {
+      const validation = destinationRouter.validateSubscriptions(configData.destinations);
+      if (!validation.isValid) {
+        sendResponse({ success: false, message: 'Invalid destinations: ' + validation.message });
+        return;
+      }
+      config.destinations = configData.destinations;
+    }
+
+    if (!fieldConfig.hasExtractionTarget(config)) {
+      sendResponse({ success: false, message: 'Invalid monitoring configuration' });
+      return;
+    }
+
+    // Webhook URL and auth are encrypted when the secrets vault is enabled
+    const monitor = await saveMonitor(url, await secretsVault.sealSecrets(config));
+    await startMonitoring(monitor.id);
+    sendResponse({ success: true, message: 'Monitoring started', monitorId: monitor.id });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
+  }
+}
+
+/**
+ * Handle stop monitoring request
+ */
+async function handleStopMonitoring(request, sender, sendResponse) {
+  try {
+    const tabId = request.tabId || sender.tab?.id;
+    if (!tabId && !request.monitorId) {
+      sendResponse({ success: false, message: 'No tab ID available' });
+      return;
+    }
+
+    const monitor = request.monitorId
+      ? await monitorStore.get(request.monitorId)
+      : await findMonitorForTab(tabId);
+
+    if (monitor) {
+      await stopMonitoring(monitor.id);
+    }
+    sendResponse({ success: true, message: 'Monitoring stopped' });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
+  }
+}
+
+/**
+ * Handle delete monitor request
+ */
+async function handleDeleteMonitor(request, sender, sendResponse) {
+  try {
+    if (!request.monitorId) {
+      sendResponse({ success: false, message: 'No monitor ID provided' });
+      return;
+    }
+
+    await deleteMonitor(request.monitorId);
+    sendResponse({ success: true, message: 'Monitor deleted' });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
+  }
+}
+
+/**
+ * Handle get monitoring status request
+ */
+async function handleGetMonitoringStatus(request, sender, sendResponse) {
+  try {
+    const tabId = request.tabId || sender.tab?.id;
+    if (!tabId) {
+      sendResponse({ success: false, message: 'No tab ID available' });
+      return;
+    }
+
+    const status = await getMonitoringStatus(tabId);
+    sendResponse({ success: true, ...status });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
+  }
+}
+
+/**
+ * Handle get all monitoring status request
+ */
+async function handleGetAllMonitoringStatus(request, sender, sendResponse) {
+  try {
+    // Active monitors are the enabled ones with a persisted schedule
+    const monitors = Object.values(await monitorStore.getAll());
+    const scheduledKeys = new Set(await monitorScheduler.getScheduledKeys());
+    const activeMonitors = monitors.filter(monitor => monitor.enabled && scheduledKeys.has(monitor.id));
+    const activeUrls = activeMonitors.map(monitor => normalizeUrl(monitor.url));
+
+    // Open tabs showing a monitored URL
+    const tabs = await chrome.tabs.query({});
+    const monitoredTabs = tabs
+      .filter(tab => activeUrls.includes(normalizeUrl(tab.url || '')))
+      .map(tab => tab.id);
+
+    sendResponse({ success: true, monitoredTabs, monitorIds: activeMonitors.map(monitor => monitor.id) });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
+  }
+}
+
+/**
+ * Handle get all monitors request (dashboard rows)
+ */
+async function handleGetAllMonitors(request, sender, sendResponse) {
+  try {
+    const monitors = Object.values(await monitorStore.getAll());
+    const schedules = await monitorScheduler.getSchedules();
+
+    const rows = await Promise.all(monitors.map(async monitor => ({
+      id: monitor.id,
+      url: monitor.url,
+      profileName: monitor.config.profileName || null,
+      selector: monitor.config.selector || '',
+      fields: Object.keys(monitor.config.fields || {}),
+      listItem: monitor.config.list?.item || null,
+      checkMode: monitor.config.checkMode || 'reload',
+      state: getMonitorState(monitor, schedules[monitor.id]),
+      lastCheckTime: monitor.lastCheckTime,
+      lastChangeTime: monitor.lastChangeTime,
+      failures: await activityLog.getFailureCount(monitor.id),
+      nextRunTime: schedules[monitor.id]?.nextRunTime ?? null
+    })));
+
+    sendResponse({ success: true, monitors: rows });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
+  }
+}
+
+/**
+ * Handle bulk monitor action (start, stop, pause, checkNow, delete) from the dashboard
+ */
+async function handleBulkMonitorAction(request, sender, sendResponse) {
+  try {
+    const { operation, monitorIds } = request;
+    const operations = {
+      start: startMonitoring,
+      stop: stopMonitoring,
+      pause: pauseMonitor,
+      delete: deleteMonitor,
+      // Checks can take a while; run them in the background and report progress through storage
+      checkNow: async (monitorId) => { checkMonitor(monitorId, true); }
+    };
+
+    if (!operations[operation]) {
+      sendResponse({ success: false, message: `Unknown operation: ${operation}` });
+      return;
+    }
+    if (!Array.isArray(monitorIds) || monitorIds.length === 0) {
+      sendResponse({ success: false, message: 'No monitors selected' });
+      return;
+    }
 
-    const tryInitialExtraction = async () => {
+    const results = [];
+    for (const monitorId of monitorIds) {
       try {
-        // Re-verify content script is loaded before each attempt
-        const stillLoaded = await ensureContentScriptLoaded(tabId);
-        if (!stillLoaded) {
-          console.warn(`Content script no longer loaded for tab ${tabId}, skipping initial extraction`);
-          activityLog.warning('extraction', 'Content script no longer loaded, skipping initial extraction', {
-            tabId
-          });
-          return;
-        }
-
-        await chrome.tabs.sendMessage(tabId, {
-          action: 'extractContent',
-          selector: config.selector,
-          contentType: config.contentType || 'html',
-          tabId,
-          validateContent: true
-        });
-        console.log('Initial content extraction request sent successfully');
-        activityLog.success('extraction', 'Initial content extraction request sent', {
-          tabId,
-          url: resolvedUrl
-        }, {
-          selector: config.selector,
-          contentType: config.contentType
-        });
+        await operations[operation](monitorId);
+        results.push({ monitorId, success: true });
       } catch (error) {
-        if (error.message.includes('Could not establish connection') && retries < maxRetries) {
-          retries++;
-          console.log(`Retrying initial extraction for tab ${tabId} (${retries}/${maxRetries})...`);
-          activityLog.info('extraction', `Retrying initial extraction (${retries}/${maxRetries})`, {
-            tabId,
-            retryCount: retries
-          });
-          // Wait a bit longer and try again
-          setTimeout(tryInitialExtraction, retryDelay);
-        } else {
-          console.error('Error sending initial extraction request:', error);
-          activityLog.error('extraction', 'Initial extraction failed after retries', {
-            tabId,
-            error: error.message,
-            retryCount: retries
-          });
-        }
+        console.error(`Error running ${operation} for monitor ${monitorId}:`, error);
+        results.push({ monitorId, success: false, message: error.message });
       }
-    };
+    }
 
-    // Start initial extraction attempt after a short delay to ensure content script is fully ready
-    setTimeout(tryInitialExtraction, 300);
+    const failed = results.filter(result => !result.success);
+    sendResponse({
+      success: failed.length === 0,
+      message: failed.length === 0
+        ? `${operation === 'checkNow' ? 'Check started for' : 'Applied to'} ${results.length} monitor(s)`
+        : `${failed.length} of ${results.length} monitor(s) failed: ${failed[0].message}`,
+      results
+    });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
   }
-
-  // Set up refresh interval
-  const intervalId = setInterval(() => {
-    refreshPage(tabId);
-  }, config.refreshInterval);
-
-  monitoringIntervals.set(tabId, intervalId);
-  console.log(`Started monitoring tab ${tabId} with interval ${config.refreshInterval}ms`);
-  
-  // Update icon to show active monitoring
-  await updateIconState();
 }
 
 /**
- * Stop monitoring a tab
- * @param {number} tabId - Tab ID
+ * Handle get webhook outbox request (pending count and dead letters) from the dashboard
  */
-async function stopMonitoring(tabId) {
-  // Clear interval
-  const intervalId = monitoringIntervals.get(tabId);
-  if (intervalId) {
-    clearInterval(intervalId);
-    monitoringIntervals.delete(tabId);
+async function handleGetWebhookOutbox(request, sender, sendResponse) {
+  try {
+    const pending = await webhookOutbox.getPending();
+    const deadLetters = await webhookOutbox.getDeadLetters();
+    const destinations = await getWebhookDestinations();
+
+    sendResponse({
+      success: true,
+      pending: pending.length,
+      nextAttemptAt: pending.length > 0 ? Math.min(...pending.map(entry => entry.nextAttemptAt)) : null,
+      deadLetters: deadLetters.map(entry => ({
+        id: entry.id,
+        monitorId: entry.monitorId,
+        url: entry.url,
+        destination: entry.destinationId
+          ? destinations.find(item => item.id === entry.destinationId)?.name || 'Deleted destination'
+          : 'Default webhook',
+        attempts: entry.attempts,
+        lastError: entry.lastError,
+        createdAt: entry.createdAt,
+        deadLetteredAt: entry.deadLetteredAt
+      }))
+    });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
   }
-
-  // Remove configuration
-  await removeMonitoringConfig(tabId);
-  
-  // Reset failure counter
-  activityLog.recordSuccess(tabId);
-  
-  // Log monitoring stop
-  activityLog.info('monitoring', 'Monitoring stopped', { tabId });
-  
-  console.log(`Stopped monitoring tab ${tabId}`);
-  
-  // Update icon state
-  await updateIconState();
 }
 
 /**
- * Get monitoring status for a tab
- * @param {number} tabId - Tab ID
- * @returns {Promise<Object>} Monitoring status
+ * Handle dead letter action (replay or discard) from the dashboard
  */
-async function getMonitoringStatus(tabId) {
-  const config = await getMonitoringConfig(tabId);
-  const isActive = monitoringIntervals.has(tabId);
-  
-  return {
-    isMonitoring: isActive,
-    config: config
-  };
-}
+async function handleDeadLetterAction(request, sender, sendResponse) {
+  try {
+    const { operation, ids } = request;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      sendResponse({ success: false, message: 'No deliveries selected' });
+      return;
+    }
 
-// Message listener for extension communication
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  // Page monitoring actions
-  if (request.action === "startMonitoring") {
-    handleStartMonitoring(request, sender, sendResponse);
-    return true;
+    if (operation === 'replay') {
+      const count = await webhookOutbox.replay(ids);
+      activityLog.info('webhook', 'Dead-lettered deliveries replayed', {}, { count });
+      sendResponse({ success: true, message: `Replaying ${count} delivery(ies)` });
+      // Deliver after responding; results show up in the activity log
+      processWebhookOutbox();
+    } else if (operation === 'discard') {
+      const count = await webhookOutbox.discard(ids);
+      activityLog.info('webhook', 'Dead-lettered deliveries discarded', {}, { count });
+      sendResponse({ success: true, message: `Discarded ${count} delivery(ies)` });
+    } else {
+      sendResponse({ success: false, message: `Unknown operation: ${operation}` });
+    }
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
   }
+}
 
-  if (request.action === "stopMonitoring") {
-    handleStopMonitoring(request, sender, sendResponse);
-    return true;
-  }
+/**
+ * Handle get snapshots request (version list of a monitor's history)
+ */
+async function handleGetSnapshots(request, sender, sendResponse) {
+  try {
+    const monitor = await monitorStore.get(request.monitorId);
+    if (!monitor) {
+      sendResponse({ success: false, message: 'Monitor not found' });
+      return;
+    }
 
-  if (request.action === "getMonitoringStatus") {
-    handleGetMonitoringStatus(request, sender, sendResponse);
-    return true;
+    sendResponse({
+      success: true,
+      monitor: {
+        id: monitor.id,
+        url: monitor.url,
+        profileName: monitor.config.profileName || null,
+        retention: snapshotStore.getRetention(monitor.config)
+      },
+      snapshots: await snapshotStore.list(monitor.id)
+    });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
   }
+}
 
-  if (request.action === "getAllMonitoringStatus") {
-    handleGetAllMonitoringStatus(request, sender, sendResponse);
-    return true;
+/**
+ * Handle get snapshot request (one version with its content)
+ */
+async function handleGetSnapshot(request, sender, sendResponse) {
+  try {
+    const snapshot = await snapshotStore.get(request.id);
+    if (!snapshot) {
+      sendResponse({ success: false, message: 'Version not found' });
+      return;
+    }
+    sendResponse({ success: true, snapshot });
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
   }
+}
 
-  if (request.action === "contentExtracted") {
-    handleContentExtracted(request, sender, sendResponse);
-    return true;
-  }
+/**
+ * Handle re-send snapshot request: deliver a past version to the monitor's webhook
+ */
+async function handleResendSnapshot(request, sender, sendResponse) {
+  try {
+    const snapshot = await snapshotStore.get(request.id);
+    if (!snapshot) {
+      sendResponse({ success: false, message: 'Version not found' });
+      return;
+    }
+    if (!await monitorStore.get(snapshot.monitorId)) {
+      sendResponse({ success: false, message: 'Monitor not found' });
+      return;
+    }
 
-  if (request.action === "getTabId") {
-    sendResponse({ tabId: sender.tab?.id });
-    return true;
+    activityLog.info('webhook', 'Re-sending past version', {
+      monitorId: snapshot.monitorId,
+      url: snapshot.url
+    }, {
+      snapshotId: snapshot.id,
+      capturedAt: snapshot.capturedAt
+    });
+
+    // Sent like "send now" (delivered directly, always marked as changed); the delivery result is logged as usual
+    const result = await sendContentToWebhook(snapshot.monitorId, snapshot.content, snapshot.url, snapshot.selector, true, null, null, {
+      fields: snapshot.fields,
+      items: snapshot.items,
+      snapshot: { id: snapshot.id, capturedAt: snapshot.capturedAt },
+      manual: true
+    });
+    sendResponse(result);
+  } catch (error) {
+    sendResponse({ success: false, message: error.message });
   }
+}
 
-  if (request.action === "sendContentNow") {
-    console.log('🔵 Background received sendContentNow action');
-    handleSendContentNow(request, sender, sendResponse);
-    return true;
+/**
+ * Rewrite the webhook secrets of the global settings, all profiles and all monitors
+ * @param {Function} transform - async (object) => object, e.g. secretsVault.sealSecrets
+ */
+async function transformStoredSecrets(transform) {
+  const storage = await chrome.storage.local.get(['webhookUrl', 'webhookAuth', 'monitoringProfiles', 'webhookDestinations']);
+
+  const global = {};
+  for (const key of ['webhookUrl', 'webhookAuth']) {
+    if (storage[key] !== undefined) {
+      global[key] = storage[key];
+    }
   }
+  const updates = await transform(global);
 
-  if (request.action === "getActivityLog") {
-    handleGetActivityLog(request, sender, sendResponse);
-    return true;
+  if (storage.monitoringProfiles) {
+    updates.monitoringProfiles = {};
+    for (const [name, profile] of Object.entries(storage.monitoringProfiles)) {
+      updates.monitoringProfiles[name] = await transform(profile);
+    }
   }
+  if (storage.webhookDestinations) {
+    updates.webhookDestinations = [];
+    for (const destination of storage.webhookDestinations) {
+      updates.webhookDestinations.push(await transform(destination));
+    }
+  }
+  await chrome.storage.local.set(updates);
 
-  if (request.action === "clearActivityLog") {
-    handleClearActivityLog(request, sender, sendResponse);
-    return true;
+  for (const monitor of Object.values(await monitorStore.getAll())) {
+    await monitorStore.update(monitor.id, { config: await transform(monitor.config) });
   }
-});
+}
 
 /**
- * Handle start monitoring request
+ * Handle secrets vault request from the options page
+ * Operations: status, setup (encrypts existing secrets), unlock, lock, disable (decrypts them again)
  */
-async function handleStartMonitoring(request, sender, sendResponse) {
+async function handleSecretsVault(request, sender, sendResponse) {
   try {
-    // Use tabId from request if provided (from monitor page), otherwise use sender.tab.id
-    const tabId = request.tabId || sender.tab?.id;
-    if (!tabId) {
-      sendResponse({ success: false, message: 'No tab ID available' });
-      return;
-    }
+    const { operation, passphrase } = request;
+    const status = await secretsVault.getStatus();
 
-    // Support both request.config (from popup) and direct properties (from monitor page)
-    const configData = request.config || request;
-    
-    const config = {
-      selector: configData.selector,
-      refreshInterval: configData.refreshInterval || 30000,
-      changeDetection: configData.changeDetection !== false,
-      contentType: configData.contentType || 'html',
-      url: configData.url || request.url || sender.tab?.url
-    };
-    
-    // Only include webhookUrl if it's a non-empty string (null/empty means use global)
-    if (configData.webhookUrl && typeof configData.webhookUrl === 'string' && configData.webhookUrl.trim()) {
-      config.webhookUrl = configData.webhookUrl.trim();
-    }
-    
-    // Include profileName if provided (for tracking which profile is active)
-    if (configData.profileName && typeof configData.profileName === 'string' && configData.profileName.trim()) {
-      config.profileName = configData.profileName.trim();
-    }
+    switch (operation) {
+      case 'status':
+        sendResponse({ success: true, ...status });
+        return;
+
+      case 'setup':
+        if (status.enabled) {
+          sendResponse({ success: false, message: 'Secrets vault is already set up' });
+          return;
+        }
+        if (!passphrase || passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+          sendResponse({ success: false, message: `Passphrase must be at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters` });
+          return;
+        }
+        await secretsVault.create(passphrase);
+        await transformStoredSecrets(source => secretsVault.sealSecrets(source));
+        activityLog.success('system', 'Secrets vault enabled, webhook secrets encrypted');
+        sendResponse({ success: true, message: 'Secrets vault enabled. Webhook URLs and auth are now encrypted.' });
+        return;
+
+      case 'unlock':
+        await secretsVault.unlock(passphrase || '');
+        activityLog.info('system', 'Secrets vault unlocked');
+        sendResponse({ success: true, message: 'Secrets vault unlocked for this browser session' });
+        // Deliveries waiting for the vault go out now
+        processWebhookOutbox();
+        return;
+
+      case 'lock':
+        await secretsVault.lock();
+        activityLog.info('system', 'Secrets vault locked');
+        sendResponse({ success: true, message: 'Secrets vault locked' });
+        return;
+
+      case 'disable':
+        if (!status.unlocked) {
+          sendResponse({ success: false, message: 'Unlock the secrets vault before disabling it' });
+          return;
+        }
+        await transformStoredSecrets(source => secretsVault.openSecrets(source));
+        await secretsVault.remove();
+        activityLog.warning('system', 'Secrets vault disabled, webhook secrets stored unencrypted');
+        sendResponse({ success: true, message: 'Secrets vault disabled. Webhook secrets are stored unencrypted again.' });
+        return;
 
-    await startMonitoring(tabId, config);
-    sendResponse({ success: true, message: 'Monitoring started' });
+      default:
+        sendResponse({ success: false, message: `Unknown operation: ${operation}` });
+    }
   } catch (error) {
+    console.error('Error in secrets vault operation:', error);
     sendResponse({ success: false, message: error.message });
   }
 }
 
 /**
- * Handle stop monitoring request
+ * Handle content extracted from content script
  */
-async function handleStopMonitoring(request, sender, sendResponse) {
+async function handleContentExtracted(request, sender, sendResponse) {
   try {
     const tabId = request.tabId || sender.tab?.id;
-    if (!tabId) {
+    if (!tabId && !request.monitorId) {
       sendResponse({ success: false, message: 'No tab ID available' });
       return;
     }
 
-    await stopMonitoring(tabId);
-    sendResponse({ success: true, message: 'Monitoring stopped' });
+    const monitor = request.monitorId
+      ? await monitorStore.get(request.monitorId)
+      : await findMonitorForTab(tabId);
+
+    // Live sessions outlive stopped, paused or reconfigured monitors; tell them to stop
+    if (request.live && (!monitor || !monitor.enabled || monitor.paused || monitor.config.checkMode !== 'live')) {
+      sendResponse({ success: false, stop: true, message: 'Live monitoring is not active for this monitor' });
+      return;
+    }
+
+    if (monitor) {
+      await processContentExtraction(monitor.id, request.data, tabId || null, Boolean(request.live));
+    }
+    sendResponse({ success: true });
   } catch (error) {
     sendResponse({ success: false, message: error.message });
   }
 }
 
 /**
- * Handle get monitoring status request
+ * Handle a live session whose element left the page
+ * Falls back to a reload check, then attaches a new session if the element is back.
  */
-async function handleGetMonitoringStatus(request, sender, sendResponse) {
+async function handleLiveMonitoringLost(request, sender, sendResponse) {
   try {
-    const tabId = request.tabId || sender.tab?.id;
-    if (!tabId) {
-      sendResponse({ success: false, message: 'No tab ID available' });
+    sendResponse({ success: true });
+    const monitor = await monitorStore.get(request.monitorId);
+    if (!monitor || !monitor.enabled || monitor.paused) {
       return;
     }
 
-    const status = await getMonitoringStatus(tabId);
-    sendResponse({ success: true, ...status });
+    activityLog.warning('monitoring', 'Live element disappeared, falling back to reload check', {
+      monitorId: monitor.id,
+      tabId: sender.tab?.id,
+      url: monitor.url,
+      error: request.error
+    });
+    await refreshPage(monitor.id);
+    await startLiveSession(monitor);
   } catch (error) {
-    sendResponse({ success: false, message: error.message });
+    console.error('Error handling lost live element:', error);
   }
 }
 
 /**
- * Handle get all monitoring status request
+ * Stop the element picker in every frame of a tab
+ * The picker runs in all frames; when one frame picks or cancels, the others must stop too.
+ * @param {number} tabId - Tab ID
  */
-async function handleGetAllMonitoringStatus(request, sender, sendResponse) {
-  try {
-    // Return all tab IDs that are currently being monitored
-    const monitoredTabs = Array.from(monitoringIntervals.keys());
-    sendResponse({ success: true, monitoredTabs });
-  } catch (error) {
-    sendResponse({ success: false, message: error.message });
+function stopTabElementPickers(tabId) {
+  if (tabId !== undefined && tabId !== null) {
+    chrome.tabs.sendMessage(tabId, { action: 'stopElementPicker' }).catch(() => {});
   }
 }
 
 /**
- * Handle content extracted from content script
+ * Handle element picked with the content script picker
+ * The popup closes while the user picks, so the result is kept in storage
+ * (`pickedElement`) until the popup or monitor page applies it.
  */
-async function handleContentExtracted(request, sender, sendResponse) {
+async function handleElementPicked(request, sender, sendResponse) {
   try {
-    const tabId = request.tabId || sender.tab?.id;
-    if (!tabId) {
-      sendResponse({ success: false, message: 'No tab ID available' });
-      return;
-    }
-
-    await processContentExtraction(tabId, request.data);
+    await chrome.storage.local.set({
+      pickedElement: {
+        tabId: sender.tab?.id ?? null,
+        selector: request.selector,
+        alternatives: request.alternatives || [],
+        preview: request.preview || '',
+        contentLength: request.contentLength || 0,
+        url: request.url,
+        pickedAt: Date.now()
+      }
+    });
+    stopTabElementPickers(sender.tab?.id);
     sendResponse({ success: true });
   } catch (error) {
+    console.error('Error storing picked element:', error);
     sendResponse({ success: false, message: error.message });
   }
 }
@@ -1049,28 +2850,25 @@ async function handleSendContentNow(request, sender, sendResponse) {
     }
 
     // Use webhook URL from request if provided (from popup form), otherwise use saved config or global
-    console.log('=== handleSendContentNow Debug ===');
-    console.log('Request object:', request);
-    console.log('Request.webhookUrl:', request.webhookUrl);
-    console.log('Request.webhookUrl type:', typeof request.webhookUrl);
-    
     let webhookUrl = null;
     if (request.webhookUrl && typeof request.webhookUrl === 'string' && request.webhookUrl.trim()) {
       webhookUrl = request.webhookUrl.trim();
-      console.log('✅ Using webhook URL from form:', webhookUrl);
+      console.log('Using webhook URL from form, auth:', webhookAuth.describe(request.webhookAuth));
     } else {
-      console.log('⚠️ No valid webhook URL in request. Value:', request.webhookUrl);
-      console.log('Will check saved config and global webhook...');
+      console.log('No webhook URL in request, will check saved config and global webhook');
     }
 
     // Send directly to webhook (bypass change detection)
+    const monitor = await findMonitorForTab(tabId);
     const result = await sendContentToWebhook(
-      tabId,
+      monitor?.id || null,
       data.content,
       url,
       data.selector,
       true, // Always mark as changed for manual sends
-      webhookUrl // Pass webhook URL if provided from form
+      webhookUrl, // Pass webhook URL if provided from form
+      tabId,
+      { fields: data.fields, items: data.items, manual: true, webhookAuth: webhookUrl ? request.webhookAuth : null }
     );
 
     sendResponse(result);
@@ -1085,48 +2883,14 @@ async function handleSendContentNow(request, sender, sendResponse) {
  */
 async function handleGetActivityLog(request, sender, sendResponse) {
   try {
-    const { tabId, level, category, limit } = request;
-    
-    let entries;
-    if (tabId) {
-      entries = activityLog.getByTabId(tabId);
-    } else if (level) {
-      entries = activityLog.getByLevel(level);
-    } else if (category) {
-      entries = activityLog.getByCategory(category);
-    } else if (limit) {
-      entries = activityLog.getRecent(limit);
-    } else {
-      entries = activityLog.getAll();
-    }
-    
-    sendResponse({ success: true, entries });
-  } catch (error) {
-    sendResponse({ success: false, message: error.message });
-  }
-}
-
-/**
- * Handle clear activity log request
- */
-async function handleClearActivityLog(request, sender, sendResponse) {
-  try {
-    activityLog.clear();
-    sendResponse({ success: true, message: 'Activity log cleared' });
-  } catch (error) {
-    sendResponse({ success: false, message: error.message });
-  }
-}
-
-/**
- * Handle get activity log request
- */
-async function handleGetActivityLog(request, sender, sendResponse) {
-  try {
-    const { tabId, level, category, limit } = request;
+    const { monitorId, tabId, destinationId, level, category, limit } = request;
     
     let entries;
-    if (tabId) {
+    if (monitorId) {
+      entries = activityLog.getByMonitorId(monitorId);
+    } else if (destinationId) {
+      entries = activityLog.getByDestination(destinationId);
+    } else if (tabId) {
       entries = activityLog.getByTabId(tabId);
     } else if (level) {
       entries = activityLog.getByLevel(level);
@@ -1157,11 +2921,9 @@ async function handleClearActivityLog(request, sender, sendResponse) {
 }
 
 /**
- * Handle tab removal - cleanup monitoring
+ * Handle tab removal - monitors are URL based, so closing a tab keeps them running
  */
 chrome.tabs.onRemoved.addListener(async (tabId) => {
-  activityLog.info('monitoring', 'Tab closed, stopping monitoring', { tabId });
-  await stopMonitoring(tabId);
   await updateIconState();
 });
 
@@ -1173,22 +2935,11 @@ chrome.tabs.onActivated.addListener(async (activeInfo) => {
 });
 
 /**
- * Handle tab update - check if URL changed and update icon if it's the active tab
+ * Handle tab update - update icon if it's the active tab
  */
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.url) {
-    const config = await getMonitoringConfig(tabId);
-    if (config) {
-      // URL changed, update config
-      await saveMonitoringConfig(tabId, {
-        ...config,
-        url: tab.url
-      });
-    }
-  }
-  
-  // Update icon state if this is the active tab and status changed
-  if (changeInfo.status === 'complete' || changeInfo.status === 'loading') {
+  // Update icon state if this is the active tab and URL or status changed
+  if (changeInfo.url || changeInfo.status === 'complete' || changeInfo.status === 'loading') {
     const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tabs[0] && tabs[0].id === tabId) {
       await updateIconState();
@@ -0,0 +1,223 @@
+/**
+ * Chat Formatter
+ * Turns monitor events into the native incoming-webhook payloads of Slack, Discord,
+ * Microsoft Teams and the Telegram Bot API
+ * Shared by the background script and the options page, so it must not use chrome APIs
+ */
+
+const CHAT_EXCERPT_MAX_LINES = 12;
+const CHAT_EXCERPT_MAX_LENGTH = 1500; // Well below the smallest limit (Slack section text, 3000 characters)
+const TELEGRAM_API_URL = 'https://api.telegram.org/bot';
+
+/**
+ * Chat destinations
+ * A named destination with `type: 'slack'|'discord'|'teams'|'telegram'` receives a chat
+ * message instead of the JSON payload: a title, the page URL, the profile name and a diff
+ * excerpt. Telegram destinations store the bot URL (with the token) as their webhook URL
+ * and the chat in `chatId`.
+ */
+class ChatFormatter {
+  /**
+   * Get the message title of an event
+   * @param {Object} payload - Default payload
+   * @returns {string} Title
+   */
+  getTitle(payload) {
+    if (payload.type === 'page_monitor_error') {
+      return '⚠️ Page check failed';
+    }
+    return payload.changeDetected ? '🔔 Page changed' : '📄 Page content';
+  }
+
+  /**
+   * Describe what changed in a few lines
+   * Uses the unified diff, else the list mode delta, else the changed fields, else the content.
+   * @param {Object} payload - Default payload
+   * @returns {string} Excerpt (at most CHAT_EXCERPT_MAX_LINES lines and CHAT_EXCERPT_MAX_LENGTH characters)
+   */
+  getExcerpt(payload) {
+    let lines;
+    if (payload.type === 'page_monitor_error') {
+      lines = [payload.error || 'Unknown error'];
+    } else if (payload.diff?.unified) {
+      lines = payload.diff.unified.split('\n').filter(line => /^[+-]/.test(line) && !/^(\+\+\+|---) /.test(line));
+    } else if (payload.delta) {
+      const { added = [], removed = [], modified = [] } = payload.delta;
+      lines = [
+        ...added.map(item => `+ ${item.key}`),
+        ...removed.map(item => `- ${item.key}`),
+        ...modified.map(item => `~ ${item.key}`)
+      ];
+    } else if (payload.fields) {
+      const changed = payload.changedFields?.length ? payload.changedFields : Object.keys(payload.fields);
+      lines = changed.map(name => `${name}: ${payload.fields[name] ?? '(removed)'}`);
+    } else {
+      lines = String(payload.content || '').split('\n');
+    }
+
+    lines = lines.filter(line => line.trim() !== '');
+    let excerpt = lines.slice(0, CHAT_EXCERPT_MAX_LINES).join('\n');
+    if (lines.length > CHAT_EXCERPT_MAX_LINES) {
+      excerpt += `\n… ${lines.length - CHAT_EXCERPT_MAX_LINES} more`;
+    }
+    if (excerpt.length > CHAT_EXCERPT_MAX_LENGTH) {
+      excerpt = excerpt.substring(0, CHAT_EXCERPT_MAX_LENGTH - 1) + '…';
+    }
+    return excerpt || '(empty)';
+  }
+
+  /**
+   * Escape text for Slack mrkdwn
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escapeSlack(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Escape text for Telegram HTML messages
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  escapeHtml(text) {
+    return this.escapeSlack(text).replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Build a Slack incoming webhook message (Block Kit)
+   * @param {Object} payload - Default payload
+   * @returns {Object} Slack message
+   */
+  formatSlack(payload) {
+    const title = this.getTitle(payload);
+    const profile = payload.metadata?.profileName;
+    return {
+      text: `${title}: ${payload.url}`, // Notification fallback
+      blocks: [
+        { type: 'header', text: { type: 'plain_text', text: title } },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `<${payload.url}|${this.escapeSlack(payload.url)}>` + (profile ? `\nProfile: *${this.escapeSlack(profile)}*` : '')
+          }
+        },
+        { type: 'section', text: { type: 'mrkdwn', text: '```' + this.escapeSlack(this.getExcerpt(payload)) + '```' } }
+      ]
+    };
+  }
+
+  /**
+   * Build a Discord webhook message (one embed)
+   * @param {Object} payload - Default payload
+   * @returns {Object} Discord message
+   */
+  formatDiscord(payload) {
+    const profile = payload.metadata?.profileName;
+    const embed = {
+      title: this.getTitle(payload),
+      url: payload.url,
+      description: `${payload.url}\n\`\`\`diff\n${this.getExcerpt(payload).replace(/```/g, '`\u200b``')}\n\`\`\``,
+      color: payload.type === 'page_monitor_error' ? 0xdc3545 : 0x0073b1,
+      timestamp: payload.timestamp
+    };
+    if (profile) {
+      embed.fields = [{ name: 'Profile', value: profile, inline: true }];
+    }
+    return { embeds: [embed] };
+  }
+
+  /**
+   * Build a Microsoft Teams message (Adaptive Card, accepted by Teams workflows and incoming webhooks)
+   * @param {Object} payload - Default payload
+   * @returns {Object} Teams message
+   */
+  formatTeams(payload) {
+    const profile = payload.metadata?.profileName;
+    const facts = [{ title: 'URL', value: payload.url }];
+    if (profile) {
+      facts.push({ title: 'Profile', value: profile });
+    }
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        content: {
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          type: 'AdaptiveCard',
+          version: '1.4',
+          body: [
+            { type: 'TextBlock', text: this.getTitle(payload), weight: 'Bolder', size: 'Medium', wrap: true },
+            { type: 'FactSet', facts },
+            { type: 'TextBlock', text: this.getExcerpt(payload), fontType: 'Monospace', wrap: true }
+          ],
+          actions: [{ type: 'Action.OpenUrl', title: 'Open page', url: payload.url }]
+        }
+      }]
+    };
+  }
+
+  /**
+   * Build a Telegram Bot API sendMessage request
+   * @param {Object} payload - Default payload
+   * @param {string} chatId - Chat ID or @channel name
+   * @returns {Object} sendMessage parameters
+   */
+  formatTelegram(payload, chatId) {
+    const profile = payload.metadata?.profileName;
+    const lines = [
+      `<b>${this.escapeHtml(this.getTitle(payload))}</b>`,
+      `<a href="${this.escapeHtml(payload.url)}">${this.escapeHtml(payload.url)}</a>`
+    ];
+    if (profile) {
+      lines.push(`Profile: ${this.escapeHtml(profile)}`);
+    }
+    lines.push(`<pre>${this.escapeHtml(this.getExcerpt(payload))}</pre>`);
+    return { chat_id: chatId, text: lines.join('\n'), parse_mode: 'HTML', disable_web_page_preview: true };
+  }
+
+  /**
+   * Format a payload for a destination type
+   * @param {string} type - Destination type (see DESTINATION_TYPES in destination-router.js)
+   * @param {Object} payload - Default payload
+   * @param {Object} options - { chatId } for Telegram
+   * @returns {Object} Request body
+   */
+  format(type, payload, options = {}) {
+    switch (type) {
+      case 'slack':
+        return this.formatSlack(payload);
+      case 'discord':
+        return this.formatDiscord(payload);
+      case 'teams':
+        return this.formatTeams(payload);
+      case 'telegram':
+        return this.formatTelegram(payload, options.chatId);
+      default:
+        return payload;
+    }
+  }
+
+  /**
+   * Build the Telegram sendMessage URL of a bot
+   * @param {string} token - Bot token from @BotFather
+   * @returns {string} URL
+   */
+  getTelegramUrl(token) {
+    return `${TELEGRAM_API_URL}${token.trim()}/sendMessage`;
+  }
+
+  /**
+   * Read the bot token back from a Telegram sendMessage URL
+   * @param {string} url - URL
+   * @returns {string} Token, or '' if the URL is not a Telegram bot URL
+   */
+  getTelegramToken(url) {
+    const match = String(url || '').match(/^https:\/\/api\.telegram\.org\/bot([^/]+)\/sendMessage$/);
+    return match ? match[1] : '';
+  }
+}
+
+// Singleton instance
+const chatFormatter = new ChatFormatter();
@@ -0,0 +1,263 @@
+/**
+ * Content Differ
+ * Builds human-readable diffs between two content snapshots for webhook payloads
+ * Pure logic (no chrome APIs), so it can be unit tested
+ */
+
+const DIFF_GRANULARITIES = ['line', 'word', 'off'];
+const DIFF_MAX_CELLS = 4000000; // LCS table size limit; larger changes are reported as one replacement
+const DIFF_CONTEXT_LINES = 3; // Unchanged lines around each hunk of the unified diff
+
+/**
+ * Line or word level diffs
+ * Tokens are compared with a longest-common-subsequence table after trimming the common
+ * prefix and suffix, so small edits in large pages stay cheap. The result is:
+ * {
+ *   granularity: 'line',
+ *   added: ['new line'],            // Added segments (consecutive tokens joined)
+ *   removed: ['old line'],          // Removed segments
+ *   unified: '--- previous\n+++ current\n@@ -1,3 +1,3 @@\n...',
+ *   similarity: 0.92                // 2 * matching tokens / all tokens, 1 means identical
+ * }
+ */
+class ContentDiffer {
+  /**
+   * Split content into diff tokens
+   * Line tokens drop the newline, so a last line that gets a line appended after it still
+   * compares equal; word tokens keep whitespace as separate tokens and HTML tags as single tokens.
+   * @param {string} text - Content
+   * @param {string} granularity - 'line' or 'word'
+   * @param {string} contentType - 'html' or 'text'
+   * @returns {Array<string>} Tokens
+   */
+  tokenize(text, granularity, contentType = 'text') {
+    if (!text) {
+      return [];
+    }
+    if (granularity === 'line') {
+      return text.split('\n');
+    }
+    const pattern = contentType === 'html' ? /<[^>]*>|[^\s<]+|\s+|</g : /\S+|\s+/g;
+    return text.match(pattern) || [];
+  }
+
+  /**
+   * Diff two token lists
+   * @param {Array<string>} before - Previous tokens
+   * @param {Array<string>} after - Current tokens
+   * @returns {Array<Object>} One { type: 'equal'|'removed'|'added', value } entry per token
+   */
+  diffTokens(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+      start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+      endBefore--;
+      endAfter--;
+    }
+
+    const ops = before.slice(0, start).map(value => ({ type: 'equal', value }));
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+
+    if (a.length * b.length > DIFF_MAX_CELLS) {
+      ops.push(...a.map(value => ({ type: 'removed', value })));
+      ops.push(...b.map(value => ({ type: 'added', value })));
+    } else {
+      // lcs[i * width + j] = length of the common subsequence of a[i..] and b[j..]
+      const width = b.length + 1;
+      const lcs = new Uint32Array((a.length + 1) * width);
+      for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+          lcs[i * width + j] = a[i] === b[j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+          ops.push({ type: 'equal', value: a[i] });
+          i++;
+          j++;
+        } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+          ops.push({ type: 'removed', value: a[i++] });
+        } else {
+          ops.push({ type: 'added', value: b[j++] });
+        }
+      }
+      ops.push(...a.slice(i).map(value => ({ type: 'removed', value })));
+      ops.push(...b.slice(j).map(value => ({ type: 'added', value })));
+    }
+
+    ops.push(...before.slice(endBefore).map(value => ({ type: 'equal', value })));
+    return ops;
+  }
+
+  /**
+   * Join consecutive added or removed tokens into segments
+   * @param {Array<Object>} ops - Token operations from diffTokens()
+   * @param {string} type - 'added' or 'removed'
+   * @param {string} separator - '\n' for line tokens, '' for word tokens
+   * @returns {Array<string>} Trimmed, non-empty segments
+   */
+  collectSegments(ops, type, separator) {
+    const segments = [];
+    let current = null;
+    for (const op of ops) {
+      if (op.type === type) {
+        current = current || [];
+        current.push(op.value);
+      } else if (current !== null && op.type === 'equal') {
+        segments.push(current.join(separator));
+        current = null;
+      }
+    }
+    if (current !== null) {
+      segments.push(current.join(separator));
+    }
+    return segments.map(segment => segment.trim()).filter(Boolean);
+  }
+
+  /**
+   * Build a unified diff (always line based)
+   * @param {string} previous - Previous content
+   * @param {string} current - Current content
+   * @returns {string} Unified diff, empty when nothing changed
+   */
+  unifiedDiff(previous, current) {
+    const ops = this.diffTokens(this.tokenize(previous, 'line'), this.tokenize(current, 'line'));
+
+    // Line numbers before each op, 1-based
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = ops.map(op => {
+      const entry = { ...op, oldLine, newLine };
+      if (op.type !== 'added') oldLine++;
+      if (op.type !== 'removed') newLine++;
+      return entry;
+    });
+
+    const changes = numbered.map((op, index) => (op.type === 'equal' ? -1 : index)).filter(index => index !== -1);
+    if (changes.length === 0) {
+      return '';
+    }
+
+    const lines = ['--- previous', '+++ current'];
+    let c = 0;
+    while (c < changes.length) {
+      const start = Math.max(0, changes[c] - DIFF_CONTEXT_LINES);
+      let end = Math.min(numbered.length, changes[c] + DIFF_CONTEXT_LINES + 1);
+      while (c + 1 < changes.length && changes[c + 1] - DIFF_CONTEXT_LINES <= end) {
+        c++;
+        end = Math.min(numbered.length, changes[c] + DIFF_CONTEXT_LINES + 1);
+      }
+      c++;
+
+      const hunk = numbered.slice(start, end);
+      const oldCount = hunk.filter(op => op.type !== 'added').length;
+      const newCount = hunk.filter(op => op.type !== 'removed').length;
+      // An empty side starts at the line before the hunk, as in `diff -u`
+      const oldStart = oldCount === 0 ? hunk[0].oldLine - 1 : hunk[0].oldLine;
+      const newStart = newCount === 0 ? hunk[0].newLine - 1 : hunk[0].newLine;
+      lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+
+      for (const op of hunk) {
+        const prefix = op.type === 'added' ? '+' : op.type === 'removed' ? '-' : ' ';
+        lines.push(prefix + op.value);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build a side-by-side diff (always line based) for the history view
+   * Removed and added lines between the same unchanged lines are paired up as changed rows;
+   * the rest of a longer run is shown against an empty cell.
+   * @param {string} previous - Left (older) content
+   * @param {string} current - Right (newer) content
+   * @returns {Array<Object>} Rows { type: 'equal'|'changed'|'removed'|'added', left, right, leftLine, rightLine },
+   *   with null text and line number on the empty side
+   */
+  sideBySide(previous, current) {
+    const ops = this.diffTokens(this.tokenize(previous, 'line'), this.tokenize(current, 'line'));
+    const rows = [];
+    let leftLine = 1;
+    let rightLine = 1;
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+      for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+        const left = i < removed.length ? removed[i] : null;
+        const right = i < added.length ? added[i] : null;
+        rows.push({
+          type: left !== null && right !== null ? 'changed' : left !== null ? 'removed' : 'added',
+          left,
+          right,
+          leftLine: left !== null ? leftLine++ : null,
+          rightLine: right !== null ? rightLine++ : null
+        });
+      }
+      removed = [];
+      added = [];
+    };
+
+    for (const op of ops) {
+      if (op.type === 'removed') {
+        removed.push(op.value);
+      } else if (op.type === 'added') {
+        added.push(op.value);
+      } else {
+        flush();
+        rows.push({ type: 'equal', left: op.value, right: op.value, leftLine: leftLine++, rightLine: rightLine++ });
+      }
+    }
+    flush();
+    return rows;
+  }
+
+  /**
+   * Diff two content snapshots
+   * @param {string} previous - Previous content
+   * @param {string} current - Current content
+   * @param {Object} options - { granularity: 'line'|'word', contentType: 'html'|'text' }
+   * @returns {Object} { granularity, added, removed, unified, similarity }
+   */
+  diff(previous, current, options = {}) {
+    const granularity = options.granularity === 'word' ? 'word' : 'line';
+    const before = this.tokenize(previous, granularity, options.contentType);
+    const after = this.tokenize(current, granularity, options.contentType);
+    const ops = this.diffTokens(before, after);
+
+    const total = before.length + after.length;
+    const matched = ops.filter(op => op.type === 'equal').length;
+
+    return {
+      granularity,
+      added: this.collectSegments(ops, 'added', granularity === 'line' ? '\n' : ''),
+      removed: this.collectSegments(ops, 'removed', granularity === 'line' ? '\n' : ''),
+      unified: this.unifiedDiff(previous, current),
+      similarity: total === 0 ? 1 : Math.round((2 * matched / total) * 1000) / 1000
+    };
+  }
+
+  /**
+   * Render named field values as text, one `name: value` line per field
+   * Lets field monitors get a readable line diff instead of a diff of their JSON.
+   * @param {Object} fields - Field values keyed by name
+   * @returns {string} Field lines
+   */
+  fieldsToText(fields) {
+    return Object.entries(fields).map(([name, value]) => `${name}: ${value}`).join('\n');
+  }
+}
+
+// Singleton instance
+const contentDiffer = new ContentDiffer();
@@ -0,0 +1,202 @@
+/**
+ * Content Normalizer
+ * Cleans extracted content before it is hashed, so noise (timestamps, tokens, rotating
+ * widgets, reordered items) does not count as a change
+ * Shared by the background script and the popup form, so it must not use chrome APIs
+ */
+
+const NORMALIZATION_OPTIONS = ['replacements', 'collapseWhitespace', 'dropDigits', 'sortLines', 'removeAttributes'];
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z_:][\w:.-]*\*?$|^\*$/;
+
+/**
+ * Normalization is stored in the monitor config as:
+ * {
+ *   replacements: [{ pattern: 'csrf=\\w+', replacement: '' }],  // Regex; `/pattern/flags` or a bare pattern (global)
+ *   collapseWhitespace: true,   // Trim lines, collapse runs of spaces and drop blank lines
+ *   dropDigits: false,          // Remove every digit (counters, timestamps)
+ *   sortLines: false,           // Sort lines, so list items in a different order are not a change
+ *   removeAttributes: ['class', 'style', 'data-*']  // HTML attributes to strip; '*' strips all
+ * }
+ * Steps run in that order, after attributes are removed. Only the hash input is normalized:
+ * the content, diff and fields sent to the webhook stay as extracted.
+ * Ignore selectors (`config.ignoreSelectors`) are separate: the content script removes those
+ * elements before reading the content.
+ */
+class ContentNormalizer {
+  /**
+   * Check whether a config normalizes content
+   * @param {Object|null} config - Monitoring configuration
+   * @returns {boolean} True if any normalization step is enabled
+   */
+  hasNormalization(config) {
+    const normalization = config?.normalization;
+    if (!normalization) {
+      return false;
+    }
+    return Boolean(
+      normalization.replacements?.length ||
+      normalization.collapseWhitespace ||
+      normalization.dropDigits ||
+      normalization.sortLines ||
+      normalization.removeAttributes?.length
+    );
+  }
+
+  /**
+   * Build the regular expression of a replacement
+   * `/pattern/flags` is used as written; a bare pattern replaces every match.
+   * @param {string} pattern - Pattern
+   * @returns {RegExp} Regular expression
+   * @throws {SyntaxError} If the pattern is invalid
+   */
+  buildRegex(pattern) {
+    const literal = String(pattern).match(/^\/(.+)\/([a-z]*)$/s);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, 'g');
+  }
+
+  /**
+   * Strip attributes from HTML tags
+   * @param {string} html - HTML
+   * @param {Array<string>} names - Attribute names; a trailing '*' matches a prefix, '*' alone every attribute
+   * @returns {string} HTML without those attributes
+   */
+  removeAttributes(html, names) {
+    const matchers = names.map((name) => {
+      if (name === '*') {
+        return () => true;
+      }
+      const lower = name.toLowerCase();
+      return lower.endsWith('*')
+        ? attribute => attribute.startsWith(lower.slice(0, -1))
+        : attribute => attribute === lower;
+    });
+
+    return html.replace(/<([A-Za-z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*(\/?)>/g, (tag, tagName, attributes, selfClosing) => {
+      const kept = Array.from(attributes.matchAll(/\s+([^\s"'>/=]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?/g))
+        .filter(match => !matchers.some(matches => matches(match[1].toLowerCase())))
+        .map(match => match[0]);
+      return `<${tagName}${kept.join('')}${selfClosing ? ' /' : ''}>`;
+    });
+  }
+
+  /**
+   * Normalize content for hashing
+   * @param {string} content - Extracted content
+   * @param {Object|null} normalization - Normalization options (see class comment)
+   * @returns {string} Normalized content (unchanged without options)
+   */
+  normalize(content, normalization) {
+    let text = String(content ?? '');
+    if (!normalization) {
+      return text;
+    }
+
+    if (normalization.removeAttributes?.length) {
+      text = this.removeAttributes(text, normalization.removeAttributes);
+    }
+    for (const { pattern, replacement } of normalization.replacements || []) {
+      try {
+        text = text.replace(this.buildRegex(pattern), replacement || '');
+      } catch (error) {
+        console.error('Error applying normalization replacement:', error);
+      }
+    }
+    if (normalization.dropDigits) {
+      text = text.replace(/\d/g, '');
+    }
+    if (normalization.collapseWhitespace) {
+      text = text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+    }
+    if (normalization.sortLines) {
+      text = text.split('\n').sort().join('\n');
+    }
+    return text;
+  }
+
+  /**
+   * Parse replacements from the form text
+   * @param {string} text - One `pattern => replacement` per line (the replacement may be empty)
+   * @returns {Object} { replacements, error }
+   */
+  parseReplacements(text) {
+    const replacements = [];
+    const lines = (text || '').split('\n').filter(line => line.trim() && !line.trim().startsWith('#'));
+
+    for (const line of lines) {
+      const separator = line.lastIndexOf('=>');
+      const pattern = (separator === -1 ? line : line.substring(0, separator)).trim();
+      const replacement = separator === -1 ? '' : line.substring(separator + 2).trim();
+      try {
+        this.buildRegex(pattern);
+      } catch (error) {
+        return { replacements: null, error: `Invalid pattern "${pattern}": ${error.message}` };
+      }
+      replacements.push({ pattern, replacement });
+    }
+
+    return { replacements, error: null };
+  }
+
+  /**
+   * Format replacements as form text
+   * @param {Array<Object>|null} replacements - { pattern, replacement }
+   * @returns {string} One `pattern => replacement` per line
+   */
+  formatReplacements(replacements) {
+    return (replacements || []).map(({ pattern, replacement }) => `${pattern} => ${replacement}`.trimEnd()).join('\n');
+  }
+
+  /**
+   * Parse a comma or newline separated list (attribute names, ignore selectors)
+   * @param {string} text - List text
+   * @param {string} separator - Regex source of the separator
+   * @returns {Array<string>} Trimmed, non-empty entries
+   */
+  parseList(text, separator = ',') {
+    return (text || '').split(new RegExp(separator)).map(entry => entry.trim()).filter(Boolean);
+  }
+
+  /**
+   * Validate normalization options
+   * @param {Object} normalization - Normalization options
+   * @returns {Object} { isValid, message }
+   */
+  validate(normalization) {
+    if (!normalization || typeof normalization !== 'object' || Array.isArray(normalization)) {
+      return { isValid: false, message: 'Normalization must be an object' };
+    }
+
+    const unknown = Object.keys(normalization).find(key => !NORMALIZATION_OPTIONS.includes(key));
+    if (unknown) {
+      return { isValid: false, message: `Unknown normalization option "${unknown}"` };
+    }
+
+    if (normalization.replacements !== undefined) {
+      if (!Array.isArray(normalization.replacements)) {
+        return { isValid: false, message: 'Replacements must be a list' };
+      }
+      for (const item of normalization.replacements) {
+        if (!item || typeof item.pattern !== 'string' || !item.pattern) {
+          return { isValid: false, message: 'Every replacement needs a pattern' };
+        }
+        try {
+          this.buildRegex(item.pattern);
+        } catch (error) {
+          return { isValid: false, message: `Invalid pattern "${item.pattern}": ${error.message}` };
+        }
+      }
+    }
+
+    if (normalization.removeAttributes !== undefined) {
+      if (!Array.isArray(normalization.removeAttributes) ||
+          !normalization.removeAttributes.every(name => typeof name === 'string' && ATTRIBUTE_NAME_PATTERN.test(name))) {
+        return { isValid: false, message: 'Attributes to remove must be attribute names (or "data-*", "*")' };
+      }
+    }
+
+    return { isValid: true, message: null };
+  }
+}
+
+// Singleton instance
+const contentNormalizer = new ContentNormalizer();
@@ -0,0 +1,112 @@
+/**
+ * Crawl Config
+ * Parses and validates the per-monitor pagination settings (next-page selector and page limit)
+ * and merges the pages a check visited into one extraction result
+ * Shared by the background script and the popup form, so it must not use chrome APIs
+ */
+
+const CRAWL_DEFAULT_MAX_PAGES = 5;
+const CRAWL_MAX_PAGES_LIMIT = 50;
+const CRAWL_OPTIONS = ['nextSelector', 'maxPages'];
+
+/**
+ * Crawling is stored in the monitor config as:
+ * {
+ *   nextSelector: 'a.next',  // "Next" link or button; a missing or disabled one ends the crawl
+ *   maxPages: 5              // Pages to visit per check, including the first (default 5)
+ * }
+ * The content script reports the next page of every extraction as `nextPage`: { url } for links,
+ * { click: true } for buttons (reload mode only). The merged result is checked for changes
+ * once, so a check sends at most one webhook whatever the number of pages.
+ */
+class CrawlConfig {
+  /**
+   * Get the page limit of a crawl
+   * @param {Object} crawl - Crawl settings from the monitor config
+   * @returns {number} Pages to visit, including the first
+   */
+  getMaxPages(crawl) {
+    return crawl?.maxPages ?? CRAWL_DEFAULT_MAX_PAGES;
+  }
+
+  /**
+   * Merge the extraction results of the crawled pages, in page order
+   * List items are joined (an item already seen on an earlier page is skipped, as items can shift
+   * between pages while crawling); block content is joined with line breaks.
+   * @param {Array<Object>} pages - Successful extraction results, first page first
+   * @returns {Object} Extraction result of the whole crawl, with the page URLs as `pages`
+   */
+  merge(pages) {
+    const { nextPage, ...merged } = pages[0];
+    merged.pages = pages.map(page => page.url);
+    merged.timestamp = pages[pages.length - 1].timestamp;
+
+    if (merged.items) {
+      const keys = new Set();
+      merged.items = [];
+      for (const page of pages) {
+        for (const item of page.items || []) {
+          if (!keys.has(item.key)) {
+            keys.add(item.key);
+            merged.items.push(item);
+          }
+        }
+      }
+      // Sorted by key like a single page, so reordering alone is not a change
+      const sorted = [...merged.items].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+      merged.content = JSON.stringify(sorted);
+    } else {
+      merged.content = pages.map(page => page.content).join('\n');
+    }
+    return merged;
+  }
+
+  /**
+   * Parse crawl settings from the form inputs
+   * @param {Object} inputs - { nextSelector, maxPages } as entered (empty max pages means the default)
+   * @returns {Object} { crawl, error } - crawl is null without a next-page selector
+   */
+  parse(inputs) {
+    const nextSelector = String(inputs.nextSelector ?? '').trim();
+    if (!nextSelector) {
+      return { crawl: null, error: null };
+    }
+
+    const crawl = { nextSelector };
+    const maxPages = String(inputs.maxPages ?? '').trim();
+    if (maxPages !== '') {
+      crawl.maxPages = Number(maxPages);
+    }
+
+    const validation = this.validate(crawl);
+    return validation.isValid ? { crawl, error: null } : { crawl: null, error: validation.message };
+  }
+
+  /**
+   * Validate crawl settings
+   * @param {Object} crawl - Crawl settings
+   * @returns {Object} { isValid, message }
+   */
+  validate(crawl) {
+    if (!crawl || typeof crawl !== 'object' || Array.isArray(crawl)) {
+      return { isValid: false, message: 'Crawl settings must be an object' };
+    }
+
+    const unknown = Object.keys(crawl).find(key => !CRAWL_OPTIONS.includes(key));
+    if (unknown) {
+      return { isValid: false, message: `Unknown crawl option "${unknown}"` };
+    }
+    if (typeof crawl.nextSelector !== 'string' || !crawl.nextSelector.trim()) {
+      return { isValid: false, message: 'A next-page selector is required' };
+    }
+    if (crawl.maxPages !== undefined &&
+        (!Number.isInteger(crawl.maxPages) || crawl.maxPages < 2 || crawl.maxPages > CRAWL_MAX_PAGES_LIMIT)) {
+      return { isValid: false, message: `Max pages must be a whole number from 2 to ${CRAWL_MAX_PAGES_LIMIT}` };
+    }
+
+    return { isValid: true, message: null };
+  }
+}
+
+// Singleton instance
+const crawlConfig = new CrawlConfig();
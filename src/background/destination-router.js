@@ -0,0 +1,202 @@
+/**
+ * Destination Router
+ * Decides which webhook destinations a monitor event goes to
+ * Shared by the background script and the options/popup forms, so it must not use chrome APIs
+ */
+
+const DEFAULT_DESTINATION_ID = 'default'; // The monitor's own webhook URL, or the global webhook
+const DESTINATION_CONDITIONS = ['always', 'content', 'error', 'fieldChanged', 'fieldDecreased', 'fieldIncreased'];
+const FIELD_CONDITIONS = ['fieldChanged', 'fieldDecreased', 'fieldIncreased'];
+const DESTINATION_TYPES = ['webhook', 'slack', 'discord', 'teams', 'telegram']; // 'webhook' sends the JSON payload, the others a chat message
+
+/**
+ * Named destinations are defined once in the options (`webhookDestinations`):
+ *   { id: 'uuid', name: 'Slack #prices', type: 'slack', webhookUrl: '...', webhookAuth: null, payloadTemplate: null }
+ * (`chatId` for Telegram; `type` defaults to 'webhook').
+ * Monitors subscribe to them in `config.destinations`:
+ *   [{ destinationId: 'default', condition: { type: 'content' } },
+ *    { destinationId: 'uuid', condition: { type: 'fieldDecreased', field: 'price' } }]
+ * Monitors without subscriptions send content updates to the default destination only.
+ * Events are { type: 'content'|'error', fields, previousFields, changedFields }.
+ */
+class DestinationRouter {
+  /**
+   * Get a monitor's subscriptions
+   * @param {Object|null} config - Monitor config
+   * @returns {Array<Object>} Subscriptions ({ destinationId, condition })
+   */
+  getSubscriptions(config) {
+    if (Array.isArray(config?.destinations) && config.destinations.length > 0) {
+      return config.destinations;
+    }
+    return [{ destinationId: DEFAULT_DESTINATION_ID, condition: { type: 'content' } }];
+  }
+
+  /**
+   * Read a number from extracted text, e.g. "€ 1.299,99", "$1,299.99", "17,99" or "-3"
+   * The last separator is the decimal one when both kinds appear or when it is not followed
+   * by exactly three digits; otherwise separators group thousands.
+   * @param {*} value - Extracted value
+   * @returns {number|null} Number, or null if the text has none
+   */
+  parseNumber(value) {
+    const match = String(value ?? '').match(/-?\d(?:[\d.,]|\s(?=\d{3}(?!\d)))*/);
+    if (!match) {
+      return null;
+    }
+
+    const text = match[0].replace(/\s/g, '').replace(/[.,]$/, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    const decimalIndex = Math.max(lastComma, lastDot);
+    if (decimalIndex === -1) {
+      return parseFloat(text);
+    }
+
+    const integerPart = text.substring(0, decimalIndex);
+    const isDecimal = (lastComma !== -1 && lastDot !== -1) ||
+      text.length - decimalIndex - 1 !== 3 ||
+      /^-?0$/.test(integerPart);
+    if (!isDecimal) {
+      return parseFloat(text.replace(/[.,]/g, ''));
+    }
+    return parseFloat(`${integerPart.replace(/[.,]/g, '')}.${text.substring(decimalIndex + 1)}`);
+  }
+
+  /**
+   * Check a subscription condition against an event
+   * @param {Object|null} condition - { type, field? }
+   * @param {Object} event - { type: 'content'|'error', fields, previousFields, changedFields }
+   * @returns {boolean} True if the event should be delivered
+   */
+  matches(condition, event) {
+    const type = condition?.type || 'always';
+    switch (type) {
+      case 'always':
+        return true;
+      case 'content':
+        return event.type === 'content';
+      case 'error':
+        return event.type === 'error';
+      case 'fieldChanged':
+        return event.type === 'content' && (event.changedFields || []).includes(condition.field);
+      case 'fieldDecreased':
+      case 'fieldIncreased': {
+        if (event.type !== 'content' || !event.fields || !event.previousFields) {
+          return false;
+        }
+        const previous = this.parseNumber(event.previousFields[condition.field]);
+        const current = this.parseNumber(event.fields[condition.field]);
+        if (previous === null || current === null) {
+          return false;
+        }
+        return type === 'fieldDecreased' ? current < previous : current > previous;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Pick the subscriptions an event goes to
+   * @param {Array<Object>} subscriptions - Subscriptions ({ destinationId, condition })
+   * @param {Object} event - Event (see matches())
+   * @returns {Array<Object>} Matching subscriptions, at most one per destination
+   */
+  route(subscriptions, event) {
+    const seen = new Set();
+    return subscriptions.filter((subscription) => {
+      if (seen.has(subscription.destinationId) || !this.matches(subscription.condition, event)) {
+        return false;
+      }
+      seen.add(subscription.destinationId);
+      return true;
+    });
+  }
+
+  /**
+   * Validate a monitor's subscriptions
+   * @param {Array<Object>} subscriptions - Subscriptions ({ destinationId, condition })
+   * @returns {Object} { isValid, message }
+   */
+  validateSubscriptions(subscriptions) {
+    if (!Array.isArray(subscriptions) || subscriptions.length === 0) {
+      return { isValid: false, message: 'Select at least one destination' };
+    }
+
+    for (const subscription of subscriptions) {
+      if (!subscription.destinationId || typeof subscription.destinationId !== 'string') {
+        return { isValid: false, message: 'Subscription without a destination' };
+      }
+      const type = subscription.condition?.type;
+      if (!DESTINATION_CONDITIONS.includes(type)) {
+        return { isValid: false, message: `Unknown condition "${type}"` };
+      }
+      if (FIELD_CONDITIONS.includes(type) && !subscription.condition.field) {
+        return { isValid: false, message: 'Field conditions need a field name' };
+      }
+    }
+
+    return { isValid: true, message: null };
+  }
+
+  /**
+   * Validate a named destination
+   * @param {Object} destination - { id, name, type, webhookUrl, chatId } (webhookUrl may be encrypted)
+   * @param {Array<Object>} destinations - All destinations, to keep names unique
+   * @returns {Object} { isValid, message }
+   */
+  validateDestination(destination, destinations = []) {
+    const name = (destination.name || '').trim();
+    if (!name) {
+      return { isValid: false, message: 'Please enter a destination name' };
+    }
+    if (destinations.some(other => other.id !== destination.id && other.name.toLowerCase() === name.toLowerCase())) {
+      return { isValid: false, message: `A destination named "${name}" already exists` };
+    }
+    if (destination.type && !DESTINATION_TYPES.includes(destination.type)) {
+      return { isValid: false, message: `Unknown destination type "${destination.type}"` };
+    }
+    if (destination.type === 'telegram' && !String(destination.chatId || '').trim()) {
+      return { isValid: false, message: 'Telegram destinations need a chat ID' };
+    }
+
+    if (typeof destination.webhookUrl === 'string') {
+      try {
+        const url = new URL(destination.webhookUrl);
+        if (!['http:', 'https:'].includes(url.protocol)) {
+          return { isValid: false, message: 'URL must start with http:// or https://' };
+        }
+      } catch (error) {
+        return { isValid: false, message: 'Please enter a valid URL' };
+      }
+    }
+
+    return { isValid: true, message: null };
+  }
+
+  /**
+   * Describe a condition for the UI and logs
+   * @param {Object|null} condition - { type, field? }
+   * @returns {string} e.g. 'every event', 'price decreased'
+   */
+  describeCondition(condition) {
+    switch (condition?.type) {
+      case 'content':
+        return 'content updates';
+      case 'error':
+        return 'errors only';
+      case 'fieldChanged':
+        return `${condition.field} changed`;
+      case 'fieldDecreased':
+        return `${condition.field} decreased`;
+      case 'fieldIncreased':
+        return `${condition.field} increased`;
+      default:
+        return 'every event';
+    }
+  }
+}
+
+// Singleton instance
+const destinationRouter = new DestinationRouter();
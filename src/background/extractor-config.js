@@ -0,0 +1,122 @@
+/**
+ * Extractor Config
+ * Parses and validates the per-monitor extractor (XPath, regex or JSONPath) used instead of
+ * reading a CSS selector's block
+ * Shared by the background script and the popup form, so it must not use chrome APIs
+ */
+
+const EXTRACTOR_TYPES = ['xpath', 'regex', 'jsonpath'];
+const EXTRACTOR_JSON_SOURCES = ['json-ld', 'next-data', 'element'];
+const EXTRACTOR_REGEX_FLAGS = /^[imsu]*$/;
+
+/**
+ * The extractor is stored in the monitor config as:
+ * {
+ *   type: 'xpath',            // 'xpath', 'regex' or 'jsonpath'
+ *   expression: '//h1/text()',
+ *   flags: 'i',               // Regex only: flags besides `g` (every match is extracted)
+ *   source: 'json-ld'         // JSONPath only: 'json-ld' (every <script type="application/ld+json">),
+ *                             // 'next-data' (<script id="__NEXT_DATA__">) or 'element' (the CSS selector's elements)
+ * }
+ * The monitor's CSS selector is optional and scopes the extractor: XPath is evaluated from the
+ * element, regex runs over the element's content (without a selector over the whole page), and
+ * the JSONPath `element` source parses the element's text. Every match becomes one line of the
+ * content, which is then checked for changes like a block.
+ */
+class ExtractorConfig {
+  /**
+   * Check whether a config has an extractor
+   * @param {Object|null} config - Monitoring configuration
+   * @returns {boolean} True if an extractor is configured
+   */
+  hasExtractor(config) {
+    return Boolean(config?.extractor?.type);
+  }
+
+  /**
+   * Describe an extractor for logs, e.g. `xpath //h1/text()`
+   * @param {Object} extractor - Extractor
+   * @returns {string} Description
+   */
+  format(extractor) {
+    const flags = extractor.type === 'regex' && extractor.flags ? ` (${extractor.flags})` : '';
+    const source = extractor.type === 'jsonpath' ? ` in ${extractor.source || 'json-ld'}` : '';
+    return `${extractor.type} ${extractor.expression}${flags}${source}`;
+  }
+
+  /**
+   * Parse an extractor from the form inputs
+   * @param {Object} inputs - { type, expression, flags, source } as entered ('css' or an empty type means none)
+   * @returns {Object} { extractor, error } - extractor is null when the CSS selector is read as a block
+   */
+  parse(inputs) {
+    const type = String(inputs.type ?? '').trim();
+    if (!type || type === 'css') {
+      return { extractor: null, error: null };
+    }
+
+    const extractor = { type, expression: String(inputs.expression ?? '').trim() };
+    const flags = String(inputs.flags ?? '').trim();
+    if (type === 'regex' && flags) {
+      extractor.flags = flags;
+    }
+    if (type === 'jsonpath') {
+      extractor.source = String(inputs.source ?? '').trim() || 'json-ld';
+    }
+
+    const validation = this.validate(extractor);
+    return validation.isValid ? { extractor, error: null } : { extractor: null, error: validation.message };
+  }
+
+  /**
+   * Validate an extractor
+   * XPath syntax is checked when the expression is evaluated (service workers have no document).
+   * @param {Object} extractor - Extractor
+   * @returns {Object} { isValid, message }
+   */
+  validate(extractor) {
+    if (!extractor || typeof extractor !== 'object' || Array.isArray(extractor)) {
+      return { isValid: false, message: 'Extractor must be an object' };
+    }
+    if (!EXTRACTOR_TYPES.includes(extractor.type)) {
+      return { isValid: false, message: `Type must be one of: ${EXTRACTOR_TYPES.join(', ')}` };
+    }
+
+    const allowed = ['type', 'expression',
+      ...(extractor.type === 'regex' ? ['flags'] : []),
+      ...(extractor.type === 'jsonpath' ? ['source'] : [])];
+    const unknown = Object.keys(extractor).find(key => !allowed.includes(key));
+    if (unknown) {
+      return { isValid: false, message: `Unknown ${extractor.type} extractor option "${unknown}"` };
+    }
+    if (typeof extractor.expression !== 'string' || !extractor.expression.trim()) {
+      return { isValid: false, message: 'An expression is required' };
+    }
+
+    if (extractor.type === 'regex') {
+      if (extractor.flags !== undefined &&
+          (typeof extractor.flags !== 'string' || !EXTRACTOR_REGEX_FLAGS.test(extractor.flags))) {
+        return { isValid: false, message: 'Regex flags may only be i, m, s and u' };
+      }
+      try {
+        new RegExp(extractor.expression, extractor.flags || '');
+      } catch (error) {
+        return { isValid: false, message: `Invalid regex: ${error.message}` };
+      }
+    }
+
+    if (extractor.type === 'jsonpath') {
+      if (!extractor.expression.trim().startsWith('$')) {
+        return { isValid: false, message: 'A JSONPath starts with $, e.g. $.offers.price' };
+      }
+      if (extractor.source !== undefined && !EXTRACTOR_JSON_SOURCES.includes(extractor.source)) {
+        return { isValid: false, message: `JSON source must be one of: ${EXTRACTOR_JSON_SOURCES.join(', ')}` };
+      }
+    }
+
+    return { isValid: true, message: null };
+  }
+}
+
+// Singleton instance
+const extractorConfig = new ExtractorConfig();
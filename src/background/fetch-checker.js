@@ -0,0 +1,147 @@
+/**
+ * Fetch Checker
+ * Checks static pages without a tab: fetches the URL in the background and parses it
+ * in an offscreen document, so the user's tab is never reloaded
+ */
+
+const OFFSCREEN_DOCUMENT_PATH = 'src/offscreen/offscreen.html';
+const FETCH_TIMEOUT = 30000; // 30 seconds
+
+/**
+ * Tab-less page checker
+ * Service workers have no DOM, so parsing is delegated to an offscreen document
+ * that reuses extractBlockContent() from the content script.
+ */
+class FetchChecker {
+  constructor() {
+    this.creatingOffscreen = null; // Pending createDocument() call, shared by concurrent checks
+  }
+
+  /**
+   * Make sure the offscreen document exists
+   */
+  async ensureOffscreenDocument() {
+    const offscreenUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['OFFSCREEN_DOCUMENT'],
+      documentUrls: [offscreenUrl]
+    });
+    if (contexts.length > 0) {
+      return;
+    }
+
+    // Only one offscreen document may exist; wait for a creation already in progress
+    if (!this.creatingOffscreen) {
+      this.creatingOffscreen = chrome.offscreen.createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ['DOM_PARSER'],
+        justification: 'Parse pages fetched in background fetch mode'
+      }).finally(() => {
+        this.creatingOffscreen = null;
+      });
+    }
+    await this.creatingOffscreen;
+  }
+
+  /**
+   * Fetch a page's HTML
+   * @param {string} url - Page URL
+   * @returns {Promise<Object>} { html, url, status }
+   */
+  async fetchPage(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT);
+
+    try {
+      const response = await fetch(url, {
+        credentials: 'include', // Send the user's cookies, like a normal tab would
+        cache: 'no-store',
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Page request failed (HTTP ${response.status})`);
+      }
+
+      return {
+        html: await response.text(),
+        url: response.url || url,
+        status: response.status
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Page request timed out after ${FETCH_TIMEOUT / 1000} seconds`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Fetch a page and extract content from it
+   * @param {string} url - Page URL
+   * @param {Object} target - What to extract: { selector, contentType, fields, list, extractor, ignoreSelectors, crawl } from the monitor config
+   * @param {Object|null} readiness - Resolved readiness checks (readinessConfig.resolve()), null to skip
+   * @returns {Promise<Object>} Extracted content data (same shape as the content script's)
+   */
+  async extract(url, target, readiness = null) {
+    try {
+      const page = await this.fetchPage(url);
+      await this.ensureOffscreenDocument();
+
+      const result = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: 'extractFromHtml',
+        html: page.html,
+        url: page.url,
+        selector: target.selector,
+        contentType: target.contentType || 'html',
+        fields: target.fields || null,
+        list: target.list || null,
+        extractor: target.extractor || null,
+        ignoreSelectors: target.ignoreSelectors || null,
+        crawl: target.crawl || null,
+        readiness
+      });
+
+      return result || { success: false, error: 'No response from offscreen document' };
+    } catch (error) {
+      console.error('Error in fetch mode extraction:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Fetch a page and follow its next-page links (crawl monitors)
+   * Buttons can't be clicked in a parsed page, so only links are followed.
+   * @param {string} url - First page URL
+   * @param {Object} target - What to extract, with `crawl` settings (see crawl-config.js)
+   * @param {Object|null} readiness - Resolved readiness checks, null to skip
+   * @returns {Promise<Object>} Merged content data of all pages, or the failure of the first page that failed
+   */
+  async extractPages(url, target, readiness = null) {
+    const pages = [];
+    let nextUrl = url;
+    while (nextUrl && pages.length < crawlConfig.getMaxPages(target.crawl)) {
+      const result = await this.extract(nextUrl, target, readiness);
+      if (!result.success) {
+        return pages.length === 0 ? result : { ...result, error: `Page ${pages.length + 1}: ${result.error}` };
+      }
+      pages.push(result);
+
+      // Stop on pagination that leads back to a page already visited
+      nextUrl = result.nextPage?.url;
+      if (pages.some(page => page.url === nextUrl)) {
+        nextUrl = null;
+      }
+    }
+    return crawlConfig.merge(pages);
+  }
+}
+
+// Singleton instance
+const fetchChecker = new FetchChecker();
@@ -0,0 +1,210 @@
+/**
+ * Field Config
+ * Parses, formats and validates named field definitions (field name -> selector and type)
+ * and list mode definitions (container, item selector, per-item fields and key field)
+ * Shared by the background script and the popup/monitor forms, so it must not use chrome APIs
+ */
+
+const FIELD_TYPES = ['text', 'html', 'attribute'];
+const FIELD_NAME_PATTERN = /^[A-Za-z_][\w-]*$/;
+
+/**
+ * Named field definitions
+ * Fields are stored in the monitor config as:
+ * {
+ *   price: { selector: '.price', type: 'text' },
+ *   image: { selector: 'img.hero', type: 'attribute', attribute: 'src' }
+ * }
+ * and edited as one field per line: `name: selector | type`, where type is
+ * `text` (default), `html` or `attribute:<name>`.
+ *
+ * List mode reuses the same field definitions per item:
+ * {
+ *   container: '.results',        // Optional, defaults to the whole document
+ *   item: '.job-card',            // Matched with querySelectorAll inside the container
+ *   fields: { title: {...}, url: { selector: 'a', type: 'attribute', attribute: 'href' } },
+ *   key: 'url'                    // Field that identifies an item between checks
+ * }
+ * Item field selectors are relative to the item; `:scope` reads the item element itself.
+ */
+class FieldConfig {
+  /**
+   * Check whether a config defines any named fields
+   * @param {Object|null} config - Monitoring configuration
+   * @returns {boolean} True if fields are defined
+   */
+  hasFields(config) {
+    return Boolean(config?.fields && Object.keys(config.fields).length > 0);
+  }
+
+  /**
+   * Check whether a config defines list mode
+   * @param {Object|null} config - Monitoring configuration
+   * @returns {boolean} True if list mode is configured
+   */
+  hasList(config) {
+    return Boolean(config?.list?.item);
+  }
+
+  /**
+   * Check whether a config has anything to extract (selector, named fields, list or extractor)
+   * @param {Object|null} config - Monitoring configuration
+   * @returns {boolean} True if extraction is configured
+   */
+  hasExtractionTarget(config) {
+    return Boolean(config?.selector) || this.hasFields(config) || this.hasList(config) || Boolean(config?.extractor?.type);
+  }
+
+  /**
+   * Build a list mode definition from the form inputs
+   * @param {Object} inputs - { container, item, key, fieldsText }
+   * @returns {Object} { list, error } - list is null when list mode is not used
+   */
+  parseList(inputs) {
+    const container = (inputs.container || '').trim();
+    const item = (inputs.item || '').trim();
+    const key = (inputs.key || '').trim();
+    const fieldsText = inputs.fieldsText || '';
+
+    if (!item && !fieldsText.trim()) {
+      return { list: null, error: null };
+    }
+
+    const { fields, error } = this.parse(fieldsText);
+    if (error) {
+      return { list: null, error };
+    }
+    if (!fields) {
+      return { list: null, error: 'List mode needs at least one item field' };
+    }
+
+    // Default the key to the first field
+    const list = { container, item, fields, key: key || Object.keys(fields)[0] };
+    const validation = this.validateList(list);
+    return validation.isValid ? { list, error: null } : { list: null, error: validation.message };
+  }
+
+  /**
+   * Validate a list mode definition
+   * @param {Object} list - { container, item, fields, key }
+   * @returns {Object} { isValid, message }
+   */
+  validateList(list) {
+    if (!list || typeof list !== 'object') {
+      return { isValid: false, message: 'List mode must be an object' };
+    }
+    if (typeof list.item !== 'string' || !list.item.trim()) {
+      return { isValid: false, message: 'List mode needs an item selector' };
+    }
+
+    const fieldsValidation = this.validate(list.fields);
+    if (!fieldsValidation.isValid) {
+      return fieldsValidation;
+    }
+    if (Object.keys(list.fields).length === 0) {
+      return { isValid: false, message: 'List mode needs at least one item field' };
+    }
+    if (!list.fields[list.key]) {
+      return { isValid: false, message: `Key field "${list.key}" is not one of the item fields` };
+    }
+
+    return { isValid: true, message: null };
+  }
+
+  /**
+   * Parse field definitions from the form text
+   * @param {string} text - One `name: selector | type` definition per line
+   * @returns {Object} { fields, error } - fields is null when there are none
+   */
+  parse(text) {
+    const fields = {};
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+
+    for (const line of lines) {
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        return { fields: null, error: `Missing ":" in field definition "${line}"` };
+      }
+
+      const name = line.substring(0, separator).trim();
+      let selector = line.substring(separator + 1).trim();
+      let typeText = 'text';
+
+      const pipe = selector.lastIndexOf(' | ');
+      if (pipe !== -1) {
+        typeText = selector.substring(pipe + 3).trim();
+        selector = selector.substring(0, pipe).trim();
+      }
+
+      const field = { selector, type: typeText };
+      if (typeText.startsWith('attribute:')) {
+        field.type = 'attribute';
+        field.attribute = typeText.substring('attribute:'.length).trim();
+      }
+
+      if (fields[name]) {
+        return { fields: null, error: `Duplicate field name "${name}"` };
+      }
+      fields[name] = field;
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return { fields: null, error: null };
+    }
+
+    const validation = this.validate(fields);
+    return validation.isValid ? { fields, error: null } : { fields: null, error: validation.message };
+  }
+
+  /**
+   * Format field definitions as form text
+   * @param {Object|null} fields - Field definitions
+   * @returns {string} One definition per line
+   */
+  format(fields) {
+    if (!fields) {
+      return '';
+    }
+
+    return Object.entries(fields).map(([name, field]) => {
+      let type = '';
+      if (field.type === 'html') {
+        type = ' | html';
+      } else if (field.type === 'attribute') {
+        type = ` | attribute:${field.attribute}`;
+      }
+      return `${name}: ${field.selector}${type}`;
+    }).join('\n');
+  }
+
+  /**
+   * Validate field definitions
+   * @param {Object} fields - Field definitions
+   * @returns {Object} { isValid, message }
+   */
+  validate(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      return { isValid: false, message: 'Fields must be an object of name to definition' };
+    }
+
+    for (const [name, field] of Object.entries(fields)) {
+      if (!FIELD_NAME_PATTERN.test(name)) {
+        return { isValid: false, message: `Invalid field name "${name}" (use letters, digits, "_" or "-")` };
+      }
+      if (!field || typeof field.selector !== 'string' || !field.selector.trim()) {
+        return { isValid: false, message: `Field "${name}" has no selector` };
+      }
+      if (!FIELD_TYPES.includes(field.type)) {
+        return { isValid: false, message: `Field "${name}" has unknown type "${field.type}" (use text, html or attribute:<name>)` };
+      }
+      if (field.type === 'attribute' && !field.attribute) {
+        return { isValid: false, message: `Field "${name}" needs an attribute name (attribute:<name>)` };
+      }
+    }
+
+    return { isValid: true, message: null };
+  }
+}
+
+// Singleton instance
+const fieldConfig = new FieldConfig();
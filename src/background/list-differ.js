@@ -0,0 +1,69 @@
+/**
+ * List Differ
+ * Computes added, removed and modified items between two list mode checks
+ * Pure logic (no chrome APIs), so it can be unit tested
+ */
+
+/**
+ * List mode change tracking
+ * Items are `{ key, fields }` objects from the content script; the previous run is
+ * kept on the monitor record as `lastItems` (key -> fields).
+ */
+class ListDiffer {
+  /**
+   * Index items by key
+   * @param {Array<Object>} items - Items ({ key, fields })
+   * @returns {Object} Fields keyed by item key
+   */
+  toSnapshot(items) {
+    const snapshot = {};
+    for (const item of items) {
+      snapshot[item.key] = item.fields;
+    }
+    return snapshot;
+  }
+
+  /**
+   * Compare the current items with the previous snapshot
+   * @param {Object|null} previous - Previous snapshot (key -> fields), null on the first run
+   * @param {Array<Object>} items - Current items ({ key, fields })
+   * @returns {Object} { added, removed, modified, hasChanges }
+   */
+  diff(previous, items) {
+    const before = previous || {};
+    const current = this.toSnapshot(items);
+    const added = [];
+    const removed = [];
+    const modified = [];
+
+    for (const item of items) {
+      const previousFields = before[item.key];
+      if (!previousFields) {
+        added.push({ key: item.key, fields: item.fields });
+        continue;
+      }
+
+      const names = new Set([...Object.keys(previousFields), ...Object.keys(item.fields)]);
+      const changedFields = [...names].filter(name => previousFields[name] !== item.fields[name]);
+      if (changedFields.length > 0) {
+        modified.push({ key: item.key, fields: item.fields, previous: previousFields, changedFields });
+      }
+    }
+
+    for (const [key, fields] of Object.entries(before)) {
+      if (!current[key]) {
+        removed.push({ key, fields });
+      }
+    }
+
+    return {
+      added,
+      removed,
+      modified,
+      hasChanges: added.length > 0 || removed.length > 0 || modified.length > 0
+    };
+  }
+}
+
+// Singleton instance
+const listDiffer = new ListDiffer();
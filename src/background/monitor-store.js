@@ -0,0 +1,229 @@
+/**
+ * Monitor Store
+ * Persistent monitor records keyed by a stable UUID, independent of tab IDs
+ */
+
+// Record fields the next check is compared with (change detection, diffs, condition rules)
+const MONITOR_BASELINE_KEYS = ['lastContentHash', 'lastContent', 'lastFieldHashes', 'lastFields', 'lastItems'];
+
+/**
+ * Normalize a URL for comparison (drops the hash and trailing slashes)
+ * @param {string} url - URL to normalize
+ * @returns {string} Normalized URL
+ */
+function normalizeUrl(url) {
+  if (!url) {
+    return '';
+  }
+
+  try {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    const normalized = parsed.href.replace(/\/+$/, '');
+    return normalized;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Monitor record store
+ * Records live in chrome.storage.local (`monitors`) and look like:
+ * {
+ *   id: 'uuid',
+ *   url: 'https://example.com/page',  // Target URL, the monitor's identity for tabs
+ *   config: { selector, refreshInterval, schedule, contentType, checkMode, tabPlacement, ... },
+ *   enabled: true,                     // False when stopped; the record is kept
+ *   paused: false,                     // True while paused from the dashboard (not scheduled)
+ *   tabId: null,                       // Tab used by the last check (informational only)
+ *   lastContentHash, lastCheckTime, lastChangeTime,
+ *   lastContent,                       // Previous snapshot, diffed against the next change
+ *   lastFieldHashes, lastFields,       // Named field hashes and values of the previous check
+ *   lastItems,                         // List mode items of the previous check (key -> fields)
+ *   createdAt, updatedAt
+ * }
+ */
+class MonitorStore {
+  constructor() {
+    this.queue = Promise.resolve(); // Serializes read-modify-write of the records
+  }
+
+  /**
+   * Run a records update exclusively, so concurrent checks don't overwrite each other
+   * @param {Function} task - Async function receiving the monitors object
+   * @returns {Promise<*>} Task result
+   */
+  withMonitors(task) {
+    const run = this.queue.then(async () => {
+      const result = await chrome.storage.local.get(['monitors']);
+      const monitors = result.monitors || {};
+      const value = await task(monitors);
+      await chrome.storage.local.set({ monitors });
+      return value;
+    });
+    // Keep the queue alive even if a task fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get all monitor records
+   * @returns {Promise<Object>} Monitors keyed by ID
+   */
+  async getAll() {
+    const result = await chrome.storage.local.get(['monitors']);
+    return result.monitors || {};
+  }
+
+  /**
+   * Get a monitor record
+   * @param {string} id - Monitor ID
+   * @returns {Promise<Object|null>} Monitor record
+   */
+  async get(id) {
+    if (!id) {
+      return null;
+    }
+    const monitors = await this.getAll();
+    return monitors[id] || null;
+  }
+
+  /**
+   * Find the monitor watching a URL
+   * @param {string} url - Page URL
+   * @returns {Promise<Object|null>} Monitor record
+   */
+  async findByUrl(url) {
+    const target = normalizeUrl(url);
+    if (!target) {
+      return null;
+    }
+    const monitors = await this.getAll();
+    return Object.values(monitors).find(monitor => normalizeUrl(monitor.url) === target) || null;
+  }
+
+  /**
+   * Create a monitor record
+   * @param {string} url - Target URL
+   * @param {Object} config - Monitoring configuration
+   * @returns {Promise<Object>} Created monitor record
+   */
+  async create(url, config) {
+    const now = new Date().toISOString();
+    const monitor = {
+      id: crypto.randomUUID(),
+      url,
+      config,
+      enabled: true,
+      paused: false,
+      tabId: null,
+      lastContentHash: null,
+      lastCheckTime: null,
+      lastChangeTime: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await this.withMonitors(async (monitors) => {
+      monitors[monitor.id] = monitor;
+    });
+    return monitor;
+  }
+
+  /**
+   * Update fields of a monitor record
+   * @param {string} id - Monitor ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} Updated record, or null if it no longer exists
+   */
+  async update(id, changes) {
+    return this.withMonitors(async (monitors) => {
+      if (!monitors[id]) {
+        return null;
+      }
+      monitors[id] = {
+        ...monitors[id],
+        ...changes,
+        updatedAt: new Date().toISOString()
+      };
+      return monitors[id];
+    });
+  }
+
+  /**
+   * Get the values the next check is compared with
+   * @param {Object} monitor - Monitor record
+   * @returns {Object} Baseline fields (see MONITOR_BASELINE_KEYS), null when not set yet
+   */
+  getBaseline(monitor) {
+    return Object.fromEntries(MONITOR_BASELINE_KEYS.map(key => [key, monitor[key] ?? null]));
+  }
+
+  /**
+   * Put a baseline back after the check moved it, e.g. for a change the condition rules skipped,
+   * so the next check is still compared with the last reported values
+   * @param {string} id - Monitor ID
+   * @param {Object} baseline - Result of getBaseline() from before the check
+   * @returns {Promise<Object|null>} Updated record, or null if it no longer exists
+   */
+  async restoreBaseline(id, baseline) {
+    return this.update(id, baseline);
+  }
+
+  /**
+   * Delete a monitor record
+   * @param {string} id - Monitor ID
+   */
+  async remove(id) {
+    await this.withMonitors(async (monitors) => {
+      delete monitors[id];
+    });
+  }
+
+  /**
+   * Convert legacy tab-keyed `monitoringConfig` entries into monitor records
+   * @returns {Promise<Array<Object>>} Migrated monitor records
+   */
+  async migrateLegacyConfigs() {
+    const result = await chrome.storage.local.get(['monitoringConfig']);
+    const legacyConfigs = result.monitoringConfig;
+    if (!legacyConfigs) {
+      return [];
+    }
+
+    const migrated = await this.withMonitors(async (monitors) => {
+      const created = [];
+      for (const legacy of Object.values(legacyConfigs)) {
+        const url = legacy.initialUrl || legacy.url;
+        if (!url || Object.values(monitors).some(monitor => normalizeUrl(monitor.url) === normalizeUrl(url))) {
+          continue;
+        }
+
+        const { lastContentHash, lastCheckTime, enabled, initialUrl, tabId, windowId, ...config } = legacy;
+        const now = new Date().toISOString();
+        const monitor = {
+          id: crypto.randomUUID(),
+          url,
+          config: { ...config, url },
+          enabled: enabled !== false,
+          paused: false,
+          tabId: null,
+          lastContentHash: lastContentHash || null,
+          lastCheckTime: lastCheckTime || null,
+          lastChangeTime: null,
+          createdAt: now,
+          updatedAt: now
+        };
+        monitors[monitor.id] = monitor;
+        created.push(monitor);
+      }
+      return created;
+    });
+
+    await chrome.storage.local.remove('monitoringConfig');
+    return migrated;
+  }
+}
+
+// Singleton instance
+const monitorStore = new MonitorStore();
@@ -0,0 +1,181 @@
+/**
+ * Payload Template
+ * Renders the JSON sent to a webhook from a template with Mustache-style placeholders
+ * Shared by the background script and the options/popup forms, so it must not use chrome APIs
+ */
+
+const PAYLOAD_TEMPLATE_VARIABLES = [
+  'type', 'timestamp', 'url', 'content', 'selector', 'changeDetected', 'metadata',
+  'fields', 'changedFields', 'delta', 'itemCount', 'items', 'diff', 'matchedRules',
+  'visualDiff', 'screenshot', 'pages', 'snapshot', 'error'
+];
+const PLACEHOLDER_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+// The built-in payload shape; rendering it returns the default payload unchanged
+const DEFAULT_PAYLOAD_TEMPLATE = JSON.stringify(
+  Object.fromEntries(PAYLOAD_TEMPLATE_VARIABLES.map(name => [name, `{{${name}}}`])),
+  null,
+  2
+);
+
+/**
+ * Payload templates
+ * A template is JSON text. Its variables are the fields of the default payload
+ * (`url`, `content`, `fields.price`, `diff.unified`, `metadata.monitorId`, `items[0].key`, ...):
+ *   { "text": "{{fields.title}} is now {{fields.price}}", "link": "{{url}}", "changes": "{{diff}}" }
+ * A string that is exactly one placeholder takes the value as-is (number, object, list);
+ * placeholders inside longer strings are inserted as text. Missing values are left out
+ * (or inserted as an empty string). Stored per monitor as `config.payloadTemplate` (for its
+ * default webhook), per named destination and for the global webhook as `payloadTemplate`;
+ * without one the default payload is sent. Error events (`type: 'page_monitor_error'`) carry
+ * `error` instead of content; past versions re-sent from the history carry `snapshot`.
+ * Screenshot monitors add `visualDiff` and `screenshot` (`{{screenshot.data}}` is the PNG as base64);
+ * crawl monitors add `pages`, the URLs of the pages merged into the content.
+ */
+class PayloadTemplate {
+  /**
+   * Read a value by path
+   * @param {Object} context - Variables (the default payload)
+   * @param {string} path - Dot path, list indexes as `.0` or `[0]`
+   * @returns {*} Value, or undefined if missing
+   */
+  resolvePath(context, path) {
+    const keys = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(Boolean);
+    let value = context;
+    for (const key of keys) {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+        return undefined;
+      }
+      value = value[key];
+    }
+    return value;
+  }
+
+  /**
+   * Render a string from the template
+   * @param {string} text - Template string
+   * @param {Object} context - Variables
+   * @returns {*} Value for a single placeholder, otherwise the interpolated text
+   */
+  renderString(text, context) {
+    const single = text.match(/^\{\{\s*([^{}]+?)\s*\}\}$/);
+    if (single) {
+      return this.resolvePath(context, single[1]);
+    }
+    return text.replace(PLACEHOLDER_PATTERN, (match, path) => {
+      const value = this.resolvePath(context, path);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+
+  /**
+   * Render a parsed template value
+   * @param {*} value - Template value
+   * @param {Object} context - Variables
+   * @returns {*} Rendered value (undefined for missing single placeholders)
+   */
+  renderValue(value, context) {
+    if (typeof value === 'string') {
+      return this.renderString(value, context);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.renderValue(item, context)).map(item => (item === undefined ? null : item));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, item] of Object.entries(value)) {
+        const rendered = this.renderValue(item, context);
+        if (rendered !== undefined) {
+          result[key] = rendered;
+        }
+      }
+      return result;
+    }
+    return value;
+  }
+
+  /**
+   * Render a template
+   * @param {string} template - Template JSON text
+   * @param {Object} context - Variables (the default payload)
+   * @returns {*} Payload to send
+   * @throws {SyntaxError} If the template is not valid JSON
+   */
+  render(template, context) {
+    return this.renderValue(JSON.parse(template), context);
+  }
+
+  /**
+   * List the placeholder paths used in a template
+   * @param {string} template - Template JSON text
+   * @returns {Array<string>} Paths, e.g. ['url', 'fields.price']
+   */
+  getPlaceholders(template) {
+    return Array.from((template || '').matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+  }
+
+  /**
+   * Validate a template
+   * @param {string} template - Template JSON text (empty means the default payload)
+   * @returns {Object} { isValid, message }
+   */
+  validate(template) {
+    if (!template || !template.trim()) {
+      return { isValid: true, message: null };
+    }
+
+    try {
+      JSON.parse(template);
+    } catch (error) {
+      return { isValid: false, message: 'Template is not valid JSON: ' + error.message };
+    }
+
+    for (const path of this.getPlaceholders(template)) {
+      const root = path.replace(/\[.*$/, '').split('.')[0];
+      if (!PAYLOAD_TEMPLATE_VARIABLES.includes(root)) {
+        return { isValid: false, message: `Unknown variable "{{${path}}}"` };
+      }
+    }
+
+    return { isValid: true, message: null };
+  }
+
+  /**
+   * Example payload for template previews
+   * @returns {Object} Payload with fields and a diff
+   */
+  getSamplePayload() {
+    return {
+      type: 'page_monitor',
+      timestamp: '2025-01-20T10:00:00.000Z',
+      url: 'https://shop.example.com/item/42',
+      content: '{"price":"€ 17,99","title":"Espresso grinder"}',
+      selector: '',
+      changeDetected: true,
+      metadata: {
+        refreshInterval: 300000,
+        monitorId: '6f1c2a9e-3b7d-4c41-9a55-0d2e8b1f7c10',
+        tabId: null,
+        checkMode: 'fetch',
+        profileName: 'Coffee prices',
+        webhookUrl: 'https://n8n.example.com/webhook/prices'
+      },
+      fields: { price: '€ 17,99', title: 'Espresso grinder' },
+      changedFields: ['price'],
+      diff: {
+        granularity: 'line',
+        added: ['price: € 17,99'],
+        removed: ['price: € 19,99'],
+        unified: '--- previous\n+++ current\n@@ -1,2 +1,2 @@\n-price: € 19,99\n+price: € 17,99\n title: Espresso grinder',
+        similarity: 0.5
+      },
+      matchedRules: ['price drops by 10%']
+    };
+  }
+}
+
+// Singleton instance
+const payloadTemplate = new PayloadTemplate();
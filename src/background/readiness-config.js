@@ -0,0 +1,176 @@
+/**
+ * Readiness Config
+ * Resolves, parses and validates the per-monitor checks that decide when a reloaded page is
+ * ready to be extracted (instead of still rendering its data)
+ * Shared by the background script and the popup form, so it must not use chrome APIs
+ */
+
+// Default preset: the loading heuristics every monitor used before readiness was configurable
+const READINESS_DEFAULTS = {
+  minLength: 100, // Characters, single-selector content only
+  minLines: 3, // Non-empty lines, text content only
+  requireValues: true, // Named fields must not be empty, list mode must find items
+  blacklist: ['NaN', 'undefined', 'Loading\\.\\.\\.', 'loading'] // Case-sensitive, like the old indicator list
+};
+const READINESS_DEFAULT_MAX_WAIT = 35000; // Initial 5s delay plus 10 retries 3s apart, as before
+const READINESS_MAX_WAIT_LIMIT = 120000;
+const READINESS_OPTIONS = ['useDefaults', 'waitForSelector', 'waitForText', 'minLength', 'networkIdle', 'blacklist', 'maxWait'];
+
+/**
+ * Readiness is stored in the monitor config as:
+ * {
+ *   useDefaults: true,              // Include the default preset (the default when omitted)
+ *   waitForSelector: '.results',    // Element that must exist on the page
+ *   waitForText: 'Showing',         // Text that must appear on the page
+ *   minLength: 20,                  // Minimum content length (overrides the preset's)
+ *   networkIdle: 1000,              // No resource finished loading in the last N ms
+ *   blacklist: ['Fetching prices'], // Regexes (`/pattern/flags` or bare, case-sensitive) that mean "still loading"
+ *   maxWait: 35000                  // Give up (and count a failed check) after N ms
+ * }
+ * Monitors without `readiness` use the default preset. The content script receives the
+ * resolved checks (see resolve()). Readiness applies to reload mode; fetched pages are static.
+ */
+class ReadinessConfig {
+  /**
+   * Merge a monitor's readiness settings with the default preset
+   * @param {Object|null} readiness - Readiness settings from the monitor config
+   * @returns {Object} { waitForSelector, waitForText, minLength, minLines, requireValues, networkIdle, blacklist, maxWait }
+   */
+  resolve(readiness) {
+    const settings = readiness || {};
+    const preset = settings.useDefaults === false
+      ? { minLength: 0, minLines: 0, requireValues: false, blacklist: [] }
+      : READINESS_DEFAULTS;
+
+    return {
+      waitForSelector: settings.waitForSelector || null,
+      waitForText: settings.waitForText || null,
+      minLength: settings.minLength ?? preset.minLength,
+      minLines: preset.minLines,
+      requireValues: preset.requireValues,
+      networkIdle: settings.networkIdle || 0,
+      blacklist: [...preset.blacklist, ...(settings.blacklist || [])],
+      maxWait: settings.maxWait || READINESS_DEFAULT_MAX_WAIT
+    };
+  }
+
+  /**
+   * Get the retry timing for resolved checks
+   * Explicit waits (selector, text, network idle) are polled every second from the start;
+   * the heuristics alone keep the original pacing.
+   * @param {Object} resolved - Result of resolve()
+   * @returns {Object} { initialDelay, retryDelay, maxWait } in milliseconds
+   */
+  getTiming(resolved) {
+    const hasExplicitWait = Boolean(resolved.waitForSelector || resolved.waitForText || resolved.networkIdle);
+    return {
+      initialDelay: hasExplicitWait ? 0 : 5000,
+      retryDelay: hasExplicitWait ? 1000 : 3000,
+      maxWait: resolved.maxWait
+    };
+  }
+
+  /**
+   * Build a regular expression from a blacklist pattern
+   * @param {string} pattern - `/pattern/flags`, or a bare (case-sensitive) pattern
+   * @returns {RegExp} Regular expression
+   * @throws {SyntaxError} If the pattern is invalid
+   */
+  buildRegex(pattern) {
+    const literal = String(pattern).match(/^\/(.+)\/([a-z]*)$/s);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+  }
+
+  /**
+   * Parse readiness settings from the form inputs
+   * @param {Object} inputs - { useDefaults, waitForSelector, waitForText, minLength, networkIdle, blacklistText, maxWaitSeconds }
+   * @returns {Object} { readiness, error } - readiness is null when only the default preset is used
+   */
+  parse(inputs) {
+    const readiness = { useDefaults: inputs.useDefaults !== false };
+    const waitForSelector = (inputs.waitForSelector || '').trim();
+    const waitForText = (inputs.waitForText || '').trim();
+    if (waitForSelector) {
+      readiness.waitForSelector = waitForSelector;
+    }
+    if (waitForText) {
+      readiness.waitForText = waitForText;
+    }
+
+    const numbers = { minLength: inputs.minLength, networkIdle: inputs.networkIdle, maxWait: inputs.maxWaitSeconds };
+    for (const [name, text] of Object.entries(numbers)) {
+      if (text === undefined || text === null || String(text).trim() === '') {
+        continue;
+      }
+      const value = Number(text);
+      if (!Number.isFinite(value) || value < 0) {
+        return { readiness: null, error: `${name} must be a positive number` };
+      }
+      readiness[name] = name === 'maxWait' ? Math.round(value * 1000) : Math.round(value);
+    }
+
+    const blacklist = (inputs.blacklistText || '').split('\n').map(line => line.trim()).filter(Boolean);
+    if (blacklist.length > 0) {
+      readiness.blacklist = blacklist;
+    }
+
+    if (Object.keys(readiness).length === 1 && readiness.useDefaults) {
+      return { readiness: null, error: null };
+    }
+
+    const validation = this.validate(readiness);
+    return validation.isValid ? { readiness, error: null } : { readiness: null, error: validation.message };
+  }
+
+  /**
+   * Validate readiness settings
+   * @param {Object} readiness - Readiness settings
+   * @returns {Object} { isValid, message }
+   */
+  validate(readiness) {
+    if (!readiness || typeof readiness !== 'object' || Array.isArray(readiness)) {
+      return { isValid: false, message: 'Readiness must be an object' };
+    }
+
+    const unknown = Object.keys(readiness).find(key => !READINESS_OPTIONS.includes(key));
+    if (unknown) {
+      return { isValid: false, message: `Unknown readiness option "${unknown}"` };
+    }
+
+    for (const name of ['waitForSelector', 'waitForText']) {
+      if (readiness[name] !== undefined && (typeof readiness[name] !== 'string' || !readiness[name].trim())) {
+        return { isValid: false, message: `${name} must be text` };
+      }
+    }
+
+    for (const name of ['minLength', 'networkIdle', 'maxWait']) {
+      if (readiness[name] !== undefined && (!Number.isInteger(readiness[name]) || readiness[name] < 0)) {
+        return { isValid: false, message: `${name} must be a whole number of at least 0` };
+      }
+    }
+    if (readiness.maxWait !== undefined && (readiness.maxWait < 1000 || readiness.maxWait > READINESS_MAX_WAIT_LIMIT)) {
+      return { isValid: false, message: `Max wait must be between 1 and ${READINESS_MAX_WAIT_LIMIT / 1000} seconds` };
+    }
+    if (readiness.networkIdle !== undefined && readiness.networkIdle >= (readiness.maxWait || READINESS_DEFAULT_MAX_WAIT)) {
+      return { isValid: false, message: 'Network idle time must be shorter than the max wait' };
+    }
+
+    if (readiness.blacklist !== undefined) {
+      if (!Array.isArray(readiness.blacklist)) {
+        return { isValid: false, message: 'Blacklist must be a list of patterns' };
+      }
+      for (const pattern of readiness.blacklist) {
+        try {
+          this.buildRegex(pattern);
+        } catch (error) {
+          return { isValid: false, message: `Invalid blacklist pattern "${pattern}": ${error.message}` };
+        }
+      }
+    }
+
+    return { isValid: true, message: null };
+  }
+}
+
+// Singleton instance
+const readinessConfig = new ReadinessConfig();
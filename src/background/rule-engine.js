@@ -0,0 +1,365 @@
+/**
+ * Rule Engine
+ * Parses, formats, validates and evaluates the condition rules that decide whether a detected
+ * change is sent to the webhook
+ * Shared by the background script and the popup form, so it must not use chrome APIs
+ * (needs destination-router.js, whose parseNumber() reads numbers from extracted text)
+ */
+
+const RULE_OPERATORS = ['and', 'or'];
+const RULE_CONDITION_TYPES = ['contains', 'notContains', 'regex', 'lessThan', 'greaterThan', 'percentChange', 'lengthChange'];
+const RULE_NUMERIC_TYPES = ['lessThan', 'greaterThan', 'percentChange', 'lengthChange'];
+const RULE_CONTENT_SUBJECT = 'content'; // Subject for conditions on the whole content instead of a field
+
+// Line syntax per condition type: `<subject> <operator> <value>`
+const RULE_LINE_PATTERN = /^(\S+)\s+(not contains|contains|matches|<|>|changes by|drops by|rises by|length changes by)\s+(.+)$/i;
+const RULE_LINE_OPERATORS = {
+  'contains': { type: 'contains' },
+  'not contains': { type: 'notContains' },
+  'matches': { type: 'regex' },
+  '<': { type: 'lessThan' },
+  '>': { type: 'greaterThan' },
+  'changes by': { type: 'percentChange', direction: 'any' },
+  'drops by': { type: 'percentChange', direction: 'down' },
+  'rises by': { type: 'percentChange', direction: 'up' },
+  'length changes by': { type: 'lengthChange' }
+};
+
+/**
+ * Rules are stored in the monitor config as a group:
+ * {
+ *   operator: 'and',                       // 'and' (all must pass) or 'or' (any may pass)
+ *   conditions: [
+ *     { type: 'lessThan', field: 'price', value: 20 },
+ *     { operator: 'or', conditions: [      // Groups can be nested
+ *       { type: 'contains', field: null, value: 'In stock' },
+ *       { type: 'percentChange', field: 'price', value: 10, direction: 'down' }
+ *     ] }
+ *   ]
+ * }
+ * `field: null` tests the whole content (for named fields monitors, the `name: value` lines).
+ * They are edited as one condition per line, `<field or content> <operator> <value>`:
+ *   price < 20
+ *   content contains In stock AND content not contains Pre-order
+ *   title matches /^Sale/i
+ *   price drops by 10%
+ *   content length changes by 200
+ * Lines combine with the group operator; conditions within a line with ` AND ` or ` OR `.
+ * Without rules every detected change is sent.
+ */
+class RuleEngine {
+  /**
+   * Check whether a config defines rules
+   * @param {Object|null} config - Monitoring configuration
+   * @returns {boolean} True if rules are defined
+   */
+  hasRules(config) {
+    return Boolean(config?.rules && Array.isArray(config.rules.conditions) && config.rules.conditions.length > 0);
+  }
+
+  /**
+   * Check whether an entry is a group of conditions
+   * @param {Object} entry - Condition or group
+   * @returns {boolean} True for groups
+   */
+  isGroup(entry) {
+    return Boolean(entry && Array.isArray(entry.conditions));
+  }
+
+  /**
+   * Build a regular expression from a pattern
+   * `/pattern/flags` is used as written; a bare pattern is matched case-insensitively.
+   * @param {string} value - Pattern
+   * @returns {RegExp} Regular expression
+   * @throws {SyntaxError} If the pattern is invalid
+   */
+  buildRegex(value) {
+    const literal = String(value).match(/^\/(.+)\/([a-z]*)$/s);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(value, 'i');
+  }
+
+  /**
+   * Parse one condition from its line syntax
+   * @param {string} text - e.g. "price < 20"
+   * @returns {Object} { condition, error }
+   */
+  parseCondition(text) {
+    const match = text.trim().match(RULE_LINE_PATTERN);
+    if (!match) {
+      return { condition: null, error: `Cannot read rule "${text.trim()}" (use e.g. "price < 20" or "content contains Sale")` };
+    }
+
+    const subject = match[1];
+    const operator = RULE_LINE_OPERATORS[match[2].toLowerCase()];
+    const condition = { type: operator.type, field: subject.toLowerCase() === RULE_CONTENT_SUBJECT ? null : subject };
+    if (operator.direction) {
+      condition.direction = operator.direction;
+    }
+
+    const value = match[3].trim();
+    if (RULE_NUMERIC_TYPES.includes(condition.type)) {
+      const number = Number(value.replace(/%$/, '').trim());
+      if (value === '' || !Number.isFinite(number)) {
+        return { condition: null, error: `Rule "${text.trim()}" needs a number` };
+      }
+      condition.value = number;
+    } else {
+      condition.value = value;
+    }
+    return { condition, error: null };
+  }
+
+  /**
+   * Parse rules from the form text
+   * @param {string} text - One condition per line; ` AND ` / ` OR ` combine conditions within a line
+   * @param {string} operator - How lines combine: 'and' or 'or'
+   * @returns {Object} { rules, error } - rules is null when there are none
+   */
+  parse(text, operator = 'and') {
+    const conditions = [];
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+
+    for (const line of lines) {
+      const hasAnd = / AND /.test(line);
+      const hasOr = / OR /.test(line);
+      if (hasAnd && hasOr) {
+        return { rules: null, error: `Rule "${line}" mixes AND and OR; put them on separate lines` };
+      }
+
+      const parts = [];
+      for (const part of line.split(hasAnd ? / AND / : / OR /)) {
+        const { condition, error } = this.parseCondition(part);
+        if (error) {
+          return { rules: null, error };
+        }
+        parts.push(condition);
+      }
+      conditions.push(parts.length === 1 ? parts[0] : { operator: hasAnd ? 'and' : 'or', conditions: parts });
+    }
+
+    if (conditions.length === 0) {
+      return { rules: null, error: null };
+    }
+
+    const rules = { operator, conditions };
+    const validation = this.validate(rules);
+    return validation.isValid ? { rules, error: null } : { rules: null, error: validation.message };
+  }
+
+  /**
+   * Describe a condition in its line syntax
+   * @param {Object} condition - Condition
+   * @returns {string} e.g. "price drops by 10%"
+   */
+  describe(condition) {
+    const subject = condition.field || RULE_CONTENT_SUBJECT;
+    switch (condition.type) {
+      case 'contains':
+        return `${subject} contains ${condition.value}`;
+      case 'notContains':
+        return `${subject} not contains ${condition.value}`;
+      case 'regex':
+        return `${subject} matches ${condition.value}`;
+      case 'lessThan':
+        return `${subject} < ${condition.value}`;
+      case 'greaterThan':
+        return `${subject} > ${condition.value}`;
+      case 'percentChange': {
+        const verb = { down: 'drops', up: 'rises' }[condition.direction] || 'changes';
+        return `${subject} ${verb} by ${condition.value}%`;
+      }
+      case 'lengthChange':
+        return `${subject} length changes by ${condition.value}`;
+      default:
+        return `${subject} ${condition.type} ${condition.value}`;
+    }
+  }
+
+  /**
+   * Format rules as form text
+   * @param {Object|null} rules - Rules group
+   * @returns {string} One condition per line (the group operator is edited separately)
+   */
+  format(rules) {
+    if (!this.hasRules({ rules })) {
+      return '';
+    }
+
+    return rules.conditions.map((entry) => {
+      if (!this.isGroup(entry)) {
+        return this.describe(entry);
+      }
+      // Deeper nesting has no line syntax; it is flattened into the line's operator
+      const joiner = entry.operator === 'or' ? ' OR ' : ' AND ';
+      return this.flatten(entry).map(condition => this.describe(condition)).join(joiner);
+    }).join('\n');
+  }
+
+  /**
+   * List the conditions of a group and its nested groups
+   * @param {Object} group - Rules group
+   * @returns {Array<Object>} Conditions
+   */
+  flatten(group) {
+    return group.conditions.flatMap(entry => (this.isGroup(entry) ? this.flatten(entry) : [entry]));
+  }
+
+  /**
+   * Validate rules
+   * @param {Object} rules - Rules group
+   * @returns {Object} { isValid, message }
+   */
+  validate(rules) {
+    if (!this.isGroup(rules) || rules.conditions.length === 0) {
+      return { isValid: false, message: 'Rules need at least one condition' };
+    }
+    if (!RULE_OPERATORS.includes(rules.operator)) {
+      return { isValid: false, message: `Unknown operator "${rules.operator}" (use and or or)` };
+    }
+
+    for (const entry of rules.conditions) {
+      const validation = this.isGroup(entry) ? this.validate(entry) : this.validateCondition(entry);
+      if (!validation.isValid) {
+        return validation;
+      }
+    }
+
+    return { isValid: true, message: null };
+  }
+
+  /**
+   * Validate a single condition
+   * @param {Object} condition - Condition
+   * @returns {Object} { isValid, message }
+   */
+  validateCondition(condition) {
+    if (!condition || !RULE_CONDITION_TYPES.includes(condition.type)) {
+      return { isValid: false, message: `Unknown rule type "${condition?.type}"` };
+    }
+    if (condition.field !== null && condition.field !== undefined && (typeof condition.field !== 'string' || !condition.field)) {
+      return { isValid: false, message: 'Rule field must be a field name' };
+    }
+
+    if (RULE_NUMERIC_TYPES.includes(condition.type)) {
+      if (typeof condition.value !== 'number' || !Number.isFinite(condition.value)) {
+        return { isValid: false, message: `Rule "${this.describe(condition)}" needs a number` };
+      }
+    } else if (typeof condition.value !== 'string' || condition.value === '') {
+      return { isValid: false, message: `Rule "${this.describe(condition)}" needs a value` };
+    }
+
+    if (condition.type === 'regex') {
+      try {
+        this.buildRegex(condition.value);
+      } catch (error) {
+        return { isValid: false, message: `Invalid regular expression in "${this.describe(condition)}": ${error.message}` };
+      }
+    }
+    if (condition.type === 'percentChange' && condition.direction && !['any', 'down', 'up'].includes(condition.direction)) {
+      return { isValid: false, message: `Unknown direction "${condition.direction}"` };
+    }
+
+    return { isValid: true, message: null };
+  }
+
+  /**
+   * Read the text a condition tests
+   * @param {Object} condition - Condition
+   * @param {Object} context - Evaluation context (see evaluate())
+   * @param {boolean} previous - True for the value of the previous check
+   * @returns {string|null} Text, or null if unknown
+   */
+  getSubjectText(condition, context, previous = false) {
+    if (condition.field) {
+      const fields = previous ? context.previousFields : context.fields;
+      const value = fields?.[condition.field];
+      return value === undefined || value === null ? null : String(value);
+    }
+    const content = previous ? context.previousContent : context.content;
+    return typeof content === 'string' ? content : null;
+  }
+
+  /**
+   * Check one condition
+   * @param {Object} condition - Condition
+   * @param {Object} context - Evaluation context (see evaluate())
+   * @returns {boolean} True if the condition passes
+   */
+  test(condition, context) {
+    const text = this.getSubjectText(condition, context);
+
+    switch (condition.type) {
+      case 'contains':
+        return text !== null && text.toLowerCase().includes(condition.value.toLowerCase());
+      case 'notContains':
+        return text === null || !text.toLowerCase().includes(condition.value.toLowerCase());
+      case 'regex':
+        try {
+          return text !== null && this.buildRegex(condition.value).test(text);
+        } catch (error) {
+          return false;
+        }
+      case 'lessThan':
+      case 'greaterThan': {
+        const number = destinationRouter.parseNumber(text);
+        if (number === null) {
+          return false;
+        }
+        return condition.type === 'lessThan' ? number < condition.value : number > condition.value;
+      }
+      case 'percentChange': {
+        const previous = destinationRouter.parseNumber(this.getSubjectText(condition, context, true));
+        const current = destinationRouter.parseNumber(text);
+        if (previous === null || current === null || previous === 0) {
+          return false;
+        }
+        const change = (current - previous) / Math.abs(previous) * 100;
+        if (condition.direction === 'down') {
+          return change <= -condition.value;
+        }
+        if (condition.direction === 'up') {
+          return change >= condition.value;
+        }
+        return Math.abs(change) >= condition.value;
+      }
+      case 'lengthChange': {
+        const previous = this.getSubjectText(condition, context, true);
+        if (previous === null || text === null) {
+          return false;
+        }
+        return Math.abs(text.length - previous.length) >= condition.value;
+      }
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Evaluate rules against a detected change
+   * @param {Object} rules - Rules group
+   * @param {Object} context - { content, previousContent, fields, previousFields }
+   * @returns {Object} { passed, matched, unmatched } - matched/unmatched list the conditions (line syntax)
+   */
+  evaluate(rules, context) {
+    const matched = [];
+    const unmatched = [];
+
+    const evaluateGroup = (group) => {
+      // Every condition is evaluated (no short-circuit) so the log can list all results
+      const results = group.conditions.map((entry) => {
+        if (this.isGroup(entry)) {
+          return evaluateGroup(entry);
+        }
+        const passed = this.test(entry, context);
+        (passed ? matched : unmatched).push(this.describe(entry));
+        return passed;
+      });
+      return group.operator === 'or' ? results.some(Boolean) : results.every(Boolean);
+    };
+
+    return { passed: evaluateGroup(rules), matched, unmatched };
+  }
+}
+
+// Singleton instance
+const ruleEngine = new RuleEngine();
@@ -0,0 +1,518 @@
+/**
+ * Schedule Evaluator
+ * Parses cron expressions and evaluates active-hours and blackout windows
+ * Used by the background scheduler and by the popup/monitor forms for run previews
+ */
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// How far ahead next-run searches look (cron: leap days, windows and weekly cron patterns: one week)
+const CRON_SEARCH_HORIZON = 4 * 366 * 24 * 60 * 60 * 1000;
+const WINDOW_SEARCH_HORIZON = 8 * 24 * 60 * 60 * 1000;
+// Most candidate times a search checks, so schedules that never (or almost never) run are rejected quickly
+const SEARCH_MAX_STEPS = 2000;
+// Shortest interval between runs: Chrome fires alarms at most about every 30 seconds
+const MIN_REFRESH_INTERVAL = 30000;
+
+/**
+ * Parsed five-field cron expression (minute hour day-of-month month day-of-week)
+ */
+class CronExpression {
+  /**
+   * @param {string} expression - Cron expression, e.g. "*\/10 8-17 * * 1-5"
+   */
+  constructor(expression) {
+    const parts = (expression || '').trim().split(/\s+/);
+    if (parts.length !== 5 || parts[0] === '') {
+      throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    this.expression = parts.join(' ');
+    this.fields = {};
+    CRON_FIELDS.forEach((field, index) => {
+      this.fields[field.name] = this.parseField(parts[index], field);
+    });
+
+    // Day-of-week 7 is an alias for Sunday
+    if (this.fields.dayOfWeek.has(7)) {
+      this.fields.dayOfWeek.delete(7);
+      this.fields.dayOfWeek.add(0);
+    }
+
+    // Standard cron semantics: if both day fields are restricted, either may match
+    this.dayOfMonthRestricted = parts[2] !== '*';
+    this.dayOfWeekRestricted = parts[4] !== '*';
+  }
+
+  /**
+   * Parse a single cron field into the set of allowed values
+   * @param {string} value - Field value (supports *, lists, ranges, steps and names)
+   * @param {Object} field - Field definition
+   * @returns {Set<number>} Allowed values
+   */
+  parseField(value, field) {
+    const allowed = new Set();
+
+    for (const item of value.split(',')) {
+      const [rangePart, stepPart] = item.split('/');
+      const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+      if (isNaN(step) || step < 1) {
+        throw new Error(`Invalid step "${item}" in ${field.name} field`);
+      }
+
+      let start;
+      let end;
+      if (rangePart === '*') {
+        start = field.min;
+        end = field.max;
+      } else if (rangePart.includes('-')) {
+        const [from, to] = rangePart.split('-');
+        start = this.parseValue(from, field);
+        end = this.parseValue(to, field);
+      } else {
+        start = this.parseValue(rangePart, field);
+        // "5/15" means "from 5 to max every 15"
+        end = stepPart === undefined ? start : field.max;
+      }
+
+      if (start > end) {
+        throw new Error(`Invalid range "${item}" in ${field.name} field`);
+      }
+
+      for (let v = start; v <= end; v += step) {
+        allowed.add(v);
+      }
+    }
+
+    return allowed;
+  }
+
+  /**
+   * Parse a numeric or named cron value
+   * @param {string} value - Raw value
+   * @param {Object} field - Field definition
+   * @returns {number} Parsed value
+   */
+  parseValue(value, field) {
+    const upper = (value || '').toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+      return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+    }
+
+    const number = parseInt(value, 10);
+    if (!/^\d+$/.test(value || '') || number < field.min || number > field.max) {
+      throw new Error(`Invalid value "${value}" in ${field.name} field (${field.min}-${field.max})`);
+    }
+    return number;
+  }
+
+  /**
+   * Get the smallest allowed value of a field above a value
+   * @param {string} fieldName - Field name, e.g. 'hour'
+   * @param {number} after - Current value
+   * @returns {number|null} Next allowed value, or null if none is left
+   */
+  nextValue(fieldName, after) {
+    let next = null;
+    for (const value of this.fields[fieldName]) {
+      if (value > after && (next === null || value < next)) {
+        next = value;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Check if the day part of the expression matches
+   * @param {Object} parts - Zoned date parts
+   * @returns {boolean} True if the day matches
+   */
+  matchesDay(parts) {
+    const domMatch = this.fields.dayOfMonth.has(parts.day);
+    const dowMatch = this.fields.dayOfWeek.has(parts.weekday);
+
+    if (this.dayOfMonthRestricted && this.dayOfWeekRestricted) {
+      return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+  }
+}
+
+/**
+ * Evaluates monitor schedules (interval or cron) with active-hours and blackout windows
+ *
+ * Schedule object:
+ * {
+ *   mode: 'interval' | 'cron',
+ *   cron: '*\/10 8-17 * * 1-5',
+ *   timezone: 'Europe/Prague',          // Optional, defaults to the browser timezone
+ *   activeHours: 'Mon-Fri 08:00-18:00', // Optional, runs only inside this window
+ *   blackoutWindows: '12:00-13:00; Sat-Sun 00:00-24:00' // Optional, never runs inside
+ * }
+ */
+class ScheduleEvaluator {
+  constructor() {
+    this.formatters = new Map(); // Cached Intl formatters per timezone
+  }
+
+  /**
+   * Get the browser's default timezone
+   * @returns {string} IANA timezone name
+   */
+  getDefaultTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+
+  /**
+   * Get date parts of a timestamp in a timezone
+   * @param {number} time - Timestamp in milliseconds
+   * @param {string} timezone - IANA timezone name
+   * @returns {Object} { year, month, day, weekday, hour, minute }
+   */
+  getZonedParts(time, timezone) {
+    const timeZone = timezone || this.getDefaultTimezone();
+    let formatter = this.formatters.get(timeZone);
+    if (!formatter) {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        weekday: 'short',
+        hour: 'numeric',
+        minute: 'numeric'
+      });
+      this.formatters.set(timeZone, formatter);
+    }
+
+    const parts = {};
+    formatter.formatToParts(new Date(time)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+
+    return {
+      year: parseInt(parts.year, 10),
+      month: parseInt(parts.month, 10),
+      day: parseInt(parts.day, 10),
+      weekday: WEEKDAY_NAMES.indexOf(parts.weekday),
+      hour: parseInt(parts.hour, 10) % 24,
+      minute: parseInt(parts.minute, 10)
+    };
+  }
+
+  /**
+   * Parse a time-of-day string
+   * @param {string} value - "HH:MM" (24:00 allowed as end of day)
+   * @returns {number} Minutes since midnight
+   */
+  parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec((value || '').trim());
+    if (!match) {
+      throw new Error(`Invalid time "${value}" (expected HH:MM)`);
+    }
+    const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    if (parseInt(match[2], 10) > 59 || minutes > 24 * 60) {
+      throw new Error(`Invalid time "${value}"`);
+    }
+    return minutes;
+  }
+
+  /**
+   * Parse a day list such as "Mon-Fri" or "Sat,Sun"
+   * @param {string} value - Day list
+   * @returns {Set<number>} Weekday numbers (0 = Sunday)
+   */
+  parseDays(value) {
+    const days = new Set();
+    const names = WEEKDAY_NAMES.map(name => name.toLowerCase());
+
+    const toDay = (name) => {
+      const index = names.indexOf(name.trim().toLowerCase().substring(0, 3));
+      if (index === -1) {
+        throw new Error(`Invalid day "${name}"`);
+      }
+      return index;
+    };
+
+    for (const item of value.split(',')) {
+      if (item.includes('-')) {
+        const [from, to] = item.split('-').map(toDay);
+        // Ranges may wrap around the week, e.g. Fri-Mon
+        for (let day = from; ; day = (day + 1) % 7) {
+          days.add(day);
+          if (day === to) break;
+        }
+      } else {
+        days.add(toDay(item));
+      }
+    }
+    return days;
+  }
+
+  /**
+   * Parse a window list, e.g. "Mon-Fri 08:00-18:00; 22:00-06:00"
+   * @param {string} value - Windows separated by semicolons
+   * @returns {Array<Object>} Parsed windows { days, start, end }
+   */
+  parseWindows(value) {
+    if (!value || !value.trim()) {
+      return [];
+    }
+
+    return value.split(';').map(item => item.trim()).filter(Boolean).map(item => {
+      const match = /^(?:([A-Za-z,\-]+)\s+)?(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/.exec(item);
+      if (!match) {
+        throw new Error(`Invalid window "${item}" (expected e.g. "Mon-Fri 08:00-18:00")`);
+      }
+      const start = this.parseTimeOfDay(match[2]);
+      const end = this.parseTimeOfDay(match[3]);
+      if (start === end) {
+        throw new Error(`Window "${item}" is empty (start equals end)`);
+      }
+      return {
+        days: match[1] ? this.parseDays(match[1]) : null,
+        start,
+        end
+      };
+    });
+  }
+
+  /**
+   * Check if zoned date parts fall inside a window
+   * Windows whose end is before their start wrap past midnight
+   * @param {Object} parts - Zoned date parts
+   * @param {Object} window - Parsed window
+   * @returns {boolean} True if inside the window
+   */
+  isInWindow(parts, window) {
+    const minuteOfDay = parts.hour * 60 + parts.minute;
+    const dayMatches = (day) => !window.days || window.days.has(day);
+
+    if (window.start <= window.end) {
+      return dayMatches(parts.weekday) && minuteOfDay >= window.start && minuteOfDay < window.end;
+    }
+
+    // Overnight window: the part after midnight belongs to the previous day
+    return (minuteOfDay >= window.start && dayMatches(parts.weekday)) ||
+           (minuteOfDay < window.end && dayMatches((parts.weekday + 6) % 7));
+  }
+
+  /**
+   * Parse the windows of a schedule once so searches don't re-parse them every step
+   * @param {Object} schedule - Schedule object
+   * @returns {Object} { timezone, activeHours, blackouts }
+   */
+  compileWindows(schedule) {
+    return {
+      timezone: schedule.timezone,
+      activeHours: this.parseWindows(schedule.activeHours),
+      blackouts: this.parseWindows(schedule.blackoutWindows)
+    };
+  }
+
+  /**
+   * Check compiled windows against a timestamp
+   * @param {number} time - Timestamp in milliseconds
+   * @param {Object} windows - Result of compileWindows()
+   * @returns {boolean} True if outside blackout windows and inside active hours
+   */
+  isAllowedByWindows(time, windows) {
+    if (windows.activeHours.length === 0 && windows.blackouts.length === 0) {
+      return true;
+    }
+
+    const parts = this.getZonedParts(time, windows.timezone);
+    if (windows.activeHours.length > 0 && !windows.activeHours.some(window => this.isInWindow(parts, window))) {
+      return false;
+    }
+    return !windows.blackouts.some(window => this.isInWindow(parts, window));
+  }
+
+  /**
+   * Get how far the windows push back a run
+   * Inside blackouts a run can't happen before the (latest) blackout ends; outside active hours
+   * not before the next window starts (on a matching day or not, which the next check decides).
+   * @param {Object} parts - Zoned date parts
+   * @param {Object} windows - Result of compileWindows()
+   * @returns {number} Minutes to skip, 0 if the windows allow a run
+   */
+  getWindowSkip(parts, windows) {
+    const minuteOfDay = parts.hour * 60 + parts.minute;
+    const minutesUntil = (target) => ((target - minuteOfDay + 24 * 60) % (24 * 60)) || 24 * 60;
+
+    const blackouts = windows.blackouts.filter(window => this.isInWindow(parts, window));
+    if (blackouts.length > 0) {
+      return Math.max(...blackouts.map(window => minutesUntil(window.end)));
+    }
+    if (windows.activeHours.length > 0 && !windows.activeHours.some(window => this.isInWindow(parts, window))) {
+      return Math.min(...windows.activeHours.map(window => minutesUntil(window.start)));
+    }
+    return 0;
+  }
+
+  /**
+   * Move a time forward by wall-clock minutes
+   * Skips longer than an hour stop an hour short, so a daylight saving shift can't skip past a run.
+   * @param {number} time - Timestamp in milliseconds
+   * @param {number} minutes - Minutes to skip
+   * @returns {number} New timestamp
+   */
+  skipMinutes(time, minutes) {
+    return time + (minutes > 60 ? minutes - 60 : minutes) * 60 * 1000;
+  }
+
+  /**
+   * Check if a monitor may run at the given time
+   * @param {number} time - Timestamp in milliseconds
+   * @param {Object} schedule - Schedule object
+   * @returns {boolean} True if outside blackout windows and inside active hours
+   */
+  isAllowed(time, schedule) {
+    if (!schedule) {
+      return true;
+    }
+    return this.isAllowedByWindows(time, this.compileWindows(schedule));
+  }
+
+  /**
+   * Validate a schedule object
+   * @param {Object} schedule - Schedule object
+   * @returns {Object} Validation result { isValid, message }
+   */
+  validate(schedule) {
+    if (!schedule) {
+      return { isValid: true };
+    }
+
+    try {
+      if (schedule.mode === 'cron') {
+        new CronExpression(schedule.cron);
+      }
+      if (schedule.timezone) {
+        this.getZonedParts(Date.now(), schedule.timezone);
+      }
+      this.parseWindows(schedule.activeHours);
+      this.parseWindows(schedule.blackoutWindows);
+    } catch (error) {
+      return { isValid: false, message: error.message };
+    }
+
+    if (this.getNextRunTime(schedule, 0, Date.now()) === null) {
+      return { isValid: false, message: 'Schedule never runs (check cron fields and windows)' };
+    }
+
+    return { isValid: true };
+  }
+
+  /**
+   * Compute the next run time after a given time
+   * @param {Object|null} schedule - Schedule object (null means plain interval)
+   * @param {number} refreshInterval - Interval in milliseconds (interval mode, at least MIN_REFRESH_INTERVAL)
+   * @param {number} fromTime - Timestamp to compute from
+   * @returns {number|null} Next run timestamp, or null if the schedule never runs
+   */
+  getNextRunTime(schedule, refreshInterval, fromTime = Date.now()) {
+    const minute = 60 * 1000;
+    // Monitors saved before the minimum was enforced may have shorter intervals
+    const interval = Math.max(refreshInterval, MIN_REFRESH_INTERVAL);
+
+    if (!schedule) {
+      return fromTime + interval;
+    }
+
+    const windows = this.compileWindows(schedule);
+
+    if (schedule.mode !== 'cron') {
+      const candidate = fromTime + interval;
+      if (this.isAllowedByWindows(candidate, windows)) {
+        return candidate;
+      }
+      // Outside active hours or inside a blackout: wait for the next allowed minute
+      const horizon = candidate + WINDOW_SEARCH_HORIZON;
+      let time = Math.ceil(candidate / minute) * minute;
+      for (let step = 0; step < SEARCH_MAX_STEPS && time <= horizon; step++) {
+        const skip = this.getWindowSkip(this.getZonedParts(time, windows.timezone), windows);
+        if (skip === 0) {
+          return time;
+        }
+        time = this.skipMinutes(time, skip);
+      }
+      return null;
+    }
+
+    const cron = new CronExpression(schedule.cron);
+    // Without day-of-month or month restrictions the expression, like the windows, repeats every week
+    const isWeekly = !cron.dayOfMonthRestricted && cron.fields.month.size === 12;
+    const horizon = fromTime + (isWeekly ? WINDOW_SEARCH_HORIZON : CRON_SEARCH_HORIZON);
+    let time = Math.floor(fromTime / minute) * minute + minute;
+
+    for (let step = 0; step < SEARCH_MAX_STEPS && time <= horizon; step++) {
+      const parts = this.getZonedParts(time, schedule.timezone);
+      const minuteOfDay = parts.hour * 60 + parts.minute;
+
+      if (!cron.fields.month.has(parts.month)) {
+        // Skip to the first day of the next month
+        const daysInMonth = new Date(Date.UTC(parts.year, parts.month, 0)).getUTCDate();
+        time = this.skipMinutes(time, (daysInMonth - parts.day + 1) * 24 * 60 - minuteOfDay);
+        continue;
+      }
+      if (!cron.matchesDay(parts)) {
+        // Skip to the next local midnight
+        time = this.skipMinutes(time, 24 * 60 - minuteOfDay);
+        continue;
+      }
+      if (!cron.fields.hour.has(parts.hour)) {
+        // Skip to the next allowed hour, or to midnight
+        const nextHour = cron.nextValue('hour', parts.hour);
+        time = this.skipMinutes(time, (nextHour === null ? 24 * 60 : nextHour * 60) - minuteOfDay);
+        continue;
+      }
+      if (!cron.fields.minute.has(parts.minute)) {
+        // Skip to the next allowed minute, or to the next hour
+        const nextMinute = cron.nextValue('minute', parts.minute);
+        time = this.skipMinutes(time, (nextMinute === null ? 60 : nextMinute) - parts.minute);
+        continue;
+      }
+
+      const skip = this.getWindowSkip(parts, windows);
+      if (skip > 0) {
+        time = this.skipMinutes(time, skip);
+        continue;
+      }
+      return time;
+    }
+
+    return null;
+  }
+
+  /**
+   * Compute several upcoming run times (for previews)
+   * @param {Object|null} schedule - Schedule object
+   * @param {number} refreshInterval - Interval in milliseconds (interval mode)
+   * @param {number} count - Number of run times
+   * @param {number} fromTime - Timestamp to compute from
+   * @returns {Array<number>} Upcoming run timestamps
+   */
+  getNextRunTimes(schedule, refreshInterval, count = 5, fromTime = Date.now()) {
+    const times = [];
+    let time = fromTime;
+    while (times.length < count) {
+      time = this.getNextRunTime(schedule, refreshInterval, time);
+      if (time === null) break;
+      times.push(time);
+    }
+    return times;
+  }
+}
+
+// Singleton instance
+const scheduleEvaluator = new ScheduleEvaluator();
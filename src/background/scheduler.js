@@ -0,0 +1,229 @@
+/**
+ * Monitor Scheduler
+ * Schedules monitor refreshes with chrome.alarms so they survive service worker suspension
+ */
+
+const SCHEDULE_ALARM_PREFIX = 'monitor:';
+
+/**
+ * Persistent refresh scheduler
+ * Each monitor's next-run time is kept in chrome.storage.local (`monitoringSchedule`)
+ * and backed by a one-shot alarm, so a suspended service worker is woken up for the
+ * next run and runs missed while the browser was asleep are resumed on startup.
+ * Next-run times come from scheduleEvaluator (interval or cron, active hours, blackouts).
+ */
+class MonitorScheduler {
+  constructor() {
+    this.runHandler = null;          // Called with the monitor key when a run is due
+    this.queue = Promise.resolve();  // Serializes read-modify-write of the schedule
+  }
+
+  /**
+   * Register the handler invoked when a monitor is due
+   * @param {Function} handler - Async function receiving the monitor key
+   */
+  onRun(handler) {
+    this.runHandler = handler;
+  }
+
+  /**
+   * Get alarm name for a monitor
+   * @param {number|string} key - Monitor key
+   * @returns {string} Alarm name
+   */
+  getAlarmName(key) {
+    return `${SCHEDULE_ALARM_PREFIX}${key}`;
+  }
+
+  /**
+   * Run a schedule update exclusively, so concurrent alarms don't overwrite each other
+   * @param {Function} task - Async function receiving the schedules object
+   * @returns {Promise<*>} Task result
+   */
+  withSchedules(task) {
+    const run = this.queue.then(async () => {
+      const result = await chrome.storage.local.get(['monitoringSchedule']);
+      const schedules = result.monitoringSchedule || {};
+      const value = await task(schedules);
+      await chrome.storage.local.set({ monitoringSchedule: schedules });
+      return value;
+    });
+    // Keep the queue alive even if a task fails
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Get all persisted schedule entries
+   * @returns {Promise<Object>} Schedule entries keyed by monitor key
+   */
+  async getSchedules() {
+    const result = await chrome.storage.local.get(['monitoringSchedule']);
+    return result.monitoringSchedule || {};
+  }
+
+  /**
+   * Get the schedule entry for a monitor
+   * @param {number|string} key - Monitor key
+   * @returns {Promise<Object|null>} Schedule entry
+   */
+  async getSchedule(key) {
+    const schedules = await this.getSchedules();
+    return schedules[key] || null;
+  }
+
+  /**
+   * Check if a monitor has a persisted schedule
+   * @param {number|string} key - Monitor key
+   * @returns {Promise<boolean>} True if scheduled
+   */
+  async isScheduled(key) {
+    return (await this.getSchedule(key)) !== null;
+  }
+
+  /**
+   * Get keys of all scheduled monitors
+   * @returns {Promise<Array<string>>} Monitor keys
+   */
+  async getScheduledKeys() {
+    return Object.keys(await this.getSchedules());
+  }
+
+  /**
+   * Set (or clear) the alarm for a schedule entry
+   * @param {number|string} key - Monitor key
+   * @param {Object} entry - Schedule entry
+   */
+  async armAlarm(key, entry) {
+    if (entry.nextRunTime === null) {
+      await chrome.alarms.clear(this.getAlarmName(key));
+      return;
+    }
+    await chrome.alarms.create(this.getAlarmName(key), { when: entry.nextRunTime });
+  }
+
+  /**
+   * Schedule periodic runs for a monitor
+   * @param {number|string} key - Monitor key
+   * @param {number} refreshInterval - Interval between runs in milliseconds (interval mode)
+   * @param {Object|null} schedule - Optional schedule (cron, timezone, active hours, blackouts)
+   */
+  async schedule(key, refreshInterval, schedule = null) {
+    const entry = {
+      refreshInterval,
+      schedule,
+      nextRunTime: scheduleEvaluator.getNextRunTime(schedule, refreshInterval, Date.now()),
+      lastRunTime: null,
+      scheduledAt: Date.now()
+    };
+
+    await this.withSchedules(async (schedules) => {
+      schedules[key] = entry;
+    });
+
+    await this.armAlarm(key, entry);
+  }
+
+  /**
+   * Remove a monitor's schedule and alarm
+   * @param {number|string} key - Monitor key
+   */
+  async unschedule(key) {
+    await this.withSchedules(async (schedules) => {
+      delete schedules[key];
+    });
+    await chrome.alarms.clear(this.getAlarmName(key));
+  }
+
+  /**
+   * Run a monitor if it is due and schedule its next run
+   * @param {number|string} key - Monitor key
+   * @returns {Promise<boolean>} True if the run handler was invoked
+   */
+  async runIfDue(key) {
+    const now = Date.now();
+
+    const entry = await this.withSchedules(async (schedules) => {
+      const current = schedules[key];
+      // Allow a small tolerance so an alarm firing right on time counts as due
+      if (!current || current.nextRunTime === null || current.nextRunTime > now + 1000) {
+        return null;
+      }
+      // A run resumed late may land in a blackout window; skip it but keep the schedule
+      current.lastRunSkipped = !scheduleEvaluator.isAllowed(now, current.schedule);
+      if (!current.lastRunSkipped) {
+        current.lastRunTime = now;
+      }
+      current.nextRunTime = scheduleEvaluator.getNextRunTime(current.schedule, current.refreshInterval, now);
+      return { ...current };
+    });
+
+    if (!entry) {
+      const stillScheduled = await this.isScheduled(key);
+      if (!stillScheduled) {
+        await chrome.alarms.clear(this.getAlarmName(key));
+      }
+      return false;
+    }
+
+    await this.armAlarm(key, entry);
+
+    if (entry.lastRunSkipped) {
+      console.log(`Skipping run for monitor ${key}: outside active hours or inside a blackout window`);
+      return false;
+    }
+
+    if (this.runHandler) {
+      try {
+        await this.runHandler(key);
+      } catch (error) {
+        console.error(`Error running scheduled monitor ${key}:`, error);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Handle a fired alarm
+   * @param {Object} alarm - chrome.alarms.Alarm
+   */
+  async handleAlarm(alarm) {
+    if (!alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+      return;
+    }
+    const key = alarm.name.substring(SCHEDULE_ALARM_PREFIX.length);
+    await this.runIfDue(key);
+  }
+
+  /**
+   * Resume schedules after the service worker wakes up
+   * Runs monitors whose next-run time passed while the worker was inactive
+   * and recreates alarms that were lost (e.g. after a browser restart).
+   * @returns {Promise<Array<string>>} Keys of monitors whose missed run was resumed
+   */
+  async resume() {
+    const schedules = await this.getSchedules();
+    const alarms = await chrome.alarms.getAll();
+    const alarmNames = new Set(alarms.map(alarm => alarm.name));
+    const now = Date.now();
+    const resumed = [];
+
+    for (const [key, entry] of Object.entries(schedules)) {
+      if (entry.nextRunTime === null) {
+        continue;
+      }
+      if (entry.nextRunTime <= now) {
+        if (await this.runIfDue(key)) {
+          resumed.push(key);
+        }
+      } else if (!alarmNames.has(this.getAlarmName(key))) {
+        await this.armAlarm(key, entry);
+      }
+    }
+
+    return resumed;
+  }
+}
+
+// Singleton instance
+const monitorScheduler = new MonitorScheduler();
@@ -0,0 +1,301 @@
+/**
+ * Secrets Vault
+ * Encrypts webhook URLs and authentication secrets with a key derived from a passphrase
+ * (WebCrypto PBKDF2 + AES-GCM) and keeps the key unlocked for the browser session
+ * Used by the background script and the popup/options pages (chrome.storage.session is
+ * available to both, but not to content scripts)
+ */
+
+const VAULT_STORAGE_KEY = 'secretsVault';
+const VAULT_SESSION_KEY = 'secretsVaultKey';
+const VAULT_PBKDF2_ITERATIONS = 600000;
+const VAULT_MIN_PASSPHRASE_LENGTH = 8;
+const VAULT_ENVELOPE_VERSION = 'v1';
+const VAULT_CHECK_VALUE = 'page-monitor-vault';
+const SECRET_FIELDS = ['webhookUrl', 'webhookAuth']; // Secret fields of the global settings, monitor configs and profiles
+
+/**
+ * Encrypted values replace the plain value in storage ("sealed"):
+ *   { sealed: 'v1', iv: '<base64>', data: '<base64>' }
+ * Values encrypted with their own passphrase (profile export) also carry the key derivation:
+ *   { sealed: 'v1', salt: '<base64>', iterations: 600000, iv: '<base64>', data: '<base64>' }
+ * The vault itself is stored as `secretsVault`: { salt, iterations, check }, where `check` is a
+ * sealed known value used to verify the passphrase. The unlocked key lives in
+ * chrome.storage.session (memory only) until the browser closes or the vault is locked.
+ */
+class SecretsVault {
+  /**
+   * Check whether a value is an encrypted envelope
+   * @param {*} value - Stored value
+   * @returns {boolean} True if sealed
+   */
+  isSealed(value) {
+    return Boolean(value && typeof value === 'object' && value.sealed === VAULT_ENVELOPE_VERSION && typeof value.data === 'string');
+  }
+
+  /**
+   * Encode bytes as base64
+   * @param {Uint8Array|ArrayBuffer} bytes - Bytes
+   * @returns {string} Base64
+   */
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+  }
+
+  /**
+   * Decode base64 to bytes
+   * @param {string} text - Base64
+   * @returns {Uint8Array} Bytes
+   */
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Derive an AES-GCM key from a passphrase
+   * @param {string} passphrase - Passphrase
+   * @param {Uint8Array} salt - Random salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<CryptoKey>} AES-GCM key (extractable, so it can be kept in session storage)
+   */
+  async deriveKey(passphrase, salt, iterations = VAULT_PBKDF2_ITERATIONS) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encrypt a JSON-serializable value
+   * @param {CryptoKey} key - AES-GCM key
+   * @param {*} value - Value
+   * @returns {Promise<Object>} Sealed envelope
+   */
+  async encrypt(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { sealed: VAULT_ENVELOPE_VERSION, iv: this.toBase64(iv), data: this.toBase64(data) };
+  }
+
+  /**
+   * Decrypt a sealed envelope
+   * @param {CryptoKey} key - AES-GCM key
+   * @param {Object} envelope - Sealed envelope
+   * @returns {Promise<*>} Original value
+   * @throws {Error} If the key is wrong or the data was tampered with
+   */
+  async decrypt(key, envelope) {
+    try {
+      const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(envelope.iv) }, key, this.fromBase64(envelope.data));
+      return JSON.parse(new TextDecoder().decode(data));
+    } catch (error) {
+      throw new Error('Could not decrypt secret (wrong passphrase or corrupted data)');
+    }
+  }
+
+  /**
+   * Encrypt a value with its own passphrase (self-contained, e.g. for exports)
+   * @param {string} passphrase - Passphrase
+   * @param {*} value - Value
+   * @returns {Promise<Object>} Sealed envelope including salt and iterations
+   */
+  async encryptWithPassphrase(passphrase, value) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, salt);
+    return { ...await this.encrypt(key, value), salt: this.toBase64(salt), iterations: VAULT_PBKDF2_ITERATIONS };
+  }
+
+  /**
+   * Decrypt a value encrypted with encryptWithPassphrase()
+   * @param {string} passphrase - Passphrase
+   * @param {Object} envelope - Sealed envelope including salt and iterations
+   * @returns {Promise<*>} Original value
+   */
+  async decryptWithPassphrase(passphrase, envelope) {
+    const key = await this.deriveKey(passphrase, this.fromBase64(envelope.salt), envelope.iterations);
+    return this.decrypt(key, envelope);
+  }
+
+  /**
+   * Get the vault state
+   * @returns {Promise<Object>} { enabled, unlocked }
+   */
+  async getStatus() {
+    const stored = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+    if (!stored[VAULT_STORAGE_KEY]) {
+      return { enabled: false, unlocked: false };
+    }
+    return { enabled: true, unlocked: Boolean(await this.getKey()) };
+  }
+
+  /**
+   * Check whether secrets are encrypted but not available
+   * @returns {Promise<boolean>} True if the vault is enabled and locked
+   */
+  async isLocked() {
+    const status = await this.getStatus();
+    return status.enabled && !status.unlocked;
+  }
+
+  /**
+   * Create the vault and unlock it (does not encrypt existing secrets)
+   * @param {string} passphrase - New passphrase
+   */
+  async create(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(passphrase, salt);
+    await chrome.storage.local.set({
+      [VAULT_STORAGE_KEY]: {
+        salt: this.toBase64(salt),
+        iterations: VAULT_PBKDF2_ITERATIONS,
+        check: await this.encrypt(key, VAULT_CHECK_VALUE)
+      }
+    });
+    await this.storeSessionKey(key);
+  }
+
+  /**
+   * Unlock the vault for this browser session
+   * @param {string} passphrase - Passphrase
+   * @throws {Error} If the vault is not set up or the passphrase is wrong
+   */
+  async unlock(passphrase) {
+    const stored = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+    const vault = stored[VAULT_STORAGE_KEY];
+    if (!vault) {
+      throw new Error('Secrets vault is not set up');
+    }
+
+    const key = await this.deriveKey(passphrase, this.fromBase64(vault.salt), vault.iterations);
+    let check;
+    try {
+      check = await this.decrypt(key, vault.check);
+    } catch (error) {
+      throw new Error('Wrong passphrase');
+    }
+    if (check !== VAULT_CHECK_VALUE) {
+      throw new Error('Wrong passphrase');
+    }
+
+    await this.storeSessionKey(key);
+  }
+
+  /**
+   * Forget the session key
+   */
+  async lock() {
+    await chrome.storage.session.remove(VAULT_SESSION_KEY);
+  }
+
+  /**
+   * Remove the vault (secrets must have been decrypted first)
+   */
+  async remove() {
+    await chrome.storage.local.remove(VAULT_STORAGE_KEY);
+    await this.lock();
+  }
+
+  /**
+   * Keep the key in memory-only session storage
+   * @param {CryptoKey} key - AES-GCM key
+   */
+  async storeSessionKey(key) {
+    const raw = await crypto.subtle.exportKey('raw', key);
+    await chrome.storage.session.set({ [VAULT_SESSION_KEY]: this.toBase64(raw) });
+  }
+
+  /**
+   * Get the unlocked key
+   * @returns {Promise<CryptoKey|null>} Key, or null if locked
+   */
+  async getKey() {
+    const session = await chrome.storage.session.get(VAULT_SESSION_KEY);
+    if (!session[VAULT_SESSION_KEY]) {
+      return null;
+    }
+    return crypto.subtle.importKey('raw', this.fromBase64(session[VAULT_SESSION_KEY]), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  /**
+   * Get the key for reading or writing secrets
+   * @returns {Promise<CryptoKey|null>} Key, or null if the vault is not enabled
+   * @throws {Error} If the vault is enabled but locked
+   */
+  async requireKey() {
+    const status = await this.getStatus();
+    if (!status.enabled) {
+      return null;
+    }
+    const key = await this.getKey();
+    if (!key) {
+      throw new Error('Secrets vault is locked. Unlock it in the extension settings.');
+    }
+    return key;
+  }
+
+  /**
+   * Encrypt a secret for storage (no-op while the vault is not enabled)
+   * @param {*} value - Plain value (null/undefined and sealed values are returned as-is)
+   * @returns {Promise<*>} Sealed envelope or the plain value
+   */
+  async seal(value) {
+    if (value === null || value === undefined || this.isSealed(value)) {
+      return value;
+    }
+    const key = await this.requireKey();
+    return key ? this.encrypt(key, value) : value;
+  }
+
+  /**
+   * Decrypt a stored secret (plain values are returned as-is)
+   * @param {*} value - Stored value
+   * @returns {Promise<*>} Plain value
+   */
+  async open(value) {
+    if (!this.isSealed(value)) {
+      return value;
+    }
+    const key = await this.requireKey();
+    if (!key) {
+      throw new Error('Secret is encrypted but the secrets vault is not set up');
+    }
+    return this.decrypt(key, value);
+  }
+
+  /**
+   * Seal the secret fields of a config, profile or global settings object
+   * @param {Object} source - Object with webhookUrl/webhookAuth
+   * @returns {Promise<Object>} Copy with sealed secret fields
+   */
+  async sealSecrets(source) {
+    const result = { ...source };
+    for (const field of SECRET_FIELDS) {
+      if (field in result) {
+        result[field] = await this.seal(result[field]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Open the secret fields of a config, profile or global settings object
+   * @param {Object} source - Object with webhookUrl/webhookAuth
+   * @returns {Promise<Object>} Copy with plain secret fields
+   */
+  async openSecrets(source) {
+    const result = { ...source };
+    for (const field of SECRET_FIELDS) {
+      if (field in result) {
+        result[field] = await this.open(result[field]);
+      }
+    }
+    return result;
+  }
+}
+
+// Singleton instance
+const secretsVault = new SecretsVault();
@@ -0,0 +1,253 @@
+/**
+ * Snapshot Store
+ * Versioned history of each monitor's extracted content in IndexedDB, deduplicated by
+ * content hash and pruned by a per-monitor retention (count and age)
+ * The popup form loads it for the retention parsing only
+ */
+
+const SNAPSHOT_DB_NAME = 'pageMonitorHistory';
+const SNAPSHOT_DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots';
+const SNAPSHOT_DEFAULT_MAX_COUNT = 50;
+const SNAPSHOT_DEFAULT_MAX_AGE_DAYS = 30;
+const SNAPSHOT_MAX_COUNT_LIMIT = 1000;
+const SNAPSHOT_MAX_AGE_DAYS_LIMIT = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Snapshots look like:
+ * {
+ *   id: 7,                          // Auto-increment key, gives the version order
+ *   monitorId: 'uuid',
+ *   capturedAt: '2025-01-20T10:00:00.000Z',
+ *   hash: 'sha-256 of the normalized content',
+ *   url: 'https://example.com/page',
+ *   selector: '#content',
+ *   contentType: 'html',
+ *   content: '...',                 // As extracted (fields and list items as JSON)
+ *   fields: { price: '19.99' },     // Named fields monitors only
+ *   items: [{ key, fields }],       // List mode only
+ *   size: 1234                      // Content length
+ * }
+ * Retention is stored in the monitor config as `history: { maxCount: 50, maxAgeDays: 30 }`;
+ * missing values use the defaults and `maxCount: 0` turns history off. The newest version
+ * is never pruned by age, so a page that stopped changing keeps its current version.
+ */
+class SnapshotStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create on first use) the history database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(SNAPSHOT_DB_NAME, SNAPSHOT_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+            const store = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('monitorId', 'monitorId', { unique: false });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run work in a transaction on the snapshot store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the object store; may return an IDBRequest
+   * @returns {Promise<*>} Request result (or callback return value) once the transaction completes
+   */
+  async transaction(mode, callback) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([SNAPSHOT_STORE], mode);
+      const value = callback(tx.objectStore(SNAPSHOT_STORE));
+      tx.oncomplete = () => resolve(value instanceof IDBRequest ? value.result : value);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Get a monitor's retention with the defaults filled in
+   * @param {Object|null} config - Monitoring configuration
+   * @returns {Object} { maxCount, maxAgeDays }
+   */
+  getRetention(config) {
+    return {
+      maxCount: config?.history?.maxCount ?? SNAPSHOT_DEFAULT_MAX_COUNT,
+      maxAgeDays: config?.history?.maxAgeDays ?? SNAPSHOT_DEFAULT_MAX_AGE_DAYS
+    };
+  }
+
+  /**
+   * Pick the snapshots a retention no longer keeps
+   * @param {Array<Object>} snapshots - A monitor's snapshots
+   * @param {Object} retention - { maxCount, maxAgeDays }
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<number>} IDs to delete
+   */
+  selectExpired(snapshots, retention, now) {
+    const newestFirst = [...snapshots].sort((a, b) => b.id - a.id);
+    const cutoff = now - retention.maxAgeDays * DAY_MS;
+    return newestFirst
+      .filter((snapshot, index) => index >= retention.maxCount ||
+        (index > 0 && new Date(snapshot.capturedAt).getTime() < cutoff))
+      .map(snapshot => snapshot.id);
+  }
+
+  /**
+   * Get all snapshots of a monitor, oldest first
+   * @param {string} monitorId - Monitor ID
+   * @returns {Promise<Array<Object>>} Snapshots with their content
+   */
+  async getAll(monitorId) {
+    return this.transaction('readonly', store => store.index('monitorId').getAll(IDBKeyRange.only(monitorId)));
+  }
+
+  /**
+   * List a monitor's versions without their content, newest first
+   * @param {string} monitorId - Monitor ID
+   * @returns {Promise<Array<Object>>} { id, capturedAt, hash, url, size }
+   */
+  async list(monitorId) {
+    const snapshots = await this.getAll(monitorId);
+    return snapshots
+      .sort((a, b) => b.id - a.id)
+      .map(({ id, capturedAt, hash, url, size }) => ({ id, capturedAt, hash, url, size }));
+  }
+
+  /**
+   * Get one snapshot with its content
+   * @param {number} id - Snapshot ID
+   * @returns {Promise<Object|null>} Snapshot
+   */
+  async get(id) {
+    const snapshot = await this.transaction('readonly', store => store.get(id));
+    return snapshot || null;
+  }
+
+  /**
+   * Store a new version unless it matches the monitor's latest one, then apply the retention
+   * @param {Object} snapshot - { monitorId, hash, url, selector, contentType, content, fields, items }
+   * @param {Object} retention - { maxCount, maxAgeDays }
+   * @returns {Promise<number|null>} New snapshot ID, or null if the content was already the latest version
+   */
+  async add(snapshot, retention) {
+    const snapshots = await this.getAll(snapshot.monitorId);
+    const latest = snapshots.reduce((newest, item) => (!newest || item.id > newest.id ? item : newest), null);
+
+    let id = null;
+    if (!latest || latest.hash !== snapshot.hash) {
+      const record = {
+        monitorId: snapshot.monitorId,
+        capturedAt: new Date().toISOString(),
+        hash: snapshot.hash,
+        url: snapshot.url,
+        selector: snapshot.selector || '',
+        contentType: snapshot.contentType || 'html',
+        content: snapshot.content,
+        size: snapshot.content.length
+      };
+      if (snapshot.fields) {
+        record.fields = snapshot.fields;
+      }
+      if (snapshot.items) {
+        record.items = snapshot.items;
+      }
+      id = await this.transaction('readwrite', store => store.add(record));
+      snapshots.push({ ...record, id });
+    }
+
+    await this.remove(this.selectExpired(snapshots, retention, Date.now()));
+    return id;
+  }
+
+  /**
+   * Delete snapshots
+   * @param {Array<number>} ids - Snapshot IDs
+   */
+  async remove(ids) {
+    if (ids.length === 0) {
+      return;
+    }
+    await this.transaction('readwrite', (store) => {
+      for (const id of ids) {
+        store.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Delete a monitor's whole history
+   * @param {string} monitorId - Monitor ID
+   */
+  async removeMonitor(monitorId) {
+    const snapshots = await this.getAll(monitorId);
+    await this.remove(snapshots.map(snapshot => snapshot.id));
+  }
+
+  /**
+   * Parse the retention from the form inputs
+   * @param {Object} inputs - { maxCount, maxAgeDays } as entered (empty means the default)
+   * @returns {Object} { history, error } - history is null when only the defaults apply
+   */
+  parseRetention(inputs) {
+    const history = {};
+    for (const name of ['maxCount', 'maxAgeDays']) {
+      const text = String(inputs[name] ?? '').trim();
+      if (text === '') {
+        continue;
+      }
+      history[name] = Number(text);
+    }
+    if (Object.keys(history).length === 0) {
+      return { history: null, error: null };
+    }
+
+    const validation = this.validateRetention(history);
+    return validation.isValid ? { history, error: null } : { history: null, error: validation.message };
+  }
+
+  /**
+   * Validate a retention
+   * @param {Object} history - { maxCount, maxAgeDays }
+   * @returns {Object} { isValid, message }
+   */
+  validateRetention(history) {
+    if (!history || typeof history !== 'object' || Array.isArray(history)) {
+      return { isValid: false, message: 'History retention must be an object' };
+    }
+
+    const limits = { maxCount: SNAPSHOT_MAX_COUNT_LIMIT, maxAgeDays: SNAPSHOT_MAX_AGE_DAYS_LIMIT };
+    for (const key of Object.keys(history)) {
+      if (!(key in limits)) {
+        return { isValid: false, message: `Unknown history option "${key}"` };
+      }
+      if (!Number.isInteger(history[key]) || history[key] < 0 || history[key] > limits[key]) {
+        return {
+          isValid: false,
+          message: key === 'maxCount'
+            ? `Versions to keep must be a whole number from 0 to ${limits.maxCount}`
+            : `Days to keep must be a whole number from 0 to ${limits.maxAgeDays}`
+        };
+      }
+    }
+    return { isValid: true, message: null };
+  }
+}
+
+// Singleton instance
+const snapshotStore = new SnapshotStore();
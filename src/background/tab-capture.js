@@ -0,0 +1,93 @@
+/**
+ * Tab Capture
+ * Screenshots of a monitored element, cropped from captureVisibleTab()
+ * captureVisibleTab() only sees the active tab of a visible window, so background check tabs
+ * (pinned and inactive, or in a minimized window) are brought to the front for the capture.
+ */
+
+const CAPTURE_SETTLE_DELAY = 300; // Time for a tab brought to the front to paint before it is captured
+
+/**
+ * Element screenshot capture
+ */
+class TabCapture {
+  /**
+   * Bring a tab to the front of its window (and restore a minimized window) for a capture
+   * @param {number} tabId - Tab ID
+   * @returns {Promise<Function>} Async function putting the window's previous tab and state back
+   */
+  async bringToFront(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    const tabWindow = await chrome.windows.get(tab.windowId);
+    const minimized = tabWindow.state === 'minimized';
+    const previousTab = tab.active ? null : (await chrome.tabs.query({ windowId: tab.windowId, active: true }))[0];
+
+    if (minimized) {
+      await chrome.windows.update(tab.windowId, { state: 'normal', focused: false });
+    }
+    if (!tab.active) {
+      await chrome.tabs.update(tabId, { active: true });
+    }
+    if (minimized || !tab.active) {
+      await new Promise(resolve => setTimeout(resolve, CAPTURE_SETTLE_DELAY));
+    }
+
+    return async () => {
+      try {
+        if (previousTab) {
+          await chrome.tabs.update(previousTab.id, { active: true });
+        }
+        if (minimized) {
+          await chrome.windows.update(tab.windowId, { state: 'minimized' });
+        }
+      } catch (error) {
+        // Tab or window already closed by the user
+      }
+    };
+  }
+
+  /**
+   * Capture the visible part of a tab and crop it to an element
+   * @param {number} tabId - Tab ID (the active tab of its window, see bringToFront())
+   * @param {Object} rect - { x, y, width, height, scale } from the content script (CSS pixels)
+   * @returns {Promise<Object>} { data, width, height, hash, thumbnail } - data is the PNG as base64
+   */
+  async captureElement(tabId, rect) {
+    const tab = await chrome.tabs.get(tabId);
+    if (!tab.active) {
+      throw new Error('The tab is not the active tab of its window');
+    }
+
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const image = await createImageBitmap(await (await fetch(dataUrl)).blob());
+    try {
+      // The capture is in device pixels
+      const scale = rect.scale || 1;
+      const x = Math.min(Math.max(0, Math.round(rect.x * scale)), image.width - 1);
+      const y = Math.min(Math.max(0, Math.round(rect.y * scale)), image.height - 1);
+      const width = Math.max(1, Math.min(Math.round(rect.width * scale), image.width - x));
+      const height = Math.max(1, Math.min(Math.round(rect.height * scale), image.height - y));
+
+      const canvas = new OffscreenCanvas(width, height);
+      canvas.getContext('2d').drawImage(image, x, y, width, height, 0, 0, width, height);
+      const png = await canvas.convertToBlob({ type: 'image/png' });
+
+      const thumbnail = new OffscreenCanvas(VISUAL_THUMBNAIL_SIZE, VISUAL_THUMBNAIL_SIZE);
+      const context = thumbnail.getContext('2d');
+      context.drawImage(canvas, 0, 0, VISUAL_THUMBNAIL_SIZE, VISUAL_THUMBNAIL_SIZE);
+      const pixels = context.getImageData(0, 0, VISUAL_THUMBNAIL_SIZE, VISUAL_THUMBNAIL_SIZE).data;
+
+      return {
+        data: visualDiffer.toBase64(new Uint8Array(await png.arrayBuffer())),
+        width,
+        height,
+        ...visualDiffer.getSignature(pixels, VISUAL_THUMBNAIL_SIZE, VISUAL_THUMBNAIL_SIZE)
+      };
+    } finally {
+      image.close();
+    }
+  }
+}
+
+// Singleton instance
+const tabCapture = new TabCapture();
@@ -0,0 +1,248 @@
+/**
+ * Visual Differ
+ * Perceptual hashes and pixel differences of element screenshots, plus the screenshot settings
+ * Shared by the background script and the popup form, so it must not use chrome APIs
+ */
+
+const SCREENSHOT_DELIVERIES = ['base64', 'multipart'];
+const SCREENSHOT_TRIGGERS = ['content', 'visual'];
+const SCREENSHOT_OPTIONS = ['delivery', 'trigger', 'threshold'];
+const SCREENSHOT_DEFAULT_THRESHOLD = 5; // Percent of changed pixels
+const VISUAL_THUMBNAIL_SIZE = 32; // Grayscale thumbnail kept to compare pixels with the next screenshot
+const VISUAL_PIXEL_TOLERANCE = 24; // Grayscale levels a pixel may shift (antialiasing, compression) before it counts as changed
+
+/**
+ * Screenshots are stored in the monitor config as:
+ * {
+ *   delivery: 'base64',   // 'base64' (in the JSON payload) or 'multipart' (payload and image as form parts)
+ *   trigger: 'content',   // 'content': attach to content changes; 'visual': the pixel difference decides
+ *   threshold: 5          // Visual trigger only: percent of changed pixels that counts as a change
+ * }
+ * A visual signature ({ hash, thumbnail }) is kept on the monitor record as `lastScreenshot`:
+ * `hash` is a 64-bit difference hash (16 hex digits) and `thumbnail` a 32x32 grayscale image
+ * (base64), which is what the pixel difference is measured on.
+ */
+class VisualDiffer {
+  /**
+   * Merge a monitor's screenshot settings with the defaults
+   * @param {Object|null} screenshot - Screenshot settings from the monitor config
+   * @returns {Object|null} { delivery, trigger, threshold }, or null without screenshots
+   */
+  resolve(screenshot) {
+    if (!screenshot) {
+      return null;
+    }
+    return {
+      delivery: screenshot.delivery || 'base64',
+      trigger: screenshot.trigger || 'content',
+      threshold: screenshot.threshold ?? SCREENSHOT_DEFAULT_THRESHOLD
+    };
+  }
+
+  /**
+   * Convert RGBA pixels to grayscale (luma)
+   * @param {Uint8ClampedArray|Array<number>} rgba - Pixels, 4 values each
+   * @returns {Uint8Array} One value per pixel
+   */
+  toGrayscale(rgba) {
+    const gray = new Uint8Array(rgba.length / 4);
+    for (let i = 0; i < gray.length; i++) {
+      gray[i] = Math.round(0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2]);
+    }
+    return gray;
+  }
+
+  /**
+   * Resize a grayscale image by averaging the source pixels under each target pixel
+   * @param {Uint8Array} gray - Pixels
+   * @param {number} width - Source width
+   * @param {number} height - Source height
+   * @param {number} targetWidth - Target width
+   * @param {number} targetHeight - Target height
+   * @returns {Uint8Array} Resized pixels
+   */
+  resize(gray, width, height, targetWidth, targetHeight) {
+    const result = new Uint8Array(targetWidth * targetHeight);
+    for (let ty = 0; ty < targetHeight; ty++) {
+      const y0 = Math.floor(ty * height / targetHeight);
+      const y1 = Math.max(y0 + 1, Math.floor((ty + 1) * height / targetHeight));
+      for (let tx = 0; tx < targetWidth; tx++) {
+        const x0 = Math.floor(tx * width / targetWidth);
+        const x1 = Math.max(x0 + 1, Math.floor((tx + 1) * width / targetWidth));
+        let sum = 0;
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            sum += gray[y * width + x];
+          }
+        }
+        result[ty * targetWidth + tx] = Math.round(sum / ((y1 - y0) * (x1 - x0)));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Perceptual (difference) hash: on a 9x8 version of the image, one bit per pixel that is
+   * brighter than its right neighbour. Small rendering differences keep the hash; layout and
+   * content changes flip bits.
+   * @param {Uint8Array} gray - Pixels
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @returns {string} 16 hex digits
+   */
+  perceptualHash(gray, width, height) {
+    const small = this.resize(gray, width, height, 9, 8);
+    let hash = '';
+    for (let row = 0; row < 8; row++) {
+      let nibble = 0;
+      for (let col = 0; col < 8; col++) {
+        nibble = (nibble << 1) | (small[row * 9 + col] > small[row * 9 + col + 1] ? 1 : 0);
+        if (col % 4 === 3) {
+          hash += nibble.toString(16);
+          nibble = 0;
+        }
+      }
+    }
+    return hash;
+  }
+
+  /**
+   * Count the bits that differ between two hashes
+   * @param {string} a - Hex hash
+   * @param {string} b - Hex hash
+   * @returns {number} Distance (0 to 64)
+   */
+  hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+      let bits = parseInt(a[i] || '0', 16) ^ parseInt(b[i] || '0', 16);
+      while (bits) {
+        distance += bits & 1;
+        bits >>= 1;
+      }
+    }
+    return distance;
+  }
+
+  /**
+   * Share of pixels that changed between two grayscale images of the same size
+   * @param {Uint8Array} previous - Pixels
+   * @param {Uint8Array} current - Pixels
+   * @returns {number} Percent (0 to 100, one decimal)
+   */
+  pixelDifference(previous, current) {
+    if (previous.length !== current.length || current.length === 0) {
+      return 100;
+    }
+    let changed = 0;
+    for (let i = 0; i < current.length; i++) {
+      if (Math.abs(previous[i] - current[i]) > VISUAL_PIXEL_TOLERANCE) {
+        changed++;
+      }
+    }
+    return Math.round(changed / current.length * 1000) / 10;
+  }
+
+  /**
+   * Build the visual signature of a screenshot
+   * @param {Uint8ClampedArray} rgba - Pixels of the (cropped) screenshot
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @returns {Object} { hash, thumbnail }
+   */
+  getSignature(rgba, width, height) {
+    const gray = this.toGrayscale(rgba);
+    return {
+      hash: this.perceptualHash(gray, width, height),
+      thumbnail: this.toBase64(this.resize(gray, width, height, VISUAL_THUMBNAIL_SIZE, VISUAL_THUMBNAIL_SIZE))
+    };
+  }
+
+  /**
+   * Compare a screenshot with the previous one
+   * @param {Object} previous - Previous signature { hash, thumbnail }
+   * @param {Object} current - Current signature { hash, thumbnail }
+   * @returns {Object} { hash, previousHash, distance, changedPixels }
+   */
+  compare(previous, current) {
+    return {
+      hash: current.hash,
+      previousHash: previous.hash,
+      distance: this.hammingDistance(previous.hash, current.hash),
+      changedPixels: this.pixelDifference(this.fromBase64(previous.thumbnail), this.fromBase64(current.thumbnail))
+    };
+  }
+
+  /**
+   * Base64 of binary data
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string} Base64
+   */
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Bytes of base64 data
+   * @param {string} text - Base64
+   * @returns {Uint8Array} Bytes
+   */
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Parse screenshot settings from the form inputs
+   * @param {Object} inputs - { enabled, delivery, trigger, threshold } as entered (empty threshold means the default)
+   * @returns {Object} { screenshot, error } - screenshot is null when screenshots are off
+   */
+  parse(inputs) {
+    if (!inputs.enabled) {
+      return { screenshot: null, error: null };
+    }
+
+    const screenshot = { delivery: inputs.delivery || 'base64', trigger: inputs.trigger || 'content' };
+    const threshold = String(inputs.threshold ?? '').trim();
+    if (screenshot.trigger === 'visual' && threshold !== '') {
+      screenshot.threshold = Number(threshold);
+    }
+
+    const validation = this.validate(screenshot);
+    return validation.isValid ? { screenshot, error: null } : { screenshot: null, error: validation.message };
+  }
+
+  /**
+   * Validate screenshot settings
+   * @param {Object} screenshot - Screenshot settings
+   * @returns {Object} { isValid, message }
+   */
+  validate(screenshot) {
+    if (!screenshot || typeof screenshot !== 'object' || Array.isArray(screenshot)) {
+      return { isValid: false, message: 'Screenshot settings must be an object' };
+    }
+
+    const unknown = Object.keys(screenshot).find(key => !SCREENSHOT_OPTIONS.includes(key));
+    if (unknown) {
+      return { isValid: false, message: `Unknown screenshot option "${unknown}"` };
+    }
+    if (screenshot.delivery !== undefined && !SCREENSHOT_DELIVERIES.includes(screenshot.delivery)) {
+      return { isValid: false, message: `Delivery must be one of: ${SCREENSHOT_DELIVERIES.join(', ')}` };
+    }
+    if (screenshot.trigger !== undefined && !SCREENSHOT_TRIGGERS.includes(screenshot.trigger)) {
+      return { isValid: false, message: `Trigger must be one of: ${SCREENSHOT_TRIGGERS.join(', ')}` };
+    }
+    if (screenshot.threshold !== undefined &&
+        (typeof screenshot.threshold !== 'number' || !(screenshot.threshold > 0) || screenshot.threshold > 100)) {
+      return { isValid: false, message: 'Pixel threshold must be a percentage above 0 and up to 100' };
+    }
+
+    return { isValid: true, message: null };
+  }
+}
+
+// Singleton instance
+const visualDiffer = new VisualDiffer();
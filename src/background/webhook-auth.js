@@ -0,0 +1,230 @@
+/**
+ * Webhook Auth
+ * Validates webhook authentication settings and builds the request headers
+ * (static headers, HTTP Basic, Bearer token or HMAC-SHA256 signature)
+ * Shared by the background script and the options/popup/monitor forms, so it must not use chrome APIs
+ */
+
+const WEBHOOK_AUTH_TYPES = ['none', 'headers', 'basic', 'bearer', 'hmac'];
+const HMAC_DEFAULT_HEADER = 'X-Signature';
+const HMAC_TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Webhook authentication settings
+ * Stored globally as `webhookAuth` (for the global webhook URL) and per monitor as
+ * `config.webhookAuth` (for its own `webhookUrl`):
+ *   { type: 'headers', headers: { 'X-Api-Key': '...' } }
+ *   { type: 'basic', username: 'n8n', password: '...' }
+ *   { type: 'bearer', token: '...' }
+ *   { type: 'hmac', secret: '...', header: 'X-Signature' }
+ * HMAC requests carry `X-Signature: sha256=<hex>` over `<timestamp>.<body>` and the
+ * Unix timestamp in `X-Signature-Timestamp`, so receivers can reject replays.
+ */
+class WebhookAuth {
+  /**
+   * Parse static headers from the form text
+   * @param {string} text - One `Name: value` header per line
+   * @returns {Object} { headers, error }
+   */
+  parseHeaders(text) {
+    const headers = {};
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+    for (const line of lines) {
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        return { headers: null, error: `Missing ":" in header "${line.split(' ')[0]}"` };
+      }
+      const name = line.substring(0, separator).trim();
+      if (!HEADER_NAME_PATTERN.test(name)) {
+        return { headers: null, error: `Invalid header name "${name}"` };
+      }
+      headers[name] = line.substring(separator + 1).trim();
+    }
+
+    return { headers, error: null };
+  }
+
+  /**
+   * Format static headers as form text
+   * @param {Object|null} headers - Header values keyed by name
+   * @returns {string} One header per line
+   */
+  formatHeaders(headers) {
+    return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+  }
+
+  /**
+   * Build auth settings from form values
+   * @param {Object} inputs - { type, headersText, username, password, token, secret, header }
+   * @returns {Object} { auth, error } - auth is null for type 'none'
+   */
+  fromInputs(inputs) {
+    let auth;
+    switch (inputs.type) {
+      case 'headers': {
+        const { headers, error } = this.parseHeaders(inputs.headersText);
+        if (error) {
+          return { auth: null, error };
+        }
+        auth = { type: 'headers', headers };
+        break;
+      }
+      case 'basic':
+        auth = { type: 'basic', username: (inputs.username || '').trim(), password: inputs.password || '' };
+        break;
+      case 'bearer':
+        auth = { type: 'bearer', token: (inputs.token || '').trim() };
+        break;
+      case 'hmac':
+        auth = { type: 'hmac', secret: inputs.secret || '', header: (inputs.header || '').trim() || HMAC_DEFAULT_HEADER };
+        break;
+      default:
+        return { auth: null, error: null };
+    }
+
+    const validation = this.validate(auth);
+    return validation.isValid ? { auth, error: null } : { auth: null, error: validation.message };
+  }
+
+  /**
+   * Get form values for auth settings
+   * @param {Object|null} auth - Auth settings
+   * @returns {Object} { type, headersText, username, password, token, secret, header }
+   */
+  toInputs(auth) {
+    return {
+      type: auth?.type || 'none',
+      headersText: this.formatHeaders(auth?.headers),
+      username: auth?.username || '',
+      password: auth?.password || '',
+      token: auth?.token || '',
+      secret: auth?.secret || '',
+      header: auth?.header || ''
+    };
+  }
+
+  /**
+   * Validate auth settings
+   * @param {Object|null} auth - Auth settings
+   * @returns {Object} { isValid, message }
+   */
+  validate(auth) {
+    if (!auth || auth.type === 'none') {
+      return { isValid: true, message: null };
+    }
+    if (!WEBHOOK_AUTH_TYPES.includes(auth.type)) {
+      return { isValid: false, message: `Unknown auth type "${auth.type}"` };
+    }
+
+    switch (auth.type) {
+      case 'headers':
+        if (!auth.headers || Object.keys(auth.headers).length === 0) {
+          return { isValid: false, message: 'Enter at least one header' };
+        }
+        for (const name of Object.keys(auth.headers)) {
+          if (!HEADER_NAME_PATTERN.test(name)) {
+            return { isValid: false, message: `Invalid header name "${name}"` };
+          }
+        }
+        break;
+      case 'basic':
+        if (!auth.username) {
+          return { isValid: false, message: 'Basic auth needs a username' };
+        }
+        break;
+      case 'bearer':
+        if (!auth.token) {
+          return { isValid: false, message: 'Bearer auth needs a token' };
+        }
+        break;
+      case 'hmac':
+        if (!auth.secret) {
+          return { isValid: false, message: 'HMAC signing needs a secret' };
+        }
+        if (auth.header && !HEADER_NAME_PATTERN.test(auth.header)) {
+          return { isValid: false, message: `Invalid header name "${auth.header}"` };
+        }
+        break;
+    }
+
+    return { isValid: true, message: null };
+  }
+
+  /**
+   * Build the request headers for a webhook call
+   * @param {Object|null} auth - Auth settings
+   * @param {string} body - Exact request body (signed for HMAC)
+   * @param {number} now - Current time in milliseconds, injectable for tests
+   * @returns {Promise<Object>} Headers including Content-Type
+   */
+  async buildHeaders(auth, body, now = Date.now()) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    switch (auth?.type) {
+      case 'headers':
+        Object.assign(headers, auth.headers);
+        break;
+      case 'basic':
+        headers.Authorization = 'Basic ' + this.toBase64(`${auth.username}:${auth.password || ''}`);
+        break;
+      case 'bearer':
+        headers.Authorization = `Bearer ${auth.token}`;
+        break;
+      case 'hmac': {
+        const timestamp = String(Math.floor(now / 1000));
+        headers[auth.header || HMAC_DEFAULT_HEADER] = 'sha256=' + await this.sign(auth.secret, `${timestamp}.${body}`);
+        headers[HMAC_TIMESTAMP_HEADER] = timestamp;
+        break;
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * HMAC-SHA256 of a message
+   * @param {string} secret - Signing secret
+   * @param {string} message - Message to sign
+   * @returns {Promise<string>} Hex digest
+   */
+  async sign(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+    return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Base64 of a UTF-8 string (btoa alone rejects non-Latin-1 characters)
+   * @param {string} text - Text to encode
+   * @returns {string} Base64
+   */
+  toBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    return btoa(String.fromCharCode(...bytes));
+  }
+
+  /**
+   * Describe auth settings without secrets, for logs
+   * @param {Object|null} auth - Auth settings
+   * @returns {string} e.g. 'none', 'basic', 'headers (X-Api-Key)', 'hmac (X-Signature)'
+   */
+  describe(auth) {
+    switch (auth?.type) {
+      case 'headers':
+        return `headers (${Object.keys(auth.headers || {}).join(', ')})`;
+      case 'hmac':
+        return `hmac (${auth.header || HMAC_DEFAULT_HEADER})`;
+      case 'basic':
+      case 'bearer':
+        return auth.type;
+      default:
+        return 'none';
+    }
+  }
+}
+
+// Singleton instance
+const webhookAuth = new WebhookAuth();
@@ -0,0 +1,253 @@
+/**
+ * Webhook Outbox
+ * Durable queue of webhook deliveries in IndexedDB, retried with exponential backoff
+ * and moved to a dead-letter list after too many failed attempts
+ */
+
+const OUTBOX_DB_NAME = 'pageMonitorOutbox';
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const DEAD_LETTER_STORE = 'deadLetters';
+const OUTBOX_ALARM_NAME = 'webhookOutbox';
+const OUTBOX_MAX_ATTEMPTS = 8; // Attempts before an entry is dead-lettered
+const OUTBOX_BASE_DELAY = 30000; // First retry after ~30s (chrome.alarms minimum)
+const OUTBOX_MAX_DELAY = 60 * 60 * 1000; // Backoff is capped at one hour
+
+/**
+ * Outbox entries look like:
+ * {
+ *   id: 12,                      // Auto-increment key, gives the delivery order
+ *   monitorId: 'uuid',
+ *   url: 'https://example.com/page',
+ *   webhookSource: 'monitor',    // 'monitor', 'global' or 'destination'; the URL and auth are read at delivery time
+ *   destinationId: null,         // Named destination for webhookSource 'destination'
+ *   payload: { type: 'page_monitor', ... },
+ *   attempts: 0,
+ *   nextAttemptAt: 1737367200000,
+ *   createdAt: '2025-01-20T10:00:00.000Z',
+ *   lastError: null
+ * }
+ * Dead letters keep the same fields plus `deadLetteredAt`.
+ */
+class WebhookOutbox {
+  constructor() {
+    this.dbPromise = null;
+    this.queue = Promise.resolve(); // Serializes processing runs
+  }
+
+  /**
+   * Open (and create on first use) the outbox database
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+            db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+          }
+          if (!db.objectStoreNames.contains(DEAD_LETTER_STORE)) {
+            db.createObjectStore(DEAD_LETTER_STORE, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Run work in a transaction
+   * @param {Array<string>} storeNames - Object stores to use
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the stores by name; may return an IDBRequest
+   * @returns {Promise<*>} Request result (or callback return value) once the transaction completes
+   */
+  async transaction(storeNames, mode, callback) {
+    const db = await this.openDatabase();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const stores = {};
+      for (const name of storeNames) {
+        stores[name] = tx.objectStore(name);
+      }
+
+      const value = callback(stores);
+      tx.oncomplete = () => resolve(value instanceof IDBRequest ? value.result : value);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Delay before the next attempt
+   * Exponential with "equal jitter" (half fixed, half random) so retries of many
+   * monitors do not hit the webhook at the same moment.
+   * @param {number} attempts - Failed attempts so far (1 after the first failure)
+   * @param {Function} random - Random source, injectable for tests
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts, random = Math.random) {
+    const delay = Math.min(OUTBOX_MAX_DELAY, OUTBOX_BASE_DELAY * 2 ** Math.max(0, attempts - 1));
+    return Math.round(delay / 2 + random() * (delay / 2));
+  }
+
+  /**
+   * Pick the entries that may be delivered now
+   * Only the oldest entry of each monitor and destination is eligible, so deliveries stay in
+   * order per destination and a failing destination does not hold back the others.
+   * @param {Array<Object>} entries - Outbox entries sorted by id
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} Due entries, at most one per monitor and destination
+   */
+  selectDue(entries, now) {
+    const heads = new Map();
+    for (const entry of entries) {
+      const group = entry.monitorId ? `${entry.monitorId}:${entry.destinationId || 'default'}` : `entry:${entry.id}`;
+      if (!heads.has(group)) {
+        heads.set(group, entry);
+      }
+    }
+    return [...heads.values()].filter(entry => entry.nextAttemptAt <= now);
+  }
+
+  /**
+   * Add a delivery to the outbox
+   * @param {Object} delivery - { monitorId, url, webhookSource, destinationId?, payload }
+   * @returns {Promise<number>} Entry ID
+   */
+  async enqueue(delivery) {
+    const entry = {
+      monitorId: delivery.monitorId || null,
+      url: delivery.url,
+      webhookSource: delivery.webhookSource,
+      destinationId: delivery.destinationId || null,
+      payload: delivery.payload,
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      createdAt: new Date().toISOString(),
+      lastError: null
+    };
+    return this.transaction([OUTBOX_STORE], 'readwrite', stores => stores[OUTBOX_STORE].add(entry));
+  }
+
+  /**
+   * Get all pending entries, oldest first
+   * @returns {Promise<Array<Object>>} Outbox entries
+   */
+  async getPending() {
+    return this.transaction([OUTBOX_STORE], 'readonly', stores => stores[OUTBOX_STORE].getAll());
+  }
+
+  /**
+   * Get all dead-lettered entries, oldest first
+   * @returns {Promise<Array<Object>>} Dead letters
+   */
+  async getDeadLetters() {
+    return this.transaction([DEAD_LETTER_STORE], 'readonly', stores => stores[DEAD_LETTER_STORE].getAll());
+  }
+
+  /**
+   * Deliver every due entry
+   * Runs are serialized; a run keeps going while entries become due (the next entry of a
+   * monitor is due as soon as the previous one was delivered).
+   * @param {Function} deliver - async (entry) => { success, message }
+   * @returns {Promise<Object>} { delivered, retried, deadLettered, pending, nextAttemptAt }
+   */
+  process(deliver) {
+    const run = this.queue.then(() => this.runProcess(deliver));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Deliver due entries (use process(), which serializes runs)
+   * @param {Function} deliver - async (entry) => { success, message, permanent } (permanent
+   *   failures, e.g. a deleted destination, are dead-lettered without further retries)
+   * @returns {Promise<Object>} { delivered, retried, deadLettered, pending, nextAttemptAt }
+   */
+  async runProcess(deliver) {
+    const result = { delivered: 0, retried: 0, deadLettered: [], pending: 0, nextAttemptAt: null };
+
+    let due = this.selectDue(await this.getPending(), Date.now());
+    while (due.length > 0) {
+      for (const entry of due) {
+        const outcome = await deliver(entry);
+        if (outcome.success) {
+          await this.transaction([OUTBOX_STORE], 'readwrite', stores => stores[OUTBOX_STORE].delete(entry.id));
+          result.delivered++;
+          continue;
+        }
+
+        const failed = { ...entry, attempts: entry.attempts + 1, lastError: outcome.message || 'Unknown error' };
+        if (failed.attempts >= OUTBOX_MAX_ATTEMPTS || outcome.permanent) {
+          await this.moveToDeadLetters(failed);
+          result.deadLettered.push(failed);
+        } else {
+          failed.nextAttemptAt = Date.now() + this.getBackoffDelay(failed.attempts);
+          await this.transaction([OUTBOX_STORE], 'readwrite', stores => stores[OUTBOX_STORE].put(failed));
+          result.retried++;
+        }
+      }
+      due = this.selectDue(await this.getPending(), Date.now());
+    }
+
+    const remaining = await this.getPending();
+    result.pending = remaining.length;
+    result.nextAttemptAt = remaining.length > 0 ? Math.min(...remaining.map(entry => entry.nextAttemptAt)) : null;
+    return result;
+  }
+
+  /**
+   * Move a failed entry from the outbox to the dead-letter list
+   * @param {Object} entry - Outbox entry with its final attempt count and error
+   */
+  async moveToDeadLetters(entry) {
+    await this.transaction([OUTBOX_STORE, DEAD_LETTER_STORE], 'readwrite', stores => {
+      stores[OUTBOX_STORE].delete(entry.id);
+      stores[DEAD_LETTER_STORE].put({ ...entry, deadLetteredAt: new Date().toISOString() });
+    });
+  }
+
+  /**
+   * Put dead letters back into the outbox with a fresh attempt count
+   * Replayed entries go to the end of their monitor's queue.
+   * @param {Array<number>} ids - Dead letter IDs
+   * @returns {Promise<number>} Number of replayed entries
+   */
+  async replay(ids) {
+    const deadLetters = await this.getDeadLetters();
+    const selected = deadLetters.filter(entry => ids.includes(entry.id));
+
+    await this.transaction([OUTBOX_STORE, DEAD_LETTER_STORE], 'readwrite', stores => {
+      for (const { id, deadLetteredAt, ...entry } of selected) {
+        stores[DEAD_LETTER_STORE].delete(id);
+        stores[OUTBOX_STORE].add({ ...entry, attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+      }
+    });
+    return selected.length;
+  }
+
+  /**
+   * Delete dead letters
+   * @param {Array<number>} ids - Dead letter IDs
+   * @returns {Promise<number>} Number of IDs processed
+   */
+  async discard(ids) {
+    await this.transaction([DEAD_LETTER_STORE], 'readwrite', stores => {
+      for (const id of ids) {
+        stores[DEAD_LETTER_STORE].delete(id);
+      }
+    });
+    return ids.length;
+  }
+}
+
+// Singleton instance
+const webhookOutbox = new WebhookOutbox();
@@ -5,15 +5,220 @@
 
 console.log('Page Monitor: Content script loaded on:', window.location.href);
 
+// Time the page last finished loading a resource, for network idle readiness checks
+let lastNetworkActivity = performance.now();
+if (typeof PerformanceObserver !== 'undefined') {
+  try {
+    new PerformanceObserver(() => {
+      lastNetworkActivity = performance.now();
+    }).observe({ type: 'resource', buffered: true });
+  } catch (error) {
+    console.warn('Page Monitor: network idle detection unavailable:', error.message);
+  }
+}
+
+/**
+ * Piercing selectors
+ * `>>>` steps into the shadow root of the element matched so far, or into the document of a
+ * same-origin iframe: `app-shell >>> .total`, `iframe#app >>> #summary .price`. Each part is a
+ * plain CSS selector, matched inside every scope the previous part led to.
+ */
+const PIERCE_COMBINATOR = '>>>';
+
+/**
+ * Get the scope a `>>>` step leads into
+ * Closed shadow roots are reached through chrome.dom in content scripts.
+ * @param {Element} element - Shadow host or frame element
+ * @returns {ShadowRoot|Document|null} Shadow root or frame document, or null (no shadow root,
+ *   cross-origin frame)
+ */
+function getPiercedRoot(element) {
+  if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+    try {
+      return element.contentDocument || null;
+    } catch (error) {
+      return null; // Cross-origin frame
+    }
+  }
+  if (element.shadowRoot) {
+    return element.shadowRoot;
+  }
+  return typeof chrome !== 'undefined' && chrome.dom?.openOrClosedShadowRoot
+    ? chrome.dom.openOrClosedShadowRoot(element) || null
+    : null;
+}
+
+/**
+ * Find all elements matching a selector that may pierce shadow roots and frames
+ * @param {Document|Element|ShadowRoot} root - Scope to search
+ * @param {string} selector - CSS selector, with `>>>` between scopes
+ * @returns {Array<Element>} Matching elements, in document order within each scope
+ * @throws {Error} If a part of the selector is invalid
+ */
+function queryDeepAll(root, selector) {
+  const parts = selector.split(PIERCE_COMBINATOR).map(part => part.trim());
+  let scopes = [root];
+  for (const [index, part] of parts.entries()) {
+    const matches = scopes.flatMap(scope => Array.from(scope.querySelectorAll(part)));
+    if (index === parts.length - 1) {
+      return matches;
+    }
+    scopes = matches.map(getPiercedRoot).filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Find the first element matching a selector that may pierce shadow roots and frames
+ * @param {Document|Element|ShadowRoot} root - Scope to search
+ * @param {string} selector - CSS selector, with `>>>` between scopes
+ * @returns {Element|null} Element
+ * @throws {Error} If a part of the selector is invalid
+ */
+function queryDeep(root, selector) {
+  if (!selector.includes(PIERCE_COMBINATOR)) {
+    return root.querySelector(selector);
+  }
+  return queryDeepAll(root, selector)[0] || null;
+}
+
+/**
+ * Find a blacklist pattern that matches the content
+ * @param {string} content - Extracted content
+ * @param {Array<string>} blacklist - Patterns, `/pattern/flags` or bare (case-sensitive)
+ * @returns {string|null} Matching pattern, or null
+ */
+function findBlacklistMatch(content, blacklist) {
+  return (blacklist || []).find((pattern) => {
+    const literal = pattern.match(/^\/(.+)\/([a-z]*)$/s);
+    return (literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern)).test(content);
+  }) || null;
+}
+
+/**
+ * Check whether the page is ready to be extracted
+ * @param {Object} extracted - { content, contentType, fields, items } as extracted
+ * @param {Object|null} readiness - Resolved checks from readinessConfig.resolve() (null skips them):
+ *   { waitForSelector, waitForText, minLength, minLines, requireValues, networkIdle, blacklist }
+ * @param {Document|Element} root - Document the content was extracted from
+ * @returns {string|null} Why the page is not ready yet, or null when it is
+ */
+function getReadinessError(extracted, readiness, root) {
+  if (!readiness) {
+    return null;
+  }
+
+  if (readiness.waitForSelector && !queryDeep(root, readiness.waitForSelector)) {
+    return `Waiting for element: ${readiness.waitForSelector}`;
+  }
+  if (readiness.waitForText) {
+    const pageText = (root.body || root.documentElement || root).textContent || '';
+    if (!pageText.includes(readiness.waitForText)) {
+      return `Waiting for text: "${readiness.waitForText}"`;
+    }
+  }
+  if (readiness.networkIdle && performance.now() - lastNetworkActivity < readiness.networkIdle) {
+    return 'Waiting for network idle';
+  }
+
+  if (extracted.items) {
+    return readiness.requireValues && extracted.items.length === 0
+      ? 'No list items found, page may still be loading'
+      : null;
+  }
+
+  // Named fields are short by nature, so only the block content has a minimum length
+  const values = extracted.fields ? Object.entries(extracted.fields) : [[null, extracted.content]];
+  if (!extracted.fields) {
+    if (extracted.content.length < (readiness.minLength || 0)) {
+      return 'Content too short, page may still be loading';
+    }
+    if (extracted.contentType === 'text' && readiness.minLines) {
+      const lines = extracted.content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+      if (lines.length < readiness.minLines) {
+        return 'Content appears incomplete (too few lines)';
+      }
+    }
+  }
+
+  for (const [name, value] of values) {
+    if (name !== null && readiness.requireValues && value === '') {
+      return `Field "${name}" is empty or still loading`;
+    }
+    const match = findBlacklistMatch(value, readiness.blacklist);
+    if (match) {
+      return name !== null
+        ? `Field "${name}" is empty or still loading (matched "${match}")`
+        : `Page still loading (matched "${match}")`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read an element's HTML or text without its ignored regions
+ * HTML (and text of parsed documents, which are not rendered) is read from a copy with the
+ * ignored elements removed. Text of the live page is read with the ignored elements hidden for
+ * the moment of reading, so `innerText` keeps the rendered line breaks; the page never
+ * repaints in between.
+ * @param {Element} element - Element to read
+ * @param {string} contentType - 'html' or 'text'
+ * @param {Array<string>} ignoreSelectors - Selectors of descendants to leave out (timestamps, ads, tokens)
+ * @returns {string} Content
+ * @throws {Error} If an ignore selector is invalid
+ */
+function readElementContent(element, contentType, ignoreSelectors = []) {
+  const readContent = (target) => (contentType === 'text'
+    ? target.innerText || target.textContent || ''
+    : target.innerHTML || '');
+
+  if (!ignoreSelectors || ignoreSelectors.length === 0) {
+    return readContent(element);
+  }
+
+  const findIgnored = (target) => ignoreSelectors.flatMap((ignoreSelector) => {
+    try {
+      return Array.from(target.querySelectorAll(ignoreSelector));
+    } catch (error) {
+      throw new Error(`Invalid ignore selector: ${ignoreSelector}`);
+    }
+  });
+
+  if (contentType !== 'text' || !element.ownerDocument.defaultView) {
+    const copy = element.cloneNode(true);
+    findIgnored(copy).forEach(ignored => ignored.remove());
+    return readContent(copy);
+  }
+
+  const hidden = findIgnored(element).map(ignored => ({ ignored, style: ignored.getAttribute('style') }));
+  hidden.forEach(({ ignored }) => ignored.style.setProperty('display', 'none', 'important'));
+  try {
+    return readContent(element);
+  } finally {
+    for (const { ignored, style } of hidden) {
+      if (style === null) {
+        ignored.removeAttribute('style');
+      } else {
+        ignored.setAttribute('style', style);
+      }
+    }
+  }
+}
+
 /**
  * Extract content from a CSS selector
  * @param {string} selector - CSS selector for the content block
  * @param {string} contentType - 'html' or 'text'
- * @param {boolean} validateContent - Whether to validate the extracted content
+ * @param {Object|null} readiness - Resolved readiness checks (see getReadinessError()), null to skip
+ * @param {Object} options - Optional { root, url } to extract from a parsed document (fetch mode),
+ *   and { ignoreSelectors } to leave regions of the block out
  * @returns {Object} Extracted content data
  */
-function extractBlockContent(selector, contentType = 'html', validateContent = false) {
+function extractBlockContent(selector, contentType = 'html', readiness = null, options = {}) {
   try {
+    const root = options.root || document;
+
     if (!selector || selector.trim() === '') {
       return {
         success: false,
@@ -21,7 +226,7 @@ function extractBlockContent(selector, contentType = 'html', validateContent = f
       };
     }
 
-    const element = document.querySelector(selector);
+    const element = queryDeep(root, selector);
     
     if (!element) {
       return {
@@ -30,70 +235,26 @@ function extractBlockContent(selector, contentType = 'html', validateContent = f
       };
     }
 
-    let content;
-    if (contentType === 'text') {
-      content = element.innerText || element.textContent || '';
-    } else {
-      content = element.innerHTML || element.outerHTML || '';
-    }
-
+    // Elements without children (e.g. <img>) fall back to their own markup
+    const content = readElementContent(element, contentType, options.ignoreSelectors) ||
+      (contentType === 'text' ? '' : element.outerHTML || '');
     const trimmedContent = content.trim();
 
-    if (validateContent) {
-      const minContentLength = 100;
-      if (trimmedContent.length < minContentLength) {
-        return {
-          success: false,
-          error: 'Content too short, page may still be loading',
-          content: trimmedContent
-        };
-      }
-
-      const loadingIndicators = [
-        'NaN',
-        'undefined',
-        'Loading...',
-        'loading',
-        /\bNaN\b/,
-        /undefined items/,
-        /of NaN pages/
-      ];
-
-      for (const indicator of loadingIndicators) {
-        if (typeof indicator === 'string' && trimmedContent.includes(indicator)) {
-          return {
-            success: false,
-            error: 'Page still loading (detected loading indicators)',
-            content: trimmedContent
-          };
-        }
-
-        if (indicator instanceof RegExp && indicator.test(trimmedContent)) {
-          return {
-            success: false,
-            error: 'Page still loading (detected loading indicators)',
-            content: trimmedContent
-          };
-        }
-      }
-
-      if (contentType === 'text') {
-        const lines = trimmedContent.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-        if (lines.length < 3) {
-          return {
-            success: false,
-            error: 'Content appears incomplete (too few lines)',
-            content: trimmedContent
-          };
-        }
-      }
+    const notReady = getReadinessError({ content: trimmedContent, contentType }, readiness, root);
+    if (notReady) {
+      return {
+        success: false,
+        error: notReady,
+        notReady: true,
+        content: trimmedContent
+      };
     }
 
     return {
       success: true,
       content: trimmedContent,
       selector: selector,
-      url: window.location.href,
+      url: options.url || window.location.href,
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -106,102 +267,141 @@ function extractBlockContent(selector, contentType = 'html', validateContent = f
 }
 
 /**
- * Get monitoring configuration from storage
- * @param {number} tabId - Tab ID
- * @returns {Promise<Object>} Configuration
+ * Read a named field's value from its element
+ * @param {Element} element - Matched element
+ * @param {Object} field - { selector, type: 'text'|'html'|'attribute', attribute }
+ * @param {Array<string>} ignoreSelectors - Selectors of descendants to leave out
+ * @returns {string} Field value
  */
-async function getMonitoringConfig(tabId) {
-  try {
-    const result = await chrome.storage.local.get(['monitoringConfig']);
-    const configs = result.monitoringConfig || {};
-    return configs[tabId] || null;
-  } catch (error) {
-    console.error('Error getting monitoring config:', error);
-    return null;
+function readFieldValue(element, field, ignoreSelectors = []) {
+  if (field.type === 'attribute') {
+    return (element.getAttribute(field.attribute) || '').trim();
   }
+  return readElementContent(element, field.type === 'html' ? 'html' : 'text', ignoreSelectors).trim();
 }
 
 /**
- * Handle content extraction request from background script
+ * Extract several named fields, each from its own selector
+ * @param {Object} fields - Field definitions keyed by name ({ selector, type, attribute })
+ * @param {Object|null} readiness - Resolved readiness checks (see getReadinessError()), null to skip
+ * @param {Object} options - Optional { root, url } to extract from a parsed document (fetch mode)
+ * @returns {Object} Extracted data; `fields` holds the values and `content` their JSON
  */
-async function handleExtractContent(request, sender) {
+function extractFields(fields, readiness = null, options = {}) {
   try {
-    // Check if selector is provided directly in the request
-    if (request.selector) {
-      const contentType = request.contentType || 'html';
-      const validateContent = request.validateContent || false;
-      const result = extractBlockContent(request.selector, contentType, validateContent);
-      
-      // If tabId is provided and extraction successful, notify background
-      if (result.success && request.tabId) {
-        chrome.runtime.sendMessage({
-          action: 'contentExtracted',
-          tabId: request.tabId,
-          data: result
-        });
-      }
-      
-      return result;
-    }
+    const root = options.root || document;
+    const values = {};
 
-    // Fallback: Get tab ID from sender or try to get from message
-    let tabId = request.tabId || sender?.tab?.id;
-    
-    if (!tabId) {
-      // Try to get from storage using URL pattern
-      const result = await chrome.storage.local.get(['monitoringConfig']);
-      const configs = result.monitoringConfig || {};
-      // Find config matching current URL
-      for (const [id, cfg] of Object.entries(configs)) {
-        if (cfg.url === window.location.href) {
-          tabId = parseInt(id);
-          break;
-        }
+    for (const [name, field] of Object.entries(fields || {})) {
+      const element = queryDeep(root, field.selector);
+      if (!element) {
+        return {
+          success: false,
+          error: `Element not found for field "${name}": ${field.selector}`
+        };
       }
+
+      values[name] = readFieldValue(element, field, options.ignoreSelectors);
     }
 
-    // If we still don't have tab ID, try to get config from current URL
-    let config = null;
-    if (tabId) {
-      config = await getMonitoringConfig(tabId);
+    if (Object.keys(values).length === 0) {
+      return {
+        success: false,
+        error: 'No fields provided'
+      };
     }
 
-    // If no config found, try to get from storage using URL pattern
-    if (!config) {
-      const result = await chrome.storage.local.get(['monitoringConfig']);
-      const configs = result.monitoringConfig || {};
-      // Find config matching current URL
-      for (const [id, cfg] of Object.entries(configs)) {
-        if (cfg.url === window.location.href) {
-          config = cfg;
-          tabId = parseInt(id);
-          break;
-        }
-      }
+    const notReady = getReadinessError({ fields: values }, readiness, root);
+    if (notReady) {
+      return {
+        success: false,
+        error: notReady,
+        notReady: true
+      };
     }
 
-    if (!config || !config.selector) {
+    return {
+      success: true,
+      content: JSON.stringify(values),
+      fields: values,
+      selector: options.selector || null,
+      url: options.url || window.location.href,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Error extracting fields:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Extract a list of items (list mode)
+ * Every element matching the item selector inside the container becomes an item with its own
+ * fields; the key field identifies the item between checks.
+ * @param {Object} list - { container, item, fields, key }
+ * @param {Object|null} readiness - Resolved readiness checks (see getReadinessError()), null to skip
+ * @param {Object} options - Optional { root, url } to extract from a parsed document (fetch mode)
+ * @returns {Object} Extracted data; `items` holds { key, fields } in page order and `content`
+ *   their JSON sorted by key, so reordering alone is not a change
+ */
+function extractList(list, readiness = null, options = {}) {
+  try {
+    const root = options.root || document;
+    const container = list.container ? queryDeep(root, list.container) : root;
+    if (!container) {
       return {
         success: false,
-        error: 'No monitoring configuration found for this page'
+        error: `Container not found for selector: ${list.container}`
       };
     }
 
-    const contentType = config.contentType || 'html';
-    const result = extractBlockContent(config.selector, contentType, request.validateContent || false);
+    const elements = queryDeepAll(container, list.item);
+    const items = [];
+    const keyCounts = {};
+    for (const element of elements) {
+      const fields = {};
+      for (const [name, field] of Object.entries(list.fields)) {
+        // `:scope` reads the item itself; querySelector only searches descendants
+        const target = field.selector === ':scope' ? element : queryDeep(element, field.selector);
+        fields[name] = target ? readFieldValue(target, field, options.ignoreSelectors) : '';
+      }
 
-    if (result.success && tabId) {
-      // Send to background script
-      chrome.runtime.sendMessage({
-        action: 'contentExtracted',
-        tabId: tabId,
-        data: result
-      });
+      // Items without a key (ads, placeholders) can't be tracked
+      let key = fields[list.key];
+      if (!key) {
+        continue;
+      }
+      keyCounts[key] = (keyCounts[key] || 0) + 1;
+      if (keyCounts[key] > 1) {
+        key = `${key}#${keyCounts[key]}`;
+      }
+      items.push({ key, fields });
     }
 
-    return result;
+    const notReady = getReadinessError({ items }, readiness, root);
+    if (notReady) {
+      return {
+        success: false,
+        error: notReady,
+        notReady: true
+      };
+    }
+
+    const sorted = [...items].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+    return {
+      success: true,
+      content: JSON.stringify(sorted),
+      items,
+      selector: list.item,
+      url: options.url || window.location.href,
+      timestamp: new Date().toISOString()
+    };
   } catch (error) {
-    console.error('Error handling extract content:', error);
+    console.error('Error extracting list:', error);
     return {
       success: false,
       error: error.message
@@ -210,80 +410,1198 @@ async function handleExtractContent(request, sender) {
 }
 
 /**
- * Message listener for background script communication
+ * Read the nodes an XPath expression selects
+ * Element nodes are read like a block (HTML or text); text and attribute nodes give their value,
+ * and expressions that return a number, string or boolean (`count(//li)`) give that value.
+ * @param {string} expression - XPath expression
+ * @param {Document|Element} context - Context node
+ * @param {string} contentType - 'html' or 'text', for element nodes
+ * @param {Array<string>} ignoreSelectors - Selectors of descendants to leave out of element nodes
+ * @returns {Array<string>} One value per selected node
+ * @throws {Error} If the expression is invalid
  */
-chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  console.log('Page Monitor content script received message:', request.action);
+function evaluateXPath(expression, context, contentType, ignoreSelectors = []) {
+  const doc = context.ownerDocument || context;
+  const types = window.XPathResult;
+  let result;
+  try {
+    result = doc.evaluate(expression, context, null, types.ANY_TYPE, null);
+  } catch (error) {
+    throw new Error(`Invalid XPath: ${expression}`);
+  }
 
-  // Handle ping to check if script is loaded
-  if (request.action === 'ping') {
-    sendResponse({ success: true, loaded: true });
-    return true;
+  switch (result.resultType) {
+    case types.NUMBER_TYPE:
+      return [String(result.numberValue)];
+    case types.STRING_TYPE:
+      return [result.stringValue];
+    case types.BOOLEAN_TYPE:
+      return [String(result.booleanValue)];
   }
 
-  if (request.action === 'extractContent') {
-    // Handle async extraction
-    handleExtractContent(request, sender).then(result => {
-      sendResponse(result);
-    }).catch(error => {
-      sendResponse({
-        success: false,
-        error: error.message
-      });
-    });
-    return true; // Keep channel open for async response
+  // Collect first: reading text hides ignored elements, which would invalidate the iterator
+  const nodes = [];
+  for (let node = result.iterateNext(); node; node = result.iterateNext()) {
+    nodes.push(node);
   }
+  return nodes.map(node => (node.nodeType === window.Node.ELEMENT_NODE
+    ? readElementContent(node, contentType, ignoreSelectors) || (contentType === 'text' ? '' : node.outerHTML)
+    : node.nodeValue || ''));
+}
 
-  if (request.action === 'getMonitoringConfig') {
-    // Get tab ID from sender
-    const tabId = sender.tab?.id;
-    if (tabId) {
-      getMonitoringConfig(tabId).then(config => {
-        sendResponse({ success: true, config });
-      });
-    } else {
-      sendResponse({ success: false, error: 'Could not determine tab ID' });
+/**
+ * Find every match of a regex
+ * @param {string} text - Text to search
+ * @param {string} pattern - Regex pattern
+ * @param {string} flags - Flags besides `g`
+ * @returns {Array<string>} One value per match: its capture groups joined with spaces, or the
+ *   whole match without groups
+ */
+function matchRegex(text, pattern, flags = '') {
+  const regex = new RegExp(pattern, `${flags}g`);
+  return Array.from(text.matchAll(regex), match => (match.length > 1
+    ? match.slice(1).filter(group => group !== undefined).join(' ')
+    : match[0]));
+}
+
+/**
+ * Parse a JSONPath into steps
+ * Supports `$`, `.name`, `['name']`, `[0]` (negative counts from the end), `.*` / `[*]` and
+ * recursive descent (`..name`, `..*`, `..[0]`).
+ * @param {string} path - JSONPath, e.g. `$..offers[0].price`
+ * @returns {Array<Object>} Steps: { key, descendant } where key is a name, an index or '*'
+ * @throws {Error} If the path can't be parsed
+ */
+function parseJsonPath(path) {
+  const pattern = /^(\.\.|\.)?(?:\[\s*(?:(-?\d+)|\*|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")\s*\]|([^.[\]\s]+))/;
+  const steps = [];
+  let rest = path.trim();
+  if (!rest.startsWith('$')) {
+    throw new Error(`Invalid JSONPath: ${path}`);
+  }
+  rest = rest.slice(1);
+
+  while (rest) {
+    const match = rest.match(pattern);
+    // Names need a dot before them; brackets may follow directly
+    if (!match || (!match[1] && match[5] !== undefined)) {
+      throw new Error(`Invalid JSONPath at "${rest}": ${path}`);
     }
-    return true;
+    const [whole, dots, index, single, double, name] = match;
+    let key = '*';
+    if (index !== undefined) {
+      key = Number(index);
+    } else if (single !== undefined || double !== undefined) {
+      key = (single ?? double).replace(/\\(.)/g, '$1');
+    } else if (name !== undefined && name !== '*') {
+      key = name;
+    }
+    steps.push({ key, descendant: dots === '..' });
+    rest = rest.slice(whole.length);
   }
-});
+  return steps;
+}
 
 /**
- * Watch for DOM changes (optional - for real-time monitoring without refresh)
- * This can be enabled for pages that update dynamically
+ * Select values from JSON data with a JSONPath
+ * @param {*} data - Parsed JSON
+ * @param {string} path - JSONPath
+ * @returns {Array<*>} Selected values, in document order
+ * @throws {Error} If the path can't be parsed
  */
-let mutationObserver = null;
+function evaluateJsonPath(data, path) {
+  const withDescendants = (value) => (value !== null && typeof value === 'object'
+    ? [value, ...Object.values(value).flatMap(withDescendants)]
+    : [value]);
+  const children = (value, key) => {
+    if (value === null || typeof value !== 'object') {
+      return [];
+    }
+    if (key === '*') {
+      return Object.values(value);
+    }
+    if (typeof key === 'number') {
+      const index = key < 0 ? value.length + key : key;
+      return Array.isArray(value) && index in value ? [value[index]] : [];
+    }
+    return Object.prototype.hasOwnProperty.call(value, key) ? [value[key]] : [];
+  };
 
-function startMutationObserver(selector, callback) {
-  if (mutationObserver) {
-    mutationObserver.disconnect();
+  let values = [data];
+  for (const step of parseJsonPath(path)) {
+    values = (step.descendant ? values.flatMap(withDescendants) : values).flatMap(value => children(value, step.key));
   }
+  return values;
+}
 
-  const targetNode = document.querySelector(selector);
-  if (!targetNode) {
-    console.warn('Target node not found for mutation observer:', selector);
-    return;
+/**
+ * Read the JSON documents a JSONPath extractor runs on
+ * @param {string} source - 'json-ld', 'next-data' or 'element'
+ * @param {Document|Element} scope - Where to look for the script blocks
+ * @param {Array<Element>} elements - Elements of the monitor's CSS selector ('element' source)
+ * @returns {Array<*>} Parsed documents
+ * @throws {Error} If there is no JSON or it can't be parsed
+ */
+function readJsonSources(source, scope, elements) {
+  const blocks = source === 'element'
+    ? elements
+    : Array.from(scope.querySelectorAll(source === 'next-data'
+      ? 'script#__NEXT_DATA__'
+      : 'script[type="application/ld+json"]'));
+  if (blocks.length === 0) {
+    throw new Error(source === 'next-data' ? 'No __NEXT_DATA__ script found' : 'No JSON-LD blocks found');
   }
 
-  mutationObserver = new MutationObserver((mutations) => {
-    callback();
+  return blocks.map((block, index) => {
+    try {
+      return JSON.parse(block.textContent);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${source === 'element' ? 'element' : source} block ${index + 1}: ${error.message}`);
+    }
   });
+}
 
-  mutationObserver.observe(targetNode, {
-    childList: true,
-    subtree: true,
-    characterData: true,
-    attributes: true
-  });
+/**
+ * Extract content with an XPath, regex or JSONPath extractor
+ * The monitor's CSS selector, if any, scopes the extractor (see ExtractorConfig); every match
+ * becomes one line of the content.
+ * @param {Object} config - { selector, contentType, extractor: { type, expression, flags, source } }
+ * @param {Object|null} readiness - Resolved readiness checks (see getReadinessError()), null to skip
+ * @param {Object} options - Optional { root, url } to extract from a parsed document (fetch mode),
+ *   and { ignoreSelectors } to leave regions out of the elements read
+ * @returns {Object} Extracted content data
+ */
+function extractWithExtractor(config, readiness = null, options = {}) {
+  try {
+    const root = options.root || document;
+    const { extractor } = config;
+    const contentType = config.contentType || 'html';
+
+    const scope = config.selector ? queryDeep(root, config.selector) : root;
+    if (!scope) {
+      return {
+        success: false,
+        error: `Element not found for selector: ${config.selector}`
+      };
+    }
+
+    let values;
+    if (extractor.type === 'xpath') {
+      values = evaluateXPath(extractor.expression, scope, contentType, options.ignoreSelectors);
+    } else if (extractor.type === 'regex') {
+      // Without a selector the regex runs over the whole page
+      const target = scope === root ? (root.body || root.documentElement) : scope;
+      values = matchRegex(readElementContent(target, contentType, options.ignoreSelectors), extractor.expression, extractor.flags);
+    } else {
+      const elements = extractor.source === 'element' && config.selector ? queryDeepAll(root, config.selector) : [];
+      values = readJsonSources(extractor.source || 'json-ld', scope, elements)
+        .flatMap(data => evaluateJsonPath(data, extractor.expression))
+        .map(value => (typeof value === 'string' ? value : JSON.stringify(value)));
+    }
+
+    const lines = values.map(value => value.trim()).filter(Boolean);
+    if (lines.length === 0) {
+      return {
+        success: false,
+        error: `No match for ${extractor.type}: ${extractor.expression}`
+      };
+    }
+
+    const content = lines.join('\n');
+    const notReady = getReadinessError({ content, contentType }, readiness, root);
+    if (notReady) {
+      return {
+        success: false,
+        error: notReady,
+        notReady: true,
+        content
+      };
+    }
+
+    return {
+      success: true,
+      content,
+      selector: config.selector || null,
+      url: options.url || window.location.href,
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Error extracting with extractor:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
 }
 
-function stopMutationObserver() {
-  if (mutationObserver) {
-    mutationObserver.disconnect();
-    mutationObserver = null;
+/**
+ * Extract content the way a monitor config describes it: list mode, named fields, an extractor, or the single selector
+ * @param {Object} config - { selector, contentType, fields, list, extractor, ignoreSelectors }
+ * @param {Object|null} readiness - Resolved readiness checks (see getReadinessError()), null to skip
+ * @param {Object} options - Optional { root, url } to extract from a parsed document (fetch mode)
+ * @returns {Object} Extracted content data
+ */
+function extractConfiguredContent(config, readiness = null, options = {}) {
+  options = { ...options, ignoreSelectors: config.ignoreSelectors || [] };
+  let result;
+  if (config.list && config.list.item) {
+    result = extractList(config.list, readiness, options);
+  } else if (config.fields && Object.keys(config.fields).length > 0) {
+    result = extractFields(config.fields, readiness, { ...options, selector: config.selector || null });
+  } else if (config.extractor && config.extractor.type) {
+    result = extractWithExtractor(config, readiness, options);
+  } else {
+    result = extractBlockContent(config.selector, config.contentType || 'html', readiness, options);
   }
+
+  // Crawl monitors report the next page, so the background can follow the pagination
+  if (result.success && config.crawl) {
+    result.nextPage = getNextPage(config.crawl.nextSelector, options);
+  }
+  return result;
 }
 
+/**
+ * Find the page a "next" link or button leads to
+ * @param {string} selector - CSS selector of the next-page link or button
+ * @param {Object} options - Optional { root, url } for a parsed document (fetch mode), where buttons can't be clicked
+ * @returns {Object|null} { url } for links, { click: true } for buttons, or null on the last page
+ *   (no element, or one that is disabled)
+ */
+function getNextPage(selector, options = {}) {
+  const root = options.root || document;
+  const element = queryDeep(root, selector);
+  if (!element || element.disabled || element.getAttribute('aria-disabled') === 'true' ||
+      element.classList.contains('disabled')) {
+    return null;
+  }
+
+  const href = element.closest('a[href]')?.getAttribute('href');
+  if (href && !href.startsWith('#') && !/^javascript:/i.test(href)) {
+    // Links inside frames are relative to the frame's document
+    return { url: new URL(href, options.url || element.ownerDocument.baseURI).href };
+  }
+  return options.root ? null : { click: true };
+}
+
+/**
+ * Get an element's box relative to the top window's viewport
+ * Boxes of elements inside same-origin frames are relative to the frame, so the frames' offsets are added.
+ * @param {Element} element - Element
+ * @returns {Object} { top, left, bottom, right } in CSS pixels
+ */
+function getViewportBox(element) {
+  const box = element.getBoundingClientRect();
+  let top = box.top;
+  let left = box.left;
+  for (let view = element.ownerDocument.defaultView; view && view !== window && view.frameElement; view = view.parent) {
+    const frame = view.frameElement;
+    const frameBox = frame.getBoundingClientRect();
+    top += frameBox.top + frame.clientTop;
+    left += frameBox.left + frame.clientLeft;
+  }
+  return { top, left, bottom: top + box.height, right: left + box.width };
+}
+
+/**
+ * Get an element's box in the visible part of the page, for cropping a screenshot
+ * Elements outside the viewport are scrolled into view first (unless scrolling is off, e.g. in a
+ * live session on a page someone is reading); parts that still do not fit are cut off.
+ * @param {string} selector - CSS selector
+ * @param {boolean} scroll - Whether the page may be scrolled to the element
+ * @returns {Object|null} { x, y, width, height, scale } in CSS pixels (scale is the device pixel ratio),
+ *   or null if the element is missing or not visible
+ */
+function getCaptureRect(selector, scroll = true) {
+  const element = queryDeep(document, selector);
+  if (!element) {
+    return null;
+  }
+
+  let box = getViewportBox(element);
+  if (scroll && (box.top < 0 || box.bottom > window.innerHeight || box.left < 0 || box.right > window.innerWidth)) {
+    element.scrollIntoView({ block: 'start', inline: 'nearest' });
+    box = getViewportBox(element);
+  }
+
+  const x = Math.max(0, box.left);
+  const y = Math.max(0, box.top);
+  const width = Math.min(box.right, window.innerWidth) - x;
+  const height = Math.min(box.bottom, window.innerHeight) - y;
+  if (width <= 0 || height <= 0) {
+    return null;
+  }
+  return { x, y, width, height, scale: window.devicePixelRatio || 1 };
+}
+
+/**
+ * Page actions
+ * Clicks, typing, key presses, scrolling and waits run after a reload, before the content is extracted
+ */
+const ACTION_WAIT_FOR_TIMEOUT = 10000;
+const ACTION_POLL_INTERVAL = 100;
+const ACTION_SCROLL_PAUSE = 1000; // Time for lazy-loaded content to arrive after each scroll
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Find the element an action targets
+ * @param {string} selector - CSS selector
+ * @returns {Element} Element
+ * @throws {Error} If no element matches
+ */
+function getActionTarget(selector) {
+  const element = queryDeep(document, selector);
+  if (!element) {
+    throw new Error(`No element matches "${selector}"`);
+  }
+  return element;
+}
+
+/**
+ * Type text into an input, textarea or contenteditable element
+ * The value is set through the native setter so frameworks that track the input (React, Vue) see the change.
+ * @param {Element} element - Target element
+ * @param {string} text - Text to type
+ */
+function typeIntoElement(element, text) {
+  element.focus();
+  if (element.isContentEditable) {
+    element.textContent = text;
+  } else {
+    const prototype = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+      : element instanceof HTMLInputElement ? HTMLInputElement.prototype : null;
+    const setter = prototype && Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+    if (setter) {
+      setter.call(element, text);
+    } else {
+      element.value = text;
+    }
+  }
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Press a key on an element (or the focused element)
+ * Enter in a form field also submits the form, as a real key press would.
+ * @param {string} key - Key name, e.g. Enter, Escape, ArrowDown
+ * @param {string} selector - Optional CSS selector of the element
+ */
+function pressKey(key, selector) {
+  const element = selector ? getActionTarget(selector) : (document.activeElement || document.body);
+  if (selector) {
+    element.focus();
+  }
+  for (const type of ['keydown', 'keypress', 'keyup']) {
+    element.dispatchEvent(new KeyboardEvent(type, { key, bubbles: true, cancelable: true }));
+  }
+  if (key === 'Enter' && element.form) {
+    element.form.requestSubmit();
+  }
+}
+
+/**
+ * Wait until an element matches a selector
+ * @param {string} selector - CSS selector
+ * @throws {Error} If nothing matches within the timeout
+ */
+async function waitForElement(selector) {
+  const deadline = Date.now() + ACTION_WAIT_FOR_TIMEOUT;
+  while (!queryDeep(document, selector)) {
+    if (Date.now() >= deadline) {
+      throw new Error(`No element matched "${selector}" within ${ACTION_WAIT_FOR_TIMEOUT / 1000}s`);
+    }
+    await delay(ACTION_POLL_INTERVAL);
+  }
+}
+
+/**
+ * Run one page action
+ * @param {Object} step - Step (see action-script.js)
+ */
+async function runPageAction(step) {
+  switch (step.type) {
+    case 'click': {
+      const element = getActionTarget(step.selector);
+      element.scrollIntoView({ block: 'center', inline: 'nearest' });
+      element.click();
+      break;
+    }
+    case 'type':
+      typeIntoElement(getActionTarget(step.selector), step.text);
+      break;
+    case 'press':
+      pressKey(step.key, step.selector);
+      break;
+    case 'scroll':
+      for (let i = 0; i < step.times; i++) {
+        window.scrollTo(0, document.body.scrollHeight);
+        await delay(ACTION_SCROLL_PAUSE);
+      }
+      break;
+    case 'wait':
+      await delay(step.ms);
+      break;
+    case 'waitFor':
+      await waitForElement(step.selector);
+      break;
+    default:
+      throw new Error(`Unknown action type "${step.type}"`);
+  }
+}
+
+/**
+ * Run a monitor's page actions in order, stopping at the first one that fails
+ * @param {Array<Object>} actions - Steps
+ * @returns {Promise<Object>} { success, results: [{ step, success, error, duration }] } - step is 1-based
+ */
+async function runPageActions(actions) {
+  const results = [];
+  for (const [index, step] of (actions || []).entries()) {
+    const startTime = Date.now();
+    try {
+      await runPageAction(step);
+      results.push({ step: index + 1, success: true, error: null, duration: Date.now() - startTime });
+    } catch (error) {
+      results.push({ step: index + 1, success: false, error: error.message, duration: Date.now() - startTime });
+      return { success: false, results };
+    }
+  }
+  return { success: true, results };
+}
+
+/**
+ * Get the monitor record for the current page from storage
+ * Monitors are keyed by ID and matched to pages by URL (ignoring hash and trailing slash).
+ * @returns {Promise<Object|null>} Monitor record
+ */
+async function getMonitorForPage() {
+  try {
+    const normalize = (url) => (url || '').split('#')[0].replace(/\/+$/, '');
+    const result = await chrome.storage.local.get(['monitors']);
+    const monitors = result.monitors || {};
+    const pageUrl = normalize(window.location.href);
+    return Object.values(monitors).find(monitor => normalize(monitor.url) === pageUrl) || null;
+  } catch (error) {
+    console.error('Error getting monitoring config:', error);
+    return null;
+  }
+}
+
+/**
+ * Handle content extraction request from background script
+ */
+async function handleExtractContent(request, sender) {
+  try {
+    // Check if selector or fields are provided directly in the request
+    if (request.selector || request.fields || request.list || request.extractor) {
+      const result = extractConfiguredContent(request, request.readiness || null);
+      
+      // If tabId is provided and extraction successful, notify background
+      if (result.success && request.tabId) {
+        chrome.runtime.sendMessage({
+          action: 'contentExtracted',
+          tabId: request.tabId,
+          data: result
+        });
+      }
+      
+      return result;
+    }
+
+    // Fallback: use the monitor configured for this page
+    const monitor = await getMonitorForPage();
+    const config = monitor?.config;
+
+    if (!config || (!config.selector && !config.fields && !config.list && !config.extractor)) {
+      return {
+        success: false,
+        error: 'No monitoring configuration found for this page'
+      };
+    }
+
+    const result = extractConfiguredContent(config, request.readiness || null);
+
+    if (result.success) {
+      // Send to background script
+      chrome.runtime.sendMessage({
+        action: 'contentExtracted',
+        monitorId: monitor.id,
+        data: result
+      });
+    }
+
+    return result;
+  } catch (error) {
+    console.error('Error handling extract content:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Element picker
+ * Highlights the element under the cursor and turns a click into a unique CSS selector
+ */
+const PICKER_DATA_ATTRIBUTES = [
+  'data-testid',
+  'data-test-id',
+  'data-test',
+  'data-qa',
+  'data-cy',
+  'data-id',
+  'data-name',
+  'data-section',
+  'data-component'
+];
+const PICKER_STATE_CLASS_PATTERN = /^(is-|has-)|(^|-)(active|hover|focus|focused|selected|open|opened|visible|hidden|disabled|current|expanded|collapsed|loading|loaded)($|-)/i;
+const PICKER_MAX_ALTERNATIVES = 5;
+
+let elementPicker = null;
+
+/**
+ * Escape a value for use in a CSS selector
+ * @param {string} value - Identifier or attribute value
+ * @returns {string} Escaped value
+ */
+function cssEscape(value) {
+  if (typeof CSS !== 'undefined' && CSS.escape) {
+    return CSS.escape(value);
+  }
+  return String(value)
+    .replace(/([^\w-])/g, '\\$1')
+    .replace(/^(\d)/, '\\3$1 ');
+}
+
+/**
+ * Check whether an id or class name looks hand-written rather than generated
+ * Generated names (CSS-in-JS hashes, framework ids, counters) change between builds or page loads.
+ * @param {string} name - Id or class name
+ * @returns {boolean} True if the name is likely stable
+ */
+function isStableName(name) {
+  if (!name || name.length > 40) {
+    return false;
+  }
+  if (/^[\d-]/.test(name) || name.includes(':')) {
+    return false;
+  }
+  if (/\d{3,}/.test(name)) {
+    return false;
+  }
+  if (/^(css|sc|jsx|emotion|styled|svelte|ember|ng|ltr|rtl)-/i.test(name)) {
+    return false;
+  }
+  // Hash-like segments mixing letters and digits, e.g. "Card_title__x7Ab2" or "a1b2c3"
+  if (/(^|[-_])(?=[a-z_]*\d)(?=\d*[a-z])[a-z\d]{5,}($|[-_])/i.test(name)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Get an element's stable class names (no generated or state classes)
+ * @param {Element} element - Element
+ * @returns {Array<string>} Class names
+ */
+function getStableClasses(element) {
+  return Array.from(element.classList).filter(name => isStableName(name) && !PICKER_STATE_CLASS_PATTERN.test(name));
+}
+
+/**
+ * Get attribute selectors for an element's stable data attributes
+ * @param {Element} element - Element
+ * @returns {Array<string>} Attribute selectors, most specific attributes first
+ */
+function getDataAttributeSelectors(element) {
+  const selectors = [];
+  for (const name of PICKER_DATA_ATTRIBUTES) {
+    const value = element.getAttribute(name);
+    if (value && value.length <= 60 && !/\d{4,}/.test(value)) {
+      selectors.push(`[${name}="${cssEscape(value)}"]`);
+    }
+  }
+  return selectors;
+}
+
+/**
+ * Get a selector that identifies an element among its siblings
+ * @param {Element} element - Element
+ * @returns {string} Selector step (tag, stable classes and :nth-of-type when needed)
+ */
+function getElementStep(element) {
+  if (element.id && isStableName(element.id)) {
+    return `#${cssEscape(element.id)}`;
+  }
+
+  const tag = element.tagName.toLowerCase();
+  let step = tag + getStableClasses(element).slice(0, 2).map(name => `.${cssEscape(name)}`).join('');
+
+  const parent = element.parentElement;
+  if (parent) {
+    const matchingSiblings = Array.from(parent.children).filter(child => child.matches(step));
+    if (matchingSiblings.length > 1) {
+      const sameTag = Array.from(parent.children).filter(child => child.tagName === element.tagName);
+      step += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+    }
+  }
+  return step;
+}
+
+/**
+ * Build a child-combinator path to an element
+ * @param {Element} element - Element
+ * @param {Document|ShadowRoot} root - Document (or shadow root) the selector must be unique in
+ * @param {boolean} anchored - Stop at the nearest ancestor with a unique id, data attribute or class
+ * @returns {string|null} Selector, or null if no anchor was found in anchored mode
+ */
+function buildPathSelector(element, root, anchored) {
+  const steps = [getElementStep(element)];
+  let current = element.parentElement;
+
+  while (current && current !== root.documentElement) {
+    if (anchored) {
+      const anchors = [];
+      if (current.id && isStableName(current.id)) {
+        anchors.push(`#${cssEscape(current.id)}`);
+      }
+      anchors.push(...getDataAttributeSelectors(current));
+      anchors.push(...getStableClasses(current).map(name => `.${cssEscape(name)}`));
+
+      const anchor = anchors.find(selector => root.querySelectorAll(selector).length === 1);
+      if (anchor) {
+        return `${anchor} > ${steps.join(' > ')}`;
+      }
+    }
+
+    steps.unshift(current === root.body ? 'body' : getElementStep(current));
+    if (current === root.body) {
+      break;
+    }
+    current = current.parentElement;
+  }
+
+  return anchored ? null : steps.join(' > ');
+}
+
+/**
+ * Generate unique selectors for an element, most robust first
+ * Prefers stable ids, then data attributes, then stable classes, then a path anchored
+ * at the nearest identifiable ancestor, and finally a full structural path.
+ * @param {Element} element - Element to select
+ * @param {Document|ShadowRoot} root - Document (or shadow root) the selectors must be unique in
+ * @returns {Array<string>} Selectors that match only this element
+ */
+function generateSelectorCandidates(element, root = document) {
+  const candidates = [];
+  const addCandidate = (selector) => {
+    if (!selector || candidates.includes(selector)) {
+      return;
+    }
+    try {
+      const matches = root.querySelectorAll(selector);
+      if (matches.length === 1 && matches[0] === element) {
+        candidates.push(selector);
+      }
+    } catch (error) {
+      // Invalid selector (e.g. unusual characters); skip it
+    }
+  };
+
+  const tag = element.tagName.toLowerCase();
+
+  if (element.id && isStableName(element.id)) {
+    addCandidate(`#${cssEscape(element.id)}`);
+  }
+
+  for (const attributeSelector of getDataAttributeSelectors(element)) {
+    addCandidate(attributeSelector);
+    addCandidate(`${tag}${attributeSelector}`);
+  }
+
+  const classes = getStableClasses(element);
+  for (const name of classes) {
+    addCandidate(`.${cssEscape(name)}`);
+    addCandidate(`${tag}.${cssEscape(name)}`);
+  }
+  for (let i = 0; i < classes.length; i++) {
+    for (let j = i + 1; j < classes.length; j++) {
+      addCandidate(`${tag}.${cssEscape(classes[i])}.${cssEscape(classes[j])}`);
+    }
+  }
+
+  addCandidate(buildPathSelector(element, root, true));
+  addCandidate(buildPathSelector(element, root, false));
+
+  return candidates;
+}
+
+/**
+ * Get the `>>>` prefix that leads from the top document into the scope of an element
+ * @param {Document|ShadowRoot} root - Scope of the element (element.getRootNode())
+ * @returns {string|null} Prefix, e.g. `app-shell >>> ` ('' in the top document), or null if the
+ *   scope can't be reached from the top document (cross-origin frames)
+ */
+function getScopePrefix(root) {
+  const host = root.host || root.defaultView?.frameElement; // Shadow host, or the frame of a frame document
+  if (!host) {
+    return root.defaultView === window.top ? '' : null;
+  }
+
+  const hostRoot = host.getRootNode();
+  const prefix = getScopePrefix(hostRoot);
+  const hostSelector = generateSelectorCandidates(host, hostRoot)[0];
+  return prefix === null || !hostSelector ? null : `${prefix}${hostSelector} ${PIERCE_COMBINATOR} `;
+}
+
+/**
+ * Generate unique selectors for an element that may be inside shadow roots or frames
+ * @param {Element} element - Element to select
+ * @returns {Array<string>} Selectors from the top document (piercing with `>>>`), most robust first
+ */
+function generatePiercingSelectors(element) {
+  const root = element.getRootNode();
+  const prefix = getScopePrefix(root);
+  return prefix === null ? [] : generateSelectorCandidates(element, root).map(selector => prefix + selector);
+}
+
+/**
+ * Start picker mode: highlight elements under the cursor and capture a click
+ * @param {Object} options - { contentType } used for the content preview
+ */
+function startElementPicker(options = {}) {
+  stopElementPicker();
+
+  const overlay = document.createElement('div');
+  overlay.style.cssText = 'position:fixed;z-index:2147483646;pointer-events:none;' +
+    'border:2px solid #0073b1;background:rgba(0,115,177,0.15);border-radius:2px;display:none;';
+
+  const label = document.createElement('div');
+  label.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;max-width:60vw;' +
+    'padding:4px 8px;background:#0073b1;color:#fff;font:12px/1.4 monospace;border-radius:3px;' +
+    'white-space:nowrap;overflow:hidden;text-overflow:ellipsis;top:8px;left:8px;';
+  label.textContent = 'Page Monitor: click an element to select it (Esc to cancel)';
+
+  document.documentElement.append(overlay, label);
+
+  const highlight = (element) => {
+    const rect = element.getBoundingClientRect();
+    overlay.style.display = 'block';
+    overlay.style.top = `${rect.top}px`;
+    overlay.style.left = `${rect.left}px`;
+    overlay.style.width = `${rect.width}px`;
+    overlay.style.height = `${rect.height}px`;
+
+    label.textContent = generatePiercingSelectors(element)[0] || element.tagName.toLowerCase();
+    label.style.top = `${Math.max(rect.top - 26, 4)}px`;
+    label.style.left = `${Math.max(rect.left, 4)}px`;
+  };
+
+  // Swallow page interactions while picking so links and buttons don't fire
+  const blockEvent = (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    event.stopImmediatePropagation();
+  };
+
+  // Events from inside (open) shadow roots are retargeted to the host; the path has the real element
+  const getEventElement = (event) => {
+    const target = event.composedPath ? event.composedPath()[0] : event.target;
+    return target instanceof Element ? target : null;
+  };
+
+  const handlers = {
+    mousemove: (event) => {
+      const element = getEventElement(event);
+      if (element && element !== elementPicker.hovered) {
+        elementPicker.hovered = element;
+        highlight(element);
+      }
+    },
+    click: (event) => {
+      blockEvent(event);
+      const element = getEventElement(event);
+      if (element) {
+        pickElement(element, options);
+      }
+    },
+    mousedown: blockEvent,
+    mouseup: blockEvent,
+    pointerdown: blockEvent,
+    pointerup: blockEvent,
+    keydown: (event) => {
+      if (event.key === 'Escape') {
+        blockEvent(event);
+        stopElementPicker();
+        // The picker runs in every frame of the tab; close it in the others too
+        Promise.resolve(chrome.runtime.sendMessage({ action: 'elementPickerClosed' })).catch(() => {});
+      }
+    }
+  };
+
+  for (const [type, handler] of Object.entries(handlers)) {
+    document.addEventListener(type, handler, true);
+  }
+
+  elementPicker = { overlay, label, handlers, hovered: null };
+}
+
+/**
+ * Stop picker mode and remove the highlight
+ */
+function stopElementPicker() {
+  if (!elementPicker) {
+    return;
+  }
+
+  for (const [type, handler] of Object.entries(elementPicker.handlers)) {
+    document.removeEventListener(type, handler, true);
+  }
+  elementPicker.overlay.remove();
+  elementPicker.label.remove();
+  elementPicker = null;
+}
+
+/**
+ * Build the selector for a picked element and send it to the extension with a content preview
+ * @param {Element} element - Picked element
+ * @param {Object} options - { contentType }
+ */
+function pickElement(element, options = {}) {
+  stopElementPicker();
+
+  const selectors = generatePiercingSelectors(element);
+  if (selectors.length === 0) {
+    console.warn('Page Monitor: could not build a unique selector for the picked element (cross-origin frame?)');
+    return;
+  }
+
+  // Selectors start at the top document, also when the element was picked inside a frame
+  const topWindow = window.top;
+  const extraction = extractBlockContent(selectors[0], options.contentType || 'html', null,
+    topWindow === window ? {} : { root: topWindow.document, url: topWindow.location.href });
+  chrome.runtime.sendMessage({
+    action: 'elementPicked',
+    selector: selectors[0],
+    alternatives: selectors.slice(1, PICKER_MAX_ALTERNATIVES + 1),
+    preview: extraction.success ? extraction.content.substring(0, 200) : '',
+    contentLength: extraction.success ? extraction.content.length : 0,
+    url: topWindow.location.href
+  });
+}
+
+/**
+ * Live mode
+ * Watches the monitored element for DOM changes and reports them to the background without
+ * reloading the page. Mutations are debounced, reports are at least `minGap` ms apart, and
+ * content that did not change is not reported again. If the element leaves the page and does
+ * not come back, the session ends and the background falls back to reload checks.
+ */
+const LIVE_WATCHDOG_INTERVAL = 5000; // How often to check that the observed element is still on the page
+
+let mutationObserver = null;
+let liveSession = null;
+
+/**
+ * Watch an element for DOM changes
+ * @param {string} selector - CSS selector of the element
+ * @param {Function} callback - Called for every batch of mutations
+ * @returns {Element|null} Observed element, or null if it is not on the page
+ */
+function startMutationObserver(selector, callback) {
+  if (mutationObserver) {
+    mutationObserver.disconnect();
+  }
+
+  const targetNode = queryDeep(document, selector);
+  if (!targetNode) {
+    console.warn('Target node not found for mutation observer:', selector);
+    return null;
+  }
+
+  mutationObserver = new MutationObserver(() => {
+    callback();
+  });
+
+  mutationObserver.observe(targetNode, {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    attributes: true
+  });
+  return targetNode;
+}
+
+function stopMutationObserver() {
+  if (mutationObserver) {
+    mutationObserver.disconnect();
+    mutationObserver = null;
+  }
+}
+
+/**
+ * Get the element a monitor watches in live mode and captures in screenshots
+ * @param {Object} config - { selector, fields, list }
+ * @returns {string} Selector of the block, the list container, or the body (named fields without a block)
+ */
+function getTargetSelector(config) {
+  if (config.list && config.list.item) {
+    return config.list.container || 'body';
+  }
+  return config.selector || 'body';
+}
+
+/**
+ * Start a live session, replacing any other one on the page
+ * The current content is reported right away: it is the baseline of a new monitor, and
+ * catches changes made while no session was running (after a reload or navigation).
+ * @param {string} monitorId - Monitor ID
+ * @param {Object} config - { selector, contentType, fields, list, ignoreSelectors }
+ * @param {Object} settings - { debounce, minGap } in milliseconds
+ * @returns {Object} { success, alreadyActive, error }
+ */
+function startLiveMonitoring(monitorId, config, settings) {
+  if (liveSession && liveSession.monitorId === monitorId && liveSession.target.isConnected) {
+    return { success: true, alreadyActive: true };
+  }
+  stopLiveMonitoring();
+
+  const targetSelector = getTargetSelector(config);
+  let target;
+  try {
+    target = startMutationObserver(targetSelector, scheduleLiveReport);
+  } catch (error) {
+    return { success: false, error: `Invalid selector: ${targetSelector}` };
+  }
+  if (!target) {
+    return { success: false, error: `Element not found: ${targetSelector}` };
+  }
+
+  liveSession = {
+    monitorId,
+    config,
+    targetSelector,
+    target,
+    debounce: settings.debounce,
+    minGap: settings.minGap,
+    timer: null,
+    pendingSince: null, // First mutation not reported yet
+    lastReportAt: 0,
+    lastContent: null,
+    missing: false,
+    watchdog: setInterval(() => reattachLiveTarget(), LIVE_WATCHDOG_INTERVAL)
+  };
+  reportLiveContent();
+  return { success: true, alreadyActive: false };
+}
+
+/**
+ * Stop the live session, if any
+ */
+function stopLiveMonitoring() {
+  if (!liveSession) {
+    return;
+  }
+  clearTimeout(liveSession.timer);
+  clearInterval(liveSession.watchdog);
+  stopMutationObserver();
+  liveSession = null;
+}
+
+/**
+ * Schedule a report after a mutation
+ * Waits until the element has been quiet for `debounce` ms (on pages that never stay quiet,
+ * at most `max(debounce, minGap)` after the first unreported mutation), and never sooner than
+ * `minGap` ms after the last report.
+ */
+function scheduleLiveReport() {
+  const session = liveSession;
+  if (!session) {
+    return;
+  }
+
+  const now = Date.now();
+  session.pendingSince = session.pendingSince || now;
+  const quietAt = Math.min(now + session.debounce, session.pendingSince + Math.max(session.debounce, session.minGap));
+  const dueAt = Math.max(quietAt, session.lastReportAt + session.minGap);
+  clearTimeout(session.timer);
+  session.timer = setTimeout(reportLiveContent, dueAt - now);
+}
+
+/**
+ * Extract the monitored content and report it to the background if it changed
+ */
+function reportLiveContent() {
+  const session = liveSession;
+  if (!session) {
+    return;
+  }
+  session.timer = null;
+  session.pendingSince = null;
+  if (!reattachLiveTarget()) {
+    return;
+  }
+
+  const result = extractConfiguredContent(session.config);
+  // Reading text hides ignored elements for a moment; those mutations are our own
+  if (mutationObserver) {
+    mutationObserver.takeRecords();
+  }
+  if (!result.success) {
+    console.log('Page Monitor: live content not reported:', result.error);
+    return; // The next mutation tries again
+  }
+  if (result.content === session.lastContent) {
+    return;
+  }
+
+  session.lastContent = result.content;
+  session.lastReportAt = Date.now();
+  Promise.resolve(chrome.runtime.sendMessage({
+    action: 'contentExtracted',
+    monitorId: session.monitorId,
+    live: true,
+    data: result
+  })).then((response) => {
+    // The monitor was stopped, paused or switched to another mode
+    if (response && response.stop && liveSession === session) {
+      stopLiveMonitoring();
+    }
+  }).catch((error) => {
+    console.warn('Page Monitor: could not report live content:', error.message);
+  });
+}
+
+/**
+ * Make sure the session observes an element that is on the page
+ * Pages that re-render replace the element; the session then observes the new one. An element
+ * that stays missing for a watchdog interval ends the session.
+ * @returns {boolean} True if the session observes a connected element
+ */
+function reattachLiveTarget() {
+  const session = liveSession;
+  if (!session) {
+    return false;
+  }
+  if (session.target.isConnected) {
+    return true;
+  }
+
+  const target = startMutationObserver(session.targetSelector, scheduleLiveReport);
+  if (target) {
+    session.target = target;
+    session.missing = false;
+    scheduleLiveReport();
+    return true;
+  }
+  if (!session.missing) {
+    session.missing = true; // Give a re-rendering page until the next watchdog check
+    return false;
+  }
+
+  stopLiveMonitoring();
+  Promise.resolve(chrome.runtime.sendMessage({
+    action: 'liveMonitoringLost',
+    monitorId: session.monitorId,
+    error: `Element not found: ${session.targetSelector}`
+  })).catch((error) => {
+    console.warn('Page Monitor: could not report the lost element:', error.message);
+  });
+  return false;
+}
+
+/**
+ * Message listener for background script communication
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // The offscreen parser (fetch mode) loads this script for its extraction helpers only; runtime
+  // messages meant for tabs (capture boxes, live sessions) must not be answered from there
+  if (window.location.protocol === 'chrome-extension:') {
+    return false;
+  }
+
+  // The script runs in every frame; frames only run the element picker and leave everything else
+  // (and the response) to the top frame, which reaches their content through `>>>` selectors
+  if (window !== window.top && request.action !== 'startElementPicker' && request.action !== 'stopElementPicker') {
+    return false;
+  }
+
+  console.log('Page Monitor content script received message:', request.action);
+
+  // Handle ping to check if script is loaded
+  if (request.action === 'ping') {
+    sendResponse({ success: true, loaded: true });
+    return true;
+  }
+
+  if (request.action === 'extractContent') {
+    // Handle async extraction
+    handleExtractContent(request, sender).then(result => {
+      sendResponse(result);
+    }).catch(error => {
+      sendResponse({
+        success: false,
+        error: error.message
+      });
+    });
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'getCaptureRect') {
+    // Asked for right before a screenshot, so pages are only scrolled when one is taken
+    sendResponse({ success: true, rect: getCaptureRect(getTargetSelector(request), request.scroll !== false) });
+    return true;
+  }
+
+  if (request.action === 'runActions') {
+    runPageActions(request.actions).then(sendResponse);
+    return true; // Keep channel open for async response
+  }
+
+  if (request.action === 'startElementPicker') {
+    startElementPicker({ contentType: request.contentType });
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (request.action === 'stopElementPicker') {
+    stopElementPicker();
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (request.action === 'startLiveMonitoring') {
+    sendResponse(startLiveMonitoring(request.monitorId, request.config, request.live));
+    return true;
+  }
+
+  if (request.action === 'stopLiveMonitoring') {
+    // Only the session of the given monitor (another monitor may have replaced it)
+    if (!request.monitorId || liveSession?.monitorId === request.monitorId) {
+      stopLiveMonitoring();
+    }
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (request.action === 'getMonitoringConfig') {
+    getMonitorForPage().then(monitor => {
+      sendResponse({ success: true, config: monitor?.config || null, monitorId: monitor?.id || null });
+    });
+    return true;
+  }
+});
+
 // Listen for page load completion
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', () => {
@@ -0,0 +1,419 @@
+/**
+ * Monitor Dashboard Controller
+ * Lists every monitor with its state and runs bulk actions through the background script
+ */
+
+const DASHBOARD_REFRESH_DEBOUNCE = 300; // Coalesce bursts of storage changes
+const DASHBOARD_TICK_INTERVAL = 30000; // Re-render relative times
+
+const STATUS_LABELS = {
+  active: 'Active',
+  paused: 'Paused',
+  stopped: 'Stopped'
+};
+
+const MODE_LABELS = {
+  reload: 'Reload mode',
+  fetch: 'Fetch mode',
+  live: 'Live mode'
+};
+
+class MonitorDashboard {
+  constructor() {
+    this.monitors = [];
+    this.deadLetters = [];
+    this.selectedIds = new Set();
+    this.refreshTimeout = null;
+    this.isBusy = false;
+    this.initializeElements();
+    this.attachEventListeners();
+    this.loadMonitors();
+    this.loadOutbox();
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.monitorRows = document.getElementById('monitorRows');
+    this.emptyState = document.getElementById('emptyState');
+    this.selectAllCheckbox = document.getElementById('selectAll');
+    this.summary = document.getElementById('summary');
+    this.resultMessage = document.getElementById('resultMessage');
+    this.deadLetterRows = document.getElementById('deadLetterRows');
+    this.deadLetterEmpty = document.getElementById('deadLetterEmpty');
+    this.outboxSummary = document.getElementById('outboxSummary');
+    this.replayAllBtn = document.getElementById('replayAllBtn');
+    this.discardAllBtn = document.getElementById('discardAllBtn');
+    this.actionButtons = {
+      start: document.getElementById('startBtn'),
+      pause: document.getElementById('pauseBtn'),
+      stop: document.getElementById('stopBtn'),
+      checkNow: document.getElementById('checkNowBtn'),
+      delete: document.getElementById('deleteBtn')
+    };
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    for (const [operation, button] of Object.entries(this.actionButtons)) {
+      button.addEventListener('click', () => this.runBulkAction(operation));
+    }
+
+    this.selectAllCheckbox.addEventListener('change', () => {
+      this.selectedIds = this.selectAllCheckbox.checked
+        ? new Set(this.monitors.map(monitor => monitor.id))
+        : new Set();
+      this.renderMonitors();
+    });
+
+    this.monitorRows.addEventListener('change', (event) => {
+      const checkbox = event.target.closest('input[data-monitor-id]');
+      if (!checkbox) {
+        return;
+      }
+      if (checkbox.checked) {
+        this.selectedIds.add(checkbox.dataset.monitorId);
+      } else {
+        this.selectedIds.delete(checkbox.dataset.monitorId);
+      }
+      this.renderMonitors();
+    });
+
+    this.replayAllBtn.addEventListener('click', () => {
+      this.runDeadLetterAction('replay', this.deadLetters.map(entry => entry.id));
+    });
+    this.discardAllBtn.addEventListener('click', () => {
+      this.runDeadLetterAction('discard', this.deadLetters.map(entry => entry.id));
+    });
+
+    this.deadLetterRows.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-dead-letter-id]');
+      if (button) {
+        this.runDeadLetterAction(button.dataset.operation, [Number(button.dataset.deadLetterId)]);
+      }
+    });
+
+    // Live updates: checks, schedules and failures are all persisted by the background script
+    // (outbox changes live in IndexedDB, but every delivery attempt is logged)
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'session' && changes.failureCounters) {
+        this.scheduleRefresh();
+      }
+      if (areaName !== 'local') {
+        return;
+      }
+      if (changes.monitors || changes.monitoringSchedule || changes.activityLog) {
+        this.scheduleRefresh();
+      }
+    });
+
+    setInterval(() => this.renderMonitors(), DASHBOARD_TICK_INTERVAL);
+  }
+
+  /**
+   * Reload monitors after a short delay
+   */
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimeout);
+    this.refreshTimeout = setTimeout(() => {
+      this.loadMonitors();
+      this.loadOutbox();
+    }, DASHBOARD_REFRESH_DEBOUNCE);
+  }
+
+  /**
+   * Load monitors from the background script
+   */
+  async loadMonitors() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getAllMonitors' });
+      if (!response?.success) {
+        this.showResult(response?.message || 'Failed to load monitors', false);
+        return;
+      }
+
+      this.monitors = response.monitors.sort((a, b) => a.url.localeCompare(b.url));
+
+      // Drop selections of monitors that no longer exist
+      const ids = new Set(this.monitors.map(monitor => monitor.id));
+      this.selectedIds = new Set([...this.selectedIds].filter(id => ids.has(id)));
+
+      this.renderMonitors();
+    } catch (error) {
+      console.error('Error loading monitors:', error);
+      this.showResult('Error loading monitors: ' + error.message, false);
+    }
+  }
+
+  /**
+   * Render the monitors table, toolbar state and summary
+   */
+  renderMonitors() {
+    this.monitorRows.innerHTML = '';
+    for (const monitor of this.monitors) {
+      this.monitorRows.appendChild(this.createRow(monitor));
+    }
+
+    this.emptyState.style.display = this.monitors.length === 0 ? 'block' : 'none';
+
+    const selectedCount = this.selectedIds.size;
+    this.selectAllCheckbox.checked = selectedCount > 0 && selectedCount === this.monitors.length;
+    this.selectAllCheckbox.indeterminate = selectedCount > 0 && selectedCount < this.monitors.length;
+
+    for (const button of Object.values(this.actionButtons)) {
+      button.disabled = this.isBusy || selectedCount === 0;
+    }
+
+    const counts = { active: 0, paused: 0, stopped: 0 };
+    for (const monitor of this.monitors) {
+      counts[monitor.state]++;
+    }
+    this.summary.textContent = `${this.monitors.length} monitor(s): ${counts.active} active, ` +
+      `${counts.paused} paused, ${counts.stopped} stopped` +
+      (selectedCount > 0 ? ` — ${selectedCount} selected` : '');
+  }
+
+  /**
+   * Create a table row for a monitor
+   * @param {Object} monitor - Dashboard monitor row from the background script
+   * @returns {HTMLTableRowElement} Row element
+   */
+  createRow(monitor) {
+    const row = document.createElement('tr');
+    const isSelected = this.selectedIds.has(monitor.id);
+    row.classList.toggle('selected', isSelected);
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.dataset.monitorId = monitor.id;
+    checkbox.checked = isSelected;
+    this.appendCell(row, checkbox, 'col-select');
+
+    const status = document.createElement('span');
+    status.className = `status-badge ${monitor.state}`;
+    status.textContent = STATUS_LABELS[monitor.state] || monitor.state;
+    const mode = document.createElement('span');
+    mode.className = 'mode-label';
+    mode.textContent = MODE_LABELS[monitor.checkMode] || MODE_LABELS.reload;
+    this.appendCell(row, [status, mode]);
+
+    const link = document.createElement('a');
+    link.href = monitor.url;
+    link.target = '_blank';
+    link.textContent = monitor.url;
+    this.appendCell(row, link, 'cell-url');
+
+    this.appendCell(row, monitor.profileName || '—', monitor.profileName ? '' : 'cell-muted');
+    const fieldNames = monitor.fields?.length ? `fields: ${monitor.fields.join(', ')}` : '';
+    const listItem = monitor.listItem ? `list: ${monitor.listItem}` : '';
+    this.appendCell(row, [monitor.selector, fieldNames, listItem].filter(Boolean).join(' · ') || '—', 'cell-selector');
+    this.appendCell(row, this.formatTime(monitor.lastCheckTime), 'cell-time');
+    this.appendCell(row, this.formatTime(monitor.lastChangeTime), 'cell-time');
+    this.appendCell(row, String(monitor.failures), monitor.failures > 0 ? 'cell-failures has-failures' : 'cell-failures');
+    this.appendCell(row, monitor.state === 'active' ? this.formatTime(monitor.nextRunTime) : '—', 'cell-time');
+
+    const history = document.createElement('a');
+    history.href = chrome.runtime.getURL('src/history/history.html') + '?monitorId=' + encodeURIComponent(monitor.id);
+    history.target = '_blank';
+    history.textContent = 'Versions';
+    this.appendCell(row, history, 'cell-url');
+
+    return row;
+  }
+
+  /**
+   * Append a table cell to a row
+   * @param {HTMLTableRowElement} row - Row element
+   * @param {string|Node|Array<Node>} content - Text (set as textContent) or node(s)
+   * @param {string} className - Optional cell class
+   */
+  appendCell(row, content, className = '') {
+    const cell = document.createElement('td');
+    if (className) {
+      cell.className = className;
+    }
+    if (typeof content === 'string') {
+      cell.textContent = content;
+    } else {
+      cell.append(...[].concat(content));
+    }
+    row.appendChild(cell);
+  }
+
+  /**
+   * Format a timestamp as a relative time with its clock time
+   * @param {string|number|null} value - ISO string or epoch milliseconds
+   * @returns {string} Formatted time
+   */
+  formatTime(value) {
+    if (!value) {
+      return '—';
+    }
+
+    const diff = new Date(value).getTime() - Date.now();
+    const minutes = Math.round(Math.abs(diff) / 60000);
+    let relative;
+    if (minutes < 1) {
+      relative = diff >= 0 ? 'in <1 min' : 'just now';
+    } else if (minutes < 60) {
+      relative = diff >= 0 ? `in ${minutes} min` : `${minutes} min ago`;
+    } else if (minutes < 1440) {
+      const hours = Math.round(minutes / 60);
+      relative = diff >= 0 ? `in ${hours} h` : `${hours} h ago`;
+    } else {
+      return new Date(value).toLocaleString();
+    }
+
+    return `${relative} (${new Date(value).toLocaleTimeString()})`;
+  }
+
+  /**
+   * Load the webhook outbox state from the background script
+   */
+  async loadOutbox() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getWebhookOutbox' });
+      if (!response?.success) {
+        this.showResult(response?.message || 'Failed to load webhook outbox', false);
+        return;
+      }
+
+      this.deadLetters = response.deadLetters;
+      this.renderDeadLetters(response.pending, response.nextAttemptAt);
+    } catch (error) {
+      console.error('Error loading webhook outbox:', error);
+      this.showResult('Error loading webhook outbox: ' + error.message, false);
+    }
+  }
+
+  /**
+   * Render the dead-lettered deliveries and the outbox summary
+   * @param {number} pending - Deliveries waiting for (re)try
+   * @param {number|null} nextAttemptAt - Next retry time in milliseconds
+   */
+  renderDeadLetters(pending, nextAttemptAt) {
+    this.deadLetterRows.innerHTML = '';
+    for (const entry of this.deadLetters) {
+      const row = document.createElement('tr');
+
+      const link = document.createElement('a');
+      link.href = entry.url;
+      link.target = '_blank';
+      link.textContent = entry.url;
+      this.appendCell(row, link, 'cell-url');
+      this.appendCell(row, entry.destination);
+      this.appendCell(row, String(entry.attempts));
+      this.appendCell(row, entry.lastError || '—', 'cell-error');
+      this.appendCell(row, this.formatTime(entry.createdAt), 'cell-time');
+      this.appendCell(row, this.formatTime(entry.deadLetteredAt), 'cell-time');
+
+      const buttons = [['replay', 'Replay', 'btn-start'], ['discard', 'Discard', 'btn-delete']].map(([operation, label, className]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn-action btn-row ${className}`;
+        button.dataset.deadLetterId = entry.id;
+        button.dataset.operation = operation;
+        button.textContent = label;
+        button.disabled = this.isBusy;
+        return button;
+      });
+      this.appendCell(row, buttons);
+
+      this.deadLetterRows.appendChild(row);
+    }
+
+    this.deadLetterEmpty.style.display = this.deadLetters.length === 0 ? 'block' : 'none';
+    this.replayAllBtn.disabled = this.isBusy || this.deadLetters.length === 0;
+    this.discardAllBtn.disabled = this.isBusy || this.deadLetters.length === 0;
+
+    const retrying = pending > 0 ? `${pending} waiting for delivery, next attempt ${this.formatTime(nextAttemptAt)}` : 'Nothing waiting for delivery';
+    this.outboxSummary.textContent = `${retrying} — ${this.deadLetters.length} failed`;
+  }
+
+  /**
+   * Replay or discard dead-lettered deliveries
+   * @param {string} operation - 'replay' or 'discard'
+   * @param {Array<number>} ids - Dead letter IDs
+   */
+  async runDeadLetterAction(operation, ids) {
+    if (ids.length === 0) {
+      return;
+    }
+
+    if (operation === 'discard' && !confirm(`Discard ${ids.length} failed delivery(ies)? The changes will not be sent.`)) {
+      return;
+    }
+
+    this.isBusy = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'deadLetterAction', operation, ids });
+      this.showResult(response?.message || `Failed to ${operation} deliveries`, Boolean(response?.success));
+    } catch (error) {
+      console.error('Error running dead letter action:', error);
+      this.showResult('Error: ' + error.message, false);
+    } finally {
+      this.isBusy = false;
+      await this.loadOutbox();
+    }
+  }
+
+  /**
+   * Run a bulk action on the selected monitors
+   * @param {string} operation - 'start', 'pause', 'stop', 'checkNow' or 'delete'
+   */
+  async runBulkAction(operation) {
+    const monitorIds = [...this.selectedIds];
+    if (monitorIds.length === 0) {
+      return;
+    }
+
+    if (operation === 'delete' && !confirm(`Delete ${monitorIds.length} monitor(s)? This cannot be undone.`)) {
+      return;
+    }
+
+    this.isBusy = true;
+    this.renderMonitors();
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'bulkMonitorAction',
+        operation,
+        monitorIds
+      });
+
+      if (response?.success) {
+        this.showResult(response.message, true);
+      } else {
+        this.showResult(response?.message || `Failed to ${operation} monitors`, false);
+      }
+    } catch (error) {
+      console.error('Error running bulk action:', error);
+      this.showResult('Error: ' + error.message, false);
+    } finally {
+      this.isBusy = false;
+      await this.loadMonitors();
+    }
+  }
+
+  /**
+   * Show result message
+   */
+  showResult(message, isSuccess) {
+    this.resultMessage.textContent = message;
+    this.resultMessage.className = `result-message ${isSuccess ? 'success' : 'error'}`;
+    this.resultMessage.style.display = 'flex';
+
+    // Auto-hide after 5 seconds
+    setTimeout(() => {
+      this.resultMessage.style.display = 'none';
+    }, 5000);
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new MonitorDashboard();
+});
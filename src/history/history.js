@@ -0,0 +1,340 @@
+/**
+ * Content History Controller
+ * Lists the stored versions of one monitor (`history.html?monitorId=...`), compares any two
+ * of them side by side and re-sends past versions through the background script
+ */
+
+const HISTORY_REFRESH_DEBOUNCE = 300; // Coalesce bursts of storage changes
+
+class HistoryView {
+  constructor() {
+    this.monitorId = new URLSearchParams(window.location.search).get('monitorId');
+    this.versions = [];
+    this.snapshots = new Map(); // Versions with content, by ID (stored versions never change)
+    this.compareIds = { a: null, b: null };
+    this.refreshTimeout = null;
+    this.isBusy = false;
+    this.initializeElements();
+    this.attachEventListeners();
+
+    if (this.monitorId) {
+      this.loadVersions();
+    } else {
+      this.monitorInfo.textContent = 'No monitor selected';
+      this.showResult('Open the history from the dashboard to pick a monitor', false);
+    }
+  }
+
+  /**
+   * Initialize DOM element references
+   */
+  initializeElements() {
+    this.monitorInfo = document.getElementById('monitorInfo');
+    this.resultMessage = document.getElementById('resultMessage');
+    this.summary = document.getElementById('summary');
+    this.versionRows = document.getElementById('versionRows');
+    this.emptyState = document.getElementById('emptyState');
+    this.compareSection = document.getElementById('compareSection');
+    this.compareTitle = document.getElementById('compareTitle');
+    this.compareSummary = document.getElementById('compareSummary');
+    this.diffRows = document.getElementById('diffRows');
+    this.viewSection = document.getElementById('viewSection');
+    this.viewTitle = document.getElementById('viewTitle');
+    this.viewContent = document.getElementById('viewContent');
+    this.closeViewBtn = document.getElementById('closeViewBtn');
+  }
+
+  /**
+   * Attach event listeners
+   */
+  attachEventListeners() {
+    this.versionRows.addEventListener('change', (event) => {
+      const radio = event.target.closest('input[data-side]');
+      if (radio) {
+        this.compareIds[radio.dataset.side] = Number(radio.value);
+        this.renderComparison();
+      }
+    });
+
+    this.versionRows.addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-snapshot-id]');
+      if (!button) {
+        return;
+      }
+      const id = Number(button.dataset.snapshotId);
+      if (button.dataset.operation === 'view') {
+        this.viewVersion(id);
+      } else if (button.dataset.operation === 'resend') {
+        this.resendVersion(id);
+      }
+    });
+
+    this.closeViewBtn.addEventListener('click', () => {
+      this.viewSection.style.display = 'none';
+    });
+
+    // New versions are stored during checks, which also update the monitor records
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.monitors && this.monitorId) {
+        this.scheduleRefresh();
+      }
+    });
+  }
+
+  /**
+   * Reload the versions after a short delay
+   */
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimeout);
+    this.refreshTimeout = setTimeout(() => this.loadVersions(), HISTORY_REFRESH_DEBOUNCE);
+  }
+
+  /**
+   * Load the monitor and its versions from the background script
+   */
+  async loadVersions() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSnapshots', monitorId: this.monitorId });
+      if (!response?.success) {
+        this.monitorInfo.textContent = 'Monitor not available';
+        this.showResult(response?.message || 'Failed to load history', false);
+        return;
+      }
+
+      const { monitor } = response;
+      this.monitorInfo.textContent = monitor.profileName ? `${monitor.profileName} — ${monitor.url}` : monitor.url;
+      this.versions = response.snapshots;
+
+      // Keep the picked versions while they exist; by default compare the previous version with the latest
+      const ids = new Set(this.versions.map(version => version.id));
+      if (!ids.has(this.compareIds.a) || !ids.has(this.compareIds.b)) {
+        this.compareIds = { a: this.versions[1]?.id ?? null, b: this.versions[0]?.id ?? null };
+      }
+
+      this.summary.textContent = monitor.retention.maxCount === 0
+        ? 'History is turned off for this monitor'
+        : `${this.versions.length} version(s) — keeps up to ${monitor.retention.maxCount} for ${monitor.retention.maxAgeDays} day(s)`;
+      this.renderVersions();
+      await this.renderComparison();
+    } catch (error) {
+      console.error('Error loading history:', error);
+      this.showResult('Error loading history: ' + error.message, false);
+    }
+  }
+
+  /**
+   * Render the version list
+   */
+  renderVersions() {
+    this.versionRows.innerHTML = '';
+    this.versions.forEach((version, index) => {
+      const row = document.createElement('tr');
+      const isCompared = version.id === this.compareIds.a || version.id === this.compareIds.b;
+      row.classList.toggle('selected', isCompared);
+
+      for (const side of ['a', 'b']) {
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = `compare-${side}`;
+        radio.value = version.id;
+        radio.dataset.side = side;
+        radio.checked = this.compareIds[side] === version.id;
+        this.appendCell(row, radio, 'col-compare');
+      }
+
+      const label = document.createElement('span');
+      label.textContent = `#${this.versions.length - index}`;
+      const badges = [label];
+      if (index === 0) {
+        const latest = document.createElement('span');
+        latest.className = 'latest-badge';
+        latest.textContent = 'Latest';
+        badges.push(latest);
+      }
+      this.appendCell(row, badges);
+      this.appendCell(row, new Date(version.capturedAt).toLocaleString(), 'cell-time');
+      this.appendCell(row, `${version.size.toLocaleString()} chars`, 'cell-muted');
+
+      const buttons = [['view', 'View', 'btn-check'], ['resend', 'Re-send', 'btn-start']].map(([operation, text, className]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `btn-action btn-row ${className}`;
+        button.dataset.snapshotId = version.id;
+        button.dataset.operation = operation;
+        button.textContent = text;
+        button.disabled = this.isBusy;
+        return button;
+      });
+      this.appendCell(row, buttons);
+
+      this.versionRows.appendChild(row);
+    });
+
+    this.emptyState.style.display = this.versions.length === 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Append a table cell to a row
+   * @param {HTMLTableRowElement} row - Row element
+   * @param {string|Node|Array<Node>} content - Text (set as textContent) or node(s)
+   * @param {string} className - Optional cell class
+   */
+  appendCell(row, content, className = '') {
+    const cell = document.createElement('td');
+    if (className) {
+      cell.className = className;
+    }
+    if (typeof content === 'string') {
+      cell.textContent = content;
+    } else {
+      cell.append(...[].concat(content));
+    }
+    row.appendChild(cell);
+  }
+
+  /**
+   * Get a version with its content
+   * @param {number} id - Snapshot ID
+   * @returns {Promise<Object>} Snapshot
+   * @throws {Error} If the version cannot be loaded
+   */
+  async getSnapshot(id) {
+    if (!this.snapshots.has(id)) {
+      const response = await chrome.runtime.sendMessage({ action: 'getSnapshot', id });
+      if (!response?.success) {
+        throw new Error(response?.message || 'Failed to load version');
+      }
+      this.snapshots.set(id, response.snapshot);
+    }
+    return this.snapshots.get(id);
+  }
+
+  /**
+   * Get the text of a version to show and compare
+   * Field monitors show one `name: value` line per field and list monitors one line per item,
+   * so the line diff follows the values instead of their JSON.
+   * @param {Object} snapshot - Snapshot
+   * @returns {string} Text
+   */
+  getText(snapshot) {
+    if (snapshot.fields) {
+      return contentDiffer.fieldsToText(snapshot.fields);
+    }
+    if (snapshot.items) {
+      return snapshot.items.map(item => JSON.stringify(item)).join('\n');
+    }
+    return snapshot.content;
+  }
+
+  /**
+   * Get the label of a version, e.g. "#3 (20/01/2025, 10:00:00)"
+   * @param {number} id - Snapshot ID
+   * @returns {string} Label
+   */
+  getLabel(id) {
+    const index = this.versions.findIndex(version => version.id === id);
+    const version = this.versions[index];
+    return version ? `#${this.versions.length - index} (${new Date(version.capturedAt).toLocaleString()})` : `#${id}`;
+  }
+
+  /**
+   * Render the side-by-side diff of the versions picked as A and B (older on the left)
+   */
+  async renderComparison() {
+    const { a, b } = this.compareIds;
+    if (a === null || b === null || a === b) {
+      this.compareSection.style.display = 'none';
+      return;
+    }
+
+    try {
+      const [older, newer] = [await this.getSnapshot(Math.min(a, b)), await this.getSnapshot(Math.max(a, b))];
+      const rows = contentDiffer.sideBySide(this.getText(older), this.getText(newer));
+
+      this.diffRows.innerHTML = '';
+      for (const item of rows) {
+        const row = document.createElement('tr');
+        row.className = `diff-${item.type}`;
+        this.appendCell(row, item.leftLine === null ? '' : String(item.leftLine), 'cell-line');
+        this.appendCell(row, item.left ?? '', item.left === null ? 'cell-code cell-empty' : 'cell-code cell-left');
+        this.appendCell(row, item.rightLine === null ? '' : String(item.rightLine), 'cell-line');
+        this.appendCell(row, item.right ?? '', item.right === null ? 'cell-code cell-empty' : 'cell-code cell-right');
+        this.diffRows.appendChild(row);
+      }
+
+      const counts = { changed: 0, added: 0, removed: 0 };
+      for (const item of rows) {
+        if (item.type !== 'equal') {
+          counts[item.type]++;
+        }
+      }
+      this.compareTitle.textContent = `${this.getLabel(older.id)} → ${this.getLabel(newer.id)}`;
+      this.compareSummary.textContent = counts.changed + counts.added + counts.removed === 0
+        ? 'No differences in the text (the versions differ only in normalized content)'
+        : `${counts.changed} changed, ${counts.added} added, ${counts.removed} removed line(s)`;
+      this.compareSection.style.display = 'block';
+    } catch (error) {
+      console.error('Error comparing versions:', error);
+      this.showResult('Error comparing versions: ' + error.message, false);
+    }
+  }
+
+  /**
+   * Show the content of a version
+   * @param {number} id - Snapshot ID
+   */
+  async viewVersion(id) {
+    try {
+      const snapshot = await this.getSnapshot(id);
+      this.viewTitle.textContent = this.getLabel(id);
+      this.viewContent.textContent = this.getText(snapshot);
+      this.viewSection.style.display = 'block';
+      this.viewSection.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+      console.error('Error loading version:', error);
+      this.showResult('Error loading version: ' + error.message, false);
+    }
+  }
+
+  /**
+   * Send a past version to the monitor's webhook again
+   * @param {number} id - Snapshot ID
+   */
+  async resendVersion(id) {
+    if (!confirm(`Send version ${this.getLabel(id)} to the monitor's webhook again?`)) {
+      return;
+    }
+
+    this.isBusy = true;
+    this.renderVersions();
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'resendSnapshot', id });
+      this.showResult(response?.message || 'Failed to re-send version', Boolean(response?.success));
+    } catch (error) {
+      console.error('Error re-sending version:', error);
+      this.showResult('Error: ' + error.message, false);
+    } finally {
+      this.isBusy = false;
+      this.renderVersions();
+    }
+  }
+
+  /**
+   * Show result message
+   */
+  showResult(message, isSuccess) {
+    this.resultMessage.textContent = message;
+    this.resultMessage.className = `result-message ${isSuccess ? 'success' : 'error'}`;
+    this.resultMessage.style.display = 'flex';
+
+    // Auto-hide after 5 seconds
+    setTimeout(() => {
+      this.resultMessage.style.display = 'none';
+    }, 5000);
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new HistoryView();
+});
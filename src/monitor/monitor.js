@@ -3,6 +3,13 @@
  * Manages the monitoring interface and communication with background script
  */
 
+const PICKED_ELEMENT_MAX_AGE = 10 * 60 * 1000; // Ignore picks older than 10 minutes
+const CHECK_MODE_LABELS = {
+  reload: 'Reload tab',
+  fetch: 'Background fetch',
+  live: 'Live'
+};
+
 class PageMonitor {
   constructor() {
     this.currentTabId = null;
@@ -23,7 +30,12 @@ class PageMonitor {
   initializeElements() {
     this.selectorInput = document.getElementById('selector');
     this.refreshIntervalInput = document.getElementById('refreshInterval');
+    this.refreshIntervalGroup = document.getElementById('refreshIntervalGroup');
     this.contentTypeSelect = document.getElementById('contentType');
+    this.diffGranularitySelect = document.getElementById('diffGranularity');
+    this.checkModeSelect = document.getElementById('checkMode');
+    this.tabPlacementGroup = document.getElementById('tabPlacementGroup');
+    this.tabPlacementSelect = document.getElementById('tabPlacement');
     this.changeDetectionCheckbox = document.getElementById('changeDetection');
     this.tabSelector = document.getElementById('tabSelector');
     this.refreshTabsBtn = document.getElementById('refreshTabsBtn');
@@ -31,6 +43,13 @@ class PageMonitor {
     this.stopBtn = document.getElementById('stopBtn');
     this.testBtn = document.getElementById('testBtn');
     this.sendNowBtn = document.getElementById('sendNowBtn');
+    this.pickElementBtn = document.getElementById('pickElementBtn');
+    this.selectorAlternatives = document.getElementById('selectorAlternatives');
+    this.fieldsInput = document.getElementById('fields');
+    this.listContainerInput = document.getElementById('listContainer');
+    this.listItemInput = document.getElementById('listItem');
+    this.listKeyInput = document.getElementById('listKey');
+    this.listFieldsInput = document.getElementById('listFields');
     this.currentTabUrl = document.getElementById('currentTabUrl');
     this.monitoringStatus = document.getElementById('monitoringStatus');
     this.statusDot = document.getElementById('statusDot');
@@ -38,6 +57,17 @@ class PageMonitor {
     this.statusDetails = document.getElementById('statusDetails');
     this.resultMessage = document.getElementById('resultMessage');
     
+    // Schedule elements
+    this.scheduleModeSelect = document.getElementById('scheduleMode');
+    this.cronExpressionGroup = document.getElementById('cronExpressionGroup');
+    this.cronExpressionInput = document.getElementById('cronExpression');
+    this.scheduleTimezoneInput = document.getElementById('scheduleTimezone');
+    this.timezoneList = document.getElementById('timezoneList');
+    this.activeHoursInput = document.getElementById('activeHours');
+    this.blackoutWindowsInput = document.getElementById('blackoutWindows');
+    this.schedulePreview = document.getElementById('schedulePreview');
+    this.schedulePreviewTimeout = null;
+    
     // Profile management elements
     this.profileSelector = document.getElementById('profileSelector');
     this.loadProfileBtn = document.getElementById('loadProfileBtn');
@@ -229,6 +259,34 @@ class PageMonitor {
     this.stopBtn.addEventListener('click', () => this.stopMonitoring());
     this.testBtn.addEventListener('click', () => this.testExtraction());
     this.sendNowBtn.addEventListener('click', () => this.sendNow());
+    this.pickElementBtn.addEventListener('click', () => this.startElementPicker());
+    
+    // Picks are relayed through storage by the background script
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.pickedElement?.newValue) {
+        this.applyPickedElement(changes.pickedElement.newValue);
+      }
+    });
+    
+    // Tab placement only applies to reload mode
+    this.checkModeSelect.addEventListener('change', () => this.updateTabPlacementVisibility());
+    
+    // Schedule controls
+    this.populateTimezones();
+    this.scheduleModeSelect.addEventListener('change', () => {
+      this.updateScheduleModeVisibility();
+      this.updateSchedulePreview();
+    });
+    [
+      this.refreshIntervalInput,
+      this.cronExpressionInput,
+      this.scheduleTimezoneInput,
+      this.activeHoursInput,
+      this.blackoutWindowsInput
+    ].forEach(input => {
+      input.addEventListener('input', () => this.scheduleSchedulePreview());
+    });
+    this.updateSchedulePreview();
     
     // Tab selector change
     this.tabSelector.addEventListener('change', (e) => {
@@ -301,13 +359,20 @@ class PageMonitor {
     if (status.isMonitoring && status.config) {
       // Load existing config into form
       this.selectorInput.value = status.config.selector || '';
+      this.fieldsInput.value = fieldConfig.format(status.config.fields);
+      this.applyListConfig(status.config.list);
       this.refreshIntervalInput.value = (status.config.refreshInterval / 1000) || 30;
       this.contentTypeSelect.value = status.config.contentType || 'html';
+      this.diffGranularitySelect.value = status.config.diffGranularity || 'line';
+      this.checkModeSelect.value = status.config.checkMode || 'reload';
+      this.tabPlacementSelect.value = status.config.tabPlacement || 'pinned';
+      this.updateTabPlacementVisibility();
       this.changeDetectionCheckbox.checked = status.config.changeDetection !== false;
+      this.applyScheduleConfig(status.config.schedule || null);
       
       // Update UI state
       this.setMonitoringState(true);
-      this.showStatus('Monitoring active', status.config);
+      this.showStatus('Monitoring active', status.config, status.schedule);
     } else {
       this.setMonitoringState(false);
     }
@@ -330,35 +395,99 @@ class PageMonitor {
 
   /**
    * Show monitoring status
+   * @param {string} text - Status text
+   * @param {Object} config - Monitoring configuration
+   * @param {Object|null} scheduleEntry - Persisted schedule entry from background
    */
-  showStatus(text, config) {
+  showStatus(text, config, scheduleEntry = null) {
     this.statusText.textContent = text;
     this.statusDot.className = 'fas fa-circle status-dot active';
     
     if (config) {
       const intervalSeconds = (config.refreshInterval / 1000) || 30;
+      const timing = config.schedule?.mode === 'cron'
+        ? `<strong>Cron:</strong> ${config.schedule.cron}`
+        : `<strong>Interval:</strong> ${intervalSeconds} seconds`;
+      const nextRun = scheduleEntry?.nextRunTime
+        ? `<br><strong>Next Run:</strong> ${new Date(scheduleEntry.nextRunTime).toLocaleString()}`
+        : '';
       this.statusDetails.innerHTML = `
         <strong>Selector:</strong> ${config.selector || 'N/A'}<br>
-        <strong>Interval:</strong> ${intervalSeconds} seconds<br>
-        <strong>Change Detection:</strong> ${config.changeDetection ? 'Enabled' : 'Disabled'}
+        ${fieldConfig.hasFields(config) ? `<strong>Fields:</strong> ${Object.keys(config.fields).join(', ')}<br>` : ''}
+        ${fieldConfig.hasList(config) ? `<strong>List Items:</strong> ${config.list.item} (key: ${config.list.key})<br>` : ''}
+        ${timing}<br>
+        <strong>Check Mode:</strong> ${CHECK_MODE_LABELS[config.checkMode] || CHECK_MODE_LABELS.reload}<br>
+        <strong>Change Detection:</strong> ${config.changeDetection ? 'Enabled' : 'Disabled'}${nextRun}
       `;
     }
   }
 
+  /**
+   * Read the selector, named fields and list mode from the form
+   * @returns {Object|null} { selector, fields, list }, or null (after showing an error) if none is usable
+   */
+  getExtractionTarget() {
+    const selector = this.selectorInput.value.trim();
+    const { fields, error } = fieldConfig.parse(this.fieldsInput.value);
+    if (error) {
+      this.showResult('Invalid fields: ' + error, false);
+      return null;
+    }
+    const { list, error: listError } = this.readListConfig();
+    if (listError) {
+      this.showResult('Invalid list mode: ' + listError, false);
+      return null;
+    }
+    if (!selector && !fields && !list) {
+      this.showResult('Please enter a CSS selector, named fields or a list item selector first', false);
+      return null;
+    }
+    return { selector, fields, list };
+  }
+
+  /**
+   * Read list mode from the form
+   * @returns {Object} { list, error } - list is null when list mode is not used
+   */
+  readListConfig() {
+    return fieldConfig.parseList({
+      container: this.listContainerInput.value,
+      item: this.listItemInput.value,
+      key: this.listKeyInput.value,
+      fieldsText: this.listFieldsInput.value
+    });
+  }
+
+  /**
+   * Fill the list mode inputs
+   * @param {Object|null} list - List mode definition
+   */
+  applyListConfig(list) {
+    this.listContainerInput.value = list?.container || '';
+    this.listItemInput.value = list?.item || '';
+    this.listKeyInput.value = list?.key || '';
+    this.listFieldsInput.value = fieldConfig.format(list?.fields || null);
+  }
+
   /**
    * Validate form inputs
    */
   validateForm() {
-    const selector = this.selectorInput.value.trim();
     const interval = parseInt(this.refreshIntervalInput.value);
 
-    if (!selector) {
-      this.showResult('Please enter a CSS selector', false);
+    if (!this.getExtractionTarget()) {
       return false;
     }
 
-    if (isNaN(interval) || interval < 5) {
-      this.showResult('Refresh interval must be at least 5 seconds', false);
+    const schedule = this.getScheduleConfig();
+    if (schedule?.mode !== 'cron' && (isNaN(interval) || interval * 1000 < MIN_REFRESH_INTERVAL)) {
+      this.showResult(`Refresh interval must be at least ${MIN_REFRESH_INTERVAL / 1000} seconds`, false);
+      return false;
+    }
+
+    const scheduleValidation = scheduleEvaluator.validate(schedule);
+    if (!scheduleValidation.isValid) {
+      this.showResult('Invalid schedule: ' + scheduleValidation.message, false);
       return false;
     }
 
@@ -407,9 +536,15 @@ class PageMonitor {
 
       const config = {
         selector: this.selectorInput.value.trim(),
-        refreshInterval: parseInt(this.refreshIntervalInput.value) * 1000, // Convert to milliseconds
+        fields: fieldConfig.parse(this.fieldsInput.value).fields,
+        list: this.readListConfig().list,
+        refreshInterval: (parseInt(this.refreshIntervalInput.value) || 30) * 1000, // Convert to milliseconds
+        schedule: this.getScheduleConfig(),
         changeDetection: this.changeDetectionCheckbox.checked,
         contentType: this.contentTypeSelect.value,
+        diffGranularity: this.diffGranularitySelect.value || 'line',
+        checkMode: this.checkModeSelect.value || 'reload',
+        tabPlacement: this.tabPlacementSelect.value || 'pinned',
         url: url
       };
 
@@ -508,7 +643,7 @@ class PageMonitor {
           }
 
           await chrome.scripting.executeScript({
-            target: { tabId: this.currentTabId },
+            target: { tabId: this.currentTabId, allFrames: true },
             files: ['src/content-scripts/page-monitor-content.js']
           });
           // Wait a bit for script to initialize, then verify it's loaded
@@ -536,12 +671,11 @@ class PageMonitor {
    * Send content to webhook immediately
    */
   async sendNow() {
-    const selector = this.selectorInput.value.trim();
-    
-    if (!selector) {
-      this.showResult('Please enter a CSS selector first', false);
+    const target = this.getExtractionTarget();
+    if (!target) {
       return;
     }
+    const { selector, fields, list } = target;
 
     if (!this.currentTabId) {
       this.showResult('No active tab found', false);
@@ -565,6 +699,8 @@ class PageMonitor {
       const response = await chrome.tabs.sendMessage(this.currentTabId, {
         action: 'extractContent',
         selector: selector,
+        fields: fields,
+        list: list,
         contentType: this.contentTypeSelect.value || 'html',
         tabId: this.currentTabId
       });
@@ -627,12 +763,11 @@ class PageMonitor {
    * Test content extraction
    */
   async testExtraction() {
-    const selector = this.selectorInput.value.trim();
-    
-    if (!selector) {
-      this.showResult('Please enter a CSS selector first', false);
+    const target = this.getExtractionTarget();
+    if (!target) {
       return;
     }
+    const { selector, fields, list } = target;
 
     if (!this.currentTabId) {
       this.showResult('No active tab found', false);
@@ -656,6 +791,8 @@ class PageMonitor {
       const response = await chrome.tabs.sendMessage(this.currentTabId, {
         action: 'extractContent',
         selector: selector,
+        fields: fields,
+        list: list,
         contentType: this.contentTypeSelect.value || 'html',
         tabId: this.currentTabId
       });
@@ -687,6 +824,93 @@ class PageMonitor {
     }
   }
 
+  /**
+   * Start the element picker on the selected tab and switch to it
+   */
+  async startElementPicker() {
+    if (!this.currentTabId) {
+      this.showResult('No active tab found', false);
+      return;
+    }
+
+    try {
+      const scriptLoaded = await this.ensureContentScriptLoaded();
+      if (!scriptLoaded) {
+        this.showResult(
+          'Content script not loaded. Please refresh the page and try again.',
+          false
+        );
+        return;
+      }
+
+      await chrome.tabs.sendMessage(this.currentTabId, {
+        action: 'startElementPicker',
+        contentType: this.contentTypeSelect.value || 'html'
+      });
+
+      const tab = await chrome.tabs.update(this.currentTabId, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+      this.showResult('Click an element on the page to select it (Esc to cancel)', true);
+    } catch (error) {
+      console.error('Error starting element picker:', error);
+      this.showResult('Error: ' + error.message, false);
+    }
+  }
+
+  /**
+   * Apply an element picked on the selected tab and switch back to this page
+   * @param {Object} picked - Picked element from storage
+   */
+  async applyPickedElement(picked) {
+    if (picked.tabId !== this.currentTabId || Date.now() - picked.pickedAt > PICKED_ELEMENT_MAX_AGE) {
+      return;
+    }
+
+    await chrome.storage.local.remove('pickedElement');
+    this.selectorInput.value = picked.selector;
+    this.renderSelectorAlternatives(picked.alternatives);
+    this.showResult(
+      picked.preview
+        ? `🎯 Element picked (${picked.contentLength} characters)\nPreview: ${picked.preview}...`
+        : '🎯 Element picked (no content)',
+      true
+    );
+
+    if (this.monitorTabId) {
+      const tab = await chrome.tabs.update(this.monitorTabId, { active: true });
+      await chrome.windows.update(tab.windowId, { focused: true });
+    }
+  }
+
+  /**
+   * Show alternative selectors for the picked element
+   * @param {Array<string>} alternatives - Alternative selectors
+   */
+  renderSelectorAlternatives(alternatives = []) {
+    this.selectorAlternatives.innerHTML = '';
+    if (alternatives.length === 0) {
+      this.selectorAlternatives.style.display = 'none';
+      return;
+    }
+
+    const label = document.createElement('span');
+    label.textContent = 'Alternatives:';
+    this.selectorAlternatives.appendChild(label);
+
+    for (const selector of alternatives) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'selector-alternative';
+      button.textContent = selector;
+      button.title = selector;
+      button.addEventListener('click', () => {
+        this.selectorInput.value = selector;
+      });
+      this.selectorAlternatives.appendChild(button);
+    }
+    this.selectorAlternatives.style.display = 'flex';
+  }
+
   /**
    * Show result message
    */
@@ -714,15 +938,129 @@ class PageMonitor {
     }
   }
 
+  /**
+   * Populate timezone suggestions and default
+   */
+  populateTimezones() {
+    const defaultTimezone = scheduleEvaluator.getDefaultTimezone();
+    this.scheduleTimezoneInput.placeholder = defaultTimezone;
+    
+    const timezones = typeof Intl.supportedValuesOf === 'function'
+      ? Intl.supportedValuesOf('timeZone')
+      : [defaultTimezone];
+    this.timezoneList.innerHTML = '';
+    timezones.forEach(timezone => {
+      const option = document.createElement('option');
+      option.value = timezone;
+      this.timezoneList.appendChild(option);
+    });
+  }
+
+  /**
+   * Show tab placement only for reload mode
+   */
+  updateTabPlacementVisibility() {
+    this.tabPlacementGroup.style.display = this.checkModeSelect.value === 'fetch' ? 'none' : 'block';
+  }
+
+  /**
+   * Show interval or cron input depending on schedule mode
+   */
+  updateScheduleModeVisibility() {
+    const isCron = this.scheduleModeSelect.value === 'cron';
+    this.cronExpressionGroup.style.display = isCron ? 'block' : 'none';
+    this.refreshIntervalGroup.style.display = isCron ? 'none' : 'block';
+  }
+
+  /**
+   * Get schedule configuration from form
+   * @returns {Object|null} Schedule, or null for a plain interval
+   */
+  getScheduleConfig() {
+    const schedule = {
+      mode: this.scheduleModeSelect.value || 'interval',
+      cron: this.cronExpressionInput.value.trim(),
+      timezone: this.scheduleTimezoneInput.value.trim(),
+      activeHours: this.activeHoursInput.value.trim(),
+      blackoutWindows: this.blackoutWindowsInput.value.trim()
+    };
+    
+    if (schedule.mode === 'interval' && !schedule.timezone && !schedule.activeHours && !schedule.blackoutWindows) {
+      return null;
+    }
+    return schedule;
+  }
+
+  /**
+   * Apply schedule configuration to form
+   * @param {Object|null} schedule - Schedule configuration
+   */
+  applyScheduleConfig(schedule) {
+    this.scheduleModeSelect.value = schedule?.mode || 'interval';
+    this.cronExpressionInput.value = schedule?.cron || '';
+    this.scheduleTimezoneInput.value = schedule?.timezone || '';
+    this.activeHoursInput.value = schedule?.activeHours || '';
+    this.blackoutWindowsInput.value = schedule?.blackoutWindows || '';
+    this.updateScheduleModeVisibility();
+    this.updateSchedulePreview();
+  }
+
+  /**
+   * Debounce schedule preview updates while typing
+   */
+  scheduleSchedulePreview() {
+    clearTimeout(this.schedulePreviewTimeout);
+    this.schedulePreviewTimeout = setTimeout(() => this.updateSchedulePreview(), 300);
+  }
+
+  /**
+   * Show the next five run times for the current schedule
+   */
+  updateSchedulePreview() {
+    const schedule = this.getScheduleConfig();
+    const refreshInterval = (parseInt(this.refreshIntervalInput.value) || 30) * 1000;
+    
+    if (schedule?.mode === 'cron' && !schedule.cron) {
+      this.schedulePreview.className = 'schedule-preview';
+      this.schedulePreview.textContent = 'Enter a cron expression to preview run times';
+      return;
+    }
+    
+    const validation = scheduleEvaluator.validate(schedule);
+    if (!validation.isValid) {
+      this.schedulePreview.className = 'schedule-preview error';
+      this.schedulePreview.textContent = validation.message;
+      return;
+    }
+    
+    const timezone = schedule?.timezone || scheduleEvaluator.getDefaultTimezone();
+    const runTimes = scheduleEvaluator.getNextRunTimes(schedule, refreshInterval, 5);
+    this.schedulePreview.className = 'schedule-preview';
+    this.schedulePreview.innerHTML = `<span>Next runs (${timezone}):</span>`;
+    const list = document.createElement('ol');
+    runTimes.forEach(time => {
+      const item = document.createElement('li');
+      item.textContent = new Date(time).toLocaleString(undefined, { timeZone: timezone });
+      list.appendChild(item);
+    });
+    this.schedulePreview.appendChild(list);
+  }
+
   /**
    * Get current configuration from form
    */
   getCurrentConfig() {
     return {
       selector: this.selectorInput.value.trim(),
+      fields: fieldConfig.parse(this.fieldsInput.value).fields,
+      list: this.readListConfig().list,
       refreshInterval: parseInt(this.refreshIntervalInput.value) * 1000, // Convert to milliseconds
+      schedule: this.getScheduleConfig(),
       changeDetection: this.changeDetectionCheckbox.checked,
-      contentType: this.contentTypeSelect.value || 'html'
+      contentType: this.contentTypeSelect.value || 'html',
+      diffGranularity: this.diffGranularitySelect.value || 'line',
+      checkMode: this.checkModeSelect.value || 'reload',
+      tabPlacement: this.tabPlacementSelect.value || 'pinned'
     };
   }
 
@@ -733,15 +1071,34 @@ class PageMonitor {
     if (config.selector) {
       this.selectorInput.value = config.selector;
     }
+    if (config.fields !== undefined) {
+      this.fieldsInput.value = fieldConfig.format(config.fields);
+    }
+    if (config.list !== undefined) {
+      this.applyListConfig(config.list);
+    }
     if (config.refreshInterval) {
       this.refreshIntervalInput.value = config.refreshInterval / 1000; // Convert to seconds
     }
+    if (config.schedule !== undefined) {
+      this.applyScheduleConfig(config.schedule);
+    }
     if (config.changeDetection !== undefined) {
       this.changeDetectionCheckbox.checked = config.changeDetection;
     }
     if (config.contentType) {
       this.contentTypeSelect.value = config.contentType;
     }
+    if (config.diffGranularity) {
+      this.diffGranularitySelect.value = config.diffGranularity;
+    }
+    if (config.checkMode) {
+      this.checkModeSelect.value = config.checkMode;
+    }
+    if (config.tabPlacement) {
+      this.tabPlacementSelect.value = config.tabPlacement;
+    }
+    this.updateTabPlacementVisibility();
   }
 
   /**
@@ -789,8 +1146,8 @@ class PageMonitor {
       const config = this.getCurrentConfig();
       
       // Validate config
-      if (!config.selector) {
-        this.showResult('Please enter a CSS selector before saving', false);
+      if (!fieldConfig.hasExtractionTarget(config)) {
+        this.showResult('Please enter a CSS selector, named fields or a list item selector before saving', false);
         return;
       }
 
@@ -0,0 +1,43 @@
+/**
+ * Offscreen Document
+ * Parses pages fetched by the background (fetch mode) with DOMParser and runs the
+ * same selector, named field and list logic as the content script
+ */
+
+/**
+ * Parse HTML and extract content from it
+ * @param {Object} request - { html, url, selector, contentType, fields, list, extractor, ignoreSelectors, readiness }
+ * @returns {Object} Extracted content data (same shape as the content script's)
+ */
+function extractFromHtml(request) {
+  try {
+    const parsedDocument = new DOMParser().parseFromString(request.html || '', 'text/html');
+    return extractConfiguredContent(
+      request,
+      request.readiness || null,
+      { root: parsedDocument, url: request.url }
+    );
+  } catch (error) {
+    console.error('Error parsing fetched page:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Message listener for background script communication
+ */
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.target !== 'offscreen') {
+    return false;
+  }
+
+  if (request.action === 'extractFromHtml') {
+    sendResponse(extractFromHtml(request));
+    return true;
+  }
+
+  return false;
+});
@@ -1,9 +1,12 @@
 /**
  * Options page functionality for Page Monitor to n8n Chrome extension
- * Handles webhook URL management, testing, and settings storage
+ * Handles webhook URL and authentication management, payload templates, webhook destinations, testing,
+ * the secrets vault and settings storage
  */
 class OptionsManager {
   constructor() {
+    this.destinations = [];
+    this.editingDestinationId = null; // Destination loaded in the form, null for a new one
     this.initializeElements();
     this.loadSavedSettings();
     this.attachEventListeners();
@@ -18,14 +21,66 @@ class OptionsManager {
     this.testButton = document.getElementById('testBtn');
     this.clearButton = document.getElementById('clearBtn');
     this.saveStatus = document.getElementById('saveStatus');
+
+    // Webhook authentication
+    this.authTypeSelect = document.getElementById('authType');
+    this.authInputs = {
+      headersText: document.getElementById('authHeaders'),
+      username: document.getElementById('authUsername'),
+      password: document.getElementById('authPassword'),
+      token: document.getElementById('authToken'),
+      secret: document.getElementById('authSecret'),
+      header: document.getElementById('authHeader')
+    };
     
+    // Webhook destinations
+    this.destinationList = document.getElementById('destinationList');
+    this.destinationNameInput = document.getElementById('destinationName');
+    this.destinationTypeSelect = document.getElementById('destinationType');
+    this.destinationUrlInput = document.getElementById('destinationUrl');
+    this.destinationBotTokenInput = document.getElementById('destinationBotToken');
+    this.destinationChatIdInput = document.getElementById('destinationChatId');
+    this.destinationAuthTypeSelect = document.getElementById('destinationAuthType');
+    this.destinationAuthInputs = {
+      headersText: document.getElementById('destinationAuthHeaders'),
+      username: document.getElementById('destinationAuthUsername'),
+      password: document.getElementById('destinationAuthPassword'),
+      token: document.getElementById('destinationAuthToken'),
+      secret: document.getElementById('destinationAuthSecret'),
+      header: document.getElementById('destinationAuthHeader')
+    };
+    this.destinationTemplateInput = document.getElementById('destinationTemplate');
+    this.saveDestinationBtn = document.getElementById('saveDestinationBtn');
+    this.testDestinationBtn = document.getElementById('testDestinationBtn');
+    this.cancelDestinationBtn = document.getElementById('cancelDestinationBtn');
+    this.destinationStatus = document.getElementById('destinationStatus');
+
     // Monitoring defaults
     this.defaultRefreshIntervalInput = document.getElementById('defaultRefreshInterval');
     this.defaultChangeDetectionCheckbox = document.getElementById('defaultChangeDetection');
     this.saveDefaultsButton = document.getElementById('saveDefaultsBtn');
     this.defaultsStatus = document.getElementById('defaultsStatus');
     
+    // Payload template
+    this.payloadTemplateInput = document.getElementById('payloadTemplate');
+    this.payloadPreview = document.getElementById('payloadPreview');
+    this.saveTemplateBtn = document.getElementById('saveTemplateBtn');
+    this.defaultTemplateBtn = document.getElementById('defaultTemplateBtn');
+    this.templateStatus = document.getElementById('templateStatus');
+
+    // Secrets vault
+    this.vaultState = document.getElementById('vaultState');
+    this.vaultPassphraseInput = document.getElementById('vaultPassphrase');
+    this.vaultPassphraseConfirmInput = document.getElementById('vaultPassphraseConfirm');
+    this.vaultSetupBtn = document.getElementById('vaultSetupBtn');
+    this.vaultUnlockBtn = document.getElementById('vaultUnlockBtn');
+    this.vaultLockBtn = document.getElementById('vaultLockBtn');
+    this.vaultDisableBtn = document.getElementById('vaultDisableBtn');
+    this.vaultStatus = document.getElementById('vaultStatus');
+    
     // Profile management
+    this.exportSecretsSelect = document.getElementById('exportSecrets');
+    this.exportPassphraseInput = document.getElementById('exportPassphrase');
     this.exportProfilesBtn = document.getElementById('exportProfilesBtn');
     this.importProfilesBtn = document.getElementById('importProfilesBtn');
     this.importFileInput = document.getElementById('importFileInput');
@@ -37,10 +92,12 @@ class OptionsManager {
    */
   async loadSavedSettings() {
     try {
-      const result = await chrome.storage.local.get(['webhookUrl', 'monitoringDefaults']);
-      if (result.webhookUrl) {
-        this.webhookUrlInput.value = result.webhookUrl;
-      }
+      const result = await chrome.storage.local.get(['monitoringDefaults', 'payloadTemplate']);
+      await this.loadVaultState();
+      await this.loadWebhookSettings();
+      await this.loadDestinations();
+      this.payloadTemplateInput.value = result.payloadTemplate || '';
+      this.updatePayloadPreview();
       
       // Load monitoring defaults
       if (result.monitoringDefaults) {
@@ -56,6 +113,399 @@ class OptionsManager {
     }
   }
 
+  /**
+   * Load the global webhook URL and auth (decrypted), or lock the form while the secrets vault is locked
+   */
+  async loadWebhookSettings() {
+    const result = await chrome.storage.local.get(['webhookUrl', 'webhookAuth']);
+    const locked = await secretsVault.isLocked();
+
+    this.webhookUrlInput.disabled = locked;
+    this.authTypeSelect.disabled = locked;
+    this.saveButton.disabled = locked;
+    this.testButton.disabled = locked;
+
+    if (locked) {
+      this.webhookUrlInput.value = '';
+      this.webhookUrlInput.placeholder = '🔒 Encrypted, unlock the secrets vault below';
+      this.applyAuth(null);
+      return;
+    }
+
+    const settings = await secretsVault.openSecrets({
+      webhookUrl: result.webhookUrl || '',
+      webhookAuth: result.webhookAuth || null
+    });
+    this.webhookUrlInput.placeholder = 'Paste your n8n webhook URL here';
+    this.webhookUrlInput.value = settings.webhookUrl;
+    this.applyAuth(settings.webhookAuth);
+  }
+
+  /**
+   * Show the secrets vault state and the buttons that apply to it
+   */
+  async loadVaultState() {
+    const status = await secretsVault.getStatus();
+
+    if (!status.enabled) {
+      this.vaultState.textContent = 'Not enabled: secrets are stored unencrypted';
+      this.vaultState.className = 'vault-state';
+    } else if (status.unlocked) {
+      this.vaultState.textContent = '🔓 Unlocked for this browser session';
+      this.vaultState.className = 'vault-state unlocked';
+    } else {
+      this.vaultState.textContent = '🔒 Locked: enter your passphrase to unlock';
+      this.vaultState.className = 'vault-state locked';
+    }
+
+    const show = (element, visible) => { element.style.display = visible ? '' : 'none'; };
+    show(this.vaultPassphraseInput, !status.unlocked);
+    show(this.vaultPassphraseConfirmInput, !status.enabled);
+    show(this.vaultSetupBtn, !status.enabled);
+    show(this.vaultUnlockBtn, status.enabled && !status.unlocked);
+    show(this.vaultLockBtn, status.unlocked);
+    show(this.vaultDisableBtn, status.unlocked);
+  }
+
+  /**
+   * Run a secrets vault operation in the background script
+   * Setup and disable rewrite the secrets of all monitors and profiles, which the background script owns.
+   * @param {string} operation - 'setup', 'unlock', 'lock' or 'disable'
+   * @param {HTMLElement} button - Button to show as loading
+   */
+  async runVaultOperation(operation, button) {
+    const passphrase = this.vaultPassphraseInput.value;
+
+    if (operation === 'setup') {
+      if (passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+        this.showVaultStatus(`Passphrase must be at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters`, false);
+        return;
+      }
+      if (passphrase !== this.vaultPassphraseConfirmInput.value) {
+        this.showVaultStatus('Passphrases do not match', false);
+        return;
+      }
+      if (!confirm('Webhook secrets cannot be recovered without this passphrase. Continue?')) {
+        return;
+      }
+    }
+    if (operation === 'unlock' && !passphrase) {
+      this.showVaultStatus('Please enter your passphrase', false);
+      return;
+    }
+    if (operation === 'disable' && !confirm('Decrypt all webhook secrets and store them unencrypted again?')) {
+      return;
+    }
+
+    this.setButtonLoading(button, true);
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'secretsVault', operation, passphrase });
+      this.showVaultStatus((response.success ? '✅ ' : '❌ ') + response.message, response.success);
+      if (response.success) {
+        this.vaultPassphraseInput.value = '';
+        this.vaultPassphraseConfirmInput.value = '';
+      }
+    } catch (error) {
+      console.error('Error in secrets vault operation:', error);
+      this.showVaultStatus('❌ ' + error.message, false);
+    } finally {
+      this.setButtonLoading(button, false);
+      await this.loadVaultState();
+      await this.loadWebhookSettings();
+      await this.loadDestinations();
+    }
+  }
+
+  /**
+   * Load the webhook destinations and show them with their last delivery result
+   * The form is locked while the secrets vault is locked.
+   */
+  async loadDestinations() {
+    const result = await chrome.storage.local.get('webhookDestinations');
+    const locked = await secretsVault.isLocked();
+    this.destinations = result.webhookDestinations || [];
+
+    for (const element of [this.destinationUrlInput, this.destinationBotTokenInput, this.destinationAuthTypeSelect, this.saveDestinationBtn, this.testDestinationBtn]) {
+      element.disabled = locked;
+    }
+    this.destinationUrlInput.placeholder = locked ? '🔒 Encrypted, unlock the secrets vault below' : 'Paste the webhook URL here';
+    if (locked) {
+      this.resetDestinationForm();
+    }
+    this.cancelDestinationBtn.style.display = this.editingDestinationId ? '' : 'none';
+
+    this.destinationList.innerHTML = '';
+    if (this.destinations.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'help-text';
+      empty.textContent = 'No destinations yet.';
+      this.destinationList.appendChild(empty);
+      return;
+    }
+
+    for (const destination of this.destinations) {
+      const item = document.createElement('div');
+      item.className = 'destination-item';
+
+      const info = document.createElement('div');
+      info.className = 'destination-info';
+      const name = document.createElement('strong');
+      name.textContent = destination.name;
+      const meta = document.createElement('span');
+      meta.className = 'destination-meta';
+      const auth = secretsVault.isSealed(destination.webhookAuth) ? 'encrypted' : webhookAuth.describe(destination.webhookAuth);
+      const type = this.destinationTypeSelect.querySelector(`option[value="${destination.type || 'webhook'}"]`)?.textContent || destination.type;
+      const format = (destination.type || 'webhook') === 'webhook'
+        ? `Auth: ${auth} · Template: ${destination.payloadTemplate ? 'custom' : 'default'}`
+        : type;
+      meta.textContent = `${format} · ${await this.getLastDelivery(destination.id)}`;
+      info.append(name, meta);
+
+      const editButton = document.createElement('button');
+      editButton.type = 'button';
+      editButton.textContent = 'Edit';
+      editButton.disabled = locked;
+      editButton.addEventListener('click', () => this.editDestination(destination.id));
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.textContent = 'Delete';
+      deleteButton.className = 'btn-delete-destination';
+      deleteButton.addEventListener('click', () => this.deleteDestination(destination.id));
+
+      item.append(info, editButton, deleteButton);
+      this.destinationList.appendChild(item);
+    }
+  }
+
+  /**
+   * Describe the last delivery to a destination from the activity log
+   * @param {string} destinationId - Destination ID
+   * @returns {Promise<string>} e.g. 'Last delivery: ✅ 10:32:05' or 'Last delivery: ❌ HTTP 500, 10:32:05'
+   */
+  async getLastDelivery(destinationId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getActivityLog', destinationId });
+      const entries = (response?.entries || []).filter(entry => entry.category === 'webhook');
+      const last = entries[entries.length - 1];
+      if (!last) {
+        return 'No deliveries yet';
+      }
+
+      const time = new Date(last.timestamp).toLocaleTimeString();
+      if (last.level === 'success') {
+        return `Last delivery: ✅ ${time}`;
+      }
+      const reason = last.details.statusCode ? `HTTP ${last.details.statusCode}` : last.details.error || last.message;
+      return `Last delivery: ❌ ${reason}, ${time}`;
+    } catch (error) {
+      console.error('Error loading destination deliveries:', error);
+      return 'No deliveries yet';
+    }
+  }
+
+  /**
+   * Load a destination into the form (secrets decrypted)
+   * @param {string} destinationId - Destination ID
+   */
+  async editDestination(destinationId) {
+    const destination = this.destinations.find(item => item.id === destinationId);
+    if (!destination) {
+      return;
+    }
+
+    try {
+      const opened = await secretsVault.openSecrets(destination);
+      this.editingDestinationId = destination.id;
+      this.destinationNameInput.value = destination.name;
+      this.destinationTypeSelect.value = destination.type || 'webhook';
+      this.destinationUrlInput.value = destination.type === 'telegram' ? '' : opened.webhookUrl || '';
+      this.destinationBotTokenInput.value = destination.type === 'telegram' ? chatFormatter.getTelegramToken(opened.webhookUrl) : '';
+      this.destinationChatIdInput.value = destination.chatId || '';
+      this.updateDestinationTypeVisibility();
+      this.applyAuth(opened.webhookAuth || null, this.destinationAuthTypeSelect, this.destinationAuthInputs);
+      this.destinationTemplateInput.value = destination.payloadTemplate || '';
+      this.cancelDestinationBtn.style.display = '';
+      this.destinationNameInput.focus();
+    } catch (error) {
+      console.error('Error loading destination:', error);
+      this.showDestinationStatus('❌ ' + error.message, false);
+    }
+  }
+
+  /**
+   * Clear the destination form for a new destination
+   */
+  resetDestinationForm() {
+    this.editingDestinationId = null;
+    this.destinationNameInput.value = '';
+    this.destinationTypeSelect.value = 'webhook';
+    this.destinationUrlInput.value = '';
+    this.destinationBotTokenInput.value = '';
+    this.destinationChatIdInput.value = '';
+    this.updateDestinationTypeVisibility();
+    this.applyAuth(null, this.destinationAuthTypeSelect, this.destinationAuthInputs);
+    this.destinationTemplateInput.value = '';
+    this.cancelDestinationBtn.style.display = 'none';
+  }
+
+  /**
+   * Read and validate the destination form
+   * Only JSON webhooks use authentication and a payload template; Telegram's URL is built from the bot token.
+   * @returns {Object} { destination, error }
+   */
+  readDestinationForm() {
+    const type = this.destinationTypeSelect.value;
+
+    let webhookUrl;
+    if (type === 'telegram') {
+      const token = this.destinationBotTokenInput.value.trim();
+      if (!token) {
+        return { destination: null, error: 'Please enter the bot token' };
+      }
+      webhookUrl = chatFormatter.getTelegramUrl(token);
+    } else {
+      webhookUrl = this.destinationUrlInput.value.trim();
+      const urlValidation = this.validateWebhookUrl(webhookUrl);
+      if (!urlValidation.isValid) {
+        return { destination: null, error: urlValidation.message };
+      }
+    }
+
+    const { auth, error } = type === 'webhook'
+      ? this.readAuth(this.destinationAuthTypeSelect, this.destinationAuthInputs)
+      : { auth: null, error: null };
+    if (error) {
+      return { destination: null, error: 'Invalid authentication: ' + error };
+    }
+
+    const template = type === 'webhook' ? this.destinationTemplateInput.value.trim() : '';
+    const templateValidation = payloadTemplate.validate(template);
+    if (!templateValidation.isValid) {
+      return { destination: null, error: 'Invalid payload template: ' + templateValidation.message };
+    }
+
+    const existing = this.destinations.find(item => item.id === this.editingDestinationId);
+    const destination = {
+      id: existing?.id || crypto.randomUUID(),
+      name: this.destinationNameInput.value.trim(),
+      type,
+      webhookUrl,
+      webhookAuth: auth,
+      chatId: type === 'telegram' ? this.destinationChatIdInput.value.trim() : null,
+      payloadTemplate: template || null,
+      createdAt: existing?.createdAt || new Date().toISOString()
+    };
+    const validation = destinationRouter.validateDestination(destination, this.destinations);
+    return validation.isValid ? { destination, error: null } : { destination: null, error: validation.message };
+  }
+
+  /**
+   * Show only the inputs of the selected destination type
+   */
+  updateDestinationTypeVisibility() {
+    const type = this.destinationTypeSelect.value;
+    document.querySelectorAll('.destination-type-fields').forEach((group) => {
+      group.style.display = group.dataset.destinationTypes.split(' ').includes(type) ? 'block' : 'none';
+    });
+  }
+
+  /**
+   * Send an example change to the destination in the form, formatted like real deliveries
+   */
+  async testDestination() {
+    const { destination, error } = this.readDestinationForm();
+    if (error) {
+      this.showDestinationStatus(error, false);
+      return;
+    }
+
+    this.setButtonLoading(this.testDestinationBtn, true);
+
+    try {
+      const sample = payloadTemplate.getSamplePayload();
+      let message;
+      if (destination.type !== 'webhook') {
+        message = chatFormatter.format(destination.type, sample, { chatId: destination.chatId });
+      } else {
+        message = destination.payloadTemplate ? payloadTemplate.render(destination.payloadTemplate, sample) : sample;
+      }
+      const body = JSON.stringify(message);
+      const response = await fetch(destination.webhookUrl, {
+        method: 'POST',
+        headers: await webhookAuth.buildHeaders(destination.webhookAuth, body),
+        body
+      });
+
+      if (response.ok) {
+        this.showDestinationStatus(`✅ Test sent to "${destination.name}" (${response.status})`, true);
+      } else {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+    } catch (error) {
+      console.error('Test destination error:', error);
+      this.showDestinationStatus(`❌ Test failed: ${error.message}`, false);
+    } finally {
+      this.setButtonLoading(this.testDestinationBtn, false);
+    }
+  }
+
+  /**
+   * Save the destination in the form (new or edited)
+   */
+  async saveDestination() {
+    const { destination, error } = this.readDestinationForm();
+    if (error) {
+      this.showDestinationStatus(error, false);
+      return;
+    }
+    const existing = this.destinations.find(item => item.id === destination.id);
+
+    this.setButtonLoading(this.saveDestinationBtn, true);
+
+    try {
+      // URL and auth are encrypted when the secrets vault is enabled
+      const sealed = await secretsVault.sealSecrets(destination);
+      const destinations = existing
+        ? this.destinations.map(item => (item.id === existing.id ? sealed : item))
+        : [...this.destinations, sealed];
+      await chrome.storage.local.set({ webhookDestinations: destinations });
+      this.resetDestinationForm();
+      this.showDestinationStatus(`✅ Destination "${destination.name}" saved!`, true);
+    } catch (error) {
+      console.error('Error saving destination:', error);
+      this.showDestinationStatus('❌ Failed to save destination: ' + error.message, false);
+    } finally {
+      this.setButtonLoading(this.saveDestinationBtn, false);
+      await this.loadDestinations();
+    }
+  }
+
+  /**
+   * Delete a destination (monitors subscribed to it skip it from then on)
+   * @param {string} destinationId - Destination ID
+   */
+  async deleteDestination(destinationId) {
+    const destination = this.destinations.find(item => item.id === destinationId);
+    if (!destination || !confirm(`Delete destination "${destination.name}"? Monitors subscribed to it stop sending there.`)) {
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({ webhookDestinations: this.destinations.filter(item => item.id !== destinationId) });
+      if (this.editingDestinationId === destinationId) {
+        this.resetDestinationForm();
+      }
+      this.showDestinationStatus(`🗑️ Destination "${destination.name}" deleted`, true);
+    } catch (error) {
+      console.error('Error deleting destination:', error);
+      this.showDestinationStatus('❌ Failed to delete destination: ' + error.message, false);
+    } finally {
+      await this.loadDestinations();
+    }
+  }
+
   /**
    * Attach event listeners to interactive elements
    */
@@ -63,9 +513,41 @@ class OptionsManager {
     this.saveButton.addEventListener('click', () => this.saveSettings());
     this.testButton.addEventListener('click', () => this.testWebhook());
     this.clearButton.addEventListener('click', () => this.clearSettings());
+    this.authTypeSelect.addEventListener('change', () => this.updateAuthVisibility());
+    this.destinationAuthTypeSelect.addEventListener('change', () => {
+      this.updateAuthVisibility(this.destinationAuthTypeSelect);
+    });
     this.saveDefaultsButton.addEventListener('click', () => this.saveMonitoringDefaults());
+
+    // Payload template with live preview
+    this.payloadTemplateInput.addEventListener('input', () => this.updatePayloadPreview());
+    this.saveTemplateBtn.addEventListener('click', () => this.savePayloadTemplate());
+    this.defaultTemplateBtn.addEventListener('click', () => {
+      this.payloadTemplateInput.value = DEFAULT_PAYLOAD_TEMPLATE;
+      this.updatePayloadPreview();
+    });
+
+    // Webhook destinations
+    this.saveDestinationBtn.addEventListener('click', () => this.saveDestination());
+    this.testDestinationBtn.addEventListener('click', () => this.testDestination());
+    this.destinationTypeSelect.addEventListener('change', () => this.updateDestinationTypeVisibility());
+    this.updateDestinationTypeVisibility();
+    this.cancelDestinationBtn.addEventListener('click', () => this.resetDestinationForm());
+
+    // Secrets vault
+    this.vaultSetupBtn.addEventListener('click', () => this.runVaultOperation('setup', this.vaultSetupBtn));
+    this.vaultUnlockBtn.addEventListener('click', () => this.runVaultOperation('unlock', this.vaultUnlockBtn));
+    this.vaultLockBtn.addEventListener('click', () => this.runVaultOperation('lock', this.vaultLockBtn));
+    this.vaultDisableBtn.addEventListener('click', () => this.runVaultOperation('disable', this.vaultDisableBtn));
+    this.vaultPassphraseInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter' && this.vaultUnlockBtn.style.display !== 'none') {
+        this.runVaultOperation('unlock', this.vaultUnlockBtn);
+      }
+    });
     
     // Profile management
+    this.exportSecretsSelect.addEventListener('change', () => this.updateExportSecretsVisibility());
+    this.updateExportSecretsVisibility();
     this.exportProfilesBtn.addEventListener('click', () => this.exportProfiles());
     this.importProfilesBtn.addEventListener('click', () => this.importFileInput.click());
     this.importFileInput.addEventListener('change', (e) => this.importProfiles(e));
@@ -132,7 +614,46 @@ class OptionsManager {
   }
 
   /**
-   * Save webhook URL to Chrome storage
+   * Read a webhook authentication form
+   * @param {HTMLSelectElement} select - Auth type select (the global webhook's by default)
+   * @param {Object} authInputs - Inputs by webhookAuth.toInputs() name
+   * @returns {Object} { auth, error } - auth is null for "None"
+   */
+  readAuth(select = this.authTypeSelect, authInputs = this.authInputs) {
+    const inputs = { type: select.value };
+    for (const [name, input] of Object.entries(authInputs)) {
+      inputs[name] = input.value;
+    }
+    return webhookAuth.fromInputs(inputs);
+  }
+
+  /**
+   * Fill a webhook authentication form
+   * @param {Object|null} auth - Auth settings
+   * @param {HTMLSelectElement} select - Auth type select (the global webhook's by default)
+   * @param {Object} authInputs - Inputs by webhookAuth.toInputs() name
+   */
+  applyAuth(auth, select = this.authTypeSelect, authInputs = this.authInputs) {
+    const inputs = webhookAuth.toInputs(auth);
+    select.value = inputs.type;
+    for (const [name, input] of Object.entries(authInputs)) {
+      input.value = inputs[name];
+    }
+    this.updateAuthVisibility(select);
+  }
+
+  /**
+   * Show only the inputs of the selected auth type (within the select's section)
+   * @param {HTMLSelectElement} select - Auth type select (the global webhook's by default)
+   */
+  updateAuthVisibility(select = this.authTypeSelect) {
+    select.closest('.form-group').querySelectorAll('.auth-fields').forEach((group) => {
+      group.style.display = group.dataset.authType === select.value ? 'block' : 'none';
+    });
+  }
+
+  /**
+   * Save webhook URL and authentication to Chrome storage
    */
   async saveSettings() {
     const webhookUrl = this.webhookUrlInput.value.trim();
@@ -144,12 +665,19 @@ class OptionsManager {
       return;
     }
 
+    const { auth, error } = this.readAuth();
+    if (error) {
+      this.showStatus('Invalid authentication: ' + error, false);
+      return;
+    }
+
     this.setButtonLoading(this.saveButton, true);
 
     try {
-      await chrome.storage.local.set({ webhookUrl });
+      // Encrypted when the secrets vault is enabled
+      await chrome.storage.local.set(await secretsVault.sealSecrets({ webhookUrl, webhookAuth: auth }));
       this.showStatus('✅ Settings saved successfully!', true);
-      console.log('Webhook URL saved:', webhookUrl);
+      console.log('Webhook URL saved');
     } catch (error) {
       console.error('Error saving settings:', error);
       this.showStatus('❌ Failed to save settings: ' + error.message, false);
@@ -158,6 +686,67 @@ class OptionsManager {
     }
   }
 
+  /**
+   * Render the payload template against an example change
+   */
+  updatePayloadPreview() {
+    const template = this.payloadTemplateInput.value.trim();
+    const sample = payloadTemplate.getSamplePayload();
+
+    const validation = payloadTemplate.validate(template);
+    if (!validation.isValid) {
+      this.payloadPreview.textContent = validation.message;
+      this.payloadPreview.classList.add('error');
+      return;
+    }
+
+    const payload = template ? payloadTemplate.render(template, sample) : sample;
+    this.payloadPreview.textContent = JSON.stringify(payload, null, 2);
+    this.payloadPreview.classList.remove('error');
+  }
+
+  /**
+   * Save the payload template of the global webhook (empty removes it)
+   */
+  async savePayloadTemplate() {
+    const template = this.payloadTemplateInput.value.trim();
+    const validation = payloadTemplate.validate(template);
+    if (!validation.isValid) {
+      this.showTemplateStatus(validation.message, false);
+      return;
+    }
+
+    this.setButtonLoading(this.saveTemplateBtn, true);
+
+    try {
+      if (template) {
+        await chrome.storage.local.set({ payloadTemplate: template });
+        this.showTemplateStatus('✅ Template saved!', true);
+      } else {
+        await chrome.storage.local.remove('payloadTemplate');
+        this.showTemplateStatus('✅ Template removed, the default payload is sent', true);
+      }
+    } catch (error) {
+      console.error('Error saving payload template:', error);
+      this.showTemplateStatus('❌ Failed to save template: ' + error.message, false);
+    } finally {
+      this.setButtonLoading(this.saveTemplateBtn, false);
+    }
+  }
+
+  /**
+   * Show status for payload template save
+   */
+  showTemplateStatus(message, isSuccess) {
+    this.templateStatus.textContent = message;
+    this.templateStatus.className = isSuccess ? 'success' : 'error';
+    this.templateStatus.style.opacity = '1';
+    
+    setTimeout(() => {
+      this.templateStatus.style.opacity = '0';
+    }, 3000);
+  }
+
   /**
    * Test webhook connectivity by sending test data
    */
@@ -171,6 +760,12 @@ class OptionsManager {
       return;
     }
 
+    const { auth, error } = this.readAuth();
+    if (error) {
+      this.showStatus('Invalid authentication: ' + error, false);
+      return;
+    }
+
     this.setButtonLoading(this.testButton, true);
 
     // Test data payload
@@ -186,15 +781,17 @@ class OptionsManager {
     };
 
     try {
-      console.log('Testing webhook:', webhookUrl);
+      console.log('Testing webhook');
       console.log('Test data:', testData);
 
+      // Shape, sign and authenticate exactly like real deliveries (an invalid template was reported in the preview)
+      const template = this.payloadTemplateInput.value.trim();
+      const shaped = template && payloadTemplate.validate(template).isValid ? payloadTemplate.render(template, testData) : testData;
+      const body = JSON.stringify(shaped);
       const response = await fetch(webhookUrl, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(testData)
+        headers: await webhookAuth.buildHeaders(auth, body),
+        body
       });
 
       if (response.ok) {
@@ -228,7 +825,13 @@ class OptionsManager {
 
     try {
       await chrome.storage.local.clear();
-      this.webhookUrlInput.value = '';
+      await secretsVault.lock(); // The vault was cleared with everything else
+      await this.loadVaultState();
+      await this.loadWebhookSettings();
+      this.resetDestinationForm();
+      await this.loadDestinations();
+      this.payloadTemplateInput.value = '';
+      this.updatePayloadPreview();
       this.defaultRefreshIntervalInput.value = 30;
       this.defaultChangeDetectionCheckbox.checked = true;
       this.showStatus('🗑️ All settings cleared', true);
@@ -247,8 +850,8 @@ class OptionsManager {
   async saveMonitoringDefaults() {
     const refreshInterval = parseInt(this.defaultRefreshIntervalInput.value);
     
-    if (isNaN(refreshInterval) || refreshInterval < 5) {
-      this.showDefaultsStatus('Refresh interval must be at least 5 seconds', false);
+    if (isNaN(refreshInterval) || refreshInterval < 30) {
+      this.showDefaultsStatus('Refresh interval must be at least 30 seconds', false);
       return;
     }
 
@@ -284,6 +887,39 @@ class OptionsManager {
     }, 3000);
   }
 
+  /**
+   * Show status for webhook destination operations
+   */
+  showDestinationStatus(message, isSuccess) {
+    this.destinationStatus.textContent = message;
+    this.destinationStatus.className = isSuccess ? 'success' : 'error';
+    this.destinationStatus.style.opacity = '1';
+    
+    setTimeout(() => {
+      this.destinationStatus.style.opacity = '0';
+    }, 3000);
+  }
+
+  /**
+   * Show status for secrets vault operations
+   */
+  showVaultStatus(message, isSuccess) {
+    this.vaultStatus.textContent = message;
+    this.vaultStatus.className = isSuccess ? 'success' : 'error';
+    this.vaultStatus.style.opacity = '1';
+    
+    setTimeout(() => {
+      this.vaultStatus.style.opacity = '0';
+    }, 5000);
+  }
+
+  /**
+   * Show the export passphrase input only when secrets are encrypted into the export
+   */
+  updateExportSecretsVisibility() {
+    this.exportPassphraseInput.style.display = this.exportSecretsSelect.value === 'encrypt' ? '' : 'none';
+  }
+
   /**
    * Show status for profile operations
    */
@@ -299,21 +935,46 @@ class OptionsManager {
 
   /**
    * Export all profiles to a JSON file
+   * Webhook secrets are either left out or exported as one block encrypted with an export
+   * passphrase (`encryptedSecrets`: profile name -> { webhookUrl, webhookAuth }).
    */
   async exportProfiles() {
+    const encryptSecrets = this.exportSecretsSelect.value === 'encrypt';
+    const passphrase = this.exportPassphraseInput.value;
+    if (encryptSecrets && passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+      this.showProfileStatus(`Export passphrase must be at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters`, false);
+      return;
+    }
+
     this.setButtonLoading(this.exportProfilesBtn, true);
 
     try {
       const result = await chrome.storage.local.get(['monitoringProfiles']);
-      const profiles = result.monitoringProfiles || {};
+      const profiles = {};
+      const secrets = {};
+      for (const [profileName, profile] of Object.entries(result.monitoringProfiles || {})) {
+        const { webhookUrl, webhookAuth, ...settings } = profile;
+        profiles[profileName] = settings;
+        if (webhookUrl || webhookAuth) {
+          secrets[profileName] = { webhookUrl: webhookUrl || null, webhookAuth: webhookAuth || null };
+        }
+      }
 
       // Create export object with metadata
       const exportData = {
-        version: '1.0',
+        version: '1.1',
         exportedAt: new Date().toISOString(),
         profiles: profiles
       };
 
+      if (encryptSecrets && Object.keys(secrets).length > 0) {
+        // Decrypt from the vault first (fails while it is locked), then encrypt with the export passphrase
+        for (const profileName of Object.keys(secrets)) {
+          secrets[profileName] = await secretsVault.openSecrets(secrets[profileName]);
+        }
+        exportData.encryptedSecrets = await secretsVault.encryptWithPassphrase(passphrase, secrets);
+      }
+
       // Convert to JSON string
       const jsonString = JSON.stringify(exportData, null, 2);
       const blob = new Blob([jsonString], { type: 'application/json' });
@@ -330,7 +991,8 @@ class OptionsManager {
       URL.revokeObjectURL(url);
 
       const profileCount = Object.keys(profiles).length;
-      this.showProfileStatus(`✅ Exported ${profileCount} profile${profileCount !== 1 ? 's' : ''}`, true);
+      const secretsNote = Object.keys(secrets).length === 0 ? '' : encryptSecrets ? ' (webhook secrets encrypted)' : ' (webhook secrets left out)';
+      this.showProfileStatus(`✅ Exported ${profileCount} profile${profileCount !== 1 ? 's' : ''}${secretsNote}`, true);
     } catch (error) {
       console.error('Error exporting profiles:', error);
       this.showProfileStatus('❌ Failed to export profiles: ' + error.message, false);
@@ -417,6 +1079,24 @@ class OptionsManager {
       const existingProfiles = result.monitoringProfiles || {};
       const importedProfiles = importData.profiles;
 
+      // Webhook secrets encrypted with an export passphrase
+      if (importData.encryptedSecrets) {
+        const passphrase = prompt('This file contains encrypted webhook secrets. Enter the export passphrase, or cancel to import the profiles without them:');
+        if (passphrase) {
+          let secrets;
+          try {
+            secrets = await secretsVault.decryptWithPassphrase(passphrase, importData.encryptedSecrets);
+          } catch (error) {
+            throw new Error('Wrong export passphrase');
+          }
+          for (const [profileName, values] of Object.entries(secrets)) {
+            if (importedProfiles[profileName]) {
+              importedProfiles[profileName] = { ...importedProfiles[profileName], ...values };
+            }
+          }
+        }
+      }
+
       // Identify conflicts (profiles that exist in both)
       const conflicts = [];
       for (const profileName of Object.keys(importedProfiles)) {
@@ -467,7 +1147,7 @@ class OptionsManager {
         if (existingProfiles[profileName]) {
           if (overwriteList.includes(profileName)) {
             mergedProfiles[profileName] = {
-              ...profile,
+              ...await secretsVault.sealSecrets(profile), // Encrypted when the secrets vault is enabled
               savedAt: new Date().toISOString() // Update saved timestamp
             };
             updated++;
@@ -476,7 +1156,7 @@ class OptionsManager {
           }
         } else {
           mergedProfiles[profileName] = {
-            ...profile,
+            ...await secretsVault.sealSecrets(profile),
             savedAt: profile.savedAt || new Date().toISOString()
           };
           added++;
@@ -3,14 +3,17 @@
  * Integrates monitoring functionality into the popup dropdown
  */
 
+const PICKED_ELEMENT_MAX_AGE = 10 * 60 * 1000; // Ignore picks older than 10 minutes
+
 class PageMonitorPopup {
   constructor() {
     this.currentTabId = null;
     this.isMonitoring = false;
     this.initializeElements();
     this.attachEventListeners();
-    this.loadTabs().then(() => {
-      this.checkMonitoringStatus();
+    this.loadTabs().then(async () => {
+      await this.loadDestinations();
+      this.checkMonitoringStatus().then(() => this.applyPickedElement());
       this.loadProfiles();
       this.loadActivityLog();
       // Auto-refresh log every 2 seconds
@@ -26,19 +29,97 @@ class PageMonitorPopup {
   initializeElements() {
     this.selectorInput = document.getElementById('selector');
     this.refreshIntervalInput = document.getElementById('refreshInterval');
+    this.refreshIntervalGroup = document.getElementById('refreshIntervalGroup');
     this.contentTypeSelect = document.getElementById('contentType');
+    this.diffGranularitySelect = document.getElementById('diffGranularity');
+    this.checkModeSelect = document.getElementById('checkMode');
+    this.tabPlacementGroup = document.getElementById('tabPlacementGroup');
+    this.tabPlacementSelect = document.getElementById('tabPlacement');
+    this.liveOptionsGroup = document.getElementById('liveOptionsGroup');
+    this.liveDebounceInput = document.getElementById('liveDebounce');
+    this.liveMinGapInput = document.getElementById('liveMinGap');
     this.changeDetectionCheckbox = document.getElementById('changeDetection');
     this.webhookUrlInput = document.getElementById('webhookUrl');
+    this.authOptions = document.getElementById('authOptions');
+    this.templateOptions = document.getElementById('templateOptions');
+    this.payloadTemplateInput = document.getElementById('payloadTemplate');
+    this.destinationOptions = document.getElementById('destinationOptions');
+    this.destinationRows = document.getElementById('destinationRows');
+    this.authTypeSelect = document.getElementById('authType');
+    this.authInputs = {
+      headersText: document.getElementById('authHeaders'),
+      username: document.getElementById('authUsername'),
+      password: document.getElementById('authPassword'),
+      token: document.getElementById('authToken'),
+      secret: document.getElementById('authSecret'),
+      header: document.getElementById('authHeader')
+    };
     this.tabSelector = document.getElementById('tabSelector');
     this.startBtn = document.getElementById('startBtn');
     this.stopBtn = document.getElementById('stopBtn');
     this.testBtn = document.getElementById('testBtn');
     this.sendNowBtn = document.getElementById('sendNowBtn');
+    this.pickElementBtn = document.getElementById('pickElementBtn');
+    this.selectorAlternatives = document.getElementById('selectorAlternatives');
+    this.fieldOptions = document.getElementById('fieldOptions');
+    this.fieldsInput = document.getElementById('fields');
+    this.listOptions = document.getElementById('listOptions');
+    this.listContainerInput = document.getElementById('listContainer');
+    this.listItemInput = document.getElementById('listItem');
+    this.listKeyInput = document.getElementById('listKey');
+    this.listFieldsInput = document.getElementById('listFields');
+    this.normalizeOptions = document.getElementById('normalizeOptions');
+    this.ignoreSelectorsInput = document.getElementById('ignoreSelectors');
+    this.replacementsInput = document.getElementById('replacements');
+    this.collapseWhitespaceCheckbox = document.getElementById('collapseWhitespace');
+    this.dropDigitsCheckbox = document.getElementById('dropDigits');
+    this.sortLinesCheckbox = document.getElementById('sortLines');
+    this.removeAttributesInput = document.getElementById('removeAttributes');
+    this.extractorOptions = document.getElementById('extractorOptions');
+    this.extractorTypeSelect = document.getElementById('extractorType');
+    this.extractorFlagsInput = document.getElementById('extractorFlags');
+    this.extractorSourceSelect = document.getElementById('extractorSource');
+    this.extractorExpressionInput = document.getElementById('extractorExpression');
+    this.crawlOptions = document.getElementById('crawlOptions');
+    this.crawlNextSelectorInput = document.getElementById('crawlNextSelector');
+    this.crawlMaxPagesInput = document.getElementById('crawlMaxPages');
+    this.actionOptions = document.getElementById('actionOptions');
+    this.actionsInput = document.getElementById('actions');
+    this.readinessOptions = document.getElementById('readinessOptions');
+    this.readinessDefaultsCheckbox = document.getElementById('readinessDefaults');
+    this.waitForSelectorInput = document.getElementById('waitForSelector');
+    this.waitForTextInput = document.getElementById('waitForText');
+    this.readinessMinLengthInput = document.getElementById('readinessMinLength');
+    this.networkIdleInput = document.getElementById('networkIdle');
+    this.maxWaitInput = document.getElementById('maxWait');
+    this.readinessBlacklistInput = document.getElementById('readinessBlacklist');
+    this.screenshotOptions = document.getElementById('screenshotOptions');
+    this.screenshotEnabledCheckbox = document.getElementById('screenshotEnabled');
+    this.screenshotDeliverySelect = document.getElementById('screenshotDelivery');
+    this.screenshotTriggerSelect = document.getElementById('screenshotTrigger');
+    this.screenshotThresholdInput = document.getElementById('screenshotThreshold');
+    this.historyOptions = document.getElementById('historyOptions');
+    this.historyMaxCountInput = document.getElementById('historyMaxCount');
+    this.historyMaxAgeInput = document.getElementById('historyMaxAge');
+    this.ruleOptions = document.getElementById('ruleOptions');
+    this.rulesOperatorSelect = document.getElementById('rulesOperator');
+    this.rulesInput = document.getElementById('rules');
     this.statusDisplay = document.getElementById('statusDisplay');
     this.statusDot = document.getElementById('statusDot');
     this.statusText = document.getElementById('statusText');
     this.resultMessage = document.getElementById('resultMessage');
     
+    // Schedule elements
+    this.scheduleModeSelect = document.getElementById('scheduleMode');
+    this.cronExpressionGroup = document.getElementById('cronExpressionGroup');
+    this.cronExpressionInput = document.getElementById('cronExpression');
+    this.scheduleTimezoneInput = document.getElementById('scheduleTimezone');
+    this.timezoneList = document.getElementById('timezoneList');
+    this.activeHoursInput = document.getElementById('activeHours');
+    this.blackoutWindowsInput = document.getElementById('blackoutWindows');
+    this.schedulePreview = document.getElementById('schedulePreview');
+    this.schedulePreviewTimeout = null;
+    
     // Profile management elements
     this.profileSelector = document.getElementById('profileSelector');
     this.loadProfileBtn = document.getElementById('loadProfileBtn');
@@ -51,6 +132,7 @@ class PageMonitorPopup {
     
     // Settings icon
     this.settingsIcon = document.getElementById('settingsIcon');
+    this.dashboardIcon = document.getElementById('dashboardIcon');
     
     // Activity log elements
     this.logFilter = document.getElementById('logFilter');
@@ -166,7 +248,12 @@ class PageMonitorPopup {
       
       // Load global webhook URL as default if no tab-specific webhook is set
       if (result.webhookUrl && !this.webhookUrlInput.value) {
-        this.webhookUrlInput.placeholder = `Global: ${result.webhookUrl.substring(0, 40)}...`;
+        if (await secretsVault.isLocked()) {
+          this.webhookUrlInput.placeholder = 'Global webhook (encrypted, vault locked)';
+        } else {
+          const globalWebhookUrl = await secretsVault.open(result.webhookUrl);
+          this.webhookUrlInput.placeholder = `Global: ${globalWebhookUrl.substring(0, 40)}...`;
+        }
       }
       
       if (result.monitoringDefaults) {
@@ -190,6 +277,29 @@ class PageMonitorPopup {
     this.stopBtn.addEventListener('click', () => this.stopMonitoring());
     this.testBtn.addEventListener('click', () => this.testExtraction());
     this.sendNowBtn.addEventListener('click', () => this.sendNow());
+    this.pickElementBtn.addEventListener('click', () => this.startElementPicker());
+    this.authTypeSelect.addEventListener('change', () => this.updateAuthVisibility());
+    this.updateAuthVisibility();
+    
+    // Tab placement only applies to reload mode
+    this.checkModeSelect.addEventListener('change', () => this.updateTabPlacementVisibility());
+    
+    // Schedule controls
+    this.populateTimezones();
+    this.scheduleModeSelect.addEventListener('change', () => {
+      this.updateScheduleModeVisibility();
+      this.updateSchedulePreview();
+    });
+    [
+      this.refreshIntervalInput,
+      this.cronExpressionInput,
+      this.scheduleTimezoneInput,
+      this.activeHoursInput,
+      this.blackoutWindowsInput
+    ].forEach(input => {
+      input.addEventListener('input', () => this.scheduleSchedulePreview());
+    });
+    this.updateSchedulePreview();
     
     this.tabSelector.addEventListener('change', (e) => {
       const tabId = parseInt(e.target.value);
@@ -209,8 +319,28 @@ class PageMonitorPopup {
       const isUserInteracting = activeElement === this.tabSelector ||
                                 activeElement === this.selectorInput ||
                                 activeElement === this.refreshIntervalInput ||
+                                activeElement === this.scheduleModeSelect ||
+                                activeElement === this.cronExpressionInput ||
+                                activeElement === this.scheduleTimezoneInput ||
+                                activeElement === this.activeHoursInput ||
+                                activeElement === this.blackoutWindowsInput ||
                                 activeElement === this.contentTypeSelect ||
+                                activeElement === this.diffGranularitySelect ||
+                                activeElement === this.checkModeSelect ||
+                                this.liveOptionsGroup.contains(activeElement) ||
+                                activeElement === this.tabPlacementSelect ||
                                 activeElement === this.webhookUrlInput ||
+                                this.authOptions.contains(activeElement) ||
+                                activeElement === this.payloadTemplateInput ||
+                                this.destinationOptions.contains(activeElement) ||
+                                this.normalizeOptions.contains(activeElement) ||
+                                this.extractorOptions.contains(activeElement) ||
+                                this.crawlOptions.contains(activeElement) ||
+                                this.actionOptions.contains(activeElement) ||
+                                this.readinessOptions.contains(activeElement) ||
+                                this.screenshotOptions.contains(activeElement) ||
+                                this.historyOptions.contains(activeElement) ||
+                                this.ruleOptions.contains(activeElement) ||
                                 activeElement === this.profileSelector ||
                                 activeElement === this.profileNameInput;
       
@@ -239,6 +369,15 @@ class PageMonitorPopup {
         });
       });
     }
+
+    if (this.dashboardIcon) {
+      this.dashboardIcon.addEventListener('click', (e) => {
+        e.preventDefault();
+        chrome.tabs.create({
+          url: chrome.runtime.getURL('src/dashboard/dashboard.html')
+        });
+      });
+    }
     
     // Activity log controls
     if (this.logFilter) {
@@ -282,18 +421,80 @@ class PageMonitorPopup {
       if (document.activeElement !== this.selectorInput) {
         this.selectorInput.value = status.config.selector || '';
       }
+      if (document.activeElement !== this.fieldsInput) {
+        this.fieldsInput.value = fieldConfig.format(status.config.fields);
+        this.fieldOptions.open = this.fieldOptions.open || fieldConfig.hasFields(status.config);
+      }
+      if (!this.listOptions.contains(document.activeElement)) {
+        this.applyListConfig(status.config.list);
+      }
+      if (!this.extractorOptions.contains(document.activeElement)) {
+        this.applyExtractor(status.config.extractor || null);
+      }
       if (document.activeElement !== this.refreshIntervalInput) {
         this.refreshIntervalInput.value = (status.config.refreshInterval / 1000) || 30;
       }
       if (document.activeElement !== this.contentTypeSelect) {
         this.contentTypeSelect.value = status.config.contentType || 'html';
       }
+      if (document.activeElement !== this.diffGranularitySelect) {
+        this.diffGranularitySelect.value = status.config.diffGranularity || 'line';
+      }
+      if (document.activeElement !== this.checkModeSelect) {
+        this.checkModeSelect.value = status.config.checkMode || 'reload';
+      }
+      if (document.activeElement !== this.tabPlacementSelect) {
+        this.tabPlacementSelect.value = status.config.tabPlacement || 'pinned';
+      }
+      if (!this.liveOptionsGroup.contains(document.activeElement)) {
+        this.applyLiveSettings(status.config.live || null);
+      }
+      this.updateTabPlacementVisibility();
       // Checkbox can be updated (no typing involved)
       this.changeDetectionCheckbox.checked = status.config.changeDetection !== false;
+      // While the secrets vault is locked the monitor's webhook cannot be shown (or changed)
+      this.webhookUrlInput.disabled = Boolean(status.secretsLocked);
+      if (status.secretsLocked) {
+        this.webhookUrlInput.placeholder = '🔒 Encrypted, unlock the secrets vault in settings';
+      }
       if (document.activeElement !== this.webhookUrlInput) {
         this.webhookUrlInput.value = status.config.webhookUrl || '';
       }
+      if (!this.authOptions.contains(document.activeElement)) {
+        this.applyAuth(status.config.webhookAuth || null);
+      }
+      if (document.activeElement !== this.payloadTemplateInput) {
+        this.applyPayloadTemplate(status.config.payloadTemplate || '');
+      }
+      if (!this.destinationOptions.contains(document.activeElement)) {
+        this.applyDestinations(status.config.destinations || null);
+      }
+      if (!this.normalizeOptions.contains(document.activeElement)) {
+        this.applyNormalization(status.config.ignoreSelectors || null, status.config.normalization || null);
+      }
+      if (!this.crawlOptions.contains(document.activeElement)) {
+        this.applyCrawl(status.config.crawl || null);
+      }
+      if (!this.actionOptions.contains(document.activeElement)) {
+        this.applyActions(status.config.actions || null);
+      }
+      if (!this.readinessOptions.contains(document.activeElement)) {
+        this.applyReadiness(status.config.readiness || null);
+      }
+      if (!this.screenshotOptions.contains(document.activeElement)) {
+        this.applyScreenshot(status.config.screenshot || null);
+      }
+      if (!this.historyOptions.contains(document.activeElement)) {
+        this.applyHistory(status.config.history || null);
+      }
+      if (!this.ruleOptions.contains(document.activeElement)) {
+        this.applyRules(status.config.rules || null);
+      }
+      if (!this.isScheduleInputFocused()) {
+        this.applyScheduleConfig(status.config.schedule || null);
+      }
       this.setMonitoringState(true);
+      this.showNextRun(status.schedule);
       
       // Update profile selector to reflect the active profile
       await this.updateProfileSelectorFromConfig(status.config);
@@ -358,15 +559,90 @@ class PageMonitorPopup {
       return;
     }
 
-    const selector = this.selectorInput.value.trim();
-    if (!selector) {
-      this.showResult('Please enter a CSS selector', false);
+    const target = this.getExtractionTarget();
+    if (!target) {
       return;
     }
+    const { selector, fields, list, extractor, ignoreSelectors } = target;
 
     const refreshInterval = parseInt(this.refreshIntervalInput.value);
-    if (isNaN(refreshInterval) || refreshInterval < 5) {
-      this.showResult('Refresh interval must be at least 5 seconds', false);
+    const schedule = this.getScheduleConfig();
+    if (schedule?.mode !== 'cron' && (isNaN(refreshInterval) || refreshInterval * 1000 < MIN_REFRESH_INTERVAL)) {
+      this.showResult(`Refresh interval must be at least ${MIN_REFRESH_INTERVAL / 1000} seconds`, false);
+      return;
+    }
+
+    const scheduleValidation = scheduleEvaluator.validate(schedule);
+    if (!scheduleValidation.isValid) {
+      this.showResult('Invalid schedule: ' + scheduleValidation.message, false);
+      return;
+    }
+
+    const { auth, error: authError } = this.readAuth();
+    if (authError) {
+      this.showResult('Invalid webhook authentication: ' + authError, false);
+      return;
+    }
+
+    const template = this.payloadTemplateInput.value.trim();
+    const templateValidation = payloadTemplate.validate(template);
+    if (!templateValidation.isValid) {
+      this.showResult('Invalid payload template: ' + templateValidation.message, false);
+      return;
+    }
+
+    const destinations = this.readDestinations();
+    const destinationValidation = destinations ? destinationRouter.validateSubscriptions(destinations) : { isValid: true };
+    if (!destinationValidation.isValid) {
+      this.showResult('Invalid destinations: ' + destinationValidation.message, false);
+      return;
+    }
+
+    const { normalization, error: normalizationError } = this.readNormalization();
+    if (normalizationError) {
+      this.showResult('Invalid normalization: ' + normalizationError, false);
+      return;
+    }
+
+    const { live, error: liveError } = this.readLiveSettings();
+    if (liveError) {
+      this.showResult('Invalid live mode settings: ' + liveError, false);
+      return;
+    }
+
+    const { crawl, error: crawlError } = this.readCrawl();
+    if (crawlError) {
+      this.showResult('Invalid crawl settings: ' + crawlError, false);
+      return;
+    }
+
+    const { actions, error: actionsError } = this.readActions();
+    if (actionsError) {
+      this.showResult('Invalid page actions: ' + actionsError, false);
+      return;
+    }
+
+    const { readiness, error: readinessError } = this.readReadiness();
+    if (readinessError) {
+      this.showResult('Invalid readiness checks: ' + readinessError, false);
+      return;
+    }
+
+    const { screenshot, error: screenshotError } = this.readScreenshot();
+    if (screenshotError) {
+      this.showResult('Invalid screenshot settings: ' + screenshotError, false);
+      return;
+    }
+
+    const { history, error: historyError } = this.readHistory();
+    if (historyError) {
+      this.showResult('Invalid history retention: ' + historyError, false);
+      return;
+    }
+
+    const { rules, error: rulesError } = this.readRules();
+    if (rulesError) {
+      this.showResult('Invalid rules: ' + rulesError, false);
       return;
     }
 
@@ -387,10 +663,29 @@ class PageMonitorPopup {
         tabId: this.currentTabId,
         config: {
           selector: selector,
-          refreshInterval: refreshInterval * 1000,
+          fields: fields,
+          list: list,
+          extractor: extractor, // null means the CSS selector's block is read
+          refreshInterval: (refreshInterval || 30) * 1000,
+          schedule: schedule,
           contentType: this.contentTypeSelect.value || 'html',
+          diffGranularity: this.diffGranularitySelect.value || 'line',
+          checkMode: this.checkModeSelect.value || 'reload',
+          live: live, // null means the default debounce and min gap (live mode only)
+          tabPlacement: this.tabPlacementSelect.value || 'pinned',
           changeDetection: this.changeDetectionCheckbox.checked,
           webhookUrl: webhookUrl || null, // null means use global webhook
+          webhookAuth: webhookUrl ? auth : null, // Auth belongs to the monitor's own webhook
+          payloadTemplate: template || null, // null means global template or default payload
+          destinations: destinations, // null means content updates to the default webhook only
+          ignoreSelectors: ignoreSelectors,
+          normalization: normalization, // null means the content is hashed as extracted
+          crawl: crawl, // null means a single page
+          actions: actions, // null means no page actions (reload mode only)
+          readiness: readiness, // null means the default loading heuristics
+          screenshot: screenshot, // null means no screenshots
+          history: history, // null means the default retention
+          rules: rules, // null means every detected change is sent
           url: tab.url,
           profileName: selectedProfileName // Store profile name in config
         }
@@ -443,11 +738,11 @@ class PageMonitorPopup {
       return;
     }
 
-    const selector = this.selectorInput.value.trim();
-    if (!selector) {
-      this.showResult('Please enter a CSS selector', false);
+    const target = this.getExtractionTarget();
+    if (!target) {
       return;
     }
+    const { selector, fields, list, extractor, ignoreSelectors } = target;
 
     try {
       const scriptLoaded = await this.ensureContentScriptLoaded();
@@ -459,13 +754,18 @@ class PageMonitorPopup {
       const response = await chrome.tabs.sendMessage(this.currentTabId, {
         action: 'extractContent',
         selector: selector,
+        fields: fields,
+        list: list,
+        extractor: extractor,
+        ignoreSelectors: ignoreSelectors,
         contentType: this.contentTypeSelect.value || 'html',
         tabId: this.currentTabId
       });
 
       if (response && response.success) {
         const preview = response.content.substring(0, 100);
-        this.showResult(`✅ Content extracted (${response.content.length} chars): ${preview}...`, true);
+        const itemCount = response.items ? `, ${response.items.length} items` : '';
+        this.showResult(`✅ Content extracted (${response.content.length} chars${itemCount}): ${preview}...`, true);
       } else {
         this.showResult('❌ ' + (response?.error || 'Extraction failed'), false);
       }
@@ -475,6 +775,85 @@ class PageMonitorPopup {
     }
   }
 
+  /**
+   * Start the element picker on the selected tab
+   * The popup closes while the user picks; the result is applied when it is reopened.
+   */
+  async startElementPicker() {
+    if (!this.currentTabId) {
+      this.showResult('Please select a tab', false);
+      return;
+    }
+
+    try {
+      const scriptLoaded = await this.ensureContentScriptLoaded();
+      if (!scriptLoaded) {
+        this.showResult('Content script not loaded. Please refresh the page.', false);
+        return;
+      }
+
+      await chrome.tabs.sendMessage(this.currentTabId, {
+        action: 'startElementPicker',
+        contentType: this.contentTypeSelect.value || 'html'
+      });
+      await chrome.tabs.update(this.currentTabId, { active: true });
+      window.close();
+    } catch (error) {
+      console.error('Error starting element picker:', error);
+      this.showResult('❌ Error: ' + error.message, false);
+    }
+  }
+
+  /**
+   * Apply an element picked on the current tab while the popup was closed
+   */
+  async applyPickedElement() {
+    const result = await chrome.storage.local.get(['pickedElement']);
+    const picked = result.pickedElement;
+    if (!picked || picked.tabId !== this.currentTabId || Date.now() - picked.pickedAt > PICKED_ELEMENT_MAX_AGE) {
+      return;
+    }
+
+    await chrome.storage.local.remove('pickedElement');
+    this.selectorInput.value = picked.selector;
+    this.renderSelectorAlternatives(picked.alternatives);
+    this.showResult(
+      picked.preview
+        ? `🎯 Element picked (${picked.contentLength} chars): ${picked.preview.substring(0, 100)}...`
+        : '🎯 Element picked (no content)',
+      true
+    );
+  }
+
+  /**
+   * Show alternative selectors for the picked element
+   * @param {Array<string>} alternatives - Alternative selectors
+   */
+  renderSelectorAlternatives(alternatives = []) {
+    this.selectorAlternatives.innerHTML = '';
+    if (alternatives.length === 0) {
+      this.selectorAlternatives.style.display = 'none';
+      return;
+    }
+
+    const label = document.createElement('span');
+    label.textContent = 'Alternatives:';
+    this.selectorAlternatives.appendChild(label);
+
+    for (const selector of alternatives) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'selector-alternative';
+      button.textContent = selector;
+      button.title = selector;
+      button.addEventListener('click', () => {
+        this.selectorInput.value = selector;
+      });
+      this.selectorAlternatives.appendChild(button);
+    }
+    this.selectorAlternatives.style.display = 'flex';
+  }
+
   /**
    * Send content now
    */
@@ -486,11 +865,11 @@ class PageMonitorPopup {
       return;
     }
 
-    const selector = this.selectorInput.value.trim();
-    if (!selector) {
-      this.showResult('Please enter a CSS selector', false);
+    const target = this.getExtractionTarget();
+    if (!target) {
       return;
     }
+    const { selector, fields, list, extractor, ignoreSelectors } = target;
 
     try {
       const scriptLoaded = await this.ensureContentScriptLoaded();
@@ -502,6 +881,10 @@ class PageMonitorPopup {
       const response = await chrome.tabs.sendMessage(this.currentTabId, {
         action: 'extractContent',
         selector: selector,
+        fields: fields,
+        list: list,
+        extractor: extractor,
+        ignoreSelectors: ignoreSelectors,
         contentType: this.contentTypeSelect.value || 'html',
         tabId: this.currentTabId
       });
@@ -514,21 +897,20 @@ class PageMonitorPopup {
       // Get webhook URL from input field (if provided)
       const rawWebhookValue = this.webhookUrlInput.value;
       const webhookUrl = rawWebhookValue ? rawWebhookValue.trim() : null;
-      
-      console.log('=== Send Now Debug ===');
-      console.log('Raw webhook input value:', rawWebhookValue);
-      console.log('Trimmed webhook URL:', webhookUrl);
-      console.log('Input element:', this.webhookUrlInput);
-      console.log('Input element ID:', this.webhookUrlInput?.id);
-      console.log('Current tab ID:', this.currentTabId);
-      console.log('About to send message with webhookUrl:', webhookUrl);
+
+      const { auth, error: authError } = this.readAuth();
+      if (authError) {
+        this.showResult('Invalid webhook authentication: ' + authError, false);
+        return;
+      }
 
       const sendResponse = await Promise.race([
         chrome.runtime.sendMessage({
           action: 'sendContentNow',
           tabId: this.currentTabId,
           data: response,
-          webhookUrl: webhookUrl // Pass webhook URL from form
+          webhookUrl: webhookUrl, // Pass webhook URL from form
+          webhookAuth: auth
         }),
         new Promise((_, reject) =>
           setTimeout(() => reject(new Error('Request timeout after 30 seconds')), 30000)
@@ -567,7 +949,7 @@ class PageMonitorPopup {
             return false;
           }
           await chrome.scripting.executeScript({
-            target: { tabId: this.currentTabId },
+            target: { tabId: this.currentTabId, allFrames: true },
             files: ['src/content-scripts/page-monitor-content.js']
           });
           await new Promise(resolve => setTimeout(resolve, 200));
@@ -607,28 +989,657 @@ class PageMonitorPopup {
     }, 5000);
   }
 
+  /**
+   * Populate timezone suggestions and default
+   */
+  populateTimezones() {
+    const defaultTimezone = scheduleEvaluator.getDefaultTimezone();
+    this.scheduleTimezoneInput.placeholder = defaultTimezone;
+    
+    const timezones = typeof Intl.supportedValuesOf === 'function'
+      ? Intl.supportedValuesOf('timeZone')
+      : [defaultTimezone];
+    this.timezoneList.innerHTML = '';
+    timezones.forEach(timezone => {
+      const option = document.createElement('option');
+      option.value = timezone;
+      this.timezoneList.appendChild(option);
+    });
+  }
+
+  /**
+   * Check if any schedule input has focus
+   */
+  isScheduleInputFocused() {
+    return [
+      this.scheduleModeSelect,
+      this.cronExpressionInput,
+      this.scheduleTimezoneInput,
+      this.activeHoursInput,
+      this.blackoutWindowsInput
+    ].includes(document.activeElement);
+  }
+
+  /**
+   * Show tab placement for reload and live mode (live mode reloads as a fallback), live settings for live mode
+   */
+  updateTabPlacementVisibility() {
+    this.tabPlacementGroup.style.display = this.checkModeSelect.value === 'fetch' ? 'none' : 'block';
+    this.liveOptionsGroup.style.display = this.checkModeSelect.value === 'live' ? 'block' : 'none';
+  }
+
+  /**
+   * Read the live mode settings from the form
+   * @returns {Object} { live, error } - live is null outside live mode or when the defaults are used
+   */
+  readLiveSettings() {
+    if (this.checkModeSelect.value !== 'live') {
+      return { live: null, error: null };
+    }
+
+    const live = {};
+    const inputs = { debounce: [this.liveDebounceInput, 1], minGap: [this.liveMinGapInput, 1000] };
+    for (const [name, [input, unit]] of Object.entries(inputs)) {
+      if (input.value.trim() === '') {
+        continue;
+      }
+      const value = Number(input.value);
+      if (!Number.isFinite(value) || value < 0) {
+        return { live: null, error: `${name === 'debounce' ? 'Debounce' : 'Min gap'} must be a positive number` };
+      }
+      live[name] = Math.round(value * unit);
+    }
+    return { live: Object.keys(live).length > 0 ? live : null, error: null };
+  }
+
+  /**
+   * Fill the live mode inputs
+   * @param {Object|null} live - { debounce, minGap } in milliseconds
+   */
+  applyLiveSettings(live) {
+    this.liveDebounceInput.value = live?.debounce ?? '';
+    this.liveMinGapInput.value = live?.minGap !== undefined ? live.minGap / 1000 : '';
+  }
+
+  /**
+   * Show interval or cron input depending on schedule mode
+   */
+  updateScheduleModeVisibility() {
+    const isCron = this.scheduleModeSelect.value === 'cron';
+    this.cronExpressionGroup.style.display = isCron ? 'block' : 'none';
+    this.refreshIntervalGroup.style.display = isCron ? 'none' : 'block';
+  }
+
+  /**
+   * Get schedule configuration from form
+   * @returns {Object|null} Schedule, or null for a plain interval
+   */
+  getScheduleConfig() {
+    const schedule = {
+      mode: this.scheduleModeSelect.value || 'interval',
+      cron: this.cronExpressionInput.value.trim(),
+      timezone: this.scheduleTimezoneInput.value.trim(),
+      activeHours: this.activeHoursInput.value.trim(),
+      blackoutWindows: this.blackoutWindowsInput.value.trim()
+    };
+    
+    if (schedule.mode === 'interval' && !schedule.timezone && !schedule.activeHours && !schedule.blackoutWindows) {
+      return null;
+    }
+    return schedule;
+  }
+
+  /**
+   * Apply schedule configuration to form
+   * @param {Object|null} schedule - Schedule configuration
+   */
+  applyScheduleConfig(schedule) {
+    this.scheduleModeSelect.value = schedule?.mode || 'interval';
+    this.cronExpressionInput.value = schedule?.cron || '';
+    this.scheduleTimezoneInput.value = schedule?.timezone || '';
+    this.activeHoursInput.value = schedule?.activeHours || '';
+    this.blackoutWindowsInput.value = schedule?.blackoutWindows || '';
+    this.updateScheduleModeVisibility();
+    this.updateSchedulePreview();
+  }
+
+  /**
+   * Debounce schedule preview updates while typing
+   */
+  scheduleSchedulePreview() {
+    clearTimeout(this.schedulePreviewTimeout);
+    this.schedulePreviewTimeout = setTimeout(() => this.updateSchedulePreview(), 300);
+  }
+
+  /**
+   * Show the next five run times for the current schedule
+   */
+  updateSchedulePreview() {
+    const schedule = this.getScheduleConfig();
+    const refreshInterval = (parseInt(this.refreshIntervalInput.value) || 30) * 1000;
+    
+    if (schedule?.mode === 'cron' && !schedule.cron) {
+      this.schedulePreview.className = 'schedule-preview';
+      this.schedulePreview.textContent = 'Enter a cron expression to preview run times';
+      return;
+    }
+    
+    const validation = scheduleEvaluator.validate(schedule);
+    if (!validation.isValid) {
+      this.schedulePreview.className = 'schedule-preview error';
+      this.schedulePreview.textContent = validation.message;
+      return;
+    }
+    
+    const timezone = schedule?.timezone || scheduleEvaluator.getDefaultTimezone();
+    const runTimes = scheduleEvaluator.getNextRunTimes(schedule, refreshInterval, 5);
+    this.schedulePreview.className = 'schedule-preview';
+    this.schedulePreview.innerHTML = `<span>Next runs (${timezone}):</span>`;
+    const list = document.createElement('ol');
+    runTimes.forEach(time => {
+      const item = document.createElement('li');
+      item.textContent = new Date(time).toLocaleString(undefined, { timeZone: timezone });
+      list.appendChild(item);
+    });
+    this.schedulePreview.appendChild(list);
+  }
+
+  /**
+   * Show next scheduled run in status display
+   * @param {Object|null} schedule - Persisted schedule entry from background
+   */
+  showNextRun(schedule) {
+    if (schedule && schedule.nextRunTime) {
+      const nextRun = new Date(schedule.nextRunTime).toLocaleTimeString();
+      this.statusText.textContent = `Monitoring active · next run ${nextRun}`;
+    }
+  }
+
+  /**
+   * Read the selector, named fields and list mode from the form
+   * @returns {Object|null} { selector, fields, list }, or null (after showing an error) if none is usable
+   */
+  getExtractionTarget() {
+    const selector = this.selectorInput.value.trim();
+    const { fields, error } = fieldConfig.parse(this.fieldsInput.value);
+    if (error) {
+      this.showResult('Invalid fields: ' + error, false);
+      return null;
+    }
+    const { list, error: listError } = this.readListConfig();
+    if (listError) {
+      this.showResult('Invalid list mode: ' + listError, false);
+      return null;
+    }
+    const { extractor, error: extractorError } = this.readExtractor();
+    if (extractorError) {
+      this.showResult('Invalid extractor: ' + extractorError, false);
+      return null;
+    }
+    if (!selector && !fields && !list && !extractor) {
+      this.showResult('Please enter a CSS selector, named fields, a list item selector or an extractor', false);
+      return null;
+    }
+    const { ignoreSelectors, error: ignoreError } = this.readIgnoreSelectors();
+    if (ignoreError) {
+      this.showResult('Invalid ignore selectors: ' + ignoreError, false);
+      return null;
+    }
+    return { selector, fields, list, extractor, ignoreSelectors };
+  }
+
+  /**
+   * Read the ignore selectors from the form
+   * @returns {Object} { ignoreSelectors, error } - ignoreSelectors is null when there are none
+   */
+  readIgnoreSelectors() {
+    const ignoreSelectors = contentNormalizer.parseList(this.ignoreSelectorsInput.value, '\n');
+    for (const ignoreSelector of ignoreSelectors) {
+      try {
+        document.createDocumentFragment().querySelector(ignoreSelector);
+      } catch (error) {
+        return { ignoreSelectors: null, error: `"${ignoreSelector}" is not a valid CSS selector` };
+      }
+    }
+    return { ignoreSelectors: ignoreSelectors.length > 0 ? ignoreSelectors : null, error: null };
+  }
+
+  /**
+   * Read the normalization options from the form
+   * @returns {Object} { normalization, error } - normalization is null when nothing is enabled
+   */
+  readNormalization() {
+    const { replacements, error } = contentNormalizer.parseReplacements(this.replacementsInput.value);
+    if (error) {
+      return { normalization: null, error };
+    }
+    const normalization = {
+      replacements,
+      collapseWhitespace: this.collapseWhitespaceCheckbox.checked,
+      dropDigits: this.dropDigitsCheckbox.checked,
+      sortLines: this.sortLinesCheckbox.checked,
+      removeAttributes: contentNormalizer.parseList(this.removeAttributesInput.value)
+    };
+    if (!contentNormalizer.hasNormalization({ normalization })) {
+      return { normalization: null, error: null };
+    }
+    const validation = contentNormalizer.validate(normalization);
+    return validation.isValid ? { normalization, error: null } : { normalization: null, error: validation.message };
+  }
+
+  /**
+   * Fill the ignore selectors and normalization inputs
+   * @param {Array<string>|null} ignoreSelectors - Selectors to leave out
+   * @param {Object|null} normalization - Normalization options
+   */
+  applyNormalization(ignoreSelectors, normalization) {
+    this.ignoreSelectorsInput.value = (ignoreSelectors || []).join('\n');
+    this.replacementsInput.value = contentNormalizer.formatReplacements(normalization?.replacements);
+    this.collapseWhitespaceCheckbox.checked = Boolean(normalization?.collapseWhitespace);
+    this.dropDigitsCheckbox.checked = Boolean(normalization?.dropDigits);
+    this.sortLinesCheckbox.checked = Boolean(normalization?.sortLines);
+    this.removeAttributesInput.value = (normalization?.removeAttributes || []).join(', ');
+    this.normalizeOptions.open = this.normalizeOptions.open ||
+      Boolean(ignoreSelectors?.length) || contentNormalizer.hasNormalization({ normalization });
+  }
+
+  /**
+   * Read the page actions from the form
+   * @returns {Object} { actions, error } - actions is null when there are none
+   */
+  readActions() {
+    return actionScript.parse(this.actionsInput.value);
+  }
+
+  /**
+   * Fill the page actions input
+   * @param {Array<Object>|null} actions - Steps
+   */
+  applyActions(actions) {
+    this.actionsInput.value = actionScript.formatAll(actions);
+    this.actionOptions.open = this.actionOptions.open || Boolean(actions?.length);
+  }
+
+  /**
+   * Read the readiness checks from the form
+   * @returns {Object} { readiness, error } - readiness is null when only the default heuristics apply
+   */
+  readReadiness() {
+    return readinessConfig.parse({
+      useDefaults: this.readinessDefaultsCheckbox.checked,
+      waitForSelector: this.waitForSelectorInput.value,
+      waitForText: this.waitForTextInput.value,
+      minLength: this.readinessMinLengthInput.value,
+      networkIdle: this.networkIdleInput.value,
+      blacklistText: this.readinessBlacklistInput.value,
+      maxWaitSeconds: this.maxWaitInput.value
+    });
+  }
+
+  /**
+   * Fill the readiness check inputs
+   * @param {Object|null} readiness - Readiness settings
+   */
+  applyReadiness(readiness) {
+    this.readinessDefaultsCheckbox.checked = readiness?.useDefaults !== false;
+    this.waitForSelectorInput.value = readiness?.waitForSelector || '';
+    this.waitForTextInput.value = readiness?.waitForText || '';
+    this.readinessMinLengthInput.value = readiness?.minLength ?? '';
+    this.networkIdleInput.value = readiness?.networkIdle || '';
+    this.maxWaitInput.value = readiness?.maxWait ? readiness.maxWait / 1000 : '';
+    this.readinessBlacklistInput.value = (readiness?.blacklist || []).join('\n');
+    this.readinessOptions.open = this.readinessOptions.open || Boolean(readiness);
+  }
+
+  /**
+   * Read the screenshot settings from the form
+   * @returns {Object} { screenshot, error } - screenshot is null when screenshots are off
+   */
+  readScreenshot() {
+    return visualDiffer.parse({
+      enabled: this.screenshotEnabledCheckbox.checked,
+      delivery: this.screenshotDeliverySelect.value,
+      trigger: this.screenshotTriggerSelect.value,
+      threshold: this.screenshotThresholdInput.value
+    });
+  }
+
+  /**
+   * Fill the screenshot inputs
+   * @param {Object|null} screenshot - Screenshot settings
+   */
+  applyScreenshot(screenshot) {
+    this.screenshotEnabledCheckbox.checked = Boolean(screenshot);
+    this.screenshotDeliverySelect.value = screenshot?.delivery || 'base64';
+    this.screenshotTriggerSelect.value = screenshot?.trigger || 'content';
+    this.screenshotThresholdInput.value = screenshot?.threshold ?? '';
+    this.screenshotOptions.open = this.screenshotOptions.open || Boolean(screenshot);
+  }
+
+  /**
+   * Read the history retention from the form
+   * @returns {Object} { history, error } - history is null when the defaults apply
+   */
+  readHistory() {
+    return snapshotStore.parseRetention({
+      maxCount: this.historyMaxCountInput.value,
+      maxAgeDays: this.historyMaxAgeInput.value
+    });
+  }
+
+  /**
+   * Fill the history retention inputs
+   * @param {Object|null} history - { maxCount, maxAgeDays }
+   */
+  applyHistory(history) {
+    this.historyMaxCountInput.value = history?.maxCount ?? '';
+    this.historyMaxAgeInput.value = history?.maxAgeDays ?? '';
+    this.historyOptions.open = this.historyOptions.open || Boolean(history);
+  }
+
+  /**
+   * Read list mode from the form
+   * @returns {Object} { list, error } - list is null when list mode is not used
+   */
+  readListConfig() {
+    return fieldConfig.parseList({
+      container: this.listContainerInput.value,
+      item: this.listItemInput.value,
+      key: this.listKeyInput.value,
+      fieldsText: this.listFieldsInput.value
+    });
+  }
+
+  /**
+   * Fill the list mode inputs
+   * @param {Object|null} list - List mode definition
+   */
+  applyListConfig(list) {
+    this.listContainerInput.value = list?.container || '';
+    this.listItemInput.value = list?.item || '';
+    this.listKeyInput.value = list?.key || '';
+    this.listFieldsInput.value = fieldConfig.format(list?.fields || null);
+    this.listOptions.open = this.listOptions.open || Boolean(list);
+  }
+
+  /**
+   * Read the extractor from the form
+   * @returns {Object} { extractor, error } - extractor is null when the CSS selector's block is read
+   */
+  readExtractor() {
+    return extractorConfig.parse({
+      type: this.extractorTypeSelect.value,
+      expression: this.extractorExpressionInput.value,
+      flags: this.extractorFlagsInput.value,
+      source: this.extractorSourceSelect.value
+    });
+  }
+
+  /**
+   * Fill the extractor inputs
+   * @param {Object|null} extractor - Extractor
+   */
+  applyExtractor(extractor) {
+    this.extractorTypeSelect.value = extractor?.type || 'css';
+    this.extractorExpressionInput.value = extractor?.expression || '';
+    this.extractorFlagsInput.value = extractor?.flags || '';
+    this.extractorSourceSelect.value = extractor?.source || 'json-ld';
+    this.extractorOptions.open = this.extractorOptions.open || Boolean(extractor);
+  }
+
+  /**
+   * Read the pagination settings from the form
+   * @returns {Object} { crawl, error } - crawl is null without a next-page selector
+   */
+  readCrawl() {
+    return crawlConfig.parse({
+      nextSelector: this.crawlNextSelectorInput.value,
+      maxPages: this.crawlMaxPagesInput.value
+    });
+  }
+
+  /**
+   * Fill the pagination inputs
+   * @param {Object|null} crawl - Crawl settings
+   */
+  applyCrawl(crawl) {
+    this.crawlNextSelectorInput.value = crawl?.nextSelector || '';
+    this.crawlMaxPagesInput.value = crawl?.maxPages ?? '';
+    this.crawlOptions.open = this.crawlOptions.open || Boolean(crawl);
+  }
+
+  /**
+   * Read the condition rules from the form
+   * @returns {Object} { rules, error } - rules is null when there are none
+   */
+  readRules() {
+    return ruleEngine.parse(this.rulesInput.value, this.rulesOperatorSelect.value);
+  }
+
+  /**
+   * Fill the condition rules inputs
+   * @param {Object|null} rules - Rules group
+   */
+  applyRules(rules) {
+    this.rulesOperatorSelect.value = rules?.operator === 'or' ? 'or' : 'and';
+    this.rulesInput.value = ruleEngine.format(rules);
+    this.ruleOptions.open = this.ruleOptions.open || ruleEngine.hasRules({ rules });
+  }
+
   /**
    * Get current configuration
    */
   getCurrentConfig() {
     return {
       selector: this.selectorInput.value.trim(),
+      fields: fieldConfig.parse(this.fieldsInput.value).fields,
+      list: this.readListConfig().list,
+      extractor: this.readExtractor().extractor,
       refreshInterval: parseInt(this.refreshIntervalInput.value) * 1000,
+      schedule: this.getScheduleConfig(),
       changeDetection: this.changeDetectionCheckbox.checked,
       contentType: this.contentTypeSelect.value || 'html',
-      webhookUrl: this.webhookUrlInput.value.trim() || null
+      diffGranularity: this.diffGranularitySelect.value || 'line',
+      checkMode: this.checkModeSelect.value || 'reload',
+      live: this.readLiveSettings().live,
+      tabPlacement: this.tabPlacementSelect.value || 'pinned',
+      webhookUrl: this.webhookUrlInput.value.trim() || null,
+      webhookAuth: this.readAuth().auth,
+      payloadTemplate: this.payloadTemplateInput.value.trim() || null,
+      destinations: this.readDestinations(),
+      ignoreSelectors: this.readIgnoreSelectors().ignoreSelectors,
+      normalization: this.readNormalization().normalization,
+      crawl: this.readCrawl().crawl,
+      actions: this.readActions().actions,
+      readiness: this.readReadiness().readiness,
+      screenshot: this.readScreenshot().screenshot,
+      history: this.readHistory().history,
+      rules: this.readRules().rules
     };
   }
 
+  /**
+   * Read the webhook authentication inputs
+   * @returns {Object} { auth, error } - auth is null for "None"
+   */
+  readAuth() {
+    const inputs = { type: this.authTypeSelect.value };
+    for (const [name, input] of Object.entries(this.authInputs)) {
+      inputs[name] = input.value;
+    }
+    return webhookAuth.fromInputs(inputs);
+  }
+
+  /**
+   * Fill the webhook authentication inputs
+   * @param {Object|null} auth - Auth settings
+   */
+  applyAuth(auth) {
+    const inputs = webhookAuth.toInputs(auth);
+    this.authTypeSelect.value = inputs.type;
+    for (const [name, input] of Object.entries(this.authInputs)) {
+      input.value = inputs[name];
+    }
+    this.authOptions.open = this.authOptions.open || Boolean(auth);
+    this.updateAuthVisibility();
+  }
+
+  /**
+   * Show only the inputs of the selected auth type
+   */
+  updateAuthVisibility() {
+    this.authOptions.querySelectorAll('.auth-fields').forEach((group) => {
+      group.style.display = group.dataset.authType === this.authTypeSelect.value ? '' : 'none';
+    });
+  }
+
+  /**
+   * Fill the payload template input
+   * @param {string} template - Template JSON text (empty for the default payload)
+   */
+  applyPayloadTemplate(template) {
+    this.payloadTemplateInput.value = template;
+    this.templateOptions.open = this.templateOptions.open || Boolean(template);
+  }
+
+  /**
+   * Render a subscription row per destination: the default webhook and the named ones from settings
+   */
+  async loadDestinations() {
+    try {
+      const result = await chrome.storage.local.get('webhookDestinations');
+      const destinations = [
+        { id: DEFAULT_DESTINATION_ID, name: 'Default webhook' },
+        ...(result.webhookDestinations || [])
+      ];
+
+      this.destinationRows.innerHTML = '';
+      for (const destination of destinations) {
+        const row = document.createElement('div');
+        row.className = 'destination-row';
+        row.dataset.destinationId = destination.id;
+
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'destination-enabled';
+        label.append(checkbox, document.createTextNode(destination.name));
+        label.title = destination.name;
+
+        const condition = document.createElement('select');
+        condition.className = 'compact-input destination-condition';
+        for (const type of DESTINATION_CONDITIONS) {
+          const option = document.createElement('option');
+          option.value = type;
+          option.textContent = {
+            always: 'Every event',
+            content: 'Content updates',
+            error: 'Errors only',
+            fieldChanged: 'Field changed',
+            fieldDecreased: 'Field decreased',
+            fieldIncreased: 'Field increased'
+          }[type];
+          condition.appendChild(option);
+        }
+        condition.value = 'content';
+
+        const field = document.createElement('input');
+        field.type = 'text';
+        field.className = 'compact-input destination-field';
+        field.placeholder = 'Field name, e.g. price';
+
+        condition.addEventListener('change', () => this.updateDestinationRow(row));
+        row.append(label, condition, field);
+        this.destinationRows.appendChild(row);
+        this.updateDestinationRow(row);
+      }
+      this.applyDestinations(null);
+    } catch (error) {
+      console.error('Error loading destinations:', error);
+    }
+  }
+
+  /**
+   * Show the field input only for field conditions
+   * @param {HTMLElement} row - Destination row
+   */
+  updateDestinationRow(row) {
+    const type = row.querySelector('.destination-condition').value;
+    row.querySelector('.destination-field').style.display = type.startsWith('field') ? '' : 'none';
+  }
+
+  /**
+   * Read the destination subscriptions
+   * @returns {Array<Object>|null} Subscriptions, or null for the default (content updates to the default webhook)
+   */
+  readDestinations() {
+    const subscriptions = [];
+    for (const row of this.destinationRows.querySelectorAll('.destination-row')) {
+      if (!row.querySelector('.destination-enabled').checked) {
+        continue;
+      }
+      const condition = { type: row.querySelector('.destination-condition').value };
+      if (condition.type.startsWith('field')) {
+        condition.field = row.querySelector('.destination-field').value.trim();
+      }
+      subscriptions.push({ destinationId: row.dataset.destinationId, condition });
+    }
+
+    const isDefault = subscriptions.length === 1 &&
+      subscriptions[0].destinationId === DEFAULT_DESTINATION_ID &&
+      subscriptions[0].condition.type === 'content';
+    return isDefault ? null : subscriptions;
+  }
+
+  /**
+   * Fill the destination subscriptions
+   * @param {Array<Object>|null} subscriptions - Subscriptions (null for the default)
+   */
+  applyDestinations(subscriptions) {
+    const active = destinationRouter.getSubscriptions({ destinations: subscriptions });
+    for (const row of this.destinationRows.querySelectorAll('.destination-row')) {
+      const subscription = active.find(item => item.destinationId === row.dataset.destinationId);
+      row.querySelector('.destination-enabled').checked = Boolean(subscription);
+      row.querySelector('.destination-condition').value = subscription?.condition.type || 'content';
+      row.querySelector('.destination-field').value = subscription?.condition.field || '';
+      this.updateDestinationRow(row);
+    }
+    this.destinationOptions.open = this.destinationOptions.open || Boolean(subscriptions?.length);
+  }
+
   /**
    * Apply configuration
    */
   applyConfig(config) {
     if (config.selector) this.selectorInput.value = config.selector;
+    if (config.fields !== undefined) {
+      this.fieldsInput.value = fieldConfig.format(config.fields);
+      this.fieldOptions.open = this.fieldOptions.open || fieldConfig.hasFields(config);
+    }
+    if (config.list !== undefined) this.applyListConfig(config.list);
+    if (config.extractor !== undefined) this.applyExtractor(config.extractor);
     if (config.refreshInterval) this.refreshIntervalInput.value = config.refreshInterval / 1000;
+    if (config.schedule !== undefined) this.applyScheduleConfig(config.schedule);
     if (config.changeDetection !== undefined) this.changeDetectionCheckbox.checked = config.changeDetection;
     if (config.contentType) this.contentTypeSelect.value = config.contentType;
+    if (config.diffGranularity) this.diffGranularitySelect.value = config.diffGranularity;
+    if (config.checkMode) this.checkModeSelect.value = config.checkMode;
+    if (config.tabPlacement) this.tabPlacementSelect.value = config.tabPlacement;
+    if (config.live !== undefined) this.applyLiveSettings(config.live);
+    this.updateTabPlacementVisibility();
     if (config.webhookUrl !== undefined) this.webhookUrlInput.value = config.webhookUrl || '';
+    if (config.webhookAuth !== undefined) this.applyAuth(config.webhookAuth);
+    if (config.payloadTemplate !== undefined) this.applyPayloadTemplate(config.payloadTemplate || '');
+    if (config.destinations !== undefined) this.applyDestinations(config.destinations);
+    if (config.ignoreSelectors !== undefined || config.normalization !== undefined) {
+      this.applyNormalization(config.ignoreSelectors || null, config.normalization || null);
+    }
+    if (config.crawl !== undefined) this.applyCrawl(config.crawl);
+    if (config.actions !== undefined) this.applyActions(config.actions);
+    if (config.readiness !== undefined) this.applyReadiness(config.readiness);
+    if (config.screenshot !== undefined) this.applyScreenshot(config.screenshot);
+    if (config.history !== undefined) this.applyHistory(config.history);
+    if (config.rules !== undefined) this.applyRules(config.rules);
     // Note: profileName is handled separately in updateUIFromStatus
   }
 
@@ -644,11 +1655,30 @@ class PageMonitorPopup {
       // Compare config with each profile
       for (const [profileName, profile] of Object.entries(profiles)) {
         // Compare relevant fields (excluding metadata like savedAt)
-        if (profile.selector === config.selector &&
-            profile.refreshInterval === config.refreshInterval &&
-            profile.changeDetection === config.changeDetection &&
-            profile.contentType === config.contentType &&
-            (profile.webhookUrl || null) === (config.webhookUrl || null)) {
+        // Profiles keep their webhook secrets encrypted when the secrets vault is enabled
+        const candidate = await secretsVault.openSecrets(profile).catch(() => null);
+        if (candidate &&
+            candidate.selector === config.selector &&
+            JSON.stringify(candidate.fields || null) === JSON.stringify(config.fields || null) &&
+            JSON.stringify(candidate.list || null) === JSON.stringify(config.list || null) &&
+            JSON.stringify(candidate.extractor || null) === JSON.stringify(config.extractor || null) &&
+            candidate.refreshInterval === config.refreshInterval &&
+            candidate.changeDetection === config.changeDetection &&
+            candidate.contentType === config.contentType &&
+            (candidate.diffGranularity || 'line') === (config.diffGranularity || 'line') &&
+            JSON.stringify(candidate.live || null) === JSON.stringify(config.live || null) &&
+            (candidate.webhookUrl || null) === (config.webhookUrl || null) &&
+            JSON.stringify(candidate.webhookAuth || null) === JSON.stringify(config.webhookAuth || null) &&
+            (candidate.payloadTemplate || null) === (config.payloadTemplate || null) &&
+            JSON.stringify(candidate.destinations || null) === JSON.stringify(config.destinations || null) &&
+            JSON.stringify(candidate.ignoreSelectors || null) === JSON.stringify(config.ignoreSelectors || null) &&
+            JSON.stringify(candidate.normalization || null) === JSON.stringify(config.normalization || null) &&
+            JSON.stringify(candidate.crawl || null) === JSON.stringify(config.crawl || null) &&
+            JSON.stringify(candidate.actions || null) === JSON.stringify(config.actions || null) &&
+            JSON.stringify(candidate.readiness || null) === JSON.stringify(config.readiness || null) &&
+            JSON.stringify(candidate.screenshot || null) === JSON.stringify(config.screenshot || null) &&
+            JSON.stringify(candidate.history || null) === JSON.stringify(config.history || null) &&
+            JSON.stringify(candidate.rules || null) === JSON.stringify(config.rules || null)) {
           return profileName;
         }
       }
@@ -721,14 +1751,14 @@ class PageMonitorPopup {
       
       const config = this.getCurrentConfig();
       
-      if (!config.selector) {
-        this.showResult('Please enter a CSS selector before saving', false);
+      if (!fieldConfig.hasExtractionTarget(config)) {
+        this.showResult('Please enter a CSS selector, named fields or a list item selector before saving', false);
         return;
       }
 
       // Save to the selected profile
       profiles[profileName] = {
-        ...config,
+        ...await secretsVault.sealSecrets(config), // Encrypted when the secrets vault is enabled
         savedAt: new Date().toISOString()
       };
 
@@ -760,8 +1790,8 @@ class PageMonitorPopup {
       
       const config = this.getCurrentConfig();
       
-      if (!config.selector) {
-        this.showResult('Please enter a CSS selector before saving', false);
+      if (!fieldConfig.hasExtractionTarget(config)) {
+        this.showResult('Please enter a CSS selector, named fields or a list item selector before saving', false);
         return;
       }
 
@@ -774,7 +1804,7 @@ class PageMonitorPopup {
       }
 
       profiles[profileName] = {
-        ...config,
+        ...await secretsVault.sealSecrets(config), // Encrypted when the secrets vault is enabled
         savedAt: new Date().toISOString()
       };
 
@@ -812,7 +1842,7 @@ class PageMonitorPopup {
         return;
       }
 
-      this.applyConfig(profile);
+      this.applyConfig(await secretsVault.openSecrets(profile));
       // Profile selector is already set to the selected profile, so no need to update it
       this.updateSaveButtonState();
       this.showResult(`✅ Profile "${profileName}" loaded!`, true);
@@ -910,6 +1940,8 @@ class PageMonitorPopup {
   formatDetails(details) {
     const parts = [];
     if (details.tabId) parts.push(`Tab: ${details.tabId}`);
+    if (details.destination) parts.push(`Destination: ${details.destination}`);
+    if (details.statusCode) parts.push(`HTTP ${details.statusCode}`);
     if (details.error) parts.push(`Error: ${details.error}`);
     if (details.retryCount !== undefined) parts.push(`Retries: ${details.retryCount}`);
     if (details.consecutiveFailures) parts.push(`Failures: ${details.consecutiveFailures}`);
@@ -1,10 +1,13 @@
 /**
  * Tests for Page Monitor to n8n Chrome Extension
  * Tests content extraction functionality from page-monitor-content.js
+ * and the background helpers it relies on
  */
 
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
+const crypto = require('crypto');
 const { JSDOM } = require('jsdom');
 
 // Mock chrome runtime
@@ -48,6 +51,73 @@ function loadContentScript() {
   }
 }
 
+/**
+ * Loads a background script into the global scope
+ * Top-level classes and constants become available to the tests.
+ * Each script is loaded once, like importScripts() in the service worker.
+ * @param {string} fileName - File name inside src/background
+ */
+const loadedBackgroundScripts = new Set();
+function loadBackgroundScript(fileName) {
+  if (loadedBackgroundScripts.has(fileName)) {
+    return;
+  }
+  loadedBackgroundScripts.add(fileName);
+  const scriptPath = path.join(__dirname, '..', 'src', 'background', fileName);
+  vm.runInThisContext(fs.readFileSync(scriptPath, 'utf8'), { filename: scriptPath });
+}
+
+/**
+ * Creates an in-memory chrome.storage area mock
+ * @param {Object} store - Backing store
+ * @returns {Object} - Storage area with get/set/remove
+ */
+function createStorageAreaMock(store) {
+  return {
+    get: (keys) => {
+      const result = {};
+      [].concat(keys).forEach(key => {
+        if (store[key] !== undefined) {
+          result[key] = JSON.parse(JSON.stringify(store[key]));
+        }
+      });
+      return Promise.resolve(result);
+    },
+    set: (items) => {
+      Object.assign(store, JSON.parse(JSON.stringify(items)));
+      return Promise.resolve();
+    },
+    remove: (key) => {
+      delete store[key];
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Creates an in-memory chrome.storage.local/session and chrome.alarms mock
+ * @returns {Object} - Backing stores and created alarms
+ */
+function installChromeMock() {
+  const store = {};
+  const session = {};
+  const alarms = new Map();
+
+  global.chrome.storage.local = createStorageAreaMock(store);
+  global.chrome.storage.session = createStorageAreaMock(session);
+
+  global.chrome.alarms = {
+    create: (name, info) => {
+      alarms.set(name, { name, scheduledTime: info.when });
+      return Promise.resolve();
+    },
+    clear: (name) => Promise.resolve(alarms.delete(name)),
+    getAll: () => Promise.resolve(Array.from(alarms.values()))
+  };
+
+  return { store, session, alarms };
+}
+
 /**
  * Creates a JSDOM instance with the provided HTML
  * @param {string} htmlContent - HTML content to create DOM from
@@ -90,6 +160,8 @@ function testExtractBlockContent() {
 
   // Load the content script
   const functionsOnly = loadContentScript();
+  loadBackgroundScript('readiness-config.js');
+  const defaultReadiness = readinessConfig.resolve(null);
   
   // Test Case 1: Extract HTML content from ID selector
   console.log('Test 1: Extract HTML content from #content selector');
@@ -230,43 +302,2513 @@ function testExtractBlockContent() {
   }
   dom6.window.close();
 
+  // Test Case 7: Extract from a parsed document (fetch mode / offscreen)
+  console.log('Test 7: Extract from DOMParser document with custom root and url');
+  const { dom: dom7, window: window7 } = createDOM('<html><body><div id="live">Live tab</div></body></html>');
+  eval(functionsOnly);
+
+  const fetched = new window7.DOMParser().parseFromString(
+    '<html><body><div id="live">Fetched <b>page</b></div></body></html>',
+    'text/html'
+  );
+  const result7 = extractBlockContent('#live', 'text', false, {
+    root: fetched,
+    url: 'https://example.com/static'
+  });
+  if (result7.success && result7.content === 'Fetched page' && result7.url === 'https://example.com/static') {
+    console.log('✅ Test 7: PASSED');
+  } else {
+    console.log('❌ Test 7: FAILED');
+    console.log('Result:', result7);
+    dom7.window.close();
+    return false;
+  }
+  dom7.window.close();
+
+  // Test Case 8: Extract named fields with text, html and attribute types
+  console.log('Test 8: Extract named fields (text, html, attribute)');
+  const { dom: dom8 } = createDOM(`
+    <html>
+      <body>
+        <h1 class="title">Widget</h1>
+        <span class="price"> 19.99 </span>
+        <div class="desc"><b>Great</b> widget</div>
+        <img class="hero" src="https://example.com/widget.png">
+      </body>
+    </html>
+  `);
+  eval(functionsOnly);
+
+  const result8 = extractFields({
+    title: { selector: '.title', type: 'text' },
+    price: { selector: '.price', type: 'text' },
+    description: { selector: '.desc', type: 'html' },
+    image: { selector: 'img.hero', type: 'attribute', attribute: 'src' }
+  }, defaultReadiness);
+  const missing8 = extractFields({ stock: { selector: '.stock', type: 'text' } });
+  if (
+    result8.success &&
+    result8.fields.price === '19.99' &&
+    result8.fields.description === '<b>Great</b> widget' &&
+    result8.fields.image === 'https://example.com/widget.png' &&
+    JSON.parse(result8.content).title === 'Widget' &&
+    !missing8.success && missing8.error.includes('"stock"')
+  ) {
+    console.log('✅ Test 8: PASSED');
+  } else {
+    console.log('❌ Test 8: FAILED');
+    console.log('Result:', result8, missing8);
+    dom8.window.close();
+    return false;
+  }
+  dom8.window.close();
+
+  // Test Case 9: List mode reads per-item fields and skips items without a key
+  console.log('Test 9: Extract list items');
+  const { dom: dom9 } = createDOM(`
+    <html>
+      <body>
+        <aside class="job-card"><a href="/jobs/99">Sidebar job</a></aside>
+        <ul class="results">
+          <li class="job-card" data-id="2"><a href="/jobs/2">Backend</a><span class="salary">80k</span></li>
+          <li class="job-card" data-id="1"><a href="/jobs/1">Frontend</a></li>
+          <li class="job-card ad">Sponsored</li>
+        </ul>
+      </body>
+    </html>
+  `);
+  eval(functionsOnly);
+
+  const result9 = extractConfiguredContent({
+    list: {
+      container: '.results',
+      item: '.job-card',
+      key: 'id',
+      fields: {
+        id: { selector: ':scope', type: 'attribute', attribute: 'data-id' },
+        title: { selector: 'a', type: 'text' },
+        salary: { selector: '.salary', type: 'text' }
+      }
+    }
+  }, defaultReadiness);
+  if (
+    result9.success &&
+    result9.items.length === 2 &&
+    result9.items[0].key === '2' && result9.items[0].fields.salary === '80k' &&
+    result9.items[1].fields.title === 'Frontend' && result9.items[1].fields.salary === '' &&
+    JSON.parse(result9.content)[0].key === '1'
+  ) {
+    console.log('✅ Test 9: PASSED');
+  } else {
+    console.log('❌ Test 9: FAILED');
+    console.log('Result:', result9);
+    dom9.window.close();
+    return false;
+  }
+  dom9.window.close();
+
+  // Test Case 10: Ignore selectors leave regions of the block out
+  console.log('Test 10: Ignore selectors');
+  const { dom: dom10, window: window10 } = createDOM(`
+    <html>
+      <body>
+        <div id="news"><h2>Headline</h2><span class="time" style="color: red">5 min ago</span><div class="ad">Buy now</div></div>
+        <span class="price">19.99 <small class="time">updated now</small></span>
+      </body>
+    </html>
+  `);
+  eval(functionsOnly);
+
+  const ignoreSelectors = ['.time', '.ad'];
+  const html10 = extractBlockContent('#news', 'html', false, { ignoreSelectors });
+  const liveText10 = extractBlockContent('#news', 'text', false, { ignoreSelectors });
+  const parsed10 = new window10.DOMParser().parseFromString(window10.document.body.innerHTML, 'text/html');
+  const fetchedText10 = extractBlockContent('#news', 'text', false, { root: parsed10, ignoreSelectors });
+  const fields10 = extractConfiguredContent({ fields: { price: { selector: '.price', type: 'html' } }, ignoreSelectors });
+  const invalid10 = extractBlockContent('#news', 'html', false, { ignoreSelectors: ['[['] });
+  const time10 = window10.document.querySelector('#news .time');
+  if (
+    html10.content === '<h2>Headline</h2>' &&
+    liveText10.success && time10.getAttribute('style') === 'color: red' &&
+    window10.document.querySelector('.ad').getAttribute('style') === null &&
+    fetchedText10.content === 'Headline' &&
+    fields10.fields.price === '19.99' &&
+    !invalid10.success && invalid10.error === 'Invalid ignore selector: [['
+  ) {
+    console.log('✅ Test 10: PASSED');
+  } else {
+    console.log('❌ Test 10: FAILED');
+    console.log('Result:', { html10, fetchedText10, fields10, invalid10 });
+    dom10.window.close();
+    return false;
+  }
+  dom10.window.close();
+
+  // Test Case 11: Readiness checks report why the page is not ready yet
+  console.log('Test 11: Readiness checks');
+  const { dom: dom11, window: window11 } = createDOM(`
+    <html>
+      <body>
+        <div id="prices">Espresso grinder: Fetching prices</div>
+        <span class="price">Loading...</span>
+      </body>
+    </html>
+  `);
+  eval(functionsOnly);
+
+  const custom11 = readinessConfig.resolve({ useDefaults: false, blacklist: ['/fetching/i'] });
+  const short11 = extractBlockContent('#prices', 'html', defaultReadiness);
+  const blacklisted11 = extractBlockContent('#prices', 'html', custom11);
+  const field11 = extractFields({ price: { selector: '.price', type: 'text' } }, defaultReadiness);
+  const waiting11 = extractBlockContent('#prices', 'html', readinessConfig.resolve({ useDefaults: false, waitForSelector: '.results' }));
+  const unchecked11 = extractBlockContent('#prices', 'html', readinessConfig.resolve({ useDefaults: false }));
+  window11.document.getElementById('prices').textContent = 'Espresso grinder: € 17,99';
+  const ready11 = extractBlockContent('#prices', 'html', custom11);
+  if (
+    !short11.success && short11.notReady && short11.error === 'Content too short, page may still be loading' &&
+    !blacklisted11.success && blacklisted11.error === 'Page still loading (matched "/fetching/i")' &&
+    !field11.success && field11.error === 'Field "price" is empty or still loading (matched "Loading\\.\\.\\.")' &&
+    !waiting11.success && waiting11.error === 'Waiting for element: .results' &&
+    unchecked11.success && ready11.success
+  ) {
+    console.log('✅ Test 11: PASSED');
+  } else {
+    console.log('❌ Test 11: FAILED');
+    console.log('Result:', { short11, blacklisted11, field11, waiting11, unchecked11, ready11 });
+    dom11.window.close();
+    return false;
+  }
+  dom11.window.close();
+
+  // Test Case 12: Crawl monitors report the next page (links, buttons, last page)
+  console.log('Test 12: Next page of crawl monitors');
+  const { dom: dom12, window: window12 } = createDOM(`
+    <html>
+      <body>
+        <ul class="results"><li>Result 1</li></ul>
+        <a class="next" href="?page=2"><span>Next</span></a>
+        <button class="more">More</button>
+        <button class="last" disabled>Next</button>
+      </body>
+    </html>
+  `, 'https://example.com/jobs?page=1');
+  eval(functionsOnly);
+
+  const crawlTarget = (nextSelector) => ({ selector: '.results', contentType: 'text', crawl: { nextSelector } });
+  const link12 = extractConfiguredContent(crawlTarget('.next span'));
+  const button12 = extractConfiguredContent(crawlTarget('.more'));
+  const last12 = extractConfiguredContent(crawlTarget('.last'));
+  const parsed12 = new window12.DOMParser().parseFromString(window12.document.body.innerHTML, 'text/html');
+  const fetched12 = extractConfiguredContent(crawlTarget('.more'), null, { root: parsed12, url: 'https://example.com/jobs' });
+  const fetchedLink12 = extractConfiguredContent(crawlTarget('.next'), null, { root: parsed12, url: 'https://example.com/jobs' });
+  if (
+    link12.nextPage.url === 'https://example.com/jobs?page=2' &&
+    button12.nextPage.click === true && last12.nextPage === null &&
+    fetched12.nextPage === null && fetchedLink12.nextPage.url === 'https://example.com/jobs?page=2' &&
+    extractConfiguredContent({ selector: '.results' }).nextPage === undefined
+  ) {
+    console.log('✅ Test 12: PASSED');
+  } else {
+    console.log('❌ Test 12: FAILED');
+    console.log('Result:', { link12, button12, last12, fetched12, fetchedLink12 });
+    dom12.window.close();
+    return false;
+  }
+  dom12.window.close();
+
+  // Test Case 13: `>>>` pierces shadow roots and same-origin frames
+  console.log('Test 13: Piercing selectors into shadow roots and iframes');
+  const { dom: dom13, window: window13 } = createDOM(`
+    <html>
+      <body>
+        <price-card id="card"></price-card>
+        <iframe id="app"></iframe>
+      </body>
+    </html>
+  `);
+  eval(functionsOnly);
+
+  const shadow13 = window13.document.getElementById('card').attachShadow({ mode: 'open' });
+  shadow13.innerHTML = '<span class="price">42 EUR</span>';
+  window13.document.getElementById('app').contentDocument.body.innerHTML =
+    '<div id="summary"><span class="total">99 EUR</span><span class="total">1 item</span></div>';
+
+  const shadowResult13 = extractBlockContent('#card >>> .price', 'text');
+  const frameResult13 = extractBlockContent('iframe#app >>> #summary .total', 'text');
+  const plainResult13 = extractBlockContent('.price', 'text');
+  const list13 = extractConfiguredContent({
+    list: { container: 'iframe#app >>> #summary', item: '.total', key: 'text', fields: { text: { selector: ':scope' } } }
+  });
+  if (
+    shadowResult13.success && shadowResult13.content === '42 EUR' &&
+    frameResult13.success && frameResult13.content === '99 EUR' &&
+    !plainResult13.success &&
+    list13.success && list13.items.length === 2
+  ) {
+    console.log('✅ Test 13: PASSED');
+  } else {
+    console.log('❌ Test 13: FAILED');
+    console.log('Result:', { shadowResult13, frameResult13, plainResult13, list13 });
+    dom13.window.close();
+    return false;
+  }
+  dom13.window.close();
+
+  // Test Case 14: XPath, regex and JSONPath extractors
+  console.log('Test 14: XPath, regex and JSONPath extractors');
+  const { dom: dom14 } = createDOM(`
+    <html>
+      <head>
+        <script type="application/ld+json">{"@type": "Product", "offers": {"price": "19.99", "priceCurrency": "EUR"}}</script>
+        <script id="__NEXT_DATA__" type="application/json">{"props": {"pageProps": {"items": [{"id": 1}, {"id": 2}, {"id": 3}]}}}</script>
+      </head>
+      <body>
+        <table id="rates"><tr><td>USD</td><td>1.08</td></tr><tr><td>GBP</td><td>0.85</td></tr></table>
+        <p class="stock">Only 3 left, ships in 2 days</p>
+      </body>
+    </html>
+  `);
+  eval(functionsOnly);
+
+  const xpath14 = extractConfiguredContent({ contentType: 'text', extractor: { type: 'xpath', expression: "//table[@id='rates']//td[2]/text()" } });
+  const count14 = extractConfiguredContent({ extractor: { type: 'xpath', expression: 'count(//td)' } });
+  const scoped14 = extractConfiguredContent({ selector: '.stock', contentType: 'text', extractor: { type: 'regex', expression: '(\\d+) (left|days)' } });
+  const page14 = extractConfiguredContent({ contentType: 'text', extractor: { type: 'regex', expression: 'GBP\\s*([\\d.]+)' } });
+  const ld14 = extractConfiguredContent({ extractor: { type: 'jsonpath', expression: '$.offers.price', source: 'json-ld' } });
+  const next14 = extractConfiguredContent({ extractor: { type: 'jsonpath', expression: "$..items[-1]['id']", source: 'next-data' } });
+  const element14 = extractConfiguredContent({ selector: '#__NEXT_DATA__', extractor: { type: 'jsonpath', expression: '$.props.pageProps.items[*]', source: 'element' } });
+  const none14 = extractConfiguredContent({ extractor: { type: 'regex', expression: 'sold out' } });
+  const invalid14 = extractConfiguredContent({ extractor: { type: 'xpath', expression: '//td[' } });
+  if (
+    xpath14.success && xpath14.content === '1.08\n0.85' &&
+    count14.content === '4' &&
+    scoped14.content === '3 left\n2 days' &&
+    page14.content === '0.85' &&
+    ld14.content === '19.99' &&
+    next14.content === '3' &&
+    element14.content === '{"id":1}\n{"id":2}\n{"id":3}' &&
+    !none14.success && none14.error === 'No match for regex: sold out' &&
+    !invalid14.success && invalid14.error.includes('Invalid XPath')
+  ) {
+    console.log('✅ Test 14: PASSED');
+  } else {
+    console.log('❌ Test 14: FAILED');
+    console.log('Result:', { xpath14, count14, scoped14, page14, ld14, next14, element14, none14, invalid14 });
+    dom14.window.close();
+    return false;
+  }
+  dom14.window.close();
+
+  // Test Case 15: Screenshot boxes are only computed on request, and live sessions never scroll
+  console.log('Test 15: Capture rect is on request and scrolls only when allowed');
+  const { dom: dom15, window: window15 } = createDOM('<html><body><div id="chart">Chart</div></body></html>');
+  eval(functionsOnly);
+
+  const chart15 = window15.document.getElementById('chart');
+  let scrolls15 = 0;
+  let top15 = 2000; // Below the viewport until scrolled to
+  chart15.getBoundingClientRect = () => ({ top: top15, left: 10, width: 200, height: 100 });
+  chart15.scrollIntoView = () => {
+    scrolls15++;
+    top15 = 0;
+  };
+  const extracted15 = extractConfiguredContent({ selector: '#chart', contentType: 'text', screenshot: { trigger: 'content' } });
+  const live15 = getCaptureRect('#chart', false);
+  const scrollsAfterLive15 = scrolls15;
+  const reload15 = getCaptureRect('#chart');
+  if (
+    extracted15.success && extracted15.rect === undefined &&
+    live15 === null && scrollsAfterLive15 === 0 &&
+    scrolls15 === 1 && reload15 && reload15.y === 0 && reload15.height === 100
+  ) {
+    console.log('✅ Test 15: PASSED');
+  } else {
+    console.log('❌ Test 15: FAILED');
+    console.log('Result:', { extracted15, live15, reload15, scrolls15 });
+    dom15.window.close();
+    return false;
+  }
+  dom15.window.close();
+
   return true;
 }
 
 /**
- * Main test runner
+ * Test FieldConfig (named field definitions)
  */
-function runAllTests() {
-  console.log('🚀 Running Page Monitor to n8n tests...\n');
-  
-  const results = [];
-  
-  // Run extractBlockContent tests
-  const extractTestsPassed = testExtractBlockContent();
-  results.push({ name: 'extractBlockContent', passed: extractTestsPassed });
-  
-  // Summary
-  const passed = results.filter(r => r.passed).length;
-  const failed = results.filter(r => !r.passed).length;
-  
-  console.log('\n📊 Test Summary:');
-  console.log(`✅ Passed: ${passed}`);
-  console.log(`❌ Failed: ${failed}`);
-  console.log(`📈 Total: ${results.length}`);
-  
-  if (failed > 0) {
-    console.log('\nFailed tests:');
-    results.filter(r => !r.passed).forEach(r => {
-      console.log(`  - ${r.name}`);
-    });
+function testFieldConfig() {
+  console.log('\n🧪 Testing FieldConfig...\n');
+
+  loadBackgroundScript('field-config.js');
+
+  // Test Case 1: Parse definitions with default, html and attribute types
+  console.log('Test 1: parse() reads name, selector and type');
+  const parsed = fieldConfig.parse([
+    'price: .product .price',
+    '# comments and blank lines are ignored',
+    '',
+    'body: article:first-of-type | html',
+    'image: img.hero | attribute:src'
+  ].join('\n'));
+  if (
+    !parsed.error &&
+    parsed.fields.price.selector === '.product .price' && parsed.fields.price.type === 'text' &&
+    parsed.fields.body.selector === 'article:first-of-type' && parsed.fields.body.type === 'html' &&
+    parsed.fields.image.type === 'attribute' && parsed.fields.image.attribute === 'src'
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', parsed);
+    return false;
   }
-  
-  return failed === 0;
+
+  // Test Case 2: format() round-trips through parse()
+  console.log('Test 2: format() round-trips');
+  const reparsed = fieldConfig.parse(fieldConfig.format(parsed.fields));
+  if (JSON.stringify(reparsed.fields) === JSON.stringify(parsed.fields)) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', reparsed);
+    return false;
+  }
+
+  // Test Case 3: Invalid definitions are rejected, empty text means no fields
+  console.log('Test 3: Invalid definitions rejected');
+  const invalid = [
+    fieldConfig.parse('no separator here'),
+    fieldConfig.parse('price: .a\nprice: .b'),
+    fieldConfig.parse('image: img | attribute:'),
+    fieldConfig.parse('price: .a | json'),
+    fieldConfig.parse('bad name: .a')
+  ];
+  const empty = fieldConfig.parse('  \n');
+  if (invalid.every(result => result.error && result.fields === null) && empty.fields === null && !empty.error) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', invalid, empty);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test ListDiffer (list mode deltas)
+ */
+function testListDiffer() {
+  console.log('\n🧪 Testing ListDiffer...\n');
+
+  loadBackgroundScript('list-differ.js');
+
+  const items = [
+    { key: 'a', fields: { title: 'Alpha', price: '10' } },
+    { key: 'b', fields: { title: 'Beta', price: '20' } }
+  ];
+
+  // Test Case 1: Every item is added on the first run
+  console.log('Test 1: First run reports all items as added');
+  const first = listDiffer.diff(null, items);
+  if (first.added.length === 2 && first.removed.length === 0 && first.modified.length === 0 && first.hasChanges) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', first);
+    return false;
+  }
+
+  // Test Case 2: Added, removed and modified items are reported by key
+  console.log('Test 2: Added, removed and modified items');
+  const snapshot = listDiffer.toSnapshot(items);
+  const delta = listDiffer.diff(snapshot, [
+    { key: 'b', fields: { title: 'Beta', price: '15' } },
+    { key: 'c', fields: { title: 'Gamma', price: '30' } }
+  ]);
+  if (
+    delta.added.length === 1 && delta.added[0].key === 'c' &&
+    delta.removed.length === 1 && delta.removed[0].key === 'a' && delta.removed[0].fields.title === 'Alpha' &&
+    delta.modified.length === 1 && delta.modified[0].previous.price === '20' &&
+    JSON.stringify(delta.modified[0].changedFields) === '["price"]'
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', delta);
+    return false;
+  }
+
+  // Test Case 3: Reordering items is not a change
+  console.log('Test 3: Reordered items are unchanged');
+  const reordered = listDiffer.diff(snapshot, [...items].reverse());
+  if (!reordered.hasChanges) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', reordered);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test ContentDiffer (diffs in webhook payloads)
+ */
+function testContentDiffer() {
+  console.log('\n🧪 Testing ContentDiffer...\n');
+
+  loadBackgroundScript('content-differ.js');
+
+  // Test Case 1: Line diff reports added and removed lines with a unified diff
+  console.log('Test 1: Line diff with unified output');
+  const previous = 'Title\nPrice: 10\nStock: 5\nFooter';
+  const current = 'Title\nPrice: 12\nStock: 5\nFooter\nNew line';
+  const lineDiff = contentDiffer.diff(previous, current, { granularity: 'line' });
+  if (
+    JSON.stringify(lineDiff.removed) === '["Price: 10"]' &&
+    JSON.stringify(lineDiff.added) === '["Price: 12","New line"]' &&
+    lineDiff.unified.includes('@@ -1,4 +1,5 @@') &&
+    lineDiff.unified.includes('\n-Price: 10\n+Price: 12\n') &&
+    lineDiff.similarity > 0.6 && lineDiff.similarity < 1
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', lineDiff);
+    return false;
+  }
+
+  // Test Case 2: Word diff keeps HTML tags intact
+  console.log('Test 2: Word diff on HTML');
+  const wordDiff = contentDiffer.diff(
+    '<p>Only <b>3</b> left in stock</p>',
+    '<p>Only <b>2</b> left in stock</p>',
+    { granularity: 'word', contentType: 'html' }
+  );
+  if (
+    wordDiff.granularity === 'word' &&
+    JSON.stringify(wordDiff.removed) === '["3"]' &&
+    JSON.stringify(wordDiff.added) === '["2"]'
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', wordDiff);
+    return false;
+  }
+
+  // Test Case 3: Identical content has similarity 1 and no unified diff
+  console.log('Test 3: Identical content');
+  const same = contentDiffer.diff('a\nb', 'a\nb');
+  if (same.similarity === 1 && same.unified === '' && same.added.length === 0 && same.removed.length === 0) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', same);
+    return false;
+  }
+
+  // Test Case 4: Side-by-side rows pair replaced lines and leave the missing side empty
+  console.log('Test 4: Side-by-side diff');
+  const rows = contentDiffer.sideBySide('Title\nPrice: 10\nOld note\nFooter', 'Title\nPrice: 12\nFooter\nNew line');
+  if (
+    JSON.stringify(rows.map(row => row.type)) === '["equal","changed","removed","equal","added"]' &&
+    rows[1].left === 'Price: 10' && rows[1].right === 'Price: 12' &&
+    rows[2].right === null && rows[2].rightLine === null &&
+    rows[3].leftLine === 4 && rows[3].rightLine === 3 &&
+    rows[4].left === null && rows[4].rightLine === 4
+  ) {
+    console.log('✅ Test 4: PASSED');
+  } else {
+    console.log('❌ Test 4: FAILED');
+    console.log('Result:', rows);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test WebhookOutbox retry scheduling (the IndexedDB parts need a browser)
+ */
+function testWebhookOutbox() {
+  console.log('\n🧪 Testing WebhookOutbox...\n');
+
+  loadBackgroundScript('webhook-outbox.js');
+
+  // Test Case 1: Backoff doubles per attempt, stays within the jitter range and is capped
+  console.log('Test 1: Exponential backoff with jitter');
+  const low = webhookOutbox.getBackoffDelay(1, () => 0);
+  const high = webhookOutbox.getBackoffDelay(1, () => 1);
+  const third = webhookOutbox.getBackoffDelay(3, () => 1);
+  const capped = webhookOutbox.getBackoffDelay(50, () => 1);
+  if (low === 15000 && high === 30000 && third === 120000 && capped === 60 * 60 * 1000) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', { low, high, third, capped });
+    return false;
+  }
+
+  // Test Case 2: Only the oldest entry per monitor is due, and only once its retry time passed
+  console.log('Test 2: Deliveries stay in order per monitor');
+  const now = 1000000;
+  const due = webhookOutbox.selectDue([
+    { id: 1, monitorId: 'a', nextAttemptAt: now + 5000 },
+    { id: 2, monitorId: 'a', nextAttemptAt: now },
+    { id: 3, monitorId: 'b', nextAttemptAt: now - 1 },
+    { id: 4, monitorId: 'b', nextAttemptAt: now },
+    { id: 5, monitorId: null, nextAttemptAt: now }
+  ], now);
+  if (JSON.stringify(due.map(entry => entry.id)) === '[3,5]') {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', due);
+    return false;
+  }
+
+  // Test Case 3: Each destination of a monitor has its own queue
+  console.log('Test 3: A failing destination does not hold back the others');
+  const fanOut = webhookOutbox.selectDue([
+    { id: 1, monitorId: 'a', destinationId: null, nextAttemptAt: now + 5000 },
+    { id: 2, monitorId: 'a', destinationId: 'slack', nextAttemptAt: now },
+    { id: 3, monitorId: 'a', destinationId: 'slack', nextAttemptAt: now },
+    { id: 4, monitorId: 'a', nextAttemptAt: now }
+  ], now);
+  if (JSON.stringify(fanOut.map(entry => entry.id)) === '[2]') {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', fanOut);
+    return false;
+  }
+
+  return true;
 }
 
-// Run all tests
-const allTestsPassed = runAllTests();
+/**
+ * Test SnapshotStore retention (the IndexedDB parts need a browser)
+ */
+function testSnapshotStore() {
+  console.log('\n🧪 Testing SnapshotStore...\n');
+
+  loadBackgroundScript('snapshot-store.js');
+
+  // Test Case 1: Missing retention values use the defaults; 0 versions turns history off
+  console.log('Test 1: Retention defaults');
+  const defaults = snapshotStore.getRetention({});
+  const off = snapshotStore.getRetention({ history: { maxCount: 0 } });
+  if (defaults.maxCount === 50 && defaults.maxAgeDays === 30 && off.maxCount === 0 && off.maxAgeDays === 30) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', { defaults, off });
+    return false;
+  }
+
+  // Test Case 2: Versions beyond the count or older than the age are pruned, except the newest
+  console.log('Test 2: Pruning by count and age');
+  const now = Date.parse('2025-01-20T10:00:00.000Z');
+  const daysAgo = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+  const snapshots = [
+    { id: 1, capturedAt: daysAgo(40) },
+    { id: 2, capturedAt: daysAgo(20) },
+    { id: 3, capturedAt: daysAgo(10) },
+    { id: 4, capturedAt: daysAgo(1) }
+  ];
+  const byCount = snapshotStore.selectExpired(snapshots, { maxCount: 2, maxAgeDays: 30 }, now);
+  const byAge = snapshotStore.selectExpired(snapshots, { maxCount: 50, maxAgeDays: 15 }, now);
+  const stale = snapshotStore.selectExpired([{ id: 9, capturedAt: daysAgo(400) }], { maxCount: 50, maxAgeDays: 30 }, now);
+  if (
+    JSON.stringify(byCount.sort()) === '[1,2]' &&
+    JSON.stringify(byAge.sort()) === '[1,2]' &&
+    stale.length === 0
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', { byCount, byAge, stale });
+    return false;
+  }
+
+  // Test Case 3: Form input parsing and validation
+  console.log('Test 3: Parse and validate retention');
+  const empty = snapshotStore.parseRetention({ maxCount: '', maxAgeDays: ' ' });
+  const parsed = snapshotStore.parseRetention({ maxCount: '10', maxAgeDays: '' });
+  const fraction = snapshotStore.parseRetention({ maxCount: '2.5' });
+  const tooOld = snapshotStore.validateRetention({ maxAgeDays: 5000 });
+  const unknown = snapshotStore.validateRetention({ keep: 5 });
+  if (
+    empty.history === null && empty.error === null &&
+    JSON.stringify(parsed.history) === '{"maxCount":10}' &&
+    fraction.history === null && fraction.error.includes('Versions to keep') &&
+    !tooOld.isValid && !unknown.isValid
+  ) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', { empty, parsed, fraction, tooOld, unknown });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test VisualDiffer (perceptual hashes, pixel differences and screenshot settings)
+ */
+function testVisualDiffer() {
+  console.log('\n🧪 Testing VisualDiffer...\n');
+
+  loadBackgroundScript('visual-differ.js');
+
+  // 32x32 RGBA image: dark left half, light right half, with an optional light box in the top left
+  const makeImage = (box = 0, noise = 0) => {
+    const rgba = new Uint8ClampedArray(32 * 32 * 4);
+    for (let y = 0; y < 32; y++) {
+      for (let x = 0; x < 32; x++) {
+        const value = (x < 16 ? 40 : 220) + ((x + y) % 2 ? noise : 0);
+        const light = x < box && y < box;
+        rgba.fill(light ? 250 : value, (y * 32 + x) * 4, (y * 32 + x) * 4 + 3);
+        rgba[(y * 32 + x) * 4 + 3] = 255;
+      }
+    }
+    return rgba;
+  };
+
+  // Test Case 1: Slight noise keeps the hash and the pixels; a new element changes both
+  console.log('Test 1: Perceptual hash and pixel difference');
+  const base = visualDiffer.getSignature(makeImage(), 32, 32);
+  const noisy = visualDiffer.getSignature(makeImage(0, 10), 32, 32);
+  const boxed = visualDiffer.getSignature(makeImage(12), 32, 32);
+  const same = visualDiffer.compare(base, noisy);
+  const changed = visualDiffer.compare(base, boxed);
+  if (
+    /^[0-9a-f]{16}$/.test(base.hash) &&
+    same.distance === 0 && same.changedPixels === 0 &&
+    changed.distance > 0 && changed.changedPixels === 14.1 && changed.previousHash === base.hash
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', { base, same, changed });
+    return false;
+  }
+
+  // Test Case 2: Hamming distance and base64 round trip
+  console.log('Test 2: Hash distance and thumbnail encoding');
+  const bytes = new Uint8Array([0, 127, 255, 3]);
+  if (
+    visualDiffer.hammingDistance('ffff000000000000', '0fff000000000001') === 5 &&
+    visualDiffer.hammingDistance(base.hash, base.hash) === 0 &&
+    Array.from(visualDiffer.fromBase64(visualDiffer.toBase64(bytes))).join() === '0,127,255,3'
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    return false;
+  }
+
+  // Test Case 3: Form parsing, defaults and validation
+  console.log('Test 3: Parse, resolve and validate screenshot settings');
+  const off = visualDiffer.parse({ enabled: false, threshold: '50' });
+  const attach = visualDiffer.parse({ enabled: true, delivery: 'multipart', trigger: 'content', threshold: '50' });
+  const visual = visualDiffer.parse({ enabled: true, trigger: 'visual', threshold: '2.5' });
+  const badThreshold = visualDiffer.parse({ enabled: true, trigger: 'visual', threshold: '0' });
+  const resolved = visualDiffer.resolve({ trigger: 'visual' });
+  if (
+    off.screenshot === null && off.error === null &&
+    JSON.stringify(attach.screenshot) === '{"delivery":"multipart","trigger":"content"}' &&
+    visual.screenshot.threshold === 2.5 &&
+    badThreshold.screenshot === null && badThreshold.error.includes('threshold') &&
+    resolved.delivery === 'base64' && resolved.threshold === 5 &&
+    !visualDiffer.validate({ delivery: 'jpeg' }).isValid &&
+    !visualDiffer.validate({ crop: true }).isValid
+  ) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', { off, attach, visual, badThreshold, resolved });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test ActionScript (page action parsing and validation)
+ */
+function testActionScript() {
+  console.log('\n🧪 Testing ActionScript...\n');
+
+  loadBackgroundScript('action-script.js');
+
+  // Test Case 1: Every action type parses, and formatting gives the same text back
+  console.log('Test 1: Parse and format round trip');
+  const text = [
+    '# Accept the cookie banner first',
+    'click #accept-cookies',
+    '',
+    'type #search | laptop bag',
+    'press Enter | #search',
+    'press Escape',
+    'scroll 3',
+    'wait 1500',
+    'wait for .results .item'
+  ].join('\n');
+  const parsed = actionScript.parse(text);
+  const formatted = actionScript.formatAll(parsed.actions);
+  if (
+    parsed.error === null && parsed.actions.length === 7 &&
+    JSON.stringify(parsed.actions[1]) === '{"type":"type","selector":"#search","text":"laptop bag"}' &&
+    parsed.actions[3].selector === undefined && parsed.actions[4].times === 3 &&
+    parsed.actions[6].type === 'waitFor' &&
+    actionScript.parse(formatted).actions.length === 7 &&
+    formatted.split('\n')[1] === 'type #search | laptop bag'
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', parsed, formatted);
+    return false;
+  }
+
+  // Test Case 2: Unknown lines and out-of-range values are reported
+  console.log('Test 2: Parse errors');
+  const unknown = actionScript.parse('click .more\nhover .menu');
+  const tooLong = actionScript.parse('wait 120000');
+  const empty = actionScript.parse('# nothing to do\n');
+  if (
+    unknown.actions === null && unknown.error === 'Line 2: unknown action "hover .menu"' &&
+    tooLong.actions === null && tooLong.error.includes('wait between') &&
+    empty.actions === null && empty.error === null
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', { unknown, tooLong, empty });
+    return false;
+  }
+
+  // Test Case 3: Stored actions are validated
+  console.log('Test 3: Validate stored actions');
+  if (
+    actionScript.validate([{ type: 'scroll', times: 2 }, { type: 'press', key: 'Enter' }]).isValid &&
+    !actionScript.validate([{ type: 'click' }]).isValid &&
+    !actionScript.validate([{ type: 'hover', selector: '.menu' }]).isValid &&
+    !actionScript.validate([{ type: 'scroll', times: 0 }]).isValid &&
+    !actionScript.validate(new Array(21).fill({ type: 'wait', ms: 10 })).isValid &&
+    !actionScript.validate('click .more').isValid &&
+    actionScript.hasActions({ actions: [{ type: 'wait', ms: 10 }] }) && !actionScript.hasActions({})
+  ) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test CrawlConfig (pagination settings and merging the crawled pages)
+ */
+function testCrawlConfig() {
+  console.log('\n🧪 Testing CrawlConfig...\n');
+
+  loadBackgroundScript('crawl-config.js');
+
+  // Test Case 1: List items of all pages are merged once, in page order
+  console.log('Test 1: Merge list pages');
+  const page = (url, keys, nextPage = null) => ({
+    success: true,
+    url,
+    items: keys.map(key => ({ key, fields: { title: `Job ${key}` } })),
+    content: '[]',
+    selector: '.job',
+    timestamp: `2025-01-20T10:00:0${keys.length}.000Z`,
+    nextPage
+  });
+  const merged = crawlConfig.merge([
+    page('https://example.com/jobs', ['c', 'a'], { url: 'https://example.com/jobs?page=2' }),
+    page('https://example.com/jobs?page=2', ['a', 'b', 'd'])
+  ]);
+  if (
+    merged.success && merged.url === 'https://example.com/jobs' &&
+    merged.items.map(item => item.key).join() === 'c,a,b,d' &&
+    JSON.parse(merged.content).map(item => item.key).join() === 'a,b,c,d' &&
+    merged.pages.length === 2 && merged.pages[1] === 'https://example.com/jobs?page=2' &&
+    merged.timestamp === '2025-01-20T10:00:03.000Z' && !('nextPage' in merged)
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', merged);
+    return false;
+  }
+
+  // Test Case 2: Block content of all pages is joined
+  console.log('Test 2: Merge block pages');
+  const blocks = crawlConfig.merge([
+    { success: true, url: 'https://example.com/news', content: 'First page', nextPage: { click: true } },
+    { success: true, url: 'https://example.com/news', content: 'Second page', nextPage: null }
+  ]);
+  if (blocks.content === 'First page\nSecond page' && blocks.items === undefined && blocks.pages.length === 2) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', blocks);
+    return false;
+  }
+
+  // Test Case 3: Form parsing, defaults and validation
+  console.log('Test 3: Parse and validate crawl settings');
+  const off = crawlConfig.parse({ nextSelector: '  ', maxPages: '3' });
+  const parsed = crawlConfig.parse({ nextSelector: ' a.next ', maxPages: '' });
+  const limited = crawlConfig.parse({ nextSelector: 'a.next', maxPages: '10' });
+  const tooMany = crawlConfig.parse({ nextSelector: 'a.next', maxPages: '51' });
+  if (
+    off.crawl === null && off.error === null &&
+    JSON.stringify(parsed.crawl) === '{"nextSelector":"a.next"}' && crawlConfig.getMaxPages(parsed.crawl) === 5 &&
+    crawlConfig.getMaxPages(limited.crawl) === 10 &&
+    tooMany.crawl === null && tooMany.error.includes('from 2 to 50') &&
+    !crawlConfig.validate({ nextSelector: 'a.next', maxPages: 1 }).isValid &&
+    !crawlConfig.validate({ maxPages: 3 }).isValid &&
+    !crawlConfig.validate({ nextSelector: 'a.next', depth: 2 }).isValid
+  ) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', { off, parsed, limited, tooMany });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test ExtractorConfig (XPath, regex and JSONPath extractor settings)
+ */
+function testExtractorConfig() {
+  console.log('\n🧪 Testing ExtractorConfig...\n');
+
+  loadBackgroundScript('extractor-config.js');
+
+  // Test Case 1: Form parsing keeps only the options of the type
+  console.log('Test 1: Parse extractors from the form');
+  const css = extractorConfig.parse({ type: 'css', expression: '//h1' });
+  const regex = extractorConfig.parse({ type: 'regex', expression: ' Price: (\\d+) ', flags: 'i', source: 'json-ld' });
+  const jsonPath = extractorConfig.parse({ type: 'jsonpath', expression: '$.offers.price', flags: 'i', source: '' });
+  if (
+    css.extractor === null && css.error === null &&
+    JSON.stringify(regex.extractor) === '{"type":"regex","expression":"Price: (\\\\d+)","flags":"i"}' &&
+    JSON.stringify(jsonPath.extractor) === '{"type":"jsonpath","expression":"$.offers.price","source":"json-ld"}' &&
+    extractorConfig.hasExtractor({ extractor: jsonPath.extractor }) && !extractorConfig.hasExtractor({ selector: 'h1' }) &&
+    extractorConfig.format(jsonPath.extractor) === 'jsonpath $.offers.price in json-ld'
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', { css, regex, jsonPath });
+    return false;
+  }
+
+  // Test Case 2: Validation
+  console.log('Test 2: Validate extractors');
+  const badRegex = extractorConfig.parse({ type: 'regex', expression: '(unclosed' });
+  const badPath = extractorConfig.parse({ type: 'jsonpath', expression: 'offers.price' });
+  if (
+    badRegex.extractor === null && badRegex.error.startsWith('Invalid regex') &&
+    badPath.extractor === null && badPath.error.includes('starts with $') &&
+    extractorConfig.validate({ type: 'xpath', expression: '//h1' }).isValid &&
+    !extractorConfig.validate({ type: 'css', expression: 'h1' }).isValid &&
+    !extractorConfig.validate({ type: 'xpath', expression: ' ' }).isValid &&
+    !extractorConfig.validate({ type: 'xpath', expression: '//h1', flags: 'i' }).isValid &&
+    !extractorConfig.validate({ type: 'regex', expression: 'a', flags: 'g' }).isValid &&
+    !extractorConfig.validate({ type: 'jsonpath', expression: '$.a', source: 'inline' }).isValid
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', { badRegex, badPath });
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test WebhookAuth (webhook authentication headers)
+ */
+async function testWebhookAuth() {
+  console.log('\n🧪 Testing WebhookAuth...\n');
+
+  loadBackgroundScript('webhook-auth.js');
+
+  // Test Case 1: Form inputs are parsed and validated per type
+  console.log('Test 1: fromInputs() parses headers and rejects incomplete settings');
+  const headers = webhookAuth.fromInputs({ type: 'headers', headersText: 'X-Api-Key: abc: def\n\nX-Team: ops' });
+  const invalid = [
+    webhookAuth.fromInputs({ type: 'headers', headersText: 'no separator' }),
+    webhookAuth.fromInputs({ type: 'headers', headersText: 'Bad Header: x' }),
+    webhookAuth.fromInputs({ type: 'basic', username: ' ' }),
+    webhookAuth.fromInputs({ type: 'bearer', token: '' }),
+    webhookAuth.fromInputs({ type: 'hmac', secret: '' })
+  ];
+  const none = webhookAuth.fromInputs({ type: 'none' });
+  if (
+    !headers.error && headers.auth.headers['X-Api-Key'] === 'abc: def' && headers.auth.headers['X-Team'] === 'ops' &&
+    invalid.every(result => result.error && result.auth === null) &&
+    none.auth === null && !none.error
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', headers, invalid, none);
+    return false;
+  }
+
+  // Test Case 2: Basic and Bearer set the Authorization header
+  console.log('Test 2: Basic and Bearer headers');
+  const basic = await webhookAuth.buildHeaders({ type: 'basic', username: 'n8n', password: 'pässword' }, '{}');
+  const bearer = await webhookAuth.buildHeaders({ type: 'bearer', token: 'tok' }, '{}');
+  if (
+    basic.Authorization === 'Basic ' + Buffer.from('n8n:pässword').toString('base64') &&
+    bearer.Authorization === 'Bearer tok' &&
+    bearer['Content-Type'] === 'application/json'
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', basic, bearer);
+    return false;
+  }
+
+  // Test Case 3: HMAC signs "<timestamp>.<body>" and sends the timestamp
+  console.log('Test 3: HMAC-SHA256 signature');
+  const body = '{"type":"page_monitor"}';
+  const signed = await webhookAuth.buildHeaders({ type: 'hmac', secret: 's3cret', header: 'X-Hub-Signature' }, body, 1737367200000);
+  const expected = crypto.createHmac('sha256', 's3cret').update(`1737367200.${body}`).digest('hex');
+  if (
+    signed['X-Hub-Signature'] === `sha256=${expected}` &&
+    signed['X-Signature-Timestamp'] === '1737367200' &&
+    !webhookAuth.describe({ type: 'hmac', secret: 's3cret' }).includes('s3cret')
+  ) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', signed, expected);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test PayloadTemplate (webhook payload shaping)
+ */
+function testPayloadTemplate() {
+  console.log('\n🧪 Testing PayloadTemplate...\n');
+
+  loadBackgroundScript('payload-template.js');
+  const sample = payloadTemplate.getSamplePayload();
+
+  // Test Case 1: The default template reproduces the default payload
+  console.log('Test 1: DEFAULT_PAYLOAD_TEMPLATE renders the default payload');
+  const rendered = payloadTemplate.render(DEFAULT_PAYLOAD_TEMPLATE, sample);
+  if (JSON.stringify(rendered) === JSON.stringify(sample) && !('delta' in rendered)) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', rendered);
+    return false;
+  }
+
+  // Test Case 2: Single placeholders keep their type, others are interpolated as text
+  console.log('Test 2: Placeholders, paths and missing values');
+  const custom = payloadTemplate.render(JSON.stringify({
+    text: '{{fields.title}} is now {{ fields.price }}{{fields.missing}}',
+    changed: '{{changedFields}}',
+    first: '{{diff.added[0]}}',
+    similarity: '{{diff.similarity}}',
+    monitor: { id: '{{metadata.monitorId}}' },
+    missing: '{{delta}}',
+    list: ['{{url}}', '{{items}}'],
+    fixed: 42
+  }), sample);
+  if (
+    custom.text === 'Espresso grinder is now € 17,99' &&
+    Array.isArray(custom.changed) && custom.changed[0] === 'price' &&
+    custom.first === 'price: € 17,99' &&
+    custom.similarity === 0.5 &&
+    custom.monitor.id === sample.metadata.monitorId &&
+    !('missing' in custom) &&
+    custom.list[0] === sample.url && custom.list[1] === null &&
+    custom.fixed === 42
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', custom);
+    return false;
+  }
+
+  // Test Case 3: Validation rejects invalid JSON and unknown variables
+  console.log('Test 3: validate()');
+  const results = [
+    payloadTemplate.validate(''),
+    payloadTemplate.validate('{"a": "{{fields.price}}", "b": "{{items[0].key}}"}'),
+    payloadTemplate.validate('{"a": '),
+    payloadTemplate.validate('{"a": "{{price}}"}')
+  ];
+  if (results[0].isValid && results[1].isValid && !results[2].isValid && !results[3].isValid && results[3].message.includes('{{price}}')) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', results);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test DestinationRouter (fan-out conditions)
+ */
+function testDestinationRouter() {
+  console.log('\n🧪 Testing DestinationRouter...\n');
+
+  loadBackgroundScript('destination-router.js');
+
+  // Test Case 1: Numbers are read from formatted prices
+  console.log('Test 1: parseNumber() handles currency and separators');
+  const cases = [
+    ['€ 17,99', 17.99],
+    ['$1,299.99', 1299.99],
+    ['1.299,99 EUR', 1299.99],
+    ['1 299,50 Kč', 1299.5],
+    ['1,299', 1299],
+    ['0.125', 0.125],
+    ['-3 items', -3],
+    ['12.99 (5 left)', 12.99],
+    ['sold out', null]
+  ];
+  const parsed = cases.map(([text]) => destinationRouter.parseNumber(text));
+  if (cases.every(([, expected], index) => parsed[index] === expected)) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', parsed);
+    return false;
+  }
+
+  // Test Case 2: Subscriptions are routed by event type and field conditions
+  console.log('Test 2: route() applies conditions');
+  const subscriptions = [
+    { destinationId: 'default', condition: { type: 'content' } },
+    { destinationId: 'alerts', condition: { type: 'error' } },
+    { destinationId: 'deals', condition: { type: 'fieldDecreased', field: 'price' } },
+    { destinationId: 'audit', condition: { type: 'always' } }
+  ];
+  const ids = event => destinationRouter.route(subscriptions, event).map(item => item.destinationId).join(',');
+  const cheaper = ids({ type: 'content', fields: { price: '€ 17,99' }, previousFields: { price: '€ 19,99' }, changedFields: ['price'] });
+  const pricier = ids({ type: 'content', fields: { price: '€ 21,99' }, previousFields: { price: '€ 19,99' }, changedFields: ['price'] });
+  const failed = ids({ type: 'error' });
+  const legacy = destinationRouter.getSubscriptions({}).map(item => item.destinationId).join(',');
+  if (cheaper === 'default,deals,audit' && pricier === 'default,audit' && failed === 'alerts,audit' && legacy === 'default') {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', { cheaper, pricier, failed, legacy });
+    return false;
+  }
+
+  // Test Case 3: Invalid subscriptions and destinations are rejected
+  console.log('Test 3: validateSubscriptions() and validateDestination()');
+  const results = [
+    destinationRouter.validateSubscriptions(subscriptions).isValid,
+    destinationRouter.validateSubscriptions([]).isValid,
+    destinationRouter.validateSubscriptions([{ destinationId: 'deals', condition: { type: 'fieldIncreased' } }]).isValid,
+    destinationRouter.validateSubscriptions([{ destinationId: 'deals', condition: { type: 'sometimes' } }]).isValid,
+    destinationRouter.validateDestination({ id: 'a', name: 'Slack', webhookUrl: 'https://hooks.example.com/x' }, []).isValid,
+    destinationRouter.validateDestination({ id: 'b', name: 'slack', webhookUrl: 'https://hooks.example.com/y' }, [{ id: 'a', name: 'Slack' }]).isValid,
+    destinationRouter.validateDestination({ id: 'c', name: 'Teams', webhookUrl: 'ftp://example.com' }, []).isValid,
+    destinationRouter.validateDestination({ id: 'd', name: 'Bot', type: 'telegram', webhookUrl: 'https://api.telegram.org/botx/sendMessage' }, []).isValid
+  ];
+  if (JSON.stringify(results) === '[true,false,false,false,true,false,false,false]') {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', results);
+    return false;
+  }
+
+  // Test Case 4: Delivery log entries can be filtered by destination (activity log destination filter)
+  console.log('Test 4: activity log getByDestination()');
+  installChromeMock();
+  loadBackgroundScript('activity-log.js');
+  const log = new ActivityLogManager();
+  log.success('webhook', 'Webhook delivered', { monitorId: 'a', destinationId: 'default' });
+  log.error('webhook', 'Webhook delivery failed', { monitorId: 'a', destinationId: 'deals' });
+  log.info('change', 'Content change detected', { monitorId: 'a' });
+  const deals = log.getByDestination('deals').map(entry => entry.message);
+  if (JSON.stringify(deals) === '["Webhook delivery failed"]' && log.getByDestination('default').length === 1) {
+    console.log('✅ Test 4: PASSED');
+  } else {
+    console.log('❌ Test 4: FAILED');
+    console.log('Result:', deals);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test ContentNormalizer (normalization before hashing)
+ */
+function testContentNormalizer() {
+  console.log('\n🧪 Testing ContentNormalizer...\n');
+
+  loadBackgroundScript('content-normalizer.js');
+
+  // Test Case 1: Replacements, whitespace, digits and line order
+  console.log('Test 1: normalize() text steps');
+  const before = 'Updated 5 minutes ago\n  Espresso   grinder  \n\nMilk frother\ntoken=abc123';
+  const after = 'Updated 12 minutes ago\nMilk frother\nEspresso grinder\ntoken=xyz789';
+  const normalization = {
+    replacements: [{ pattern: 'Updated \\d+ minutes ago', replacement: '' }, { pattern: '/token=\\w+/', replacement: 'token=' }],
+    collapseWhitespace: true,
+    sortLines: true
+  };
+  const digits = contentNormalizer.normalize('Page 3 of 12', { dropDigits: true });
+  if (
+    contentNormalizer.normalize(before, normalization) === 'Espresso grinder\nMilk frother\ntoken=' &&
+    contentNormalizer.normalize(before, normalization) === contentNormalizer.normalize(after, normalization) &&
+    contentNormalizer.normalize(before, null) === before &&
+    digits === 'Page  of '
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', contentNormalizer.normalize(before, normalization), digits);
+    return false;
+  }
+
+  // Test Case 2: Attributes are stripped by name, prefix or all
+  console.log('Test 2: removeAttributes()');
+  const html = '<div class="card" data-id="7" data-ts=\'1\' hidden><img src="a.png" alt=x /><a href="/x">Link</a></div>';
+  const byName = contentNormalizer.normalize(html, { removeAttributes: ['class', 'data-*'] });
+  const all = contentNormalizer.normalize(html, { removeAttributes: ['*'] });
+  if (
+    byName === '<div hidden><img src="a.png" alt=x /><a href="/x">Link</a></div>' &&
+    all === '<div><img /><a>Link</a></div>'
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', { byName, all });
+    return false;
+  }
+
+  // Test Case 3: Form parsing and validation
+  console.log('Test 3: parseReplacements(), formatReplacements() and validate()');
+  const parsed = contentNormalizer.parseReplacements('a => b\n/x=>y/g => z\n\\d+');
+  const results = [
+    contentNormalizer.validate({ collapseWhitespace: true, removeAttributes: ['data-*'] }).isValid,
+    contentNormalizer.validate({ replacements: [{ pattern: '(' }] }).isValid,
+    contentNormalizer.validate({ removeAttributes: ['bad name'] }).isValid,
+    contentNormalizer.validate({ trimEverything: true }).isValid,
+    contentNormalizer.hasNormalization({ normalization: { replacements: [], removeAttributes: [] } })
+  ];
+  if (
+    JSON.stringify(parsed.replacements) === '[{"pattern":"a","replacement":"b"},{"pattern":"/x=>y/g","replacement":"z"},{"pattern":"\\\\d+","replacement":""}]' &&
+    contentNormalizer.formatReplacements(parsed.replacements) === 'a => b\n/x=>y/g => z\n\\d+ =>' &&
+    contentNormalizer.parseReplacements('( => x').error.startsWith('Invalid pattern "("') &&
+    JSON.stringify(results) === '[true,false,false,false,false]'
+  ) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', parsed, results);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test ReadinessConfig (page readiness checks)
+ */
+function testReadinessConfig() {
+  console.log('\n🧪 Testing ReadinessConfig...\n');
+
+  loadBackgroundScript('readiness-config.js');
+
+  // Test Case 1: Settings are merged with the default preset
+  console.log('Test 1: resolve() and getTiming()');
+  const defaults = readinessConfig.resolve(null);
+  const custom = readinessConfig.resolve({ waitForSelector: '.results', minLength: 10, blacklist: ['Fetching'], maxWait: 20000 });
+  const bare = readinessConfig.resolve({ useDefaults: false, blacklist: ['Fetching'] });
+  if (
+    defaults.minLength === 100 && defaults.requireValues && defaults.blacklist.includes('NaN') && defaults.maxWait === 35000 &&
+    JSON.stringify(readinessConfig.getTiming(defaults)) === '{"initialDelay":5000,"retryDelay":3000,"maxWait":35000}' &&
+    custom.minLength === 10 && custom.blacklist.length === defaults.blacklist.length + 1 &&
+    JSON.stringify(readinessConfig.getTiming(custom)) === '{"initialDelay":0,"retryDelay":1000,"maxWait":20000}' &&
+    bare.minLength === 0 && !bare.requireValues && JSON.stringify(bare.blacklist) === '["Fetching"]'
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', { defaults, custom, bare });
+    return false;
+  }
+
+  // Test Case 2: Form inputs are parsed into settings
+  console.log('Test 2: parse()');
+  const parsed = readinessConfig.parse({
+    useDefaults: true,
+    waitForSelector: ' .results ',
+    waitForText: '',
+    minLength: '',
+    networkIdle: '800',
+    blacklistText: 'Fetching prices\n\n/^-$/m',
+    maxWaitSeconds: '20'
+  });
+  const empty = readinessConfig.parse({ useDefaults: true, waitForSelector: '', blacklistText: '' });
+  const noDefaults = readinessConfig.parse({ useDefaults: false });
+  if (
+    !parsed.error &&
+    JSON.stringify(parsed.readiness) === '{"useDefaults":true,"waitForSelector":".results","networkIdle":800,"maxWait":20000,"blacklist":["Fetching prices","/^-$/m"]}' &&
+    empty.readiness === null && !empty.error &&
+    JSON.stringify(noDefaults.readiness) === '{"useDefaults":false}' &&
+    readinessConfig.parse({ minLength: 'many' }).error === 'minLength must be a positive number'
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', { parsed, empty, noDefaults });
+    return false;
+  }
+
+  // Test Case 3: Validation
+  console.log('Test 3: validate()');
+  const results = [
+    readinessConfig.validate({ useDefaults: true, waitForText: 'Showing', maxWait: 60000 }).isValid,
+    readinessConfig.validate({ maxWait: 500 }).isValid,
+    readinessConfig.validate({ maxWait: 300000 }).isValid,
+    readinessConfig.validate({ networkIdle: 10000, maxWait: 5000 }).isValid,
+    readinessConfig.validate({ blacklist: ['('] }).isValid,
+    readinessConfig.validate({ waitForSelector: '' }).isValid,
+    readinessConfig.validate({ retries: 3 }).isValid
+  ];
+  if (JSON.stringify(results) === '[true,false,false,false,false,false,false]') {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', results);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test RuleEngine (condition rules for sending changes)
+ */
+function testRuleEngine() {
+  console.log('\n🧪 Testing RuleEngine...\n');
+
+  loadBackgroundScript('destination-router.js');
+  loadBackgroundScript('rule-engine.js');
+
+  // Test Case 1: Parse the line syntax and format it back
+  console.log('Test 1: parse() and format() round-trip');
+  const text = 'price < 20\ncontent contains In stock OR title matches /^Sale/\nprice drops by 10%\ncontent length changes by 200';
+  const { rules, error } = ruleEngine.parse(text, 'and');
+  const invalid = [
+    ruleEngine.parse('price is cheap').error,
+    ruleEngine.parse('price < cheap').error,
+    ruleEngine.parse('title matches ([').error,
+    ruleEngine.parse('a contains x AND b contains y OR c contains z').error
+  ];
+  if (
+    !error &&
+    JSON.stringify(rules.conditions[0]) === '{"type":"lessThan","field":"price","value":20}' &&
+    rules.conditions[1].operator === 'or' && rules.conditions[1].conditions[0].field === null &&
+    rules.conditions[2].direction === 'down' &&
+    ruleEngine.format(rules) === text &&
+    ruleEngine.parse('  \n# comment').rules === null &&
+    invalid.every(message => typeof message === 'string')
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', { rules, error, invalid });
+    return false;
+  }
+
+  // Test Case 2: Text and number conditions combine with AND and OR
+  console.log('Test 2: evaluate() with contains, regex, numbers and groups');
+  const context = { content: 'price: € 17,99\ntitle: Espresso grinder (In Stock)', fields: { price: '€ 17,99', title: 'Espresso grinder (In Stock)' } };
+  const check = (ruleText, operator = 'and') => ruleEngine.evaluate(ruleEngine.parse(ruleText, operator).rules, context).passed;
+  const results = [
+    check('content contains in stock'),
+    check('title not contains Sold out'),
+    check('title matches /in stock/'),
+    check('title matches grinder \\(in'),
+    check('price < 18'),
+    check('price > 18'),
+    check('price < 18\ntitle contains Sold out'),
+    check('price < 18\ntitle contains Sold out', 'or'),
+    check('price > 18 OR content contains Espresso'),
+    check('missing < 100')
+  ];
+  const evaluation = ruleEngine.evaluate(ruleEngine.parse('price < 18\nprice > 18').rules, context);
+  if (
+    JSON.stringify(results) === '[true,true,false,true,true,false,false,true,true,false]' &&
+    JSON.stringify(evaluation) === '{"passed":false,"matched":["price < 18"],"unmatched":["price > 18"]}'
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', results, evaluation);
+    return false;
+  }
+
+  // Test Case 3: Percent and length changes compare with the previous check
+  console.log('Test 3: percent change and length change');
+  const previous = { previousContent: 'short', previousFields: { price: '€ 20,00' } };
+  const changeResults = [
+    ['price drops by 10%', { fields: { price: '€ 17,99' } }],
+    ['price drops by 15%', { fields: { price: '€ 17,99' } }],
+    ['price rises by 10%', { fields: { price: '€ 17,99' } }],
+    ['price changes by 10%', { fields: { price: '€ 22,50' } }],
+    ['content length changes by 10', { content: 'a much longer text' }],
+    ['content length changes by 20', { content: 'a much longer text' }],
+    ['price changes by 1%', { fields: { price: '€ 19,00' }, previousFields: null }]
+  ].map(([ruleText, values]) => ruleEngine.evaluate(ruleEngine.parse(ruleText).rules, { ...previous, ...values }).passed);
+  if (JSON.stringify(changeResults) === '[true,false,false,true,true,false,false]') {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', changeResults);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test ChatFormatter (Slack, Discord, Teams and Telegram messages)
+ */
+function testChatFormatter() {
+  console.log('\n🧪 Testing ChatFormatter...\n');
+
+  loadBackgroundScript('payload-template.js');
+  loadBackgroundScript('chat-formatter.js');
+  const sample = payloadTemplate.getSamplePayload();
+
+  // Test Case 1: The excerpt shows the changed lines, list changes or the error
+  console.log('Test 1: getExcerpt() picks the diff, delta or error');
+  const diffExcerpt = chatFormatter.getExcerpt(sample);
+  const deltaExcerpt = chatFormatter.getExcerpt({ type: 'page_monitor', delta: { added: [{ key: 'a' }], removed: [{ key: 'b' }], modified: [] } });
+  const errorExcerpt = chatFormatter.getExcerpt({ type: 'page_monitor_error', error: 'Selector not found' });
+  const longExcerpt = chatFormatter.getExcerpt({ type: 'page_monitor', content: Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n') });
+  if (
+    diffExcerpt === '-price: € 19,99\n+price: € 17,99' &&
+    deltaExcerpt === '+ a\n- b' &&
+    errorExcerpt === 'Selector not found' &&
+    longExcerpt.endsWith('… 8 more')
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', { diffExcerpt, deltaExcerpt, errorExcerpt, longExcerpt });
+    return false;
+  }
+
+  // Test Case 2: Each chat format carries the URL, the profile name and the excerpt
+  console.log('Test 2: Slack, Discord, Teams and Telegram payloads');
+  const slack = chatFormatter.format('slack', sample);
+  const discord = chatFormatter.format('discord', sample);
+  const teams = chatFormatter.format('teams', sample);
+  const telegram = chatFormatter.format('telegram', { ...sample, url: 'https://shop.example.com/?a=1&b=<2>' }, { chatId: '-100123' });
+  const slackText = JSON.stringify(slack.blocks);
+  const card = teams.attachments[0].content;
+  if (
+    slack.text.includes(sample.url) && slackText.includes('Coffee prices') && slackText.includes('+price: € 17,99') &&
+    discord.embeds[0].url === sample.url && discord.embeds[0].fields[0].value === 'Coffee prices' &&
+    discord.embeds[0].description.includes('```diff\n-price: € 19,99') &&
+    card.type === 'AdaptiveCard' && card.actions[0].url === sample.url &&
+    card.body[1].facts.some(fact => fact.value === 'Coffee prices') &&
+    telegram.chat_id === '-100123' && telegram.parse_mode === 'HTML' &&
+    telegram.text.includes('href="https://shop.example.com/?a=1&amp;b=&lt;2&gt;"') && telegram.text.includes('Profile: Coffee prices') &&
+    chatFormatter.format('webhook', sample) === sample
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', { slack, discord, teams, telegram });
+    return false;
+  }
+
+  // Test Case 3: The Telegram bot token round-trips through the stored URL
+  console.log('Test 3: getTelegramUrl() and getTelegramToken()');
+  const url = chatFormatter.getTelegramUrl(' 123456:ABC-def ');
+  if (
+    url === 'https://api.telegram.org/bot123456:ABC-def/sendMessage' &&
+    chatFormatter.getTelegramToken(url) === '123456:ABC-def' &&
+    chatFormatter.getTelegramToken('https://hooks.slack.com/services/x') === ''
+  ) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', url);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test SecretsVault (passphrase-encrypted webhook secrets)
+ */
+async function testSecretsVault() {
+  console.log('\n🧪 Testing SecretsVault...\n');
+
+  const { store, session } = installChromeMock();
+  loadBackgroundScript('secrets-vault.js');
+  const vault = new SecretsVault();
+
+  // Test Case 1: Without a vault secrets stay plain; with one they are sealed and open again
+  console.log('Test 1: sealSecrets() encrypts only once the vault is enabled');
+  const config = { selector: '#price', webhookUrl: 'https://n8n.example.com/webhook/abc', webhookAuth: { type: 'bearer', token: 'tok' } };
+  const plain = await vault.sealSecrets(config);
+  await vault.create('correct horse');
+  const sealed = await vault.sealSecrets(config);
+  const opened = await vault.openSecrets(sealed);
+  if (
+    plain.webhookUrl === config.webhookUrl &&
+    vault.isSealed(sealed.webhookUrl) && vault.isSealed(sealed.webhookAuth) && sealed.selector === '#price' &&
+    !JSON.stringify(sealed).includes('abc') && !JSON.stringify(store).includes('correct horse') &&
+    JSON.stringify(opened) === JSON.stringify(config)
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', plain, sealed, opened);
+    return false;
+  }
+
+  // Test Case 2: Locking forgets the session key; only the right passphrase unlocks
+  console.log('Test 2: lock() and unlock()');
+  await vault.lock();
+  const lockedError = await vault.open(sealed.webhookUrl).then(() => null, error => error.message);
+  const wrongError = await vault.unlock('wrong horse').then(() => null, error => error.message);
+  const stillLocked = await vault.isLocked();
+  await vault.unlock('correct horse');
+  if (
+    lockedError && lockedError.includes('locked') && wrongError === 'Wrong passphrase' && stillLocked &&
+    Object.keys(session).length === 1 && await vault.open(sealed.webhookUrl) === config.webhookUrl
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', lockedError, wrongError, stillLocked, session);
+    return false;
+  }
+
+  // Test Case 3: Export envelopes carry their own salt and need their own passphrase
+  console.log('Test 3: encryptWithPassphrase() round trip');
+  const secrets = { Jobs: { webhookUrl: 'https://n8n.example.com/webhook/jobs', webhookAuth: null } };
+  const envelope = await vault.encryptWithPassphrase('export pass', secrets);
+  const decrypted = await vault.decryptWithPassphrase('export pass', envelope);
+  const rejected = await vault.decryptWithPassphrase('other pass', envelope).then(() => false, () => true);
+  if (envelope.salt && envelope.iterations && JSON.stringify(decrypted) === JSON.stringify(secrets) && rejected) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', envelope, decrypted, rejected);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test selector generation used by the element picker
+ */
+function testSelectorGenerator() {
+  console.log('\n🧪 Testing element picker selector generation...\n');
+
+  const functionsOnly = loadContentScript();
+
+  const { dom } = createDOM(`
+    <html>
+      <body>
+        <main id="main-content">
+          <div id="ember1234" data-testid="price-box">42 EUR</div>
+          <h2 class="Card_title__x7Ab2 product-title is-active">Product</h2>
+          <ul>
+            <li>First</li>
+            <li>Second</li>
+          </ul>
+        </main>
+      </body>
+    </html>
+  `);
+  eval(functionsOnly);
+
+  // Test Case 1: Stable ids are preferred
+  console.log('Test 1: Stable id is the primary selector');
+  const main = document.querySelector('main');
+  const result1 = generateSelectorCandidates(main);
+  if (result1[0] === '#main-content') {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', result1);
+    dom.window.close();
+    return false;
+  }
+
+  // Test Case 2: Generated ids are skipped in favour of data attributes
+  console.log('Test 2: Generated id skipped, data-testid used');
+  const result2 = generateSelectorCandidates(document.querySelector('[data-testid]'));
+  if (result2[0] === '[data-testid="price-box"]' && !result2.some(selector => selector.includes('ember1234'))) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', result2);
+    dom.window.close();
+    return false;
+  }
+
+  // Test Case 3: Hashed and state classes are ignored
+  console.log('Test 3: Stable class preferred over hashed and state classes');
+  const result3 = generateSelectorCandidates(document.querySelector('h2'));
+  if (result3[0] === '.product-title' && !result3.some(selector => /x7Ab2|is-active/.test(selector))) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', result3);
+    dom.window.close();
+    return false;
+  }
+
+  // Test Case 4: Elements without identifiers get a path anchored at an identifiable ancestor
+  console.log('Test 4: Anchored path with :nth-of-type, all alternatives unique');
+  const secondItem = document.querySelectorAll('li')[1];
+  const result4 = generateSelectorCandidates(secondItem);
+  const allUnique = result4.every(selector => {
+    const matches = document.querySelectorAll(selector);
+    return matches.length === 1 && matches[0] === secondItem;
+  });
+  if (result4[0] === '#main-content > ul > li:nth-of-type(2)' && result4.length > 1 && allUnique) {
+    console.log('✅ Test 4: PASSED');
+  } else {
+    console.log('❌ Test 4: FAILED');
+    console.log('Result:', result4);
+    dom.window.close();
+    return false;
+  }
+
+  // Test Case 5: Elements inside shadow roots get selectors that pierce into them
+  console.log('Test 5: Piercing selectors for shadow DOM elements');
+  const host = document.createElement('product-card');
+  host.id = 'card';
+  document.body.appendChild(host);
+  host.attachShadow({ mode: 'open' }).innerHTML = '<div><span class="price">42 EUR</span></div>';
+  const shadowPrice = host.shadowRoot.querySelector('.price');
+  const result5 = generatePiercingSelectors(shadowPrice);
+  if (
+    result5[0] === '#card >>> .price' &&
+    result5.every(selector => queryDeepAll(document, selector).length === 1 && queryDeep(document, selector) === shadowPrice)
+  ) {
+    console.log('✅ Test 5: PASSED');
+  } else {
+    console.log('❌ Test 5: FAILED');
+    console.log('Result:', result5);
+    dom.window.close();
+    return false;
+  }
+
+  dom.window.close();
+  return true;
+}
+
+/**
+ * Test live mode sessions (mutation observer, debounce, min gap and lost elements)
+ */
+async function testLiveMonitoring() {
+  console.log('\n🧪 Testing live mode...\n');
+
+  const functionsOnly = loadContentScript();
+  const { dom, window } = createDOM(`
+    <html>
+      <body>
+        <ul id="feed"><li>First message</li></ul>
+      </body>
+    </html>
+  `);
+  global.MutationObserver = window.MutationObserver;
+  eval(functionsOnly);
+
+  const sent = [];
+  let response = { success: true };
+  const originalSendMessage = chrome.runtime.sendMessage;
+  chrome.runtime.sendMessage = (message) => {
+    sent.push(message);
+    return Promise.resolve(response);
+  };
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  const finish = (passed) => {
+    stopLiveMonitoring();
+    chrome.runtime.sendMessage = originalSendMessage;
+    delete global.MutationObserver;
+    dom.window.close();
+    return passed;
+  };
+  const feed = window.document.getElementById('feed');
+
+  // Test Case 1: The baseline is reported at once, a burst of mutations once after the min gap
+  console.log('Test 1: Debounced reports');
+  const started = startLiveMonitoring('live-1', { selector: '#feed', contentType: 'text' }, { debounce: 20, minGap: 150 });
+  feed.insertAdjacentHTML('beforeend', '<li>Second message</li>');
+  feed.insertAdjacentHTML('beforeend', '<li>Third message</li>');
+  await wait(60);
+  const beforeGap = sent.length;
+  await wait(200);
+  if (
+    started.success && !started.alreadyActive &&
+    startLiveMonitoring('live-1', { selector: '#feed' }, { debounce: 20, minGap: 150 }).alreadyActive &&
+    beforeGap === 1 && sent.length === 2 &&
+    sent[0].action === 'contentExtracted' && sent[0].live && sent[0].monitorId === 'live-1' &&
+    sent[1].data.content.includes('Third message')
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', { started, beforeGap, sent });
+    return finish(false);
+  }
+
+  // Test Case 2: Mutations that leave the content unchanged are not reported
+  console.log('Test 2: Unchanged content is not reported again');
+  feed.firstElementChild.setAttribute('data-read', 'true');
+  await wait(250);
+  if (sent.length === 2) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', sent);
+    return finish(false);
+  }
+
+  // Test Case 3: A replaced element is observed again, a missing one ends the session
+  console.log('Test 3: Replaced and lost elements');
+  feed.outerHTML = '<ul id="feed"><li>Reloaded feed</li></ul>';
+  const reattached = reattachLiveTarget();
+  await wait(200);
+  const afterReplace = sent.length;
+  window.document.getElementById('feed').remove();
+  const firstMiss = reattachLiveTarget();
+  const lostAfterFirstMiss = sent.some(message => message.action === 'liveMonitoringLost');
+  reattachLiveTarget();
+  const lost = sent[sent.length - 1];
+  // Without a session nothing is observed, even once the element is back
+  window.document.body.innerHTML = '<ul id="feed"><li>Back again</li></ul>';
+  if (
+    reattached && afterReplace === 3 && sent[2].data.content === 'Reloaded feed' &&
+    !firstMiss && !lostAfterFirstMiss && !reattachLiveTarget() &&
+    lost.action === 'liveMonitoringLost' && lost.error === 'Element not found: #feed'
+  ) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', { reattached, afterReplace, firstMiss, lostAfterFirstMiss, sent });
+    return finish(false);
+  }
+
+  // Test Case 4: The background stops sessions of monitors that are no longer live
+  console.log('Test 4: Stop response ends the session');
+  window.document.body.innerHTML = '<div id="price">19.99</div>';
+  response = { success: false, stop: true };
+  startLiveMonitoring('live-2', { selector: '#price' }, { debounce: 0, minGap: 0 });
+  await wait(20);
+  const reportsBefore = sent.length;
+  window.document.getElementById('price').textContent = '17.99';
+  await wait(50);
+  const missing = startLiveMonitoring('live-3', { selector: '#nothing' }, { debounce: 0, minGap: 0 });
+  if (
+    reportsBefore === sent.length && !reattachLiveTarget() &&
+    !missing.success && missing.error === 'Element not found: #nothing'
+  ) {
+    console.log('✅ Test 4: PASSED');
+  } else {
+    console.log('❌ Test 4: FAILED');
+    console.log('Result:', { reportsBefore, sent, missing });
+    return finish(false);
+  }
+
+  return finish(true);
+}
+
+/**
+ * Test page actions run by the content script before extraction
+ */
+async function testPageActions() {
+  console.log('\n🧪 Testing page actions...\n');
+
+  const functionsOnly = loadContentScript();
+  const { dom, window } = createDOM(`
+    <html>
+      <body>
+        <form id="search"><input id="query" name="q" /></form>
+        <ul id="results"><li>First result</li></ul>
+        <button id="more">Load more</button>
+      </body>
+    </html>
+  `);
+  const domGlobals = ['Event', 'KeyboardEvent', 'HTMLInputElement', 'HTMLTextAreaElement'];
+  domGlobals.forEach(name => { global[name] = window[name]; });
+  window.Element.prototype.scrollIntoView = () => {};
+  eval(functionsOnly);
+
+  const finish = (passed) => {
+    domGlobals.forEach(name => delete global[name]);
+    dom.window.close();
+    return passed;
+  };
+  const document = window.document;
+  document.getElementById('more').addEventListener('click', () => {
+    setTimeout(() => document.getElementById('results').insertAdjacentHTML('beforeend', '<li class="loaded">Second result</li>'), 150);
+  });
+  const typed = [];
+  document.getElementById('query').addEventListener('input', (event) => typed.push(event.target.value));
+  let submitted = 0;
+  document.getElementById('search').addEventListener('submit', (event) => {
+    event.preventDefault();
+    submitted++;
+  });
+
+  // Test Case 1: Steps run in order and wait for content they trigger
+  console.log('Test 1: Click, wait for selector, type and press Enter');
+  const result1 = await runPageActions([
+    { type: 'click', selector: '#more' },
+    { type: 'waitFor', selector: '#results .loaded' },
+    { type: 'type', selector: '#query', text: 'laptop' },
+    { type: 'press', key: 'Enter', selector: '#query' },
+    { type: 'wait', ms: 10 }
+  ]);
+  if (
+    result1.success && result1.results.length === 5 && result1.results.every(step => step.success) &&
+    result1.results[1].duration >= 100 &&
+    typed.join() === 'laptop' && submitted === 1 &&
+    extractBlockContent('#results', 'text').content.includes('Second result')
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Result:', result1, { typed, submitted });
+    return finish(false);
+  }
+
+  // Test Case 2: The first failing step ends the sequence
+  console.log('Test 2: Missing element stops the remaining steps');
+  const result2 = await runPageActions([
+    { type: 'click', selector: '#cookie-banner .accept' },
+    { type: 'click', selector: '#more' }
+  ]);
+  if (
+    !result2.success && result2.results.length === 1 &&
+    result2.results[0].step === 1 && result2.results[0].error === 'No element matches "#cookie-banner .accept"'
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', result2);
+    return finish(false);
+  }
+
+  return finish(true);
+}
+
+/**
+ * Test ScheduleEvaluator (cron expressions, active hours and blackout windows)
+ */
+function testScheduleEvaluator() {
+  console.log('\n🧪 Testing ScheduleEvaluator...\n');
+
+  loadBackgroundScript('schedule-evaluator.js');
+  const evaluator = new ScheduleEvaluator();
+  // Monday 2024-01-01 07:55 UTC
+  const monday = Date.UTC(2024, 0, 1, 7, 55);
+
+  // Test Case 1: Cron steps, hour ranges and weekday names
+  console.log('Test 1: Cron every 10 minutes on weekdays 08:00-18:00');
+  const cronSchedule = { mode: 'cron', cron: '*/10 8-17 * * Mon-Fri', timezone: 'UTC' };
+  const cronRuns = evaluator.getNextRunTimes(cronSchedule, 0, 3, monday);
+  const expectedCronRuns = [Date.UTC(2024, 0, 1, 8, 0), Date.UTC(2024, 0, 1, 8, 10), Date.UTC(2024, 0, 1, 8, 20)];
+  if (JSON.stringify(cronRuns) === JSON.stringify(expectedCronRuns)) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Runs:', cronRuns.map(time => new Date(time).toISOString()));
+    return false;
+  }
+
+  // Test Case 2: Cron runs jump over a blackout window and the weekend
+  console.log('Test 2: Cron skips blackout windows and weekends');
+  const friday = Date.UTC(2024, 0, 5, 17, 55);
+  const blackoutSchedule = { ...cronSchedule, blackoutWindows: 'Mon 08:00-09:00' };
+  const nextRun = evaluator.getNextRunTime(blackoutSchedule, 0, friday);
+  if (nextRun === Date.UTC(2024, 0, 8, 9, 0)) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Next run:', new Date(nextRun).toISOString());
+    return false;
+  }
+
+  // Test Case 3: Interval mode waits for active hours, timezone aware
+  console.log('Test 3: Interval mode respects active hours in schedule timezone');
+  const intervalSchedule = { mode: 'interval', timezone: 'Europe/Prague', activeHours: 'Mon-Fri 10:00-18:00' };
+  const intervalRun = evaluator.getNextRunTime(intervalSchedule, 60000, monday);
+  const allowed = evaluator.isAllowed(Date.UTC(2024, 0, 1, 9, 30), intervalSchedule);
+  // Intervals saved below the 30 s alarm minimum are clamped
+  const clamped = evaluator.getNextRunTime(null, 5000, monday);
+  if (intervalRun === Date.UTC(2024, 0, 1, 9, 0) && allowed && clamped === monday + 30000) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Next run:', new Date(intervalRun).toISOString(), 'Allowed:', allowed, 'Clamped:', clamped - monday);
+    return false;
+  }
+
+  // Test Case 4: Invalid schedules are rejected with a message
+  console.log('Test 4: validate() rejects invalid schedules');
+  const invalid = [
+    { mode: 'cron', cron: '*/10 8-17 * *' },
+    { mode: 'cron', cron: '61 * * * *' },
+    { mode: 'interval', timezone: 'Mars/Olympus' },
+    { mode: 'interval', activeHours: 'Mon 25:00-26:00' },
+    { mode: 'cron', cron: '0 9 * * *', activeHours: '10:00-11:00' }
+  ];
+  const results = invalid.map(schedule => evaluator.validate(schedule));
+  if (results.every(result => !result.isValid && result.message) && evaluator.validate(null).isValid) {
+    console.log('✅ Test 4: PASSED');
+  } else {
+    console.log('❌ Test 4: FAILED');
+    console.log('Results:', results);
+    return false;
+  }
+
+  // Test Case 5: Schedules that never run are rejected quickly; rare ones are still found
+  console.log('Test 5: Unsatisfiable schedules are rejected quickly');
+  const unsatisfiable = [
+    { mode: 'cron', cron: '0 12 * * *', blackoutWindows: '12:00-13:00' },
+    { mode: 'cron', cron: '* * * * *', blackoutWindows: '00:00-24:00' },
+    { mode: 'cron', cron: '0 12 1 * *', timezone: 'UTC', blackoutWindows: '12:00-13:00' },
+    { mode: 'cron', cron: '* * 1-31 * *', timezone: 'UTC', activeHours: 'Mon 08:00-09:00', blackoutWindows: 'Mon 00:00-24:00' },
+    { mode: 'interval', blackoutWindows: '00:00-24:00' }
+  ];
+  const started = Date.now();
+  const rejected = unsatisfiable.map(schedule => evaluator.validate(schedule));
+  const elapsed = Date.now() - started;
+  const leapDay = evaluator.getNextRunTime({ mode: 'cron', cron: '0 12 29 2 *', timezone: 'UTC' }, 0, Date.UTC(2025, 2, 1));
+  if (rejected.every(result => !result.isValid) && elapsed < 1000 && leapDay === Date.UTC(2028, 1, 29, 12, 0)) {
+    console.log('✅ Test 5: PASSED');
+  } else {
+    console.log('❌ Test 5: FAILED');
+    console.log('Results:', rejected, 'Elapsed:', elapsed, 'Leap day:', leapDay && new Date(leapDay).toISOString());
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test MonitorScheduler (chrome.alarms based scheduling)
+ */
+async function testMonitorScheduler() {
+  console.log('\n🧪 Testing MonitorScheduler...\n');
+
+  const { store, alarms } = installChromeMock();
+  loadBackgroundScript('schedule-evaluator.js');
+  loadBackgroundScript('scheduler.js');
+
+  const runs = [];
+  const scheduler = new MonitorScheduler();
+  scheduler.onRun(async (key) => runs.push(key));
+
+  // Test Case 1: Scheduling persists next run time and creates an alarm
+  console.log('Test 1: schedule() persists entry and creates alarm');
+  await scheduler.schedule(42, 60000);
+  const entry = store.monitoringSchedule && store.monitoringSchedule['42'];
+  if (entry && entry.refreshInterval === 60000 && alarms.has('monitor:42') && await scheduler.isScheduled(42)) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Store:', store, 'Alarms:', alarms);
+    return false;
+  }
+
+  // Test Case 2: An alarm firing before the monitor is due does not run it
+  console.log('Test 2: Monitor is not run before it is due');
+  await scheduler.handleAlarm({ name: 'monitor:42' });
+  if (runs.length === 0) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Runs:', runs);
+    return false;
+  }
+
+  // Test Case 3: Missed runs are resumed and lost alarms recreated
+  console.log('Test 3: resume() runs overdue monitors and recreates alarms');
+  store.monitoringSchedule['42'].nextRunTime = Date.now() - 5000;
+  store.monitoringSchedule['7'] = { refreshInterval: 30000, nextRunTime: Date.now() + 30000, lastRunTime: null };
+  const resumed = await scheduler.resume();
+  const rescheduled = store.monitoringSchedule['42'].nextRunTime > Date.now();
+  if (resumed.length === 1 && runs[0] === '42' && rescheduled && alarms.has('monitor:7')) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Resumed:', resumed, 'Runs:', runs, 'Store:', store.monitoringSchedule);
+    return false;
+  }
+
+  // Test Case 4: Unscheduling removes entry and alarm
+  console.log('Test 4: unschedule() removes entry and alarm');
+  await scheduler.unschedule(42);
+  if (!(await scheduler.isScheduled(42)) && !alarms.has('monitor:42')) {
+    console.log('✅ Test 4: PASSED');
+  } else {
+    console.log('❌ Test 4: FAILED');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test FetchChecker (background fetch mode, parsing in the offscreen document)
+ */
+async function testFetchChecker() {
+  console.log('\n🧪 Testing FetchChecker...\n');
+
+  loadBackgroundScript('crawl-config.js');
+  loadBackgroundScript('fetch-checker.js');
+
+  // Pages served by the fetch stub, and what the offscreen document is asked to parse
+  const pages = {
+    'https://example.com/jobs': { status: 200, html: '<a class="next" href="/jobs?page=2">Next</a>' },
+    'https://example.com/jobs?page=2': { status: 200, html: '<a class="next" href="/jobs">First</a>' },
+    'https://example.com/missing': { status: 404, html: 'Not found' }
+  };
+  const fetched = [];
+  const parsed = [];
+  const created = [];
+  let contexts = [];
+
+  const originalFetch = global.fetch;
+  const originalRuntime = chrome.runtime;
+  global.fetch = (url, options) => {
+    fetched.push({ url, options });
+    const page = pages[url];
+    return Promise.resolve({ ok: page.status < 400, status: page.status, url, text: () => Promise.resolve(page.html) });
+  };
+  chrome.runtime = {
+    ...originalRuntime,
+    getURL: (file) => `chrome-extension://test/${file}`,
+    getContexts: () => Promise.resolve(contexts),
+    sendMessage: (message) => {
+      parsed.push(message);
+      const nextPage = message.url.endsWith('page=2') ? { url: 'https://example.com/jobs' } : { url: 'https://example.com/jobs?page=2' };
+      return Promise.resolve({ success: true, content: `Jobs at ${message.url}`, url: message.url, nextPage, timestamp: new Date().toISOString() });
+    }
+  };
+  chrome.offscreen = {
+    createDocument: (options) => {
+      created.push(options);
+      return new Promise(resolve => setTimeout(() => {
+        contexts = [{ contextType: 'OFFSCREEN_DOCUMENT' }];
+        resolve();
+      }, 10));
+    }
+  };
+  const finish = (passed) => {
+    global.fetch = originalFetch;
+    chrome.runtime = originalRuntime;
+    delete chrome.offscreen;
+    return passed;
+  };
+  const checker = new FetchChecker();
+
+  // Test Case 1: The offscreen document is created once, even for concurrent checks
+  console.log('Test 1: ensureOffscreenDocument() creates a single document');
+  await Promise.all([checker.ensureOffscreenDocument(), checker.ensureOffscreenDocument()]);
+  await checker.ensureOffscreenDocument();
+  if (created.length === 1 && created[0].url === 'src/offscreen/offscreen.html' && created[0].reasons[0] === 'DOM_PARSER') {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Created:', created);
+    return finish(false);
+  }
+
+  // Test Case 2: Pages are fetched with the user's cookies and parsed offscreen
+  console.log('Test 2: extract() fetches the page and hands the HTML to the offscreen document');
+  const target = { selector: '.jobs', contentType: 'text', ignoreSelectors: ['.ad'] };
+  const result = await checker.extract('https://example.com/jobs', target);
+  const message = parsed[parsed.length - 1];
+  if (
+    result.success && result.content === 'Jobs at https://example.com/jobs' &&
+    fetched[0].options.credentials === 'include' && fetched[0].options.cache === 'no-store' &&
+    message.target === 'offscreen' && message.action === 'extractFromHtml' &&
+    message.html === pages['https://example.com/jobs'].html && message.selector === '.jobs' &&
+    message.contentType === 'text' && message.ignoreSelectors[0] === '.ad' && message.fields === null
+  ) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Result:', result, 'Message:', message);
+    return finish(false);
+  }
+
+  // Test Case 3: Non-OK responses fail the check without parsing
+  console.log('Test 3: extract() reports non-OK statuses');
+  const parsedBefore = parsed.length;
+  const missing = await checker.extract('https://example.com/missing', target);
+  if (!missing.success && missing.error === 'Page request failed (HTTP 404)' && parsed.length === parsedBefore) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Result:', missing);
+    return finish(false);
+  }
+
+  // Test Case 4: Crawls follow next-page links and stop when they lead back to a visited page
+  console.log('Test 4: extractPages() follows nextPage links');
+  const crawled = await checker.extractPages('https://example.com/jobs', { ...target, crawl: { nextSelector: '.next', maxPages: 5 } });
+  const limited = await checker.extractPages('https://example.com/jobs', { ...target, crawl: { nextSelector: '.next', maxPages: 1 } });
+  if (
+    crawled.success && JSON.stringify(crawled.pages) === '["https://example.com/jobs","https://example.com/jobs?page=2"]' &&
+    crawled.content === 'Jobs at https://example.com/jobs\nJobs at https://example.com/jobs?page=2' &&
+    crawled.nextPage === undefined &&
+    limited.pages.length === 1
+  ) {
+    console.log('✅ Test 4: PASSED');
+  } else {
+    console.log('❌ Test 4: FAILED');
+    console.log('Result:', crawled, limited);
+    return finish(false);
+  }
+
+  // Test Case 5: The content script loaded by the offscreen parser leaves tab messages alone
+  console.log('Test 5: The offscreen copy of the content script does not answer tab messages');
+  const contentScript = fs.readFileSync(path.join(__dirname, '..', 'src', 'content-scripts', 'page-monitor-content.js'), 'utf8');
+  const answered = (url) => {
+    const { dom } = createDOM('<html><body><div id="price">42</div></body></html>', url);
+    let listener = null;
+    chrome.runtime.onMessage = { addListener: (callback) => { listener = callback; } };
+    eval(contentScript);
+    const responses = [];
+    const handled = listener({ action: 'getCaptureRect', selector: '#price' }, {}, response => responses.push(response));
+    dom.window.close();
+    return handled !== false || responses.length > 0;
+  };
+  const inOffscreen = answered('chrome-extension://abcdef/src/offscreen/offscreen.html');
+  const inTab = answered('https://example.com/product');
+  if (!inOffscreen && inTab) {
+    console.log('✅ Test 5: PASSED');
+  } else {
+    console.log('❌ Test 5: FAILED');
+    console.log('Answered:', { inOffscreen, inTab });
+    return finish(false);
+  }
+
+  return finish(true);
+}
+
+/**
+ * Test TabCapture bringing background check tabs to the front for screenshots
+ */
+async function testTabCapture() {
+  console.log('\n🧪 Testing TabCapture...\n');
+
+  loadBackgroundScript('visual-differ.js');
+  loadBackgroundScript('tab-capture.js');
+
+  // The user's window (tab 1 in front, pinned check tab 2) and a minimized check window (tab 3)
+  const tabs = {
+    1: { id: 1, windowId: 10, active: true },
+    2: { id: 2, windowId: 10, active: false, pinned: true },
+    3: { id: 3, windowId: 20, active: true }
+  };
+  const windows = { 10: { id: 10, state: 'normal' }, 20: { id: 20, state: 'minimized' } };
+  const originalTabs = chrome.tabs;
+  const originalWindows = chrome.windows;
+  chrome.tabs = {
+    get: (tabId) => Promise.resolve({ ...tabs[tabId] }),
+    query: ({ windowId, active }) => Promise.resolve(Object.values(tabs).filter(tab => tab.windowId === windowId && tab.active === active)),
+    update: (tabId, properties) => {
+      if (properties.active) {
+        Object.values(tabs).filter(tab => tab.windowId === tabs[tabId].windowId).forEach(tab => { tab.active = false; });
+        tabs[tabId].active = true;
+      }
+      return Promise.resolve(tabs[tabId]);
+    }
+  };
+  chrome.windows = {
+    get: (windowId) => Promise.resolve({ ...windows[windowId] }),
+    update: (windowId, properties) => {
+      Object.assign(windows[windowId], properties);
+      return Promise.resolve(windows[windowId]);
+    }
+  };
+  const finish = (passed) => {
+    chrome.tabs = originalTabs;
+    chrome.windows = originalWindows;
+    return passed;
+  };
+  const capture = new TabCapture();
+
+  // Test Case 1: A pinned background check tab is shown for the capture, then the user's tab is back
+  console.log('Test 1: bringToFront() activates a pinned check tab and restores the previous tab');
+  const restorePinned = await capture.bringToFront(2);
+  const pinnedInFront = tabs[2].active && !tabs[1].active;
+  await restorePinned();
+  if (pinnedInFront && tabs[1].active && !tabs[2].active) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Tabs:', tabs);
+    return finish(false);
+  }
+
+  // Test Case 2: A minimized check window is restored for the capture and minimized again
+  console.log('Test 2: bringToFront() restores a minimized check window');
+  const restoreWindow = await capture.bringToFront(3);
+  const shown = windows[20].state === 'normal' && windows[20].focused === false;
+  await restoreWindow();
+  if (shown && windows[20].state === 'minimized' && tabs[3].active) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Windows:', windows);
+    return finish(false);
+  }
+
+  // Test Case 3: Inactive tabs cannot be captured
+  console.log('Test 3: captureElement() rejects a tab that is not in front');
+  let error = null;
+  try {
+    await capture.captureElement(2, { x: 0, y: 0, width: 10, height: 10 });
+  } catch (captureError) {
+    error = captureError.message;
+  }
+  if (error === 'The tab is not the active tab of its window') {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Error:', error);
+    return finish(false);
+  }
+
+  return finish(true);
+}
+
+/**
+ * Test ActivityLogManager failure counters (persisted across service worker restarts)
+ */
+async function testFailureCounters() {
+  console.log('\n🧪 Testing failure counters...\n');
+
+  const { session } = installChromeMock();
+  loadBackgroundScript('activity-log.js');
+
+  // Test Case 1: Counters survive a worker restart
+  console.log('Test 1: Consecutive failures are kept per monitor across restarts');
+  const before = new ActivityLogManager();
+  await before.recordFailure('monitor-a');
+  await before.recordFailure('monitor-a');
+  await before.recordFailure('monitor-b');
+  const after = new ActivityLogManager();
+  if (
+    await after.getFailureCount('monitor-a') === 2 && await after.getFailureCount('monitor-b') === 1 &&
+    session.failureCounters['monitor-a'] === 2
+  ) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Stored:', session.failureCounters);
+    return false;
+  }
+
+  // Test Case 2: The threshold is reached after restarts; a success resets the counter
+  console.log('Test 2: Threshold after restarts, reset on success');
+  for (let i = 0; i < 3; i++) {
+    await new ActivityLogManager().recordFailure('monitor-a');
+  }
+  const restarted = new ActivityLogManager();
+  const reached = await restarted.isFailureThresholdReached('monitor-a');
+  await restarted.recordSuccess('monitor-a');
+  if (reached && await new ActivityLogManager().getFailureCount('monitor-a') === 0 &&
+      await new ActivityLogManager().getFailureCount('monitor-b') === 1) {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Stored:', session.failureCounters);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Test MonitorStore (URL-keyed persistent monitor records)
+ */
+async function testMonitorStore() {
+  console.log('\n🧪 Testing MonitorStore...\n');
+
+  const { store } = installChromeMock();
+  loadBackgroundScript('monitor-store.js');
+  const monitors = new MonitorStore();
+
+  // Test Case 1: Created monitors get a UUID and are found by normalized URL
+  console.log('Test 1: create() assigns a UUID and findByUrl() ignores hash and trailing slash');
+  const created = await monitors.create('https://example.com/jobs/', { selector: '#list', refreshInterval: 60000 });
+  const found = await monitors.findByUrl('https://example.com/jobs#top');
+  if (/^[0-9a-f-]{36}$/.test(created.id) && found && found.id === created.id && created.enabled) {
+    console.log('✅ Test 1: PASSED');
+  } else {
+    console.log('❌ Test 1: FAILED');
+    console.log('Created:', created, 'Found:', found);
+    return false;
+  }
+
+  // Test Case 2: Updates keep the record and its ID
+  console.log('Test 2: update() merges fields and keeps the ID');
+  await monitors.update(created.id, { enabled: false, tabId: 12 });
+  const updated = await monitors.get(created.id);
+  if (updated.enabled === false && updated.tabId === 12 && updated.config.selector === '#list') {
+    console.log('✅ Test 2: PASSED');
+  } else {
+    console.log('❌ Test 2: FAILED');
+    console.log('Updated:', updated);
+    return false;
+  }
+
+  // Test Case 3: Legacy tab-keyed configs are migrated once, without duplicating existing URLs
+  console.log('Test 3: migrateLegacyConfigs() converts tab-keyed configs');
+  store.monitoringConfig = {
+    7: { selector: '.price', refreshInterval: 30000, url: 'https://shop.example.com/item', initialUrl: 'https://shop.example.com/item', enabled: true, tabId: 7, lastContentHash: 'abc' },
+    9: { selector: '#list', refreshInterval: 30000, url: 'https://example.com/jobs', enabled: true, tabId: 9 }
+  };
+  const migrated = await monitors.migrateLegacyConfigs();
+  const all = Object.values(await monitors.getAll());
+  const shop = all.find(monitor => monitor.url === 'https://shop.example.com/item');
+  if (migrated.length === 1 && all.length === 2 && shop && shop.lastContentHash === 'abc' &&
+      shop.config.tabId === undefined && store.monitoringConfig === undefined) {
+    console.log('✅ Test 3: PASSED');
+  } else {
+    console.log('❌ Test 3: FAILED');
+    console.log('Migrated:', migrated, 'All:', all);
+    return false;
+  }
+
+  // Test Case 4: Removing a monitor deletes the record
+  console.log('Test 4: remove() deletes the record');
+  await monitors.remove(created.id);
+  if ((await monitors.get(created.id)) === null && (await monitors.findByUrl('https://example.com/jobs')) === null) {
+    console.log('✅ Test 4: PASSED');
+  } else {
+    console.log('❌ Test 4: FAILED');
+    return false;
+  }
+
+  // Test Case 5: Changes the rules skip keep the baseline, so small steps add up past the threshold
+  console.log('Test 5: restoreBaseline() after skipped changes');
+  loadBackgroundScript('destination-router.js');
+  loadBackgroundScript('rule-engine.js');
+  const rules = { operator: 'and', conditions: [{ type: 'percentChange', field: 'price', value: 10, direction: 'down' }] };
+  const priced = await monitors.create('https://shop.example.com/deal', { selector: '.price', refreshInterval: 60000, rules });
+  await monitors.update(priced.id, { lastContentHash: 'h100', lastContent: 'price: 100', lastFields: { price: '100' } });
+  const sentAt = [];
+  for (const price of ['97', '94', '91', '88', '86']) {
+    // Like processContentExtraction(): the check moves the baseline, then the rules decide
+    const monitor = await monitors.get(priced.id);
+    await monitors.update(priced.id, { lastContentHash: `h${price}`, lastContent: `price: ${price}`, lastFields: { price } });
+    const result = ruleEngine.evaluate(rules, {
+      content: `price: ${price}`,
+      previousContent: monitor.lastContent,
+      fields: { price },
+      previousFields: monitor.lastFields
+    });
+    if (result.passed) {
+      sentAt.push(price);
+    } else {
+      await monitors.restoreBaseline(priced.id, monitors.getBaseline(monitor));
+    }
+  }
+  const baseline = monitors.getBaseline(await monitors.get(priced.id));
+  if (JSON.stringify(sentAt) === '["88"]' && baseline.lastFields.price === '88' &&
+      baseline.lastContentHash === 'h88' && baseline.lastItems === null) {
+    console.log('✅ Test 5: PASSED');
+  } else {
+    console.log('❌ Test 5: FAILED');
+    console.log('Sent at:', sentAt, 'Baseline:', baseline);
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Main test runner
+ */
+async function runAllTests() {
+  console.log('🚀 Running Page Monitor to n8n tests...\n');
+  
+  const results = [];
+  
+  // Run extractBlockContent tests
+  const extractTestsPassed = testExtractBlockContent();
+  results.push({ name: 'extractBlockContent', passed: extractTestsPassed });
+
+  // Run element picker tests
+  const pickerTestsPassed = testSelectorGenerator();
+  results.push({ name: 'SelectorGenerator', passed: pickerTestsPassed });
+
+  // Run live mode tests
+  const liveTestsPassed = await testLiveMonitoring();
+  results.push({ name: 'LiveMonitoring', passed: liveTestsPassed });
+
+  // Run page action tests
+  const pageActionTestsPassed = await testPageActions();
+  results.push({ name: 'PageActions', passed: pageActionTestsPassed });
+
+  // Run field config tests
+  const fieldConfigTestsPassed = testFieldConfig();
+  results.push({ name: 'FieldConfig', passed: fieldConfigTestsPassed });
+
+  // Run list differ tests
+  const listDifferTestsPassed = testListDiffer();
+  results.push({ name: 'ListDiffer', passed: listDifferTestsPassed });
+
+  // Run content differ tests
+  const contentDifferTestsPassed = testContentDiffer();
+  results.push({ name: 'ContentDiffer', passed: contentDifferTestsPassed });
+
+  // Run webhook outbox tests
+  const outboxTestsPassed = testWebhookOutbox();
+  results.push({ name: 'WebhookOutbox', passed: outboxTestsPassed });
+
+  // Run snapshot store tests
+  const snapshotTestsPassed = testSnapshotStore();
+  results.push({ name: 'SnapshotStore', passed: snapshotTestsPassed });
+
+  // Run visual differ tests
+  const visualTestsPassed = testVisualDiffer();
+  results.push({ name: 'VisualDiffer', passed: visualTestsPassed });
+
+  // Run action script tests
+  const actionScriptTestsPassed = testActionScript();
+  results.push({ name: 'ActionScript', passed: actionScriptTestsPassed });
+
+  // Run crawl config tests
+  const crawlTestsPassed = testCrawlConfig();
+  results.push({ name: 'CrawlConfig', passed: crawlTestsPassed });
+
+  // Run extractor config tests
+  const extractorTestsPassed = testExtractorConfig();
+  results.push({ name: 'ExtractorConfig', passed: extractorTestsPassed });
+
+  // Run webhook auth tests
+  const authTestsPassed = await testWebhookAuth();
+  results.push({ name: 'WebhookAuth', passed: authTestsPassed });
+
+  // Run payload template tests
+  const templateTestsPassed = testPayloadTemplate();
+  results.push({ name: 'PayloadTemplate', passed: templateTestsPassed });
+
+  // Run destination router tests
+  const routerTestsPassed = testDestinationRouter();
+  results.push({ name: 'DestinationRouter', passed: routerTestsPassed });
+
+  // Run chat formatter tests
+  const chatTestsPassed = testChatFormatter();
+  results.push({ name: 'ChatFormatter', passed: chatTestsPassed });
+
+  // Run content normalizer tests
+  const normalizerTestsPassed = testContentNormalizer();
+  results.push({ name: 'ContentNormalizer', passed: normalizerTestsPassed });
+
+  // Run readiness config tests
+  const readinessTestsPassed = testReadinessConfig();
+  results.push({ name: 'ReadinessConfig', passed: readinessTestsPassed });
+
+  // Run rule engine tests
+  const ruleTestsPassed = testRuleEngine();
+  results.push({ name: 'RuleEngine', passed: ruleTestsPassed });
+
+  // Run secrets vault tests
+  const vaultTestsPassed = await testSecretsVault();
+  results.push({ name: 'SecretsVault', passed: vaultTestsPassed });
+
+  // Run schedule evaluator tests
+  const evaluatorTestsPassed = testScheduleEvaluator();
+  results.push({ name: 'ScheduleEvaluator', passed: evaluatorTestsPassed });
+
+  // Run scheduler tests
+  const schedulerTestsPassed = await testMonitorScheduler();
+  results.push({ name: 'MonitorScheduler', passed: schedulerTestsPassed });
+
+  // Run monitor store tests
+  const storeTestsPassed = await testMonitorStore();
+  results.push({ name: 'MonitorStore', passed: storeTestsPassed });
+
+  // Run fetch checker tests
+  const fetchCheckerTestsPassed = await testFetchChecker();
+  results.push({ name: 'FetchChecker', passed: fetchCheckerTestsPassed });
+
+  // Run tab capture tests
+  const tabCaptureTestsPassed = await testTabCapture();
+  results.push({ name: 'TabCapture', passed: tabCaptureTestsPassed });
+
+  // Run failure counter tests
+  const failureTestsPassed = await testFailureCounters();
+  results.push({ name: 'FailureCounters', passed: failureTestsPassed });
+  
+  // Summary
+  const passed = results.filter(r => r.passed).length;
+  const failed = results.filter(r => !r.passed).length;
+  
+  console.log('\n📊 Test Summary:');
+  console.log(`✅ Passed: ${passed}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log(`📈 Total: ${results.length}`);
+  
+  if (failed > 0) {
+    console.log('\nFailed tests:');
+    results.filter(r => !r.passed).forEach(r => {
+      console.log(`  - ${r.name}`);
+    });
+  }
+  
+  return failed === 0;
+}
 
-// Exit with appropriate code
-process.exit(allTestsPassed ? 0 : 1);
+// Run all tests and exit with appropriate code
+runAllTests().then((allTestsPassed) => {
+  process.exit(allTestsPassed ? 0 : 1);
+}).catch((error) => {
+  console.error('Test runner error:', error);
+  process.exit(1);
+});
 